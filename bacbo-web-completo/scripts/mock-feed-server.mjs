@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Servidor de feed simulado para testar a integração ao vivo offline.
+ * Sem dependências: só módulos nativos do Node.
+ *
+ *   npm run mock-feed -- --port 8787 --interval 5
+ *
+ * Endpoints (CORS liberado):
+ *   GET /results.json  → { results: [{ v, roundId, ts }] } com as últimas 100 rodadas (pull)
+ *   GET /events        → Server-Sent Events: snapshot ao conectar + uma mensagem por rodada
+ *   WS  /ws            → WebSocket com as mesmas mensagens
+ *
+ * As rodadas saem de dois dados por lado, como no jogo (vence a maior soma, empate = Tie).
+ */
+import http from "node:http";
+import crypto from "node:crypto";
+
+const args = Object.fromEntries(
+  process.argv.slice(2).reduce((acc, arg, i, all) => {
+    if (arg.startsWith("--")) acc.push([arg.slice(2), all[i + 1]]);
+    return acc;
+  }, [])
+);
+const PORT = Number(args.port || process.env.PORT || 8787);
+const INTERVAL_MS = Number(args.interval || 5) * 1000;
+const WINDOW = 100;
+
+const rounds = [];
+let nextRound = 1;
+
+const d6 = () => 1 + Math.floor(Math.random() * 6);
+
+function roll() {
+  const red = [d6(), d6()];
+  const blue = [d6(), d6()];
+  const r = red[0] + red[1];
+  const b = blue[0] + blue[1];
+  const round = { v: r > b ? "R" : b > r ? "B" : "T", roundId: String(nextRound++), ts: Date.now() };
+  rounds.push(round);
+  if (rounds.length > WINDOW) rounds.shift();
+  return round;
+}
+
+// Um histórico inicial para o snapshot não vir vazio
+for (let i = 0; i < 20; i++) roll();
+
+const sseClients = new Set();
+const wsClients = new Set();
+
+// Quadro de texto WebSocket (servidor → cliente, sem máscara)
+function wsFrame(text) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  const header = len < 126 ? Buffer.from([0x81, len]) : len < 65536 ? Buffer.from([0x81, 126, len >> 8, len & 255]) : null;
+  if (!header) {
+    const big = Buffer.alloc(10);
+    big[0] = 0x81;
+    big[1] = 127;
+    big.writeBigUInt64BE(BigInt(len), 2);
+    return Buffer.concat([big, payload]);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function broadcast(message) {
+  const text = JSON.stringify(message);
+  for (const res of sseClients) res.write(`data: ${text}\n\n`);
+  for (const socket of wsClients) socket.write(wsFrame(text));
+}
+
+const server = http.createServer((req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+  if (pathname === "/results.json") {
+    res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+    res.end(JSON.stringify({ results: rounds }));
+    return;
+  }
+
+  if (pathname === "/events") {
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-store", Connection: "keep-alive" });
+    res.write(`retry: 2000\ndata: ${JSON.stringify({ results: rounds })}\n\n`);
+    sseClients.add(res);
+    req.on("close", () => sseClients.delete(res));
+    return;
+  }
+
+  res.writeHead(404, { "Content-Type": "text/plain" });
+  res.end("Use /results.json, /events ou /ws\n");
+});
+
+server.on("upgrade", (req, socket) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const key = req.headers["sec-websocket-key"];
+  if (pathname !== "/ws" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest("base64");
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  wsClients.add(socket);
+  socket.write(wsFrame(JSON.stringify({ results: rounds })));
+  socket.on("data", (buf) => {
+    // Só tratamos o quadro de fechamento (opcode 0x8); o cliente não manda dados
+    if ((buf[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0]));
+  });
+  const drop = () => wsClients.delete(socket);
+  socket.on("close", drop);
+  socket.on("error", drop);
+});
+
+const timer = setInterval(() => broadcast(roll()), INTERVAL_MS);
+
+server.listen(PORT, () => {
+  console.log(`Feed simulado em http://localhost:${PORT}`);
+  console.log(`  pull: http://localhost:${PORT}/results.json`);
+  console.log(`  sse:  http://localhost:${PORT}/events`);
+  console.log(`  ws:   ws://localhost:${PORT}/ws`);
+  console.log(`Nova rodada a cada ${INTERVAL_MS / 1000}s. Ctrl+C para sair.`);
+});
+
+function shutdown() {
+  clearInterval(timer);
+  for (const res of sseClients) res.end();
+  for (const socket of wsClients) socket.destroy();
+  server.close(() => process.exit(0));
+}
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
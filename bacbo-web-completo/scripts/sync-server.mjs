@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * Servidor de sincronização para equipes (opcional, auto-hospedado).
+ * Sem dependências: só módulos nativos do Node.
+ *
+ *   npm run sync-server -- --port 8788 --store file --file ./bacbo-sync.json
+ *   npm run sync-server -- --store sqlite --file ./bacbo-sync.db   (Node 22.5+, node:sqlite)
+ *   npm run sync-server -- --token segredo                         (exige "Authorization: Bearer segredo")
+ *
+ * Endpoints (CORS liberado, JSON):
+ *   GET  /health            → { ok, protocol, cursor, store }
+ *   POST /push  { items }   → { accepted, stale, invalid, cursor }
+ *   GET  /pull?since=N      → { items, more, cursor } (até 500 registros com seq > N)
+ *
+ * Formato dos registros e regra de conflito: src/sync/protocol.mjs.
+ */
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { MAX_BATCH, PROTOCOL_VERSION, applyPush, createMemoryStore } from "../src/sync/protocol.mjs";
+
+const args = Object.fromEntries(
+  process.argv.slice(2).reduce((acc, arg, i, all) => {
+    if (arg.startsWith("--")) acc.push([arg.slice(2), all[i + 1]]);
+    return acc;
+  }, [])
+);
+const PORT = Number(args.port || process.env.PORT || 8788);
+const STORE = args.store || "file";
+const FILE = path.resolve(args.file || (STORE === "sqlite" ? "bacbo-sync.db" : "bacbo-sync.json"));
+const TOKEN = args.token || process.env.SYNC_TOKEN || "";
+const MAX_BODY = 5 * 1024 * 1024;
+
+/** Arquivo JSON: tudo em memória, gravado (tmp + rename) logo depois de cada push */
+function openFileStore(file) {
+  let records = [];
+  if (fs.existsSync(file)) records = JSON.parse(fs.readFileSync(file, "utf8")).records || [];
+  const store = createMemoryStore(records);
+  let timer = null;
+  const save = () => {
+    timer = null;
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ protocol: PROTOCOL_VERSION, records: store.all() }));
+    fs.renameSync(tmp, file);
+  };
+  return {
+    ...store,
+    get seq() {
+      return store.seq;
+    },
+    put(record) {
+      timer ??= setTimeout(save, 100);
+      return store.put(record);
+    },
+    close() {
+      if (timer) {
+        clearTimeout(timer);
+        save();
+      }
+    },
+  };
+}
+
+/** SQLite pelo módulo nativo node:sqlite (Node 22.5+) */
+async function openSqliteStore(file) {
+  let sqlite;
+  try {
+    sqlite = await import("node:sqlite");
+  } catch {
+    throw new Error(`--store sqlite precisa do Node 22.5+ (node:sqlite); este é o ${process.version}. Use --store file.`);
+  }
+  const db = new sqlite.DatabaseSync(file);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      kind TEXT NOT NULL, id TEXT NOT NULL, seq INTEGER NOT NULL, body TEXT NOT NULL,
+      PRIMARY KEY (kind, id)
+    );
+    CREATE INDEX IF NOT EXISTS records_seq ON records (seq);
+  `);
+  const getStmt = db.prepare("SELECT body FROM records WHERE kind = ? AND id = ?");
+  const putStmt = db.prepare("INSERT OR REPLACE INTO records (kind, id, seq, body) VALUES (?, ?, ?, ?)");
+  const sinceStmt = db.prepare("SELECT body FROM records WHERE seq > ? ORDER BY seq LIMIT ?");
+  let seq = db.prepare("SELECT COALESCE(MAX(seq), 0) AS seq FROM records").get().seq;
+  return {
+    get seq() {
+      return seq;
+    },
+    get(kind, id) {
+      const row = getStmt.get(kind, id);
+      return row ? JSON.parse(row.body) : undefined;
+    },
+    put(record) {
+      const stored = { ...record, seq: ++seq };
+      putStmt.run(record.kind, record.id, stored.seq, JSON.stringify(stored));
+      return stored;
+    },
+    since(after, limit = MAX_BATCH) {
+      const rows = sinceStmt.all(after, limit + 1).map((row) => JSON.parse(row.body));
+      return { items: rows.slice(0, limit), more: rows.length > limit };
+    },
+    close: () => db.close(),
+  };
+}
+
+let store;
+try {
+  store = STORE === "sqlite" ? await openSqliteStore(FILE) : openFileStore(FILE);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error("Corpo grande demais"), { status: 413, code: "tooLarge" }));
+        req.destroy();
+      } else chunks.push(c);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(Object.assign(new Error("JSON inválido"), { status: 400, code: "badJson" }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (url.pathname === "/health") {
+    send(res, 200, { ok: true, protocol: PROTOCOL_VERSION, cursor: store.seq, store: STORE });
+    return;
+  }
+  // Erros levam `code` além do texto: o app traduz os que conhece
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    send(res, 401, { error: "Token inválido", code: "unauthorized" });
+    return;
+  }
+
+  try {
+    if (url.pathname === "/push" && req.method === "POST") {
+      const body = await readJson(req);
+      send(res, 200, applyPush(store, body.items));
+      return;
+    }
+    if (url.pathname === "/pull" && req.method === "GET") {
+      const since = Math.max(0, Number(url.searchParams.get("since")) || 0);
+      send(res, 200, { ...store.since(since), cursor: store.seq });
+      return;
+    }
+    send(res, 404, { error: "Use GET /health, POST /push ou GET /pull?since=N", code: "notFound" });
+  } catch (err) {
+    send(res, err.status || 500, { error: err.message, code: err.code });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Sincronização em http://localhost:${PORT} (${STORE}: ${FILE})`);
+  console.log(TOKEN ? "Exige token (Authorization: Bearer …)." : "Sem token: qualquer um na rede pode sincronizar.");
+  console.log("Ctrl+C para sair.");
+});
+
+function shutdown() {
+  server.close(() => {
+    store.close();
+    process.exit(0);
+  });
+}
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
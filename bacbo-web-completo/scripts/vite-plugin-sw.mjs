@@ -0,0 +1,36 @@
+/**
+ * Plugin do Vite que gera o `sw.js` do build a partir de
+ * src/pwa/service-worker.js, com a lista de arquivos do shell e a versão
+ * (ver src/pwa/index.js). Só roda no `vite build`: no `vite dev` não há
+ * service worker.
+ */
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { STATIC_SHELL, SW_FILE, injectShellManifest } from "../src/pwa/index.js";
+
+const SOURCE = fileURLToPath(new URL("../src/pwa/service-worker.js", import.meta.url));
+
+export function serviceWorker() {
+  let publicDir = "";
+  return {
+    name: "bacbo-service-worker",
+    apply: "build",
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    generateBundle(_, bundle) {
+      // conteúdo de cada arquivo do shell: entra na versão do cache
+      const assets = {};
+      for (const [name, item] of Object.entries(bundle)) assets[name] = item.type === "chunk" ? item.code : item.source;
+      for (const file of STATIC_SHELL) {
+        const path = publicDir && join(publicDir, file);
+        if (file !== "./" && path && existsSync(path)) assets[file] = readFileSync(path);
+      }
+      const source = injectShellManifest(readFileSync(SOURCE, "utf8"), assets);
+      this.emitFile({ type: "asset", fileName: SW_FILE, source });
+    },
+  };
+}
+
+export default serviceWorker;
@@ -1,22 +1,99 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useMemo, useRef, useState } from "react";
 import { motion } from "framer-motion";
-import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from "recharts";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { Download, Upload, RefreshCw, Plus, Scissors, Eraser, Link2, TrendingUp, ListFilter } from "lucide-react";
+import { useSegmentedStats } from "@/engine/useStatsEngine";
+import { useSessions } from "@/sessions/useSessions";
+import { scopedHistory } from "@/sessions/model";
+import { appendRounds } from "@/history";
+import { SessionSwitcher } from "@/components/SessionSwitcher";
+import { StorageWarnings } from "@/components/StorageWarnings";
+import { UpdatePrompt } from "@/components/UpdatePrompt";
+import { SyncPanel } from "@/components/SyncPanel";
+import { withAuthor } from "@/sync";
+import { useSync } from "@/sync/useSync";
+import { FeedStatus } from "@/components/FeedStatus";
+import { ImportExportCard } from "@/components/ImportExportCard";
+import { BulkEntry } from "@/components/BulkEntry";
+import { Roadmaps } from "@/components/Roadmaps";
+import { GuardBanner, GuardSettingsCard, RealityCheckDialog } from "@/components/SessionGuard";
+import { useSessionGuard } from "@/guard/useSessionGuard";
+import { StakeInput } from "@/components/StakeInput";
+import { LedgerPanel, LossLimitAlert } from "@/components/LedgerPanel";
+import { useLedger } from "@/ledger/useLedger";
+import { validateBet } from "@/ledger";
+import { mergeFeed } from "@/feed/merge";
+import { useFeedPoller } from "@/feed/useFeedPoller";
+import { useFeedStream } from "@/feed/useFeedStream";
+import { RandomnessPanel } from "@/components/RandomnessPanel";
+import { StrategySimulator } from "@/components/StrategySimulator";
+import { ReportsPanel } from "@/components/ReportsPanel";
+import { ResultMarker } from "@/components/ResultMarker";
+import { PreferencesBar } from "@/components/PreferencesBar";
+import { useI18n } from "@/i18n/useI18n";
+import { colorLabel } from "@/i18n";
+import { TimeAnalytics } from "@/components/TimeAnalytics";
+import { HistoryTable } from "@/components/HistoryTable";
+import { RapidEntry } from "@/components/RapidEntry";
+import { TrendCharts, WindowSelect } from "@/components/TrendCharts";
+import { DEFAULT_WINDOW, normalizeWindow } from "@/trends";
+import { usePersistentState } from "@/lib/usePersistentState";
+import { useUndoShortcuts } from "@/undo/useUndoShortcuts";
+import { PatternAlertTile, PatternAlertsEditor } from "@/components/PatternAlerts";
+import { usePatternAlerts } from "@/alerts/usePatternAlerts";
+import { evaluateSignals } from "@/analysis/signals";
+import { useSignalSimulation } from "@/analysis/useSignalSimulation";
+import { RefreshCw, Undo2, Redo2, Wallet, Eraser, Link2, TrendingUp, ListFilter, Sigma, Dices, FlaskConical, Bell, Clock, FileBarChart } from "lucide-react";
 
 /**
  * Bac Bo – Rastreador de Padrões
  * --------------------------------
  * O que faz:
- * - Permite registrar resultados (Red/Blue/Tie) rapidamente
+ * - Permite registrar resultados (Red/Blue/Tie) rapidamente, inclusive num modo só de
+ *   teclado (teclas configuráveis, confirmação grande com som, proteção contra toque duplo)
  * - Mostra últimas ocorrências, streaks, alternâncias de cor, viés recente
  * - Detecta “padrões” comuns (zebra/alternância, sequência longa, viés por cor)
+ *   com a taxa-base de cada sinal numa mesa justa (exata ou Monte Carlo em Worker)
+ * - Alertas personalizados numa linguagem pequena ("R R B R", "streak >= 6",
+ *   "no T in last 30"), avaliados a cada rodada, com notificação do navegador ou som
+ * - Roadmaps da sessão ativa: Bead Plate, Big Road (empates anotados) e as derivadas
+ *   Big Eye Boy, Small Road e Cockroach Pig
  * - Gráfico de distribuição de streaks por cor
- * - Importar/Exportar histórico (JSON) e colar lista bruta
- * - Modo "pull" opcional: busca JSON de uma URL (formato simples) a cada X segundos
+ * - Tendência de Red/Blue/Tie em janela móvel (20/50/100/500) com faixa de confiança e
+ *   zoom; a mesma janela vale para o Resumo e o sinal de viés
+ * - Testes de aleatoriedade (runs, qui-quadrado, autocorrelação, streaks) com p-valores
+ * - Sessões nomeadas por mesa/período; estatísticas por uma, várias ou todas
+ * - Desfazer/refazer em vários passos (Ctrl+Z / Ctrl+Shift+Z) para qualquer alteração:
+ *   registro, colagem, limpeza, importação, feed, edições da tabela e das sessões
+ * - Histórico em tabela: filtros por cor, data e sessão, seleção múltipla para excluir ou
+ *   trocar a cor (com confirmação) e inserção de rodadas esquecidas em qualquer posição
+ * - Horários: mapa de calor dia × hora, cadência de rodadas e lacunas (rodadas perdidas
+ *   ou pausas), com divisão da sessão nas lacunas; usa o horário da fonte quando existe
+ * - Jogo responsável: limites de tempo e rodadas, lembretes periódicos e pausa que
+ *   bloqueia o registro e o feed (sobrevive a recarregar a página)
+ * - Banca opcional: aposta por rodada, pagamentos pela tabela do Bac Bo (configurável),
+ *   saldo/drawdown, P&L da sessão e alerta de limite de perda
+ * - Simulador de estratégias: regras sobre os sinais (seguir/contra, aposta fixa ou
+ *   martingale) no histórico e em milhares de sequências de mesa justa (Web Worker)
+ * - Relatórios: sessões ou períodos lado a lado (cores, ties, streaks, zebra, sinais) com
+ *   gráficos sobrepostos, folha para imprimir/PDF e download em Markdown ou HTML
+ * - Importar/Exportar em JSON versionado ou CSV, com prévia e escolha entre mesclar
+ *   ou substituir (formato em docs/interchange-format.md)
+ * - Colar lista bruta com apelidos configuráveis (inclusive V/A/E, Vermelho/Azul/Empate),
+ *   repetição (R3 B2 T), prévia ao vivo e itens rejeitados apontados pela posição
+ * - Modo "pull" opcional: busca JSON de uma URL a cada X segundos, juntando só rodadas
+ *   novas (por id ou sobreposição), com backoff em falhas e painel de status
+ * - Modo "push" opcional: WebSocket ou Server-Sent Events com reconexão automática
+ * - Sincronização opcional da equipe por um servidor próprio (npm run sync-server): fila
+ *   offline, conflitos pelo id da rodada e quem registrou cada rodada
+ * - App instalável (PWA): funciona offline pelo service worker, avisa quando há versão
+ *   nova e grava tudo ao bloquear a tela ou trocar de app (ver src/pwa)
+ * - Acessibilidade e idiomas: marcadores com forma e letra além da cor, tema de alto
+ *   contraste, abas navegáveis pelo teclado e interface em pt-BR ou inglês (ver src/a11y
+ *   e src/i18n)
  *
  * IMPORTANT:
  * - Não faz scraping automático de casas: respeite os Termos de Uso e leis locais.
@@ -36,13 +113,29 @@ type Result = {
   id: string; // unique
   v: ColorKey; // winner color
   ts: number; // timestamp (ms)
+  tsApprox?: boolean; // ts is the entry time, not the round's (bulk paste, import without timestamps, round inserted later)
+  roundId?: string; // round id from the source feed, when it provides one
+  by?: string; // who logged it, when the history is shared through the sync server (see src/sync)
+  bet?: Bet; // optional stake placed on this round (see src/ledger)
 };
 
+type Bet = { side: ColorKey; amount: number; tieTotal?: number };
+
+type FeedItem = { v: ColorKey; roundId?: string; ts?: number };
+
+type FeedMode = "poll" | "ws" | "sse";
+
+const FEED_PLACEHOLDERS: Record<FeedMode, string> = {
+  poll: "https://suaapi.exemplo/results.json",
+  ws: "wss://suaapi.exemplo/ws",
+  sse: "https://suaapi.exemplo/events",
+};
+
+const TABS = ["painel", "historico", "aleatoriedade", "horarios", "banca", "simulador", "relatorios", "dados"];
+
 // Utilidades
 const uid = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
 
-const colorLabel = (v: ColorKey) => (v === "R" ? "Red" : v === "B" ? "Blue" : "Tie");
-
 const pillClass = (v: ColorKey) =>
   `px-2 py-1 rounded-full text-xs font-medium ${
     v === "R"
@@ -52,238 +145,91 @@ const pillClass = (v: ColorKey) =>
       : "bg-zinc-100 text-zinc-700"
   }`;
 
-const dotClass = (v: ColorKey) =>
-  `w-3 h-3 rounded-full ${v === "R" ? "bg-red-500" : v === "B" ? "bg-blue-500" : "bg-zinc-400"}`;
-
-// Parsing de entrada bruta: aceita R/B/T ou palavras
-function parseBulk(text: string): ColorKey[] {
-  return text
-    .toUpperCase()
-    .replaceAll(/[^RBTREDLUEI\s,;\-\|]/g, " ") // limpa
-    .split(/[\s,;\\-|]+/)
-    .map((t) => {
-      if (!t) return null as any;
-      if (["R", "RED"].includes(t)) return "R";
-      if (["B", "BLUE"].includes(t)) return "B";
-      if (["T", "TIE"].includes(t)) return "T";
-      return null as any;
-    })
-    .filter(Boolean) as ColorKey[];
-}
-
-// Cálculos de padrões
-function computeStats(history: Result[]) {
-  const lastN = (n: number) => history.slice(-n);
-  const seq = history.map((r) => r.v);
-
-  // Alternâncias (mudanças de cor entre R/B) — T não conta para alternância
-  let alternations = 0;
-  let lastColor: ColorKey | null = null;
-  for (const v of seq) {
-    if (v === "T") continue;
-    if (lastColor && v !== lastColor) alternations++;
-    lastColor = v;
-  }
-
-  // Streak atual (ignora T para streak por cor)
-  let currentStreak = 0;
-  let currentColor: ColorKey | null = null;
-  for (let i = seq.length - 1; i >= 0; i--) {
-    const v = seq[i];
-    if (v === "T") break; // interrompe streak por presença de tie
-    if (currentColor === null) {
-      currentColor = v;
-      currentStreak = 1;
-    } else if (v === currentColor) {
-      currentStreak++;
-    } else {
-      break;
-    }
-  }
-
-  // Longest streak por cor
-  const longest: Record<ColorKey, number> = { R: 0, B: 0, T: 0 };
-  let runColor: ColorKey | null = null;
-  let runLen = 0;
-  for (const v of seq) {
-    if (runColor === v) runLen++;
-    else {
-      if (runColor) longest[runColor] = Math.max(longest[runColor], runLen);
-      runColor = v;
-      runLen = 1;
-    }
-  }
-  if (runColor) longest[runColor] = Math.max(longest[runColor], runLen);
-
-  // Distribuição de streaks por cor (cap 6+)
-  const dist = {
-    R: { 1: 0, 2: 0, 3: 0, 4: 0, "5": 0, "6+": 0 },
-    B: { 1: 0, 2: 0, 3: 0, 4: 0, "5": 0, "6+": 0 },
-  } as any;
-  runColor = null;
-  runLen = 0;
-  for (const v of seq) {
-    if (v === "T") {
-      if (runColor && (runColor === "R" || runColor === "B")) {
-        const bucket = runLen >= 6 ? "6+" : (runLen as any);
-        dist[runColor][bucket]++;
-      }
-      runColor = null;
-      runLen = 0;
-      continue;
-    }
-    if (runColor === v) runLen++;
-    else {
-      if (runColor && (runColor === "R" || runColor === "B")) {
-        const bucket = runLen >= 6 ? "6+" : (runLen as any);
-        dist[runColor][bucket]++;
-      }
-      runColor = v;
-      runLen = 1;
-    }
-  }
-  if (runColor && (runColor === "R" || runColor === "B")) {
-    const bucket = runLen >= 6 ? "6+" : (runLen as any);
-    dist[runColor][bucket]++;
-  }
-
-  // Janela recente (últimos 20)
-  const last20 = lastN(20).map((r) => r.v);
-  const count20 = { R: 0, B: 0, T: 0 } as Record<ColorKey, number>;
-  last20.forEach((v) => (count20[v]++));
-
-  // Zebra: maior sequência de alternância perfeita R/B/R/B…
-  let zebraMax = 0;
-  let zebraCur = 0;
-  lastColor = null;
-  for (const v of seq) {
-    if (v === "T") {
-      zebraMax = Math.max(zebraMax, zebraCur);
-      zebraCur = 0;
-      lastColor = null;
-      continue;
-    }
-    if (lastColor && v !== lastColor) zebraCur++;
-    else if (!lastColor) zebraCur = 1; // inicia
-    else zebraCur = 1; // reset começa novo
-    lastColor = v;
-    zebraMax = Math.max(zebraMax, zebraCur);
-  }
-
-  return {
-    total: history.length,
-    alternations,
-    currentStreak,
-    currentColor,
-    longest,
-    dist,
-    last20: count20,
-    zebraMax,
-  };
-}
-
-function useInterval(callback: () => void, delay: number | null) {
-  const saved = useRef<() => void>();
-  useEffect(() => {
-    saved.current = callback;
-  }, [callback]);
-  useEffect(() => {
-    if (delay === null) return;
-    const id = setInterval(() => saved.current && saved.current(), delay);
-    return () => clearInterval(id);
-  }, [delay]);
-}
+const formatPct = (x: number) => `${(x * 100).toFixed(1)}%`;
 
 export default function BacBoPatternTracker() {
-  const [history, setHistory] = useState<Result[]>(() => {
-    const saved = localStorage.getItem("bacbo-history");
-    if (saved) return JSON.parse(saved);
-    return [];
-  });
-  const [bulk, setBulk] = useState("");
+  // Idioma da interface (ver src/i18n); o provedor fica em main.jsx
+  const { t } = useI18n();
+  // Histórico por sessão (ver src/sessions): `history` é sempre a sessão ativa
+  const sessions = useSessions();
+  const { history, setHistory } = sessions;
+  // aba aberta sobrevive a recarregar (ou ao navegador descartar a aba em segundo plano)
+  const [storedTab, setTab] = usePersistentState("bacbo-tab", "painel");
+  const tab = TABS.includes(storedTab) ? storedTab : "painel";
   const [pollUrl, setPollUrl] = useState("");
   const [pollSec, setPollSec] = useState(0);
-
-  useEffect(() => {
-    localStorage.setItem("bacbo-history", JSON.stringify(history));
-  }, [history]);
-
-  const stats = useMemo(() => computeStats(history), [history]);
-
-  // Modo "pull" simples: espera um JSON { results: ["R","B","T", ...] }
-  useInterval(
-    async () => {
-      if (!pollUrl) return;
-      try {
-        const res = await fetch(pollUrl);
-        const data = await res.json();
-        if (Array.isArray(data?.results)) {
-          const sanitized = (data.results as string[])
-            .map((x) => (x || "").toUpperCase())
-            .filter((x) => ["R", "B", "T"].includes(x)) as ColorKey[];
-          // Se os novos já incluem os antigos, só substitui; caso contrário, concatena de forma única.
-          const next: Result[] = sanitized.map((v: ColorKey) => ({ id: uid(), v, ts: Date.now() }));
-          if (next.length) setHistory(next);
-        }
-      } catch (e) {
-        console.warn("Falha ao buscar:", e);
+  const [pollMode, setPollMode] = useState<FeedMode>("poll");
+  const [pollConfig, setPollConfig] = useState<{ mode: FeedMode; url: string; sec: number }>({ mode: "poll", url: "", sec: 0 }); // aplicado via "Aplicar"
+
+  // Sincronização opcional com o servidor da equipe (ver src/sync)
+  const sync = useSync(sessions);
+
+  // Ctrl+Z / Ctrl+Shift+Z desfazem e refazem qualquer alteração dos dados (ver src/undo)
+  useUndoShortcuts(sessions);
+
+  // Estatísticas incrementais (ver src/engine) sobre as sessões do escopo escolhido;
+  // a janela recente (Resumo, viés, tendências) é escolhida pelo usuário
+  const [storedWindow, setRecentWindow] = usePersistentState("bacbo-recent-window", DEFAULT_WINDOW);
+  const recentWindow = normalizeWindow(storedWindow);
+  const stats = useSegmentedStats(sessions.segments, { window: recentWindow });
+  const scoped = useMemo(() => scopedHistory(sessions.rounds, sessions.scopeIds), [sessions.segments]);
+
+  // Livro de apostas da sessão ativa (ver src/ledger); a aposta vai junto com o próximo push
+  const [stake, setStake] = useState<{ side: "" | ColorKey; amount: string; tieTotal: string }>({ side: "", amount: "", tieTotal: "" });
+  const ledger = useLedger(history);
+
+  // Limites de jogo responsável (ver src/guard): durante a pausa nada é registrado
+  const guard = useSessionGuard(sessions.rounds);
+
+  // Integração ao vivo (pull ou push), juntando só as rodadas novas (ver src/feed)
+  const historyRef = useRef(history);
+  historyRef.current = history;
+  const ingestFeed = useCallback(
+    (batch: { items: FeedItem[] }) => {
+      const base = historyRef.current;
+      const opts = { by: sync.author };
+      const result = mergeFeed(base, batch.items, opts);
+      if (result.added) {
+        historyRef.current = result.next;
+        // rodadas seguidas do feed viram um único passo de desfazer
+        setHistory((h) => (h === base ? result.next : mergeFeed(h, batch.items, opts).next), { label: "undo.feed", group: "feed" });
       }
+      return result;
     },
-    pollSec > 0 ? pollSec * 1000 : null
+    [setHistory, sync.author]
   );
-
-  function push(v: ColorKey) {
-    setHistory((h) => [...h, { id: uid(), v, ts: Date.now() }]);
+  const isPoll = pollConfig.mode === "poll";
+  const feedUrl = guard.locked ? "" : pollConfig.url;
+  const poller = useFeedPoller({ url: isPoll ? feedUrl : "", intervalSec: pollConfig.sec, onBatch: ingestFeed });
+  const stream = useFeedStream({ url: isPoll ? "" : feedUrl, transport: pollConfig.mode, onBatch: ingestFeed });
+
+  function applyPollConfig() {
+    const next = { mode: pollMode, url: pollUrl.trim(), sec: pollSec };
+    const same = next.mode === pollConfig.mode && next.url === pollConfig.url && next.sec === pollConfig.sec;
+    if (!same) setPollConfig(next);
+    else if (isPoll) poller.pollNow();
+    else stream.reconnect();
   }
 
-  function undo() {
-    setHistory((h) => h.slice(0, -1));
+  function push(v: ColorKey) {
+    if (guard.locked) return;
+    const r: Result = withAuthor({ id: uid(), v, ts: Date.now() }, sync.author);
+    const bet = ledger.summary.lossLimitReached ? null : validateBet(stake);
+    if (bet) r.bet = bet;
+    setHistory((h) => appendRounds(h, [r]), { label: "undo.register", params: { color: colorLabel(v, t) } });
+    // a soma do empate vale só para a rodada registrada; lado e valor continuam
+    if (stake.tieTotal) setStake((s) => ({ ...s, tieTotal: "" }));
   }
 
   function clearAll() {
-    if (confirm("Limpar todo o histórico?")) setHistory([]);
-  }
-
-  function handleBulkAdd() {
-    const arr = parseBulk(bulk);
-    if (!arr.length) return;
-    setHistory((h) => [...h, ...arr.map((v) => ({ id: uid(), v, ts: Date.now() }))]);
-    setBulk("");
+    if (confirm(t("app.confirmClear"))) setHistory([], { label: "undo.clear" });
   }
 
-  function exportJson() {
-    const blob = new Blob([JSON.stringify(history, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `bacbo-history-${new Date().toISOString().slice(0, 19)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }
-
-  function importJson(file: File) {
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const parsed = JSON.parse(String(reader.result));
-        if (Array.isArray(parsed)) {
-          const valid = parsed
-            .filter((r: any) => r && ["R", "B", "T"].includes(r.v))
-            .map((r: any) => ({ id: r.id || uid(), v: r.v as ColorKey, ts: r.ts || Date.now() }));
-          setHistory(valid);
-        } else if (Array.isArray(parsed.results)) {
-          const valid = (parsed.results as any[])
-            .filter((v) => ["R", "B", "T"].includes(v))
-            .map((v) => ({ id: uid(), v, ts: Date.now() }));
-          setHistory(valid);
-        } else {
-          alert("JSON inválido");
-        }
-      } catch (e) {
-        alert("Falha ao ler JSON");
-      }
-    };
-    reader.readAsText(file);
+  function handleBulkAdd(values: ColorKey[]) {
+    if (guard.locked) return;
+    const now = Date.now();
+    // lista colada não tem horário de cada rodada: marca para as análises de horário ignorarem
+    setHistory((h) => appendRounds(h, values.map((v) => withAuthor({ id: uid(), v, ts: now, tsApprox: true }, sync.author))), { label: "undo.paste", params: { count: values.length } });
   }
 
   // Dados do gráfico: distribuição de streaks
@@ -291,98 +237,96 @@ export default function BacBoPatternTracker() {
     const rows: any[] = [];
     const buckets = ["1", "2", "3", "4", "5", "6+"];
     for (const b of buckets) {
-      rows.push({ bucket: b, Red: stats.dist.R[b] || 0, Blue: stats.dist.B[b] || 0 });
+      rows.push({ bucket: b, R: stats.dist.R[b] || 0, B: stats.dist.B[b] || 0 });
     }
     return rows;
   }, [stats]);
 
-  // Sinais/Heurísticas simples (não são predição nem garantia!)
-  const signals = useMemo(() => {
-    const list: { id: string; title: string; desc: string; on?: boolean }[] = [];
-    const total20 = stats.last20.R + stats.last20.B + stats.last20.T;
-    const redBias = total20 > 0 ? stats.last20.R / total20 : 0;
-    const blueBias = total20 > 0 ? stats.last20.B / total20 : 0;
-
-    list.push({
-      id: "zebra",
-      title: "Zebra / Alternância",
-      desc: `Maior alternância consecutiva observada: ${stats.zebraMax}`,
-      on: stats.zebraMax >= 5,
-    });
-
-    list.push({
-      id: "streaklong",
-      title: "Sequência Longa",
-      desc: `Maior streak: R=${stats.longest.R}, B=${stats.longest.B}`,
-      on: stats.longest.R >= 5 || stats.longest.B >= 5,
-    });
-
-    list.push({
-      id: "bias",
-      title: "Viés nas últimas 20",
-      desc: `Últimos 20 → R=${stats.last20.R}, B=${stats.last20.B}, T=${stats.last20.T}`,
-      on: redBias >= 0.6 || blueBias >= 0.6,
-    });
-
-    list.push({
-      id: "ties",
-      title: "Ties frequentes",
-      desc: `Últimos 20 tiveram ${stats.last20.T} ties`,
-      on: stats.last20.T >= 3,
-    });
-
-    return list;
-  }, [stats]);
+  // Sinais/Heurísticas simples (não são predição nem garantia!) com a taxa-base de cada um
+  const signals = useMemo(() => evaluateSignals(stats, undefined, t), [stats, t]);
+  const simulation = useSignalSimulation();
+  const simulated = simulation.n === stats.total && simulation.window === stats.window ? simulation.rates : null;
+
+  // Alertas do usuário (ver src/alerts): só as rodadas novas da sessão ativa passam pelo motor
+  const alerts = usePatternAlerts(history, { key: sessions.activeId, ready: sessions.ready });
+  const [editingAlerts, setEditingAlerts] = useState(false);
 
   return (
     <div className="min-h-screen w-full bg-white text-zinc-900 p-4 md:p-8">
       <div className="max-w-6xl mx-auto grid gap-4">
-        <motion.h1 className="text-2xl md:text-3xl font-bold" initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }}>
-          Bac Bo – Rastreador de Padrões
-        </motion.h1>
-        <p className="text-sm text-zinc-600 -mt-2">
-          Ferramenta educacional para monitorar tendências. Não é conselho financeiro nem garantia de resultados. Jogue com responsabilidade.
-        </p>
-
-        <Tabs defaultValue="painel" className="mt-2">
-          <TabsList>
-            <TabsTrigger value="painel"><TrendingUp className="w-4 h-4 mr-1"/>Painel</TabsTrigger>
-            <TabsTrigger value="historico"><ListFilter className="w-4 h-4 mr-1"/>Histórico</TabsTrigger>
-            <TabsTrigger value="dados"><Link2 className="w-4 h-4 mr-1"/>Dados/Integração</TabsTrigger>
+        <div className="flex items-start justify-between gap-2 flex-wrap">
+          <motion.h1 className="text-2xl md:text-3xl font-bold" initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }}>
+            {t("app.title")}
+          </motion.h1>
+          <PreferencesBar />
+        </div>
+        <p className="text-sm text-zinc-600 -mt-2">{t("app.disclaimer")}</p>
+
+        <GuardBanner guard={guard} />
+        <RealityCheckDialog guard={guard} />
+        <LossLimitAlert ledger={ledger} />
+
+        <StorageWarnings warnings={sessions.warnings} onDismiss={sessions.dismissWarning} />
+        <UpdatePrompt />
+
+        {sessions.ready ? <SessionSwitcher sessions={sessions} /> : <p className="text-sm text-zinc-600">{t("app.loading")}</p>}
+
+        <Tabs value={tab} onValueChange={setTab} className="mt-2">
+          <TabsList label={t("app.tabsLabel")}>
+            <TabsTrigger value="painel"><TrendingUp className="w-4 h-4 mr-1" aria-hidden/>{t("tabs.painel")}</TabsTrigger>
+            <TabsTrigger value="historico"><ListFilter className="w-4 h-4 mr-1" aria-hidden/>{t("tabs.historico")}</TabsTrigger>
+            <TabsTrigger value="aleatoriedade"><Sigma className="w-4 h-4 mr-1" aria-hidden/>{t("tabs.aleatoriedade")}</TabsTrigger>
+            <TabsTrigger value="horarios"><Clock className="w-4 h-4 mr-1" aria-hidden/>{t("tabs.horarios")}</TabsTrigger>
+            <TabsTrigger value="banca"><Wallet className="w-4 h-4 mr-1" aria-hidden/>{t("tabs.banca")}</TabsTrigger>
+            <TabsTrigger value="simulador"><FlaskConical className="w-4 h-4 mr-1" aria-hidden/>{t("tabs.simulador")}</TabsTrigger>
+            <TabsTrigger value="relatorios"><FileBarChart className="w-4 h-4 mr-1" aria-hidden/>{t("tabs.relatorios")}</TabsTrigger>
+            <TabsTrigger value="dados"><Link2 className="w-4 h-4 mr-1" aria-hidden/>{t("tabs.dados")}</TabsTrigger>
           </TabsList>
 
           <TabsContent value="painel">
+            <div className="mb-4">
+              <RapidEntry
+                history={history}
+                locked={guard.locked}
+                onColor={push}
+                onUndo={sessions.undo}
+                onRedo={sessions.redo}
+                undoLabel={sessions.undoLabel}
+                redoLabel={sessions.redoLabel}
+              />
+            </div>
             <div className="grid md:grid-cols-3 gap-4">
               <Card className="col-span-2">
                 <CardHeader>
-                  <CardTitle>Adicionar resultado</CardTitle>
-                  <CardDescription>Registre rapidamente o vencedor da rodada.</CardDescription>
+                  <CardTitle>{t("painel.add.title")}</CardTitle>
+                  <CardDescription>{t("painel.add.description")}</CardDescription>
                 </CardHeader>
                 <CardContent className="grid gap-3">
+                  <StakeInput value={stake} onChange={setStake} disabled={ledger.summary.lossLimitReached} />
                   <div className="flex gap-2 flex-wrap">
-                    <Button onClick={() => push("R")} className="rounded-2xl">Red</Button>
-                    <Button onClick={() => push("B")} className="rounded-2xl" variant="secondary">Blue</Button>
-                    <Button onClick={() => push("T")} className="rounded-2xl" variant="outline">Tie</Button>
-                    <Button onClick={undo} className="rounded-2xl" variant="outline"><Scissors className="w-4 h-4 mr-2"/>Desfazer</Button>
-                    <Button onClick={clearAll} className="rounded-2xl" variant="ghost"><Eraser className="w-4 h-4 mr-2"/>Limpar</Button>
-                  </div>
-                  <div className="grid md:grid-cols-3 gap-3 items-end">
-                    <div className="md:col-span-2 grid gap-2">
-                      <label className="text-sm text-zinc-600">Colar lista (R/B/T ou Red/Blue/Tie)</label>
-                      <Input value={bulk} onChange={(e) => setBulk(e.target.value)} placeholder="Ex: R B R R T B ..." />
-                    </div>
-                    <Button onClick={handleBulkAdd} className="rounded-2xl">
-                      <Plus className="w-4 h-4 mr-2"/>Adicionar em lote
-                    </Button>
+                    {(["R", "B", "T"] as ColorKey[]).map((v) => (
+                      <Button key={v} onClick={() => push(v)} className="rounded-2xl flex items-center gap-2" variant={v === "R" ? undefined : v === "B" ? "secondary" : "outline"} disabled={guard.locked}>
+                        <ResultMarker v={v} label={false} />{colorLabel(v, t)}
+                      </Button>
+                    ))}
+                    <Button onClick={sessions.undo} disabled={!sessions.undoLabel} className="rounded-2xl" variant="outline" title="Ctrl+Z"><Undo2 className="w-4 h-4 mr-2" aria-hidden/>{t("undo.undo")}</Button>
+                    <Button onClick={sessions.redo} disabled={!sessions.redoLabel} className="rounded-2xl" variant="outline" title="Ctrl+Shift+Z"><Redo2 className="w-4 h-4 mr-2" aria-hidden/>{t("undo.redo")}</Button>
+                    <Button onClick={clearAll} className="rounded-2xl" variant="ghost"><Eraser className="w-4 h-4 mr-2" aria-hidden/>{t("painel.add.clear")}</Button>
                   </div>
+                  {(sessions.undoLabel || sessions.redoLabel) && (
+                    <p className="text-xs text-zinc-600">
+                      {sessions.undoLabel && t("undo.undoNext", { label: sessions.undoLabel })}
+                      {sessions.undoLabel && sessions.redoLabel && " · "}
+                      {sessions.redoLabel && t("undo.redoNext", { label: sessions.redoLabel })}
+                    </p>
+                  )}
+                  <BulkEntry onAdd={handleBulkAdd} disabled={guard.locked} />
 
                   <div className="mt-4">
-                    <div className="flex items-center gap-2 mb-2 text-sm text-zinc-600">Últimos 50</div>
-                    <div className="flex flex-wrap gap-2">
+                    <div className="flex items-center gap-2 mb-2 text-sm text-zinc-600" id="last-results">{t("painel.add.last", { count: 50 })}</div>
+                    <div className="flex flex-wrap gap-2" role="list" aria-labelledby="last-results">
                       {history.slice(-50).map((r) => (
-                        <div key={r.id} className="flex items-center gap-1">
-                          <span className={dotClass(r.v)} />
-                        </div>
+                        <span key={r.id} role="listitem" className="flex items-center"><ResultMarker v={r.v} /></span>
                       ))}
                     </div>
                   </div>
@@ -391,30 +335,33 @@ export default function BacBoPatternTracker() {
 
               <Card>
                 <CardHeader>
-                  <CardTitle>Resumo</CardTitle>
-                  <CardDescription>Estatísticas rápidas</CardDescription>
+                  <CardTitle>{t("painel.summary.title")}</CardTitle>
+                  <CardDescription>{t("painel.summary.description")}</CardDescription>
                 </CardHeader>
                 <CardContent className="grid gap-3 text-sm">
-                  <div className="flex justify-between"><span>Total de rodadas</span><span className="font-medium">{stats.total}</span></div>
-                  <div className="flex justify-between"><span>Alternâncias R↔B</span><span className="font-medium">{stats.alternations}</span></div>
-                  <div className="flex justify-between"><span>Streak atual</span><span className={pillClass((stats.currentColor as any) || "T")}>{stats.currentStreak}× {stats.currentColor ? colorLabel(stats.currentColor) : "—"}</span></div>
-                  <div className="flex justify-between"><span>Maior streak Red</span><span className="font-medium">{stats.longest.R}</span></div>
-                  <div className="flex justify-between"><span>Maior streak Blue</span><span className="font-medium">{stats.longest.B}</span></div>
-                  <div className="flex justify-between"><span>Maior alternância ("zebra")</span><span className="font-medium">{stats.zebraMax}</span></div>
-                  <div className="flex justify-between"><span>Últimos 20</span>
-                    <span className="font-medium flex gap-2">
-                      <span className={pillClass("R" as any)}>R {stats.last20.R}</span>
-                      <span className={pillClass("B" as any)}>B {stats.last20.B}</span>
-                      <span className={pillClass("T" as any)}>T {stats.last20.T}</span>
+                  <div className="flex justify-between"><span>{t("painel.summary.total")}</span><span className="font-medium">{stats.total}</span></div>
+                  <div className="flex justify-between"><span>{t("painel.summary.alternations")}</span><span className="font-medium">{stats.alternations}</span></div>
+                  <div className="flex justify-between"><span>{t("painel.summary.currentStreak")}</span><span className={`${pillClass((stats.currentColor as any) || "T")} flex items-center gap-1`}>{stats.currentColor && <ResultMarker v={stats.currentColor} size={14} label={false} />}{stats.currentStreak}× {stats.currentColor ? colorLabel(stats.currentColor, t) : "—"}</span></div>
+                  <div className="flex justify-between"><span>{t("painel.summary.longestR")}</span><span className="font-medium">{stats.longest.R}</span></div>
+                  <div className="flex justify-between"><span>{t("painel.summary.longestB")}</span><span className="font-medium">{stats.longest.B}</span></div>
+                  <div className="flex justify-between"><span>{t("painel.summary.zebraMax")}</span><span className="font-medium">{stats.zebraMax}</span></div>
+                  <div className="flex justify-between items-center gap-2">
+                    <WindowSelect value={recentWindow} onChange={setRecentWindow} className="py-1" />
+                    <span className="font-medium flex gap-2" aria-label={t("painel.summary.recent")}>
+                      {(["R", "B", "T"] as ColorKey[]).map((v) => (
+                        <span key={v} className={`${pillClass(v)} flex items-center gap-1`}><ResultMarker v={v} size={14} />{stats.recent[v]}</span>
+                      ))}
                     </span>
                   </div>
                 </CardContent>
               </Card>
 
+              <Roadmaps history={history} />
+
               <Card className="md:col-span-3">
                 <CardHeader>
-                  <CardTitle>Distribuição de streaks (R e B)</CardTitle>
-                  <CardDescription>Quantas vezes apareceram streaks de 1, 2, 3…</CardDescription>
+                  <CardTitle>{t("painel.streaks.title")}</CardTitle>
+                  <CardDescription>{t("painel.streaks.description")}</CardDescription>
                 </CardHeader>
                 <CardContent>
                   <div className="h-64 w-full">
@@ -424,90 +371,121 @@ export default function BacBoPatternTracker() {
                         <XAxis dataKey="bucket" />
                         <YAxis allowDecimals={false} />
                         <Tooltip />
-                        <Bar dataKey="Red" />
-                        <Bar dataKey="Blue" />
+                        <Legend />
+                        <Bar dataKey="R" name={colorLabel("R", t)} fill="#dc2626" />
+                        <Bar dataKey="B" name={colorLabel("B", t)} fill="#2563eb" />
                       </BarChart>
                     </ResponsiveContainer>
                   </div>
                 </CardContent>
               </Card>
 
+              <TrendCharts history={scoped} window={recentWindow} onWindowChange={setRecentWindow} />
+
               <Card className="md:col-span-3">
                 <CardHeader>
-                  <CardTitle>Leituras/Heurísticas</CardTitle>
-                  <CardDescription>Regras simples baseadas no histórico recente (apenas informativas).</CardDescription>
+                  <CardTitle>{t("painel.signals.title")}</CardTitle>
+                  <CardDescription>{t("painel.signals.description")}</CardDescription>
                 </CardHeader>
-                <CardContent className="grid md:grid-cols-4 gap-3">
-                  {signals.map((s) => (
-                    <div key={s.id} className={`p-3 rounded-2xl border ${s.on ? "border-emerald-400 bg-emerald-50" : "border-zinc-200"}`}>
-                      <div className="font-medium mb-1">{s.title}</div>
-                      <div className="text-xs text-zinc-600">{s.desc}</div>
-                    </div>
-                  ))}
+                <CardContent className="grid gap-3">
+                  <div className="grid md:grid-cols-4 gap-3">
+                    {signals.map((s) => (
+                      <div key={s.id} className={`p-3 rounded-2xl border ${s.on ? "border-emerald-400 bg-emerald-50" : "border-zinc-200"}`}>
+                        <div className="font-medium mb-1 flex items-center justify-between gap-2">
+                          {s.title}
+                          {s.on && <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-emerald-100 text-emerald-800">{t("painel.signals.on")}</span>}
+                        </div>
+                        <div className="text-xs text-zinc-600">{s.desc}</div>
+                        <div className="text-xs text-zinc-500 mt-2">
+                          {t("painel.signals.base", { value: s.baseline != null ? formatPct(s.baseline) : "—" })}
+                          {simulated?.[s.id] && <> · {t("painel.signals.simulated", { rate: formatPct(simulated[s.id].rate), margin: formatPct(1.96 * simulated[s.id].stderr) })}</>}
+                        </div>
+                      </div>
+                    ))}
+                    {alerts.view.filter((a) => a.enabled).map((a) => <PatternAlertTile key={a.id} alert={a} />)}
+                  </div>
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <Button onClick={() => simulation.run(stats.total, stats.window)} className="rounded-2xl" variant="outline" disabled={!stats.total || simulation.status === "running"}>
+                      <Dices className="w-4 h-4 mr-2" aria-hidden/>{t("painel.signals.simulate")}
+                    </Button>
+                    {simulation.status === "running" && <span className="text-xs text-zinc-600">{t("painel.signals.simulating", { percent: Math.round(simulation.progress * 100) })}</span>}
+                    {simulation.status === "error" && <span className="text-xs text-red-700">{t("painel.signals.simulationFailed", { error: simulation.error })}</span>}
+                    <Button onClick={() => setEditingAlerts((x) => !x)} className="rounded-2xl" variant="ghost" aria-expanded={editingAlerts}>
+                      <Bell className="w-4 h-4 mr-2" aria-hidden/>{editingAlerts ? t("painel.signals.closeAlerts") : t("painel.signals.openAlerts")}
+                    </Button>
+                  </div>
+                  {editingAlerts && <PatternAlertsEditor alerts={alerts} />}
                 </CardContent>
               </Card>
             </div>
           </TabsContent>
 
           <TabsContent value="historico">
-            <Card>
-              <CardHeader>
-                <CardTitle>Histórico detalhado</CardTitle>
-                <CardDescription>Clique para remover um item específico.</CardDescription>
-              </CardHeader>
-              <CardContent>
-                <div className="flex flex-wrap gap-2">
-                  {history.map((r, idx) => (
-                    <button key={r.id} onClick={() => setHistory((h) => h.filter((x) => x.id !== r.id))} className="flex items-center gap-2 px-2 py-1 rounded-xl border hover:bg-zinc-50">
-                      <span className={dotClass(r.v)} />
-                      <span className="text-xs text-zinc-600">#{idx + 1}</span>
-                      <span className="text-xs font-medium">{colorLabel(r.v)}</span>
-                    </button>
-                  ))}
-                </div>
-              </CardContent>
-            </Card>
+            <HistoryTable sessions={sessions} locked={guard.locked} author={sync.author} />
+          </TabsContent>
+
+          <TabsContent value="aleatoriedade">
+            <RandomnessPanel history={scoped} stats={stats} />
+          </TabsContent>
+
+          <TabsContent value="horarios">
+            <TimeAnalytics sessions={sessions} />
+          </TabsContent>
+
+          <TabsContent value="banca">
+            <LedgerPanel ledger={ledger} />
+          </TabsContent>
+
+          <TabsContent value="simulador">
+            <StrategySimulator segments={sessions.segments} ledger={ledger} />
+          </TabsContent>
+
+          <TabsContent value="relatorios">
+            <ReportsPanel sessions={sessions} window={recentWindow} />
           </TabsContent>
 
           <TabsContent value="dados">
             <div className="grid md:grid-cols-2 gap-4">
-              <Card>
-                <CardHeader>
-                  <CardTitle>Importar / Exportar</CardTitle>
-                  <CardDescription>Faça backup ou mova para outro dispositivo.</CardDescription>
-                </CardHeader>
-                <CardContent className="grid gap-3">
-                  <div className="flex gap-2 flex-wrap">
-                    <Button onClick={exportJson} className="rounded-2xl"><Download className="w-4 h-4 mr-2"/>Exportar JSON</Button>
-                    <label className="inline-flex items-center gap-2 px-3 py-2 rounded-2xl border cursor-pointer">
-                      <Upload className="w-4 h-4"/>
-                      <span className="text-sm">Importar JSON</span>
-                      <input type="file" accept="application/json" className="hidden" onChange={(e) => e.target.files && importJson(e.target.files[0])} />
-                    </label>
-                  </div>
-                  <p className="text-xs text-zinc-600">Formato aceito: lista de objetos [{"{ v: \"R|B|T\" }"}] ou {"{ results: [\"R\",\"B\",...] }" }.</p>
-                </CardContent>
-              </Card>
+              <ImportExportCard sessions={sessions} />
 
               <Card>
                 <CardHeader>
-                  <CardTitle>Integração por URL (pull)</CardTitle>
-                  <CardDescription>Opcional: buscar periodicamente resultados em JSON.</CardDescription>
+                  <CardTitle>{t("live.title")}</CardTitle>
+                  <CardDescription>{t("live.description")}</CardDescription>
                 </CardHeader>
                 <CardContent className="grid gap-3">
                   <div className="grid gap-2">
-                    <label className="text-sm text-zinc-600">URL</label>
-                    <Input value={pollUrl} onChange={(e) => setPollUrl(e.target.value)} placeholder="https://suaapi.exemplo/results.json" />
+                    <label className="text-sm text-zinc-600" htmlFor="feed-mode">{t("live.mode")}</label>
+                    <select id="feed-mode" value={pollMode} onChange={(e) => setPollMode(e.target.value as FeedMode)} className="px-3 py-2 rounded-lg border text-sm">
+                      {(["poll", "ws", "sse"] as FeedMode[]).map((m) => <option key={m} value={m}>{t(`live.modes.${m}`)}</option>)}
+                    </select>
                   </div>
                   <div className="grid gap-2">
-                    <label className="text-sm text-zinc-600">Intervalo (segundos, 0 = desligado)</label>
-                    <Input type="number" min={0} value={pollSec} onChange={(e) => setPollSec(parseInt(e.target.value || "0"))} />
+                    <label className="text-sm text-zinc-600" htmlFor="feed-url">{t("live.url")}</label>
+                    <Input id="feed-url" value={pollUrl} onChange={(e) => setPollUrl(e.target.value)} placeholder={FEED_PLACEHOLDERS[pollMode]} />
                   </div>
-                  <Button onClick={() => { /* apenas feedback visual */}} className="rounded-2xl"><RefreshCw className="w-4 h-4 mr-2"/>Aplicar</Button>
-                  <p className="text-xs text-zinc-600">A URL deve retornar {"{ results: ["}R{" , "}B{" , "}T{" ] }"}. Evite scraping de sites que proíbem.
+                  {pollMode === "poll" && (
+                    <div className="grid gap-2">
+                      <label className="text-sm text-zinc-600" htmlFor="feed-interval">{t("live.interval")}</label>
+                      <Input id="feed-interval" type="number" min={0} value={pollSec} onChange={(e) => setPollSec(parseInt(e.target.value || "0"))} />
+                    </div>
+                  )}
+                  <div className="flex gap-2 flex-wrap">
+                    <Button onClick={applyPollConfig} className="rounded-2xl"><RefreshCw className="w-4 h-4 mr-2" aria-hidden/>{t("common.apply")}</Button>
+                    {pollConfig.mode !== "poll" && pollConfig.url && (
+                      <Button onClick={() => setPollConfig((c) => ({ ...c, url: "" }))} className="rounded-2xl" variant="outline">{t("live.disconnect")}</Button>
+                    )}
+                  </div>
+                  <p className="text-xs text-zinc-600">
+                    {t("live.help", { format: "{ results: [R, B, T] }", objects: "{ v, roundId, ts }" })} <code>npm run mock-feed</code>. {t("live.noScraping")}
                   </p>
+                  {guard.locked && pollConfig.url && <p className="text-xs text-amber-800">{t("live.pausedByGuard")}</p>}
+                  <FeedStatus status={pollConfig.mode === "poll" ? poller.status : stream.status} />
                 </CardContent>
               </Card>
+
+              <SyncPanel sync={sync} />
+              <GuardSettingsCard guard={guard} />
             </div>
           </TabsContent>
         </Tabs>
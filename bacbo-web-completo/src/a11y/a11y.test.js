@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { CONTRAST_CLASS, MARKER_SHAPES, applyTheme, nextTabIndex, normalizeTheme, preferredTheme } from "./index";
+
+describe("navegação das abas", () => {
+  it("setas circulam e Home/End vão às pontas", () => {
+    expect(nextTabIndex("ArrowRight", 0, 3)).toBe(1);
+    expect(nextTabIndex("ArrowRight", 2, 3)).toBe(0);
+    expect(nextTabIndex("ArrowLeft", 0, 3)).toBe(2);
+    expect(nextTabIndex("ArrowDown", 1, 3)).toBe(2);
+    expect(nextTabIndex("ArrowUp", 1, 3)).toBe(0);
+    expect(nextTabIndex("Home", 2, 3)).toBe(0);
+    expect(nextTabIndex("End", 0, 3)).toBe(2);
+  });
+
+  it("outras teclas e lista vazia não navegam", () => {
+    expect(nextTabIndex("Enter", 0, 3)).toBeNull();
+    expect(nextTabIndex("a", 0, 3)).toBeNull();
+    expect(nextTabIndex("ArrowRight", 0, 0)).toBeNull();
+    // foco fora da lista (-1): seta para a direita vai à primeira
+    expect(nextTabIndex("ArrowRight", -1, 3)).toBe(0);
+  });
+});
+
+describe("tema", () => {
+  it("aceita só temas conhecidos", () => {
+    expect(normalizeTheme("contrast")).toBe("contrast");
+    expect(normalizeTheme("neon")).toBe("default");
+    expect(normalizeTheme(undefined)).toBe("default");
+  });
+
+  it("liga e desliga a classe de contraste na raiz", () => {
+    const classes = new Set();
+    const root = { classList: { toggle: (name, on) => (on ? classes.add(name) : classes.delete(name)) } };
+    applyTheme("contrast", root);
+    expect(classes.has(CONTRAST_CLASS)).toBe(true);
+    applyTheme("default", root);
+    expect(classes.has(CONTRAST_CLASS)).toBe(false);
+    expect(() => applyTheme("contrast", undefined)).not.toThrow();
+  });
+
+  it("segue o prefers-contrast do sistema", () => {
+    const media = (matches) => (query) => ({ matches: query === "(prefers-contrast: more)" && matches });
+    expect(preferredTheme(media(true))).toBe("contrast");
+    expect(preferredTheme(media(false))).toBe("default");
+    expect(preferredTheme(undefined)).toBe("default");
+    expect(preferredTheme(() => { throw new Error("sem suporte"); })).toBe("default");
+  });
+});
+
+describe("marcadores", () => {
+  it("cada resultado tem forma própria", () => {
+    expect(new Set(Object.values(MARKER_SHAPES)).size).toBe(3);
+  });
+});
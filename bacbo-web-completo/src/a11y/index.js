@@ -0,0 +1,49 @@
+/**
+ * Acessibilidade
+ * --------------
+ * - Marcadores de resultado não dependem só da cor: cada resultado tem
+ *   forma própria (Red = círculo, Blue = quadrado, Tie = losango) e a
+ *   letra dentro, para quem não distingue vermelho de azul ou de verde.
+ * - Tema de alto contraste: classe `contrast` no <html> (regras em
+ *   index.css); o padrão segue o `prefers-contrast: more` do sistema.
+ * - Abas navegáveis pelo teclado (setas, Home, End), como no padrão
+ *   WAI-ARIA de tabs.
+ */
+
+export const MARKER_SHAPES = { R: "circle", B: "square", T: "diamond" };
+
+export const THEMES = ["default", "contrast"];
+export const CONTRAST_CLASS = "contrast";
+
+export const normalizeTheme = (theme) => (THEMES.includes(theme) ? theme : "default");
+
+export function preferredTheme(matchMedia = globalThis.matchMedia) {
+  try {
+    return matchMedia?.("(prefers-contrast: more)").matches ? "contrast" : "default";
+  } catch {
+    return "default";
+  }
+}
+
+export function applyTheme(theme, root = globalThis.document?.documentElement) {
+  root?.classList.toggle(CONTRAST_CLASS, normalizeTheme(theme) === "contrast");
+}
+
+/** Próxima aba para a tecla (setas circulam, Home/End vão às pontas); `null` se a tecla não navega */
+export function nextTabIndex(key, index, count) {
+  if (count <= 0) return null;
+  switch (key) {
+    case "ArrowRight":
+    case "ArrowDown":
+      return (index + 1) % count;
+    case "ArrowLeft":
+    case "ArrowUp":
+      return (index - 1 + count) % count;
+    case "Home":
+      return 0;
+    case "End":
+      return count - 1;
+    default:
+      return null;
+  }
+}
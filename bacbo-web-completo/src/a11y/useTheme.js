@@ -0,0 +1,13 @@
+import { useEffect } from "react";
+import { usePersistentState } from "@/lib/usePersistentState";
+import { applyTheme, normalizeTheme, preferredTheme } from "./index";
+
+/** Tema escolhido (padrão: o contraste pedido pelo sistema), aplicado ao <html> */
+export function useTheme() {
+  const [stored, setTheme] = usePersistentState("bacbo-theme", preferredTheme());
+  const theme = normalizeTheme(stored);
+  useEffect(() => applyTheme(theme), [theme]);
+  return [theme, setTheme];
+}
+
+export default useTheme;
@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import { recolorRounds } from "@/history";
+import { createTranslator, messageText } from "@/i18n";
+import { DEFAULT_ALERTS, RuleSyntaxError, alertName, appendedRounds, checkRule, compileAlerts, createAlertEngine, normalizeAlert, parseRule } from "./index";
+
+const split = (s) => s.split("");
+const engineFor = (expr) => createAlertEngine(compileAlerts([{ id: "a", name: "a", expr }]));
+// estado da regra depois de cada rodada
+const trace = (expr, seq) => {
+  const e = engineFor(expr);
+  return split(seq).map((v) => (e.push([v]), e.states().a));
+};
+
+describe("parseRule", () => {
+  it("lê sequências, métricas e combinações", () => {
+    expect(parseRule("R R B R")).toEqual([[{ kind: "seq", pattern: ["R", "R", "B", "R"] }]]);
+    expect(parseRule("rr?b")).toEqual([[{ kind: "seq", pattern: ["R", "R", "?", "B"] }]]);
+    expect(parseRule("streak >= 5")).toEqual([[{ kind: "streak", color: null, op: ">=", value: 5 }]]);
+    expect(parseRule("no T in last 30")).toEqual([[{ kind: "count", color: "T", window: 30, op: "==", value: 0 }]]);
+    expect(parseRule("zebra > 3 and count B in last 10 >= 7 or streak T = 2")).toEqual([
+      [
+        { kind: "zebra", op: ">", value: 3 },
+        { kind: "count", color: "B", window: 10, op: ">=", value: 7 },
+      ],
+      [{ kind: "streak", color: "T", op: "==", value: 2 }],
+    ]);
+  });
+
+  it("aceita palavras-chave em português", () => {
+    expect(parseRule("sem T nas últimas 30 e streak >= 4")).toEqual(parseRule("no T in last 30 and streak >= 4"));
+  });
+
+  it("aponta a posição do erro", () => {
+    expect(checkRule("streak 5")).toMatchObject({ at: 7 });
+    expect(checkRule("R R X")).toMatchObject({ at: 4 });
+    expect(messageText(checkRule("no T in last 9999").error)).toMatch(/janela/);
+    expect(messageText(checkRule("count R in last 10 >= 11").error)).toMatch(/fora/);
+    expect(messageText(checkRule("").error)).toBe("regra vazia");
+    expect(checkRule("streak >= 3 and").error).toEqual({ code: "alerts.errors.incomplete", params: {} });
+    expect(messageText(checkRule("streak >= 3 and").error, createTranslator("en"))).toBe("incomplete rule");
+    expect(() => parseRule("zebra")).toThrow(RuleSyntaxError);
+  });
+});
+
+describe("createAlertEngine", () => {
+  it("sequência compara o fim do histórico", () => {
+    expect(trace("R R B", "RRBRRB")).toEqual([false, false, true, false, false, true]);
+    expect(trace("R ? R", "RTRBR")).toEqual([false, false, true, false, true]);
+  });
+
+  it("streak sem cor ignora empates e zebra zera no empate", () => {
+    expect(trace("streak >= 2", "RRTT")).toEqual([false, true, false, false]);
+    expect(trace("streak T >= 2", "RRTT")).toEqual([false, false, false, true]);
+    expect(trace("zebra >= 3", "RBRTBR")).toEqual([false, false, true, false, false, false]);
+  });
+
+  it("janelas só valem com N rodadas", () => {
+    expect(trace("no T in last 3", "RBRBT")).toEqual([false, false, true, true, false]);
+  });
+
+  it("dispara só na subida, uma vez por lote", () => {
+    const e = engineFor("streak >= 2");
+    expect(e.push(split("RR"))).toEqual(["a"]);
+    expect(e.push(["R"])).toEqual([]);
+    expect(e.push(split("BBRR"))).toEqual(["a"]);
+  });
+
+  it("load recomeça sem disparar", () => {
+    const e = engineFor("streak >= 2");
+    e.load(split("RRR"));
+    expect(e.states()).toEqual({ a: true });
+    expect(e.push(["R"])).toEqual([]);
+  });
+
+  it("recolorir não passa por acréscimo e o motor recarrega com as cores novas", () => {
+    const prev = split("BRR").map((v, i) => ({ id: `r${i}`, v }));
+    const more = [...prev, { id: "r3", v: "R" }];
+    expect(appendedRounds(prev, more)).toEqual([more[3]]);
+    expect(appendedRounds(prev, prev)).toEqual([]);
+    // mesmo id e mesmo tamanho, cor trocada na última rodada
+    const recolored = recolorRounds(prev, ["r2"], "B");
+    expect(appendedRounds(prev, recolored)).toBeNull();
+    expect(appendedRounds(prev, prev.slice(0, 2))).toBeNull();
+
+    const e = engineFor("streak R >= 2");
+    e.load(prev.map((r) => r.v));
+    expect(e.states()).toEqual({ a: true });
+    e.load(recolored.map((r) => r.v));
+    expect(e.states()).toEqual({ a: false });
+  });
+
+  it("regras desligadas ou inválidas nunca disparam", () => {
+    const e = createAlertEngine(
+      compileAlerts([
+        { id: "off", expr: "R", enabled: false },
+        { id: "bad", expr: "R >" },
+      ])
+    );
+    expect(e.push(["R"])).toEqual([]);
+    expect(e.states()).toEqual({});
+  });
+});
+
+describe("normalizeAlert", () => {
+  it("completa campos que faltam", () => {
+    expect(normalizeAlert({ expr: "R" }, 1)).toEqual({ id: "alert-1", name: "", expr: "R", enabled: true, notify: false, sound: false });
+  });
+});
+
+describe("alertName", () => {
+  it("usa o nome digitado, o do alerta pronto ou o padrão no idioma pedido", () => {
+    const en = createTranslator("en");
+    expect(alertName({ id: "x", name: "Meu alerta" }, 0, en)).toBe("Meu alerta");
+    expect(alertName(DEFAULT_ALERTS[2])).toBe("Sem empate em 30");
+    expect(alertName(DEFAULT_ALERTS[2], 2, en)).toBe("No tie in 30");
+    expect(alertName({ id: "alert-1", name: " " }, 3, en)).toBe("Alert 4");
+  });
+});
@@ -0,0 +1,313 @@
+import { foldToken } from "@/input/bulkParser";
+import { TranslatableError, defaultT } from "@/i18n";
+
+/**
+ * Alertas de padrão definidos pelo usuário
+ * ----------------------------------------
+ * Uma regra é texto numa linguagem pequena, validada antes de ser usada:
+ *
+ *   R R B R                 sequência exata nas últimas rodadas (`?` = qualquer; "RRBR" também vale)
+ *   streak >= 6             streak atual de Red ou Blue (empate quebra)
+ *   streak T >= 2           streak de uma cor específica (R, B ou T)
+ *   zebra >= 5              alternância atual R/B
+ *   count T in last 20 >= 3 quantas vezes a cor saiu nas últimas N
+ *   no T in last 30         atalho para `count T in last 30 == 0`
+ *
+ * Comparações: >= > <= < == !=. Cláusulas se combinam com `and` / `or`
+ * (`e` / `ou`; `and` vale antes de `or`). Palavras-chave aceitam português:
+ * `sem` = no, `nas ultimas` = in last, `conta` = count. Janelas contam só
+ * quando já há N rodadas.
+ *
+ * O motor (`createAlertEngine`) é incremental: cada rodada nova custa pouco,
+ * e a regra "dispara" quando passa de falsa para verdadeira.
+ */
+
+export const MAX_WINDOW = 500;
+export const MAX_SEQUENCE = 50;
+export const MAX_ALERTS = 30;
+
+export const DEFAULT_ALERTS = [
+  { id: "alert-rrbr", name: "", expr: "R R B R", enabled: true, notify: false, sound: false },
+  { id: "alert-streak", name: "", expr: "streak >= 6", enabled: true, notify: false, sound: false },
+  { id: "alert-no-tie", name: "", expr: "no T in last 30", enabled: true, notify: false, sound: false },
+];
+
+// id do alerta pronto → chave do nome em alerts.presets
+const PRESET_NAMES = { "alert-rrbr": "rrbr", "alert-streak": "streak", "alert-no-tie": "noTie" };
+
+/** Nome para exibir: o digitado pelo usuário, o do alerta pronto ou "Alerta N" no idioma de `t` */
+export function alertName(alert, index = 0, t = defaultT) {
+  if (typeof alert?.name === "string" && alert.name.trim()) return alert.name;
+  const preset = PRESET_NAMES[alert?.id];
+  return preset ? t(`alerts.presets.${preset}`) : t("alerts.defaultName", { n: index + 1 });
+}
+
+const COMPARATORS = {
+  ">=": (a, b) => a >= b,
+  ">": (a, b) => a > b,
+  "<=": (a, b) => a <= b,
+  "<": (a, b) => a < b,
+  "==": (a, b) => a === b,
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+const KEYWORDS = { AND: "and", E: "and", OR: "or", OU: "or", NO: "no", SEM: "no", COUNT: "count", CONTA: "count", STREAK: "streak", ZEBRA: "zebra" };
+const COLORS = new Set(["R", "B", "T"]);
+
+/** Erro de sintaxe na posição `at`; o texto vem do catálogo (`alerts.errors.*`) */
+export class RuleSyntaxError extends TranslatableError {
+  constructor(code, params, at) {
+    super(`alerts.errors.${code}`, params);
+    this.name = "RuleSyntaxError";
+    this.at = at;
+  }
+}
+
+// Nome do número esperado, também traduzido
+const what = (key) => ({ code: `alerts.errors.what.${key}` });
+
+// Texto → tokens { text, word, at }; `word` é a forma dobrada (caixa alta, sem acentos)
+function tokenize(text) {
+  const tokens = [];
+  const re = /\s*(>=|<=|==|!=|>|<|=|[A-Za-zÀ-ÿ?]+|\d+|\S)/g;
+  let m;
+  while ((m = re.exec(text)) && m[1]) {
+    tokens.push({ text: m[1], word: foldToken(m[1]), at: m.index + m[0].length - m[1].length });
+  }
+  return tokens;
+}
+
+/**
+ * Lê uma regra. Devolve uma lista de grupos (`or`) de cláusulas (`and`):
+ * `[[clause, …], …]`. Lança `RuleSyntaxError` com a posição do problema.
+ */
+export function parseRule(text) {
+  const tokens = tokenize(String(text ?? ""));
+  let i = 0;
+  const peek = () => tokens[i];
+  const end = () => i >= tokens.length;
+  const fail = (code, params, tok = peek()) => {
+    throw new RuleSyntaxError(code, params, tok ? tok.at : String(text ?? "").length);
+  };
+  const keyword = (tok) => (tok ? KEYWORDS[tok.word] : undefined);
+
+  function number(min, max, name) {
+    const tok = peek();
+    if (!tok || !/^\d+$/.test(tok.text)) fail("number", { what: name });
+    const n = Number(tok.text);
+    if (n < min || n > max) fail("range", { what: name, min, max });
+    i++;
+    return n;
+  }
+
+  function comparison(name, max) {
+    const tok = peek();
+    if (!tok || !COMPARATORS[tok.text]) fail("comparator", { list: ">=, >, <=, <, ==, !=" });
+    i++;
+    return { op: tok.text === "=" ? "==" : tok.text, value: number(0, max, name) };
+  }
+
+  function color() {
+    const tok = peek();
+    if (!tok || !COLORS.has(tok.word)) fail("color");
+    i++;
+    return tok.word;
+  }
+
+  // "in last" / "nas ultimas" (e variações no singular)
+  function inLast() {
+    const a = peek()?.word;
+    const b = tokens[i + 1]?.word;
+    if ((a === "IN" && b === "LAST") || ((a === "NAS" || a === "NA") && (b === "ULTIMAS" || b === "ULTIMA"))) {
+      i += 2;
+      return number(1, MAX_WINDOW, what("window"));
+    }
+    fail("inLast");
+  }
+
+  function clause() {
+    const tok = peek();
+    if (!tok) fail("incomplete");
+    const kw = keyword(tok);
+    if (kw === "streak") {
+      i++;
+      const c = peek() && COLORS.has(peek().word) ? color() : null;
+      return { kind: "streak", color: c, ...comparison(what("streak"), MAX_WINDOW) };
+    }
+    if (kw === "zebra") {
+      i++;
+      return { kind: "zebra", ...comparison(what("zebra"), MAX_WINDOW) };
+    }
+    if (kw === "count") {
+      i++;
+      const c = color();
+      const window = inLast();
+      const cmp = comparison(what("count"), window);
+      return { kind: "count", color: c, window, ...cmp };
+    }
+    if (kw === "no") {
+      i++;
+      const c = color();
+      return { kind: "count", color: c, window: inLast(), op: "==", value: 0 };
+    }
+    const pattern = [];
+    while (!end() && /^[RBT?]+$/.test(peek().word) && !keyword(peek())) {
+      pattern.push(...peek().word.split(""));
+      i++;
+    }
+    if (!pattern.length) fail("unknown", { text: tok.text });
+    if (pattern.length > MAX_SEQUENCE) fail("tooLong", { max: MAX_SEQUENCE }, tok);
+    return { kind: "seq", pattern };
+  }
+
+  if (end()) fail("empty");
+  const groups = [[clause()]];
+  while (!end()) {
+    const kw = keyword(peek());
+    if (kw !== "and" && kw !== "or") fail("joiner", { text: peek().text });
+    i++;
+    if (kw === "or") groups.push([]);
+    groups[groups.length - 1].push(clause());
+  }
+  return groups;
+}
+
+/** Versão que não lança: `{ groups }` ou `{ error, at }` (`error` = `{ code, params }`, ver src/i18n) */
+export function checkRule(text) {
+  try {
+    return { groups: parseRule(text) };
+  } catch (err) {
+    if (err instanceof RuleSyntaxError) return { error: { code: err.code, params: err.params }, at: err.at };
+    throw err;
+  }
+}
+
+/** Alerta salvo/digitado → formato utilizável (campos faltando ganham padrão) */
+export function normalizeAlert(a, index = 0) {
+  return {
+    id: typeof a?.id === "string" && a.id ? a.id : `alert-${index}`,
+    name: typeof a?.name === "string" ? a.name : "",
+    expr: typeof a?.expr === "string" ? a.expr : "",
+    enabled: a?.enabled !== false,
+    notify: !!a?.notify,
+    sound: !!a?.sound,
+  };
+}
+
+/** Normaliza a lista e compila cada regra (`groups` ou `error`) */
+export function compileAlerts(alerts) {
+  return (Array.isArray(alerts) ? alerts : []).slice(0, MAX_ALERTS).map((a, i) => {
+    const alert = normalizeAlert(a, i);
+    return { ...alert, ...checkRule(alert.expr) };
+  });
+}
+
+/**
+ * Estado das rodadas vistas: últimas `MAX_WINDOW` cores, streak e zebra
+ * (mesma regra do motor: empate zera a zebra).
+ */
+function createWindow() {
+  const buf = [];
+  let last = null;
+  let streak = 0;
+  let zebra = 0;
+  return {
+    push(v) {
+      streak = v === last ? streak + 1 : 1;
+      zebra = v === "T" ? 0 : last && last !== "T" && v !== last ? zebra + 1 : 1;
+      last = v;
+      buf.push(v);
+      if (buf.length > MAX_WINDOW) buf.shift();
+    },
+    get buf() {
+      return buf;
+    },
+    get last() {
+      return last;
+    },
+    get streak() {
+      return streak;
+    },
+    get zebra() {
+      return zebra;
+    },
+  };
+}
+
+function evaluateClause(c, w) {
+  const { buf } = w;
+  if (c.kind === "seq") {
+    const k = c.pattern.length;
+    if (buf.length < k) return false;
+    for (let j = 0; j < k; j++) {
+      if (c.pattern[j] !== "?" && buf[buf.length - k + j] !== c.pattern[j]) return false;
+    }
+    return true;
+  }
+  if (c.kind === "streak") {
+    const ok = c.color ? w.last === c.color : w.last === "R" || w.last === "B";
+    return COMPARATORS[c.op](ok ? w.streak : 0, c.value);
+  }
+  if (c.kind === "zebra") return COMPARATORS[c.op](w.zebra, c.value);
+  if (buf.length < c.window) return false;
+  let n = 0;
+  for (let j = buf.length - c.window; j < buf.length; j++) if (buf[j] === c.color) n++;
+  return COMPARATORS[c.op](n, c.value);
+}
+
+/** Avalia grupos compilados sobre o estado atual */
+export const evaluateGroups = (groups, w) => groups.some((g) => g.every((c) => evaluateClause(c, w)));
+
+/**
+ * Rodadas acrescentadas de `prev` para `next`, ou `null` se não foi só
+ * acrescentar: todas as rodadas de `prev` têm que seguir lá, na mesma
+ * posição e com o mesmo objeto — recolorir mantém id e tamanho, mas troca o
+ * objeto, e aí o motor precisa recarregar.
+ */
+export function appendedRounds(prev, next) {
+  if (next.length < prev.length) return null;
+  for (let i = 0; i < prev.length; i++) if (prev[i] !== next[i]) return null;
+  return next.slice(prev.length);
+}
+
+/**
+ * Motor incremental para uma lista compilada. Regras desligadas ou com erro
+ * ficam sempre falsas.
+ * - `load(values)`: recomeça do zero sem disparar (troca de sessão, edição);
+ * - `push(values)`: acrescenta rodadas e devolve os ids que dispararam (no
+ *   máximo uma vez cada, mesmo num lote grande);
+ * - `states()`: `{ [id]: boolean }` com a situação atual.
+ */
+export function createAlertEngine(compiled) {
+  const live = compiled.filter((a) => a.enabled && a.groups);
+  let w = createWindow();
+  let on = {};
+
+  const evaluate = () => {
+    const next = {};
+    for (const a of live) next[a.id] = evaluateGroups(a.groups, w);
+    return next;
+  };
+
+  return {
+    load(values) {
+      w = createWindow();
+      for (const v of values.slice(-MAX_WINDOW)) w.push(v);
+      on = evaluate();
+    },
+    push(values) {
+      const fired = new Set();
+      for (const v of values) {
+        w.push(v);
+        const next = evaluate();
+        for (const a of live) if (next[a.id] && !on[a.id]) fired.add(a.id);
+        on = next;
+      }
+      return [...fired];
+    },
+    states() {
+      return { ...on };
+    },
+  };
+}
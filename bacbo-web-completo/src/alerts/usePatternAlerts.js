@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { DEFAULT_ALERTS, alertName, appendedRounds, compileAlerts, createAlertEngine } from "./index";
+import { usePersistentState } from "@/lib/usePersistentState";
+import { playTone } from "@/lib/sound";
+import { useI18n } from "@/i18n/useI18n";
+
+const ALERTS_KEY = "bacbo-pattern-alerts";
+const LOG_SIZE = 10;
+
+function fire(alert, title) {
+  if (alert.notify && globalThis.Notification?.permission === "granted") {
+    try {
+      new Notification(title, { body: alert.expr, tag: alert.id });
+    } catch {
+      // alguns navegadores móveis só notificam via service worker
+    }
+  }
+  if (alert.sound) playTone();
+}
+
+/**
+ * Alertas personalizados sobre a sessão ativa (ver ./index.js). As regras
+ * ficam no localStorage. A cada push ou lote do feed só as rodadas novas
+ * passam pelo motor; troca de sessão, exclusões, recolorir e edição das
+ * regras recomeçam em silêncio, sem disparar.
+ *
+ * `key` identifica a sessão; `ready` evita disparar com o carregamento inicial.
+ */
+export function usePatternAlerts(history, { key, ready = true } = {}) {
+  const { t } = useI18n();
+  const [alerts, setAlerts] = usePersistentState(ALERTS_KEY, DEFAULT_ALERTS);
+  const compiled = useMemo(() => compileAlerts(alerts), [alerts]);
+  const [states, setStates] = useState({});
+  const [log, setLog] = useState([]); // [{ id, name, index, at }], mais recente primeiro (rotular com alertName)
+  const engineRef = useRef(null); // { engine, compiled, key, history }
+
+  useEffect(() => {
+    if (!ready) return;
+    const prev = engineRef.current;
+    let fired = [];
+    const added = prev && prev.compiled === compiled && prev.key === key ? appendedRounds(prev.history, history) : null;
+    if (added) {
+      prev.history = history;
+      if (!added.length) return;
+      fired = prev.engine.push(added.map((r) => r.v));
+    } else {
+      const engine = createAlertEngine(compiled);
+      engine.load(history.map((r) => r.v));
+      engineRef.current = { engine, compiled, key, history };
+    }
+    setStates(engineRef.current.engine.states());
+    if (!fired.length) return;
+    const at = Date.now();
+    const index = new Map(compiled.map((a, i) => [a.id, i]));
+    fired.forEach((id) => {
+      const i = index.get(id);
+      fire(compiled[i], t("alerts.notificationTitle", { name: alertName(compiled[i], i, t) }));
+    });
+    setLog((l) => [...fired.map((id) => ({ id, name: compiled[index.get(id)].name, index: index.get(id), at })), ...l].slice(0, LOG_SIZE));
+  }, [history, compiled, key, ready, t]);
+
+  const lastFired = useMemo(() => {
+    const out = {};
+    for (const entry of [...log].reverse()) out[entry.id] = entry.at;
+    return out;
+  }, [log]);
+
+  // Cartões para o painel de heurísticas, no mesmo formato dos sinais
+  const view = useMemo(
+    () => compiled.map((a, i) => ({ id: a.id, name: alertName(a, i, t), expr: a.expr, enabled: a.enabled, error: a.error, on: !!states[a.id], firedAt: lastFired[a.id] ?? null })),
+    [compiled, states, lastFired, t]
+  );
+
+  const requestPermission = useCallback(async () => {
+    if (!globalThis.Notification) return "unsupported";
+    return Notification.permission === "default" ? Notification.requestPermission() : Notification.permission;
+  }, []);
+
+  return { alerts, setAlerts, compiled, view, log, requestPermission };
+}
+
+export default usePatternAlerts;
@@ -0,0 +1,19 @@
+import { simulateSignalRates } from "./simulate";
+
+// Mensagem de entrada: { id, n, window, trials, seed }
+// Saída: { id, type: "progress", value } … { id, type: "done", rates }
+self.onmessage = (e) => {
+  const { id, n, window, trials, seed } = e.data;
+  try {
+    const rates = simulateSignalRates({
+      n,
+      window,
+      trials,
+      seed,
+      onProgress: (value) => self.postMessage({ id, type: "progress", value }),
+    });
+    self.postMessage({ id, type: "done", rates });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: String(err && err.message ? err.message : err) });
+  }
+};
@@ -0,0 +1,144 @@
+import { BACBO_PROBS } from "./probabilities";
+
+/**
+ * Taxas-base exatas dos sinais embutidos
+ * --------------------------------------
+ * "Com que frequência este sinal acenderia numa sequência justa de N rodadas?"
+ * - Janelas recentes (viés, ties): binomial em forma fechada.
+ * - Maior streak / maior zebra: cadeia de Markov sobre o tamanho da run atual,
+ *   exata em O(N·L) e interrompida quando a massa restante some.
+ *
+ * Condições sem forma fechada usam Monte Carlo (ver `simulate.js`).
+ */
+
+const RECENT_WINDOW = 20;
+// "Ties frequentes": 3 em 20, proporcional em janelas maiores
+const TIE_SHARE = 0.15;
+
+/** Quantos ties na janela acendem o sinal "Ties frequentes" */
+export const tiesThreshold = (window = RECENT_WINDOW) => Math.max(1, Math.round(TIE_SHARE * window));
+
+function binomialPmf(n, p) {
+  const out = new Array(n + 1).fill(0);
+  out[0] = (1 - p) ** n;
+  for (let k = 1; k <= n; k++) out[k] = (out[k - 1] * (n - k + 1) * p) / (k * (1 - p));
+  return out;
+}
+
+/** P(X >= k) para X ~ Binomial(n, p) */
+export function binomialTail(n, p, k) {
+  if (k <= 0) return 1;
+  if (k > n) return 0;
+  return Math.min(1, binomialPmf(n, p).slice(k).reduce((a, b) => a + b, 0));
+}
+
+/**
+ * Itera uma cadeia de Markov com estado absorvente por N passos e devolve a
+ * probabilidade de ter sido absorvido. `step(state)` devolve o próximo vetor
+ * (sem a massa absorvida).
+ */
+function absorbed(n, initial, step) {
+  let state = initial;
+  for (let i = 0; i < n; i++) {
+    state = step(state);
+    const alive = state.reduce((a, b) => a + b, 0);
+    if (alive < 1e-15) return 1;
+  }
+  return 1 - state.reduce((a, b) => a + b, 0);
+}
+
+/**
+ * P(alguma run de R ou de B com tamanho >= L em n rodadas).
+ * Estado: [início/tie, R com run 1..L-1, B com run 1..L-1].
+ */
+export function longestRunAtLeast(n, L, probs = BACBO_PROBS) {
+  if (L <= 1) return n > 0 ? 1 - probs.T ** n : 0;
+  const size = 1 + 2 * (L - 1);
+  const r = (k) => k; // R com run k → índice k
+  const b = (k) => L - 1 + k; // B com run k
+  const initial = new Array(size).fill(0);
+  initial[0] = 1;
+  return absorbed(n, initial, (s) => {
+    const next = new Array(size).fill(0);
+    const total = s.reduce((a, c) => a + c, 0);
+    next[0] = total * probs.T;
+    // começa run nova de R a partir do início/tie ou de qualquer B
+    let toR1 = s[0];
+    let toB1 = s[0];
+    for (let k = 1; k < L; k++) {
+      toR1 += s[b(k)];
+      toB1 += s[r(k)];
+      if (k + 1 < L) {
+        next[r(k + 1)] += s[r(k)] * probs.R;
+        next[b(k + 1)] += s[b(k)] * probs.B;
+      }
+    }
+    next[r(1)] += toR1 * probs.R;
+    next[b(1)] += toB1 * probs.B;
+    return next;
+  });
+}
+
+/**
+ * P(alguma alternância R/B perfeita com tamanho >= L em n rodadas).
+ * Estado: [início/tie, última R com cadeia 1..L-1, última B com cadeia 1..L-1].
+ */
+export function zebraAtLeast(n, L, probs = BACBO_PROBS) {
+  if (L <= 1) return n > 0 ? 1 - probs.T ** n : 0;
+  const size = 1 + 2 * (L - 1);
+  const r = (k) => k;
+  const b = (k) => L - 1 + k;
+  const initial = new Array(size).fill(0);
+  initial[0] = 1;
+  return absorbed(n, initial, (s) => {
+    const next = new Array(size).fill(0);
+    const total = s.reduce((a, c) => a + c, 0);
+    next[0] = total * probs.T;
+    let toR1 = s[0];
+    let toB1 = s[0];
+    for (let k = 1; k < L; k++) {
+      // mesma cor reinicia a cadeia; cor oposta a estende
+      toR1 += s[r(k)];
+      toB1 += s[b(k)];
+      if (k + 1 < L) {
+        next[b(k + 1)] += s[r(k)] * probs.B;
+        next[r(k + 1)] += s[b(k)] * probs.R;
+      }
+    }
+    next[r(1)] += toR1 * probs.R;
+    next[b(1)] += toB1 * probs.B;
+    return next;
+  });
+}
+
+/**
+ * P(R/w >= share ou B/w >= share) na janela dos últimos w = min(n, window).
+ * Com share > 1/2 os dois eventos são disjuntos e as caudas somam.
+ */
+export function recentBiasAtLeast(n, share, probs = BACBO_PROBS, window = RECENT_WINDOW) {
+  const w = Math.min(n, window);
+  if (!w) return 0;
+  let k = 0;
+  while (k <= w && k / w < share) k++;
+  return binomialTail(w, probs.R, k) + binomialTail(w, probs.B, k);
+}
+
+/** P(ties >= k) na janela dos últimos min(n, window) */
+export function recentTiesAtLeast(n, k, probs = BACBO_PROBS, window = RECENT_WINDOW) {
+  return binomialTail(Math.min(n, window), probs.T, k);
+}
+
+let cache = { n: -1, window: -1, value: null };
+
+/** Taxas-base exatas por id de sinal (mesmos limiares de `signals.js`) */
+export function exactBaselines(n, window = RECENT_WINDOW) {
+  if (cache.n === n && cache.window === window) return cache.value;
+  const value = {
+    zebra: zebraAtLeast(n, 5),
+    streaklong: longestRunAtLeast(n, 5),
+    bias: recentBiasAtLeast(n, 0.6, BACBO_PROBS, window),
+    ties: recentTiesAtLeast(n, tiesThreshold(window), BACBO_PROBS, window),
+  };
+  cache = { n, window, value };
+  return value;
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { binomialTail, exactBaselines, longestRunAtLeast, tiesThreshold, zebraAtLeast } from "./baselines";
+import { simulateSignalRates } from "./simulate";
+import { evaluateSignals } from "./signals";
+import { createTranslator } from "@/i18n";
+import { computeStats } from "@/engine";
+
+describe("taxas-base", () => {
+  it("casos pequenos batem com contagem direta", () => {
+    const probs = { R: 0.5, B: 0.5, T: 0 };
+    // 3 rodadas sem tie: run >= 3 só em RRR e BBB
+    expect(longestRunAtLeast(3, 3, probs)).toBeCloseTo(2 / 8, 12);
+    // zebra >= 3 só em RBR e BRB
+    expect(zebraAtLeast(3, 3, probs)).toBeCloseTo(2 / 8, 12);
+    expect(binomialTail(20, 0.5, 0)).toBe(1);
+    expect(binomialTail(4, 0.5, 4)).toBeCloseTo(1 / 16, 12);
+  });
+
+  it("forma fechada bate com Monte Carlo", () => {
+    for (const n of [10, 60, 200]) {
+      const exact = exactBaselines(n);
+      const sim = simulateSignalRates({ n, trials: 4000, seed: n });
+      for (const id of Object.keys(exact)) {
+        expect(Math.abs(exact[id] - sim[id].rate)).toBeLessThan(4 * sim[id].stderr + 0.005);
+      }
+    }
+  });
+
+  it("janela maior: forma fechada segue batendo com Monte Carlo", () => {
+    const exact = exactBaselines(300, 100);
+    const sim = simulateSignalRates({ n: 300, window: 100, trials: 3000, seed: 7 });
+    for (const id of ["bias", "ties"]) {
+      expect(Math.abs(exact[id] - sim[id].rate)).toBeLessThan(4 * sim[id].stderr + 0.005);
+    }
+    expect(tiesThreshold(20)).toBe(3);
+    expect(tiesThreshold(100)).toBe(15);
+  });
+
+  it("sequências longas saturam em 1", () => {
+    expect(longestRunAtLeast(10000, 5)).toBe(1);
+  });
+
+  it("evaluateSignals anexa a taxa-base", () => {
+    const history = "RRRRRBT".split("").map((v, i) => ({ id: String(i), v, ts: i }));
+    const signals = evaluateSignals(computeStats(history));
+    const streak = signals.find((s) => s.id === "streaklong");
+    expect(streak.on).toBe(true);
+    expect(streak.baseline).toBeGreaterThan(0);
+    expect(streak.baseline).toBeLessThan(1);
+    expect(streak.desc).toBe("Maior streak: Vermelho=5, Azul=1");
+  });
+
+  it("textos dos sinais no idioma pedido", () => {
+    const stats = computeStats("RBRBRBTT".split("").map((v, i) => ({ id: String(i), v, ts: i })));
+    const signals = evaluateSignals(stats, undefined, createTranslator("en"));
+    expect(signals.map((s) => s.title)).toEqual(["Zebra / Alternation", "Long streak", "Recent bias", "Frequent ties"]);
+    expect(signals.find((s) => s.id === "ties").desc).toBe("Last 20 had 2 ties (alert from 3)");
+  });
+});
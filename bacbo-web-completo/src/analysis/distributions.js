@@ -0,0 +1,79 @@
+/**
+ * Funções de distribuição usadas pelos testes estatísticos.
+ * Implementações numéricas clássicas (Numerical Recipes / Abramowitz–Stegun),
+ * suficientes para p-valores exibidos com 3–4 casas.
+ */
+
+// erf com erro < 1.2e-7 (aproximação de Chebyshev)
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r =
+    t *
+    Math.exp(
+      -z * z -
+        1.26551223 +
+        t * (1.00002368 + t * (0.37409196 + t * (0.09678418 + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277))))))))
+    );
+  return x >= 0 ? r : 2 - r;
+}
+
+/** P(Z <= z) para a normal padrão */
+export function normalCdf(z) {
+  return 0.5 * erfc(-z / Math.SQRT2);
+}
+
+/** p-valor bicaudal de um escore z */
+export function twoSidedP(z) {
+  return Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+}
+
+export function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const ci of c) ser += ci / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Gamma incompleta regularizada superior Q(a, x)
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  if (x < a + 1) {
+    // série para P(a, x)
+    let sum = 1 / a;
+    let del = sum;
+    for (let ap = a, i = 0; i < 500; i++) {
+      del *= x / ++ap;
+      sum += del;
+      if (Math.abs(del) < Math.abs(sum) * 1e-14) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+  // fração continuada para Q(a, x) (Lentz)
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-14) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+/** P(X >= stat) para X ~ qui-quadrado com `df` graus de liberdade */
+export function chiSquareSurvival(stat, df) {
+  if (df <= 0) return 1;
+  return Math.min(1, Math.max(0, gammaQ(df / 2, stat / 2)));
+}
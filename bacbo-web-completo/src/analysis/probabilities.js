@@ -0,0 +1,16 @@
+/**
+ * Probabilidades teóricas do Bac Bo
+ * ---------------------------------
+ * Cada lado lança dois dados; vence a maior soma e somas iguais dão Tie.
+ * Tudo é derivado da distribuição de 2d6, sem números "mágicos".
+ */
+
+// P(soma = s) para s = 2..12
+export const TWO_D6 = Object.freeze(
+  Object.fromEntries(Array.from({ length: 11 }, (_, i) => [i + 2, (6 - Math.abs(i - 5)) / 36]))
+);
+
+const tie = Object.values(TWO_D6).reduce((acc, p) => acc + p * p, 0);
+
+/** Probabilidade de cada resultado numa rodada justa: Tie = 146/1296 ≈ 11,27% */
+export const BACBO_PROBS = Object.freeze({ R: (1 - tie) / 2, B: (1 - tie) / 2, T: tie });
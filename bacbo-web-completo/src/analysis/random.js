@@ -0,0 +1,30 @@
+import { BACBO_PROBS } from "./probabilities";
+
+/**
+ * Gerador pseudoaleatório com semente (mulberry32): simulações reproduzíveis
+ * e rápidas o bastante para milhares de sequências dentro de um Worker.
+ */
+export function createRng(seed = Date.now()) {
+  let s = seed | 0;
+  return () => {
+    s = (s + 0x6d2b79f5) | 0;
+    let t = Math.imul(s ^ (s >>> 15), 1 | s);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Sorteia um resultado R/B/T com as probabilidades dadas */
+export function sampleOutcome(rand, probs = BACBO_PROBS) {
+  const x = rand();
+  if (x < probs.R) return "R";
+  if (x < probs.R + probs.B) return "B";
+  return "T";
+}
+
+/** Sequência justa de `n` rodadas */
+export function randomSequence(n, rand, probs = BACBO_PROBS) {
+  const out = new Array(n);
+  for (let i = 0; i < n; i++) out[i] = sampleOutcome(rand, probs);
+  return out;
+}
@@ -0,0 +1,147 @@
+import { chiSquareSurvival, twoSidedP } from "./distributions";
+import { BACBO_PROBS } from "./probabilities";
+import { DIST_BUCKETS } from "@/engine/summary";
+
+/**
+ * Testes de aleatoriedade sobre o histórico
+ * -----------------------------------------
+ * Servem para separar "padrão" de ruído: cada teste devolve a estatística,
+ * o p-valor e um veredito simples. Um p-valor baixo só diz que o observado
+ * seria raro numa mesa justa — não diz o que vem na próxima rodada.
+ *
+ * Todos devolvem `{ ok: false, code }` quando não há dados suficientes
+ * (`code` identifica o motivo; os textos ficam em randomness.reasons no catálogo).
+ */
+
+export const ALPHA_STRONG = 0.01;
+export const ALPHA_WEAK = 0.05;
+
+/** Veredito para um p-valor (textos em randomness.verdicts no catálogo) */
+export function verdict(p) {
+  if (p == null || Number.isNaN(p)) return { level: "na" };
+  if (p < ALPHA_STRONG) return { level: "anomaly" };
+  if (p < ALPHA_WEAK) return { level: "weak" };
+  return { level: "ok" };
+}
+
+const insufficient = (code) => ({ ok: false, code, p: null, verdict: verdict(null) });
+
+/**
+ * Wald–Wolfowitz sobre a sequência R/B (ties removidos).
+ * Usa só contagens: runs = alternâncias + 1, já mantidas pelo motor.
+ */
+export function runsTest({ nR, nB, runs }) {
+  const n = nR + nB;
+  if (nR < 2 || nB < 2 || n < 10) return insufficient("minRuns");
+  const mean = (2 * nR * nB) / n + 1;
+  const variance = (2 * nR * nB * (2 * nR * nB - n)) / (n * n * (n - 1));
+  const z = (runs - mean) / Math.sqrt(variance);
+  const p = twoSidedP(z);
+  return {
+    ok: true,
+    runs,
+    expected: mean,
+    z, // z > 0: alterna mais que o acaso (zebra); z < 0: agrupa mais (streaks)
+    p,
+    verdict: verdict(p),
+  };
+}
+
+/**
+ * Qui-quadrado de aderência das contagens R/B/T às probabilidades publicadas.
+ */
+export function colorChiSquare(count, probs = BACBO_PROBS) {
+  const n = count.R + count.B + count.T;
+  const keys = ["R", "B", "T"];
+  if (keys.some((k) => n * probs[k] < 5)) return insufficient("lowExpected");
+  const rows = keys.map((k) => {
+    const expected = n * probs[k];
+    return { key: k, observed: count[k], expected, contribution: (count[k] - expected) ** 2 / expected };
+  });
+  const stat = rows.reduce((acc, r) => acc + r.contribution, 0);
+  const p = chiSquareSurvival(stat, keys.length - 1);
+  return { ok: true, rows, stat, df: keys.length - 1, p, verdict: verdict(p) };
+}
+
+/**
+ * Autocorrelação serial nos lags 1..maxLag, com R = +1 e B = -1 (ties removidos).
+ * Sob H0, r_k ≈ N(0, 1/n).
+ */
+export function autocorrelation(seq, maxLag = 5) {
+  const x = seq.filter((v) => v !== "T").map((v) => (v === "R" ? 1 : -1));
+  const n = x.length;
+  if (n < 20) return insufficient("minLags");
+  const mean = x.reduce((a, b) => a + b, 0) / n;
+  const denom = x.reduce((acc, v) => acc + (v - mean) ** 2, 0);
+  if (denom === 0) return insufficient("constant");
+
+  const lags = [];
+  for (let k = 1; k <= Math.min(maxLag, n - 1); k++) {
+    let num = 0;
+    for (let t = 0; t + k < n; t++) num += (x[t] - mean) * (x[t + k] - mean);
+    const r = num / denom;
+    const z = r * Math.sqrt(n);
+    lags.push({ lag: k, r, z, p: twoSidedP(z) });
+  }
+  // Bonferroni: o menor p-valor corrigido pelo número de lags testados
+  const p = Math.min(1, Math.min(...lags.map((l) => l.p)) * lags.length);
+  return { ok: true, n, lags, p, verdict: verdict(p) };
+}
+
+/**
+ * Compara a distribuição de streaks (formato `stats.dist`) com a geométrica
+ * esperada: uma run de R continua com probabilidade P(R) e termina com B ou T.
+ * Buckets com esperado < 5 são agrupados a partir da cauda.
+ */
+export function streakLengthTest(dist, probs = BACBO_PROBS) {
+  const rows = [];
+  let stat = 0;
+  let df = 0;
+
+  for (const color of ["R", "B"]) {
+    const q = probs[color];
+    const observed = DIST_BUCKETS.map((b) => dist[color][b] || 0);
+    const runs = observed.reduce((a, b) => a + b, 0);
+    if (!runs) continue;
+    const expectedP = DIST_BUCKETS.map((_, i) => (i < 5 ? q ** i * (1 - q) : q ** 5));
+    const expected = expectedP.map((pk) => pk * runs);
+
+    // agrupa a cauda até todo bucket ter esperado >= 5
+    const cells = DIST_BUCKETS.map((bucket, i) => ({ bucket, observed: observed[i], expected: expected[i] }));
+    while (cells.length > 1 && cells[cells.length - 1].expected < 5) {
+      const tail = cells.pop();
+      const prev = cells[cells.length - 1];
+      cells[cells.length - 1] = {
+        bucket: `${prev.bucket.replace("+", "")}+`,
+        observed: prev.observed + tail.observed,
+        expected: prev.expected + tail.expected,
+      };
+    }
+    if (cells.length < 2) continue;
+
+    for (const c of cells) {
+      stat += (c.observed - c.expected) ** 2 / c.expected;
+      rows.push({ color, ...c });
+    }
+    df += cells.length - 1;
+  }
+
+  if (!df) return insufficient("fewStreaks");
+  const p = chiSquareSurvival(stat, df);
+  return { ok: true, rows, stat, df, p, verdict: verdict(p) };
+}
+
+/**
+ * Roda todos os testes. `stats` vem do motor (contagens e dist), `seq` é a
+ * sequência de cores completa (só a autocorrelação precisa dela).
+ */
+export function analyzeRandomness(stats, seq, { maxLag = 5 } = {}) {
+  const count = seq.reduce((acc, v) => (acc[v]++, acc), { R: 0, B: 0, T: 0 });
+  const nColor = count.R + count.B;
+  return {
+    runs: runsTest({ nR: count.R, nB: count.B, runs: nColor ? stats.alternations + 1 : 0 }),
+    chiSquare: colorChiSquare(count),
+    autocorrelation: autocorrelation(seq, maxLag),
+    streaks: streakLengthTest(stats.dist),
+  };
+}
@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { chiSquareSurvival, normalCdf } from "./distributions";
+import { BACBO_PROBS } from "./probabilities";
+import { analyzeRandomness, autocorrelation, colorChiSquare, runsTest, streakLengthTest } from "./randomness";
+import { computeStats } from "@/engine";
+
+const toHistory = (seq) => seq.map((v, i) => ({ id: String(i), v, ts: i }));
+
+// Sequência "justa" determinística via LCG
+function fairSequence(n, seed = 12345) {
+  let s = seed;
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    s = (s * 1103515245 + 12345) % 2147483648;
+    const x = s / 2147483648;
+    out.push(x < BACBO_PROBS.T ? "T" : x < BACBO_PROBS.T + BACBO_PROBS.R ? "R" : "B");
+  }
+  return out;
+}
+
+describe("distribuições", () => {
+  it("normal e qui-quadrado batem com valores de tabela", () => {
+    expect(normalCdf(1.959964)).toBeCloseTo(0.975, 5);
+    expect(normalCdf(0)).toBeCloseTo(0.5, 7);
+    expect(chiSquareSurvival(3.841459, 1)).toBeCloseTo(0.05, 4);
+    expect(chiSquareSurvival(18.307038, 10)).toBeCloseTo(0.05, 4);
+    expect(chiSquareSurvival(4, 2)).toBeCloseTo(Math.exp(-2), 8);
+  });
+
+  it("probabilidades do Bac Bo derivadas de 2d6", () => {
+    expect(BACBO_PROBS.T).toBeCloseTo(146 / 1296, 12);
+    expect(BACBO_PROBS.R + BACBO_PROBS.B + BACBO_PROBS.T).toBeCloseTo(1, 12);
+  });
+});
+
+describe("testes de aleatoriedade", () => {
+  it("zebra perfeita é anomalia no teste de runs e na autocorrelação", () => {
+    const seq = Array.from({ length: 60 }, (_, i) => (i % 2 ? "B" : "R"));
+    const res = runsTest({ nR: 30, nB: 30, runs: 60 });
+    expect(res.verdict.level).toBe("anomaly");
+    expect(res.z).toBeGreaterThan(0);
+    expect(autocorrelation(seq).lags[0].r).toBeLessThan(-0.9);
+  });
+
+  it("sequência justa não dispara anomalia", () => {
+    const seq = fairSequence(2000);
+    const result = analyzeRandomness(computeStats(toHistory(seq)), seq);
+    for (const test of Object.values(result)) {
+      expect(test.ok).toBe(true);
+      expect(test.p).toBeGreaterThan(0.01);
+    }
+  });
+
+  it("detecta viés de cor", () => {
+    const res = colorChiSquare({ R: 700, B: 300, T: 100 });
+    expect(res.verdict.level).toBe("anomaly");
+  });
+
+  it("streaks longas demais fogem da geométrica", () => {
+    const seq = Array.from({ length: 400 }, (_, i) => (Math.floor(i / 8) % 2 ? "B" : "R"));
+    const res = streakLengthTest(computeStats(toHistory(seq)).dist);
+    expect(res.verdict.level).toBe("anomaly");
+  });
+
+  it("poucos dados retornam 'insuficiente'", () => {
+    expect(runsTest({ nR: 2, nB: 1, runs: 2 }).ok).toBe(false);
+    expect(runsTest({ nR: 2, nB: 1, runs: 2 }).code).toBe("minRuns");
+    expect(colorChiSquare({ R: 3, B: 2, T: 0 }).verdict.level).toBe("na");
+    expect(colorChiSquare({ R: 3, B: 2, T: 0 }).code).toBe("lowExpected");
+  });
+});
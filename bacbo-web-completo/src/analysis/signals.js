@@ -0,0 +1,59 @@
+import { exactBaselines, tiesThreshold } from "./baselines";
+import { defaultT } from "@/i18n";
+
+/**
+ * Sinais/Heurísticas do painel "Leituras"
+ * ---------------------------------------
+ * Antes viviam num useMemo do App. Cada sinal tem uma condição pura sobre
+ * `stats` (mesmo formato do motor) para poder ser reavaliado em sequências
+ * simuladas, e opcionalmente uma taxa-base exata (ver `baselines.js`).
+ * Viés e ties olham a janela recente escolhida (`stats.window`, padrão 20).
+ * Título e descrição vêm do catálogo de idiomas (`signals.<id>.title` e
+ * `.desc`, ver src/i18n), preenchida com `params(stats)`.
+ *
+ * Não são predição nem garantia!
+ */
+
+export const SIGNAL_DEFS = [
+  {
+    id: "zebra",
+    params: (s) => ({ zebraMax: s.zebraMax }),
+    check: (s) => s.zebraMax >= 5,
+  },
+  {
+    id: "streaklong",
+    params: (s) => ({ R: s.longest.R, B: s.longest.B }),
+    check: (s) => s.longest.R >= 5 || s.longest.B >= 5,
+  },
+  {
+    id: "bias",
+    params: (s) => ({ window: s.window, R: s.recent.R, B: s.recent.B, T: s.recent.T }),
+    check: (s) => {
+      const total = s.recent.R + s.recent.B + s.recent.T;
+      return total > 0 && (s.recent.R / total >= 0.6 || s.recent.B / total >= 0.6);
+    },
+  },
+  {
+    id: "ties",
+    params: (s) => ({ window: s.window, count: s.recent.T, threshold: tiesThreshold(s.window) }),
+    check: (s) => s.recent.T >= tiesThreshold(s.window),
+  },
+];
+
+export const signalTitle = (def, t = defaultT) => t(`signals.${def.id}.title`);
+
+/**
+ * Avalia os sinais sobre `stats`, com textos no idioma de `t`. A taxa-base
+ * (`baseline`) é a probabilidade de o mesmo sinal acender numa sequência
+ * justa com o mesmo número de rodadas.
+ */
+export function evaluateSignals(stats, defs = SIGNAL_DEFS, t = defaultT) {
+  const exact = exactBaselines(stats.total, stats.window);
+  return defs.map((d) => ({
+    id: d.id,
+    title: signalTitle(d, t),
+    desc: t(`signals.${d.id}.desc`, d.params(stats)),
+    on: d.check(stats),
+    baseline: exact[d.id] ?? null,
+  }));
+}
@@ -0,0 +1,26 @@
+import { createStatsEngine } from "@/engine";
+import { createRng, randomSequence } from "./random";
+import { SIGNAL_DEFS } from "./signals";
+
+/**
+ * Monte Carlo das taxas-base: gera `trials` sequências justas de `n` rodadas
+ * e conta em quantas cada sinal acende. Pensado para rodar num Worker
+ * (ver `baseline.worker.js`), mas é puro e roda em qualquer lugar.
+ *
+ * Devolve, por id, a proporção e o erro-padrão binomial.
+ */
+export function simulateSignalRates({ n, window, trials = 2000, seed, defs = SIGNAL_DEFS, onProgress }) {
+  const rand = createRng(seed);
+  const hits = Object.fromEntries(defs.map((d) => [d.id, 0]));
+  for (let t = 0; t < trials; t++) {
+    const stats = createStatsEngine(randomSequence(n, rand)).stats({ window });
+    for (const d of defs) if (d.check(stats)) hits[d.id]++;
+    if (onProgress && (t + 1) % 100 === 0) onProgress((t + 1) / trials);
+  }
+  return Object.fromEntries(
+    defs.map((d) => {
+      const rate = hits[d.id] / trials;
+      return [d.id, { rate, stderr: Math.sqrt((rate * (1 - rate)) / trials), trials }];
+    })
+  );
+}
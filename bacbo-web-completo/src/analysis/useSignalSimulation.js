@@ -0,0 +1,28 @@
+import { useCallback } from "react";
+import { useWorkerRun } from "@/lib/useWorkerRun";
+
+// Limita o custo total (rodadas simuladas) de uma execução
+const MAX_SIMULATED_ROUNDS = 20_000_000;
+
+const createWorker = () => new Worker(new URL("./baseline.worker.js", import.meta.url), { type: "module" });
+
+/**
+ * Roda o Monte Carlo das taxas-base num Web Worker, sem travar a UI
+ * (ver `useWorkerRun`). Uma nova execução cancela a anterior.
+ */
+export function useSignalSimulation() {
+  const { status, progress, result, meta, error, start, stop } = useWorkerRun(createWorker);
+
+  const run = useCallback(
+    (n, window, trials = 2000) => {
+      if (!n) return stop();
+      const effectiveTrials = Math.max(200, Math.min(trials, Math.floor(MAX_SIMULATED_ROUNDS / n)));
+      start({ id: Date.now(), n, window, trials: effectiveTrials, seed: Date.now() }, { n, window });
+    },
+    [start, stop]
+  );
+
+  return { status, progress, rates: result?.rates ?? null, n: meta?.n ?? null, window: meta?.window ?? null, error, run, stop };
+}
+
+export default useSignalSimulation;
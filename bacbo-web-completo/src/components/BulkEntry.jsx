@@ -0,0 +1,123 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { DEFAULT_ALIASES, buildAliasTable, parseBulk } from "@/input/bulkParser";
+import { usePersistentState } from "@/lib/usePersistentState";
+import { ResultMarker } from "@/components/ResultMarker";
+import { colorLabel, messageText } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+import { Plus } from "lucide-react";
+
+const ALIASES_KEY = "bacbo-bulk-aliases";
+const STRICT_KEY = "bacbo-bulk-strict";
+const PREVIEW_MAX = 120;
+
+/**
+ * Colar lista de resultados com prévia ao vivo: a sequência lida aparece
+ * abaixo do campo e cada token rejeitado é apontado com a posição. No modo
+ * estrito nada é adicionado enquanto houver rejeitados.
+ * `onAdd(values)` recebe as cores ("R" | "B" | "T") em ordem; `disabled`
+ * bloqueia o botão (ex.: pausa de jogo responsável).
+ */
+export function BulkEntry({ onAdd, disabled = false }) {
+  const { t } = useI18n();
+  const [text, setText] = useState("");
+  const [strict, setStrict] = usePersistentState(STRICT_KEY, true);
+  const [aliases, setAliases] = usePersistentState(ALIASES_KEY, DEFAULT_ALIASES);
+  // texto cru dos campos de apelido enquanto o painel está aberto (null = fechado)
+  const [draft, setDraft] = useState(null);
+
+  const { table, errors } = useMemo(() => buildAliasTable(aliases), [aliases]);
+  const parsed = useMemo(() => parseBulk(text, table), [text, table]);
+  const blocked = disabled || !parsed.values.length || (strict && parsed.rejected.length > 0);
+
+  function handleAdd() {
+    if (blocked) return;
+    onAdd(parsed.values);
+    setText("");
+  }
+
+  const aliasText = (list) => Object.fromEntries(["R", "B", "T"].map((c) => [c, (list[c] || []).join(", ")]));
+
+  function editAlias(color, value) {
+    setDraft((d) => ({ ...d, [color]: value }));
+    setAliases((a) => ({ ...a, [color]: value.split(/[,\s]+/).filter(Boolean) }));
+  }
+
+  function resetAliases() {
+    setAliases(DEFAULT_ALIASES);
+    setDraft(aliasText(DEFAULT_ALIASES));
+  }
+
+  return (
+    <div className="grid gap-2">
+      <div className="grid md:grid-cols-3 gap-3 items-end">
+        <div className="md:col-span-2 grid gap-2">
+          <label className="text-sm text-zinc-600" htmlFor="bulk-text">{t("bulk.label")}</label>
+          <Input
+            id="bulk-text"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleAdd()}
+            placeholder={t("bulk.placeholder")}
+            aria-invalid={parsed.rejected.length > 0}
+          />
+        </div>
+        <Button onClick={handleAdd} disabled={blocked} className="rounded-2xl">
+          <Plus className="w-4 h-4 mr-2" aria-hidden/>{t("bulk.add")}{parsed.values.length ? ` (${parsed.values.length})` : ""}
+        </Button>
+      </div>
+
+      {text.trim() && (
+        <div className="grid gap-1 text-xs" aria-live="polite">
+          <div className="flex flex-wrap gap-1 items-center">
+            <span className="text-zinc-600 mr-1">{t("common.results", { count: parsed.values.length })}:</span>
+            {parsed.values.slice(0, PREVIEW_MAX).map((v, i) => (
+              <ResultMarker key={i} v={v} size={14} />
+            ))}
+            {parsed.values.length > PREVIEW_MAX && <span className="text-zinc-600">+{parsed.values.length - PREVIEW_MAX}</span>}
+          </div>
+          {parsed.rejected.length > 0 && (
+            <ul className="text-red-700">
+              {parsed.rejected.map((token) => (
+                <li key={token.start}>
+                  {t("bulk.rejected", { text: token.text, position: token.start + 1, error: messageText(token.error, t) })}
+                </li>
+              ))}
+              <li className="text-zinc-600">
+                {strict ? t("bulk.strictBlocked") : t("bulk.ignored")}
+              </li>
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-3 flex-wrap text-xs text-zinc-600 items-center">
+        <label className="inline-flex items-center gap-1">
+          <input type="checkbox" checked={strict} onChange={(e) => setStrict(e.target.checked)} />
+          {t("bulk.strict")}
+        </label>
+        <button className="underline" onClick={() => setDraft((d) => (d ? null : aliasText(aliases)))} aria-expanded={!!draft}>{draft ? t("bulk.closeAliases") : t("bulk.editAliases")}</button>
+      </div>
+
+      {draft && (
+        <div className="grid gap-2 p-3 rounded-2xl border bg-zinc-50 text-sm">
+          {["R", "B", "T"].map((color) => (
+            <div key={color} className="grid md:grid-cols-4 gap-2 items-center">
+              <label className="text-zinc-600 flex items-center gap-1" htmlFor={`alias-${color}`}><ResultMarker v={color} size={14} label={false} />{colorLabel(color, t)}</label>
+              <Input id={`alias-${color}`} className="md:col-span-3" value={draft[color]} onChange={(e) => editAlias(color, e.target.value)} />
+            </div>
+          ))}
+          {errors.map((e, i) => (
+            <p key={i} className="text-xs text-red-700">{messageText(e, t)}</p>
+          ))}
+          <div>
+            <Button onClick={resetAliases} className="rounded-2xl" variant="ghost">{t("bulk.resetAliases")}</Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BulkEntry;
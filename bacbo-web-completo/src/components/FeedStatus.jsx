@@ -0,0 +1,63 @@
+import React from "react";
+import { messageText } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+
+// rótulos em feed.states.<estado>
+const STATE_CLASSES = {
+  idle: "bg-zinc-100 text-zinc-600",
+  fetching: "bg-blue-50 text-blue-700",
+  retrying: "bg-amber-50 text-amber-800",
+  ok: "bg-emerald-50 text-emerald-700",
+  backoff: "bg-amber-100 text-amber-800",
+  paused: "bg-zinc-100 text-zinc-600",
+};
+
+const fmtTime = (ts) => (ts ? new Date(ts).toLocaleTimeString() : "—");
+
+/**
+ * Painel de status de uma fonte de resultados (poller ou stream):
+ * estado, último sucesso/erro e quantas rodadas cada leitura acrescentou.
+ */
+export function FeedStatus({ status }) {
+  const { t } = useI18n();
+  const known = status.state in STATE_CLASSES;
+  const label = known ? t(`feed.states.${status.state}`) : status.state;
+  const cls = known ? STATE_CLASSES[status.state] : "bg-zinc-100 text-zinc-600";
+  return (
+    <div className="grid gap-2 text-sm" aria-live="polite">
+      <div className="flex justify-between items-center">
+        <span>{t("feed.status")}</span>
+        <span className={`px-2 py-1 rounded-full text-xs font-medium ${cls}`}>{label}</span>
+      </div>
+      <div className="flex justify-between"><span>{t("feed.lastSuccess")}</span><span className="font-medium">{fmtTime(status.lastSuccess)}</span></div>
+      <div className="flex justify-between gap-2">
+        <span>{t("feed.lastError")}</span>
+        <span className="font-medium text-right">{status.lastError ? `${fmtTime(status.lastErrorAt)} · ${messageText(status.lastError, t)}` : "—"}</span>
+      </div>
+      {status.failures > 0 && (
+        <div className="flex justify-between"><span>{t("feed.failures")}</span><span className="font-medium">{status.failures}</span></div>
+      )}
+      {status.nextAt && (
+        <div className="flex justify-between"><span>{t("feed.next")}</span><span className="font-medium">{fmtTime(status.nextAt)}</span></div>
+      )}
+      {status.log.length > 0 && (
+        <div className="grid gap-1">
+          <span className="text-xs text-zinc-600">{t("feed.recent")}</span>
+          {status.log.map((e) => (
+            <div key={e.at} className="flex justify-between text-xs">
+              <span>{fmtTime(e.at)}</span>
+              <span>
+                {t("feed.received", { count: e.received })} · <span className="font-medium">+{e.added}</span>
+                {e.duplicates ? ` · ${t("feed.duplicates", { count: e.duplicates })}` : ""}
+                {e.gap && <span className="text-amber-700"> · {t("feed.gap")}</span>}
+                {e.ambiguous && <span className="text-amber-700"> · {t("feed.ambiguous")}</span>}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FeedStatus;
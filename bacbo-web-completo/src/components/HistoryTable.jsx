@@ -0,0 +1,232 @@
+import React, { useMemo, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { filterRows, groupBySession, insertRound, rangeIds, recolorRounds, removeRounds } from "@/history";
+import { newId, sessionLabel } from "@/sessions/model";
+import { ResultMarker } from "@/components/ResultMarker";
+import { colorLabel } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+import { ChevronLeft, ChevronRight, Paintbrush, Plus, Trash2, X } from "lucide-react";
+
+const PAGE_SIZE = 100;
+const PILL = { R: "bg-red-100 text-red-700", B: "bg-blue-100 text-blue-700", T: "bg-zinc-100 text-zinc-700" };
+const fmtTime = (r) => `${r.tsApprox ? "≈ " : ""}${new Date(r.ts).toLocaleString()}`;
+
+function ColorButtons({ onPick, disabled }) {
+  const { t } = useI18n();
+  return (
+    <span className="inline-flex gap-1">
+      {["R", "B", "T"].map((v) => (
+        <button key={v} type="button" disabled={disabled} onClick={() => onPick(v)} className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${PILL[v]} disabled:opacity-50`}>
+          <ResultMarker v={v} size={12} letter={false} label={false} />{colorLabel(v, t)}
+        </button>
+      ))}
+    </span>
+  );
+}
+
+/**
+ * Aba "Histórico": tabela com filtros (cor, datas, sessão), seleção múltipla
+ * (shift+clique seleciona o intervalo), exclusão e troca de cor com
+ * confirmação e inserção de rodadas esquecidas em qualquer posição.
+ * `sessions` é o objeto de `useSessions`; `locked` (pausa do jogo
+ * responsável) bloqueia a inserção, como o registro normal; `author` marca
+ * quem inseriu (ver src/sync).
+ */
+export function HistoryTable({ sessions: s, locked, author = "" }) {
+  const { t } = useI18n();
+  const [sessionFilter, setSessionFilter] = useState("scope");
+  const [color, setColor] = useState("all");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [newestFirst, setNewestFirst] = useState(true);
+  const [page, setPage] = useState(0);
+  const [selected, setSelected] = useState(() => new Set());
+  const [inserting, setInserting] = useState(null); // { sessionId, index } — insere antes de `index`
+  const [position, setPosition] = useState("");
+  const anchorRef = useRef(null);
+
+  const ids = sessionFilter === "scope" ? s.scopeIds : sessionFilter === "all" ? s.sessions.map((x) => x.id) : [sessionFilter];
+  const names = useMemo(() => new Map(s.sessions.map((x) => [x.id, sessionLabel(x, t)])), [s.sessions, t]);
+  const rows = useMemo(() => {
+    const list = filterRows({ rounds: s.rounds }, ids, { color, from, to });
+    return newestFirst ? list.reverse() : list;
+  }, [s.rounds, ids.join("|"), color, from, to, newestFirst]);
+
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const current = Math.min(page, pages - 1);
+  const visible = rows.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+  const picked = useMemo(() => groupBySession(rows, selected), [rows, selected]);
+  const pickedCount = [...picked.values()].reduce((n, list) => n + list.length, 0);
+  // coluna "Por" só aparece quando o histórico é compartilhado (ver src/sync)
+  const shared = useMemo(() => rows.some((r) => r.round.by), [rows]);
+
+  const filter = (setter) => (value) => {
+    setter(value);
+    setPage(0);
+  };
+
+  function toggle(id, shift) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (shift && anchorRef.current) {
+        const on = !prev.has(id);
+        for (const x of rangeIds(rows, anchorRef.current, id)) on ? next.add(x) : next.delete(x);
+      } else if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+    anchorRef.current = id;
+  }
+
+  function toggleAll(on) {
+    setSelected(on ? new Set(rows.map((r) => r.round.id)) : new Set());
+  }
+
+  function applyToPicked(fn, meta) {
+    s.updateRounds([...picked].map(([sessionId, list]) => [sessionId, (rounds) => fn(rounds, list)]), meta);
+    setSelected(new Set());
+  }
+
+  function handleDelete() {
+    if (!confirm(t("history.confirmDelete", { count: pickedCount }))) return;
+    applyToPicked(removeRounds, { label: "undo.deleteRounds", params: { count: pickedCount } });
+  }
+
+  function handleRecolor(v) {
+    if (!confirm(t("history.confirmRecolor", { count: pickedCount, color: colorLabel(v, t) }))) return;
+    applyToPicked((rounds, list) => recolorRounds(rounds, list, v), { label: "undo.recolorRounds", params: { count: pickedCount, color: colorLabel(v, t) } });
+  }
+
+  function handleInsert(v) {
+    if (locked || !inserting) return;
+    s.updateRounds([[inserting.sessionId, (rounds) => insertRound(rounds, inserting.index, v, { id: newId(), by: author })]], { label: "undo.insertRound", params: { color: colorLabel(v, t), position: inserting.index + 1 } });
+    setInserting(null);
+  }
+
+  // Posição digitada (1 = início) na sessão ativa
+  const activeCount = s.rounds[s.activeId]?.length ?? 0;
+  function openAtPosition() {
+    const n = Math.round(Number(position));
+    if (!(n >= 1 && n <= activeCount + 1)) return;
+    setInserting({ sessionId: s.activeId, index: n - 1 });
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("history.title")}</CardTitle>
+        <CardDescription>{t("history.description")}</CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-3 text-sm">
+        <div className="flex gap-2 flex-wrap items-end">
+          <div className="grid gap-1">
+            <label className="text-sm text-zinc-600" htmlFor="history-session">{t("history.session")}</label>
+            <select id="history-session" value={sessionFilter} onChange={(e) => filter(setSessionFilter)(e.target.value)} className="px-3 py-2 rounded-lg border text-sm">
+              <option value="scope">{t("history.scopeSessions", { count: s.scopeIds.length })}</option>
+              <option value="all">{t("history.allSessions")}</option>
+              {s.sessions.map((x) => <option key={x.id} value={x.id}>{sessionLabel(x, t)}</option>)}
+            </select>
+          </div>
+          <div className="grid gap-1">
+            <label className="text-sm text-zinc-600" htmlFor="history-color">{t("history.color")}</label>
+            <select id="history-color" value={color} onChange={(e) => filter(setColor)(e.target.value)} className="px-3 py-2 rounded-lg border text-sm">
+              <option value="all">{t("history.allColors")}</option>
+              {["R", "B", "T"].map((v) => <option key={v} value={v}>{colorLabel(v, t)}</option>)}
+            </select>
+          </div>
+          <div className="grid gap-1">
+            <label className="text-sm text-zinc-600" htmlFor="history-from">{t("history.from")}</label>
+            <Input id="history-from" type="date" value={from} onChange={(e) => filter(setFrom)(e.target.value)} />
+          </div>
+          <div className="grid gap-1">
+            <label className="text-sm text-zinc-600" htmlFor="history-to">{t("history.to")}</label>
+            <Input id="history-to" type="date" value={to} onChange={(e) => filter(setTo)(e.target.value)} />
+          </div>
+          <label className="inline-flex items-center gap-1 py-2">
+            <input type="checkbox" checked={newestFirst} onChange={(e) => setNewestFirst(e.target.checked)} />
+            {t("history.newestFirst")}
+          </label>
+        </div>
+
+        <div className="flex gap-2 flex-wrap items-center p-2 rounded-2xl border bg-zinc-50">
+          <span className="text-zinc-600">{t("history.selected", { count: pickedCount, total: rows.length })}</span>
+          <Button onClick={handleDelete} disabled={!pickedCount} variant="outline" className="rounded-2xl"><Trash2 className="w-4 h-4 mr-2" aria-hidden/>{t("history.delete")}</Button>
+          <span className="inline-flex items-center gap-1 text-zinc-600"><Paintbrush className="w-4 h-4" aria-hidden/>{t("history.recolorTo")}</span>
+          <ColorButtons onPick={handleRecolor} disabled={!pickedCount} />
+          {pickedCount > 0 && <Button onClick={() => toggleAll(false)} variant="ghost" className="rounded-2xl"><X className="w-4 h-4 mr-2" aria-hidden/>{t("history.clearSelection")}</Button>}
+          <span className="ml-auto inline-flex items-center gap-1">
+            <label className="text-zinc-600" htmlFor="history-position">{t("history.insertAt")}</label>
+            <Input id="history-position" type="number" min={1} max={activeCount + 1} value={position} onChange={(e) => setPosition(e.target.value)} className="w-20" />
+            <Button onClick={openAtPosition} disabled={locked} variant="outline" className="rounded-2xl" title={t("history.inActiveSession")} aria-label={t("history.inActiveSession")}><Plus className="w-4 h-4" aria-hidden/></Button>
+          </span>
+        </div>
+
+        {inserting && (
+          <div className="flex gap-2 flex-wrap items-center p-2 rounded-2xl border border-amber-300 bg-amber-50">
+            <span>
+              {t("history.inserting", { position: inserting.index + 1, session: names.get(inserting.sessionId) })}
+            </span>
+            <ColorButtons onPick={handleInsert} disabled={locked} />
+            <Button onClick={() => setInserting(null)} variant="ghost" className="rounded-2xl">{t("common.cancel")}</Button>
+          </div>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-zinc-600 border-b">
+                <th className="py-1 pr-2 w-8">
+                  <input type="checkbox" aria-label={t("history.selectAll")} checked={rows.length > 0 && pickedCount === rows.length} onChange={(e) => toggleAll(e.target.checked)} />
+                </th>
+                <th className="py-1 pr-3">#</th>
+                <th className="py-1 pr-3">{t("history.color")}</th>
+                <th className="py-1 pr-3">{t("history.time")}</th>
+                <th className="py-1 pr-3">{t("history.session")}</th>
+                {shared && <th className="py-1 pr-3">{t("history.by")}</th>}
+                <th className="py-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(({ round, sessionId, index }) => (
+                <tr key={round.id} className={`border-b last:border-0 ${selected.has(round.id) ? "bg-amber-50" : ""}`}>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="checkbox"
+                      aria-label={t("history.selectRow", { position: index + 1 })}
+                      checked={selected.has(round.id)}
+                      onChange={() => {}}
+                      onClick={(e) => toggle(round.id, e.shiftKey)}
+                    />
+                  </td>
+                  <td className="py-1 pr-3 text-zinc-600">{index + 1}</td>
+                  <td className="py-1 pr-3"><span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${PILL[round.v]}`}><ResultMarker v={round.v} size={12} letter={false} label={false} />{colorLabel(round.v, t)}</span></td>
+                  <td className="py-1 pr-3 text-zinc-600" title={round.tsApprox ? t("history.approxTime") : undefined}>{fmtTime(round)}</td>
+                  <td className="py-1 pr-3 text-zinc-600">{names.get(sessionId)}</td>
+                  {shared && <td className="py-1 pr-3 text-zinc-600">{round.by || "—"}</td>}
+                  <td className="py-1 text-right">
+                    <Button onClick={() => setInserting({ sessionId, index: index + 1 })} disabled={locked} variant="ghost" className="rounded-2xl" title={t("history.insertAfter")} aria-label={t("history.insertAfter")}>
+                      <Plus className="w-4 h-4" aria-hidden/>
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!rows.length && <p className="text-zinc-600 py-4 text-center">{t("history.empty")}</p>}
+        </div>
+
+        {pages > 1 && (
+          <div className="flex items-center justify-center gap-2">
+            <Button onClick={() => setPage(current - 1)} disabled={current === 0} variant="ghost" className="rounded-2xl" aria-label={t("history.prevPage")}><ChevronLeft className="w-4 h-4" aria-hidden/></Button>
+            <span className="text-zinc-600">{t("history.page", { page: current + 1, pages })}</span>
+            <Button onClick={() => setPage(current + 1)} disabled={current >= pages - 1} variant="ghost" className="rounded-2xl" aria-label={t("history.nextPage")}><ChevronRight className="w-4 h-4" aria-hidden/></Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default HistoryTable;
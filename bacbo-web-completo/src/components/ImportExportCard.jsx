@@ -0,0 +1,143 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { FORMAT_NAME, FORMAT_VERSION, mergeImport, parseImport, toCsvText, toJson } from "@/interchange";
+import { downloadText, fileStamp } from "@/lib/download";
+import { errorMessage, messageText } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+import { Check, Download, Upload, X } from "lucide-react";
+
+const MAX_REJECTED_SHOWN = 5;
+
+/**
+ * Exportação (JSON versionado ou CSV) e importação com prévia: o arquivo é
+ * lido e validado, a prévia mostra aceitos/rejeitados/duplicados e só
+ * "Aplicar" mexe no estado. Recebe o objeto devolvido por `useSessions`.
+ */
+export function ImportExportCard({ sessions: s }) {
+  const { t } = useI18n();
+  const [exportScope, setExportScope] = useState("scope");
+  const [pending, setPending] = useState(null); // { fileName, imported }
+  const [mode, setMode] = useState("merge");
+  const [error, setError] = useState(null);
+
+  const state = { sessions: s.sessions, rounds: s.rounds, activeId: s.activeId };
+  const exportIds = exportScope === "all" ? s.sessions.map((x) => x.id) : exportScope === "active" ? [s.activeId] : s.scopeIds;
+
+  function handleExport(kind) {
+    const name = `bacbo-history-${fileStamp()}`;
+    if (kind === "csv") downloadText(`${name}.csv`, toCsvText(state, exportIds), "text/csv");
+    else downloadText(`${name}.json`, toJson(state, exportIds), "application/json");
+  }
+
+  async function handleFile(file) {
+    if (!file) return;
+    setError(null);
+    try {
+      setPending({ fileName: file.name, imported: parseImport(await file.text(), file.name) });
+    } catch (err) {
+      setPending(null);
+      setError({ file: file.name, message: errorMessage(err) });
+    }
+  }
+
+  const preview = useMemo(
+    () => (pending ? mergeImport(state, pending.imported, { mode }).summary : null),
+    // o estado só importa para contar duplicados; recalcula quando os dados mudam
+    [pending, mode, s.sessions, s.rounds, s.activeId]
+  );
+
+  function handleApply() {
+    if (mode === "replace" && !confirm(t("interchange.confirmReplace", { count: s.sessions.length, file: pending.fileName }))) return;
+    s.importData(pending.imported, mode);
+    setPending(null);
+  }
+
+  const rejected = pending?.imported.rejected || [];
+  const unit = pending?.imported.kind === "csv" ? "line" : "item";
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("interchange.title")}</CardTitle>
+        <CardDescription>{t("interchange.description")}</CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-3">
+        <div className="grid gap-2">
+          <label className="text-sm text-zinc-600" htmlFor="export-scope">{t("interchange.export")}</label>
+          <select id="export-scope" value={exportScope} onChange={(e) => setExportScope(e.target.value)} className="px-3 py-2 rounded-lg border text-sm">
+            <option value="scope">{t("history.scopeSessions", { count: s.scopeIds.length })}</option>
+            <option value="active">{t("interchange.activeOnly")}</option>
+            <option value="all">{t("interchange.allSessions", { count: s.sessions.length })}</option>
+          </select>
+        </div>
+        <div className="flex gap-2 flex-wrap">
+          <Button onClick={() => handleExport("json")} className="rounded-2xl"><Download className="w-4 h-4 mr-2" aria-hidden/>{t("interchange.exportJson")}</Button>
+          <Button onClick={() => handleExport("csv")} className="rounded-2xl" variant="outline"><Download className="w-4 h-4 mr-2" aria-hidden/>{t("interchange.exportCsv")}</Button>
+          <label className="inline-flex items-center gap-2 px-3 py-2 rounded-2xl border cursor-pointer focus-within:outline focus-within:outline-2 focus-within:outline-zinc-900">
+            <Upload className="w-4 h-4" aria-hidden/>
+            <span className="text-sm">{t("interchange.import")}</span>
+            <input
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              className="sr-only"
+              onChange={(e) => {
+                handleFile(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+        </div>
+
+        {error && <p className="text-sm text-red-700" role="alert">{error.file}: {messageText(error.message, t)}</p>}
+
+        {pending && preview && (
+          <div className="grid gap-2 p-3 rounded-2xl border bg-zinc-50 text-sm">
+            <div className="font-medium">{t("interchange.preview", { file: pending.fileName })}</div>
+            <div className="flex gap-4 flex-wrap">
+              <span className="text-emerald-700">{t("interchange.accepted", { count: preview.accepted })}</span>
+              <span className="text-red-700">{t("interchange.rejected", { count: rejected.length })}</span>
+              <span className="text-zinc-600">{t("interchange.duplicates", { count: preview.duplicates })}</span>
+              <span className="text-zinc-600">
+                {t("interchange.sessionsCreated", { count: preview.sessionsCreated })}
+                {mode === "merge" ? `, ${t("interchange.sessionsMerged", { count: preview.sessionsMerged })}` : ""}
+              </span>
+            </div>
+            {rejected.length > 0 && (
+              <ul className="text-xs text-zinc-600 list-disc pl-5">
+                {rejected.slice(0, MAX_REJECTED_SHOWN).map((r) => (
+                  <li key={r.line}>{t(`interchange.${unit}`, { line: r.line, reason: messageText(r.reason, t) })}</li>
+                ))}
+                {rejected.length > MAX_REJECTED_SHOWN && <li>{t("interchange.more", { count: rejected.length - MAX_REJECTED_SHOWN })}</li>}
+              </ul>
+            )}
+            <div className="flex gap-3 flex-wrap">
+              <label className="inline-flex items-center gap-1">
+                <input type="radio" name="import-mode" checked={mode === "merge"} onChange={() => setMode("merge")} />
+                {t("interchange.merge")}
+              </label>
+              <label className="inline-flex items-center gap-1">
+                <input type="radio" name="import-mode" checked={mode === "replace"} onChange={() => setMode("replace")} />
+                {t("interchange.replace")}
+              </label>
+            </div>
+            <div className="flex gap-2">
+              <Button onClick={handleApply} disabled={!preview.accepted} className="rounded-2xl"><Check className="w-4 h-4 mr-2" aria-hidden/>{t("common.apply")}</Button>
+              <Button onClick={() => setPending(null)} className="rounded-2xl" variant="ghost"><X className="w-4 h-4 mr-2" aria-hidden/>{t("common.cancel")}</Button>
+            </div>
+          </div>
+        )}
+
+        <p className="text-xs text-zinc-600">
+          {t("interchange.formatHelp", {
+            envelope: `{ format: "${FORMAT_NAME}", formatVersion: ${FORMAT_VERSION}, sessions: [...] }`,
+            legacy: '[{ v: "R|B|T" }]',
+            results: '{ results: ["R","B",...] }',
+          })}
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ImportExportCard;
@@ -0,0 +1,167 @@
+import React, { useId } from "react";
+import { LineChart, Line, AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine } from "recharts";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { ResultMarker } from "@/components/ResultMarker";
+import { colorLabel } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+import { DEFAULT_PAYTABLE } from "@/ledger";
+import { AlertOctagon } from "lucide-react";
+
+const money = (x) => x.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const signed = (x) => `${x > 0 ? "+" : ""}${money(x)}`;
+const RECENT_ROWS = 20;
+
+/** Alerta fixo quando a perda da sessão chega ao limite configurado */
+export function LossLimitAlert({ ledger }) {
+  const { t } = useI18n();
+  const { summary, settings } = ledger;
+  if (!summary.lossLimitReached) return null;
+  return (
+    <div className="flex items-start gap-2 p-3 rounded-2xl border border-red-300 bg-red-50 text-sm text-red-900" role="alert">
+      <AlertOctagon className="w-4 h-4 mt-0.5 shrink-0" aria-hidden />
+      <span>{t("ledger.lossLimit", { net: signed(summary.net), limit: money(settings.lossLimit) })}</span>
+    </div>
+  );
+}
+
+function NumberField({ label, value, onChange, step = "any" }) {
+  const id = useId();
+  return (
+    <div className="grid gap-1">
+      <label className="text-zinc-600" htmlFor={id}>{label}</label>
+      <Input id={id} type="number" step={step} value={value} onChange={(e) => onChange(e.target.value)} />
+    </div>
+  );
+}
+
+/**
+ * Banca da sessão ativa: resumo de P&L, gráficos de saldo e drawdown,
+ * últimas apostas e configuração (banca inicial, limite, tabela de pagamentos).
+ * `ledger` é o objeto de `useLedger`.
+ */
+export function LedgerPanel({ ledger }) {
+  const { t } = useI18n();
+  const { rows, summary, settings, form, setSettings } = ledger;
+  const { paytable } = form;
+  const setPaytable = (patch) => setSettings({ paytable: { ...paytable, ...patch } });
+  const chartData = rows.map((r, i) => ({ aposta: i + 1, balance: r.balance, drawdown: -r.drawdown }));
+  const limitLine = settings.lossLimit ? settings.startingBalance - settings.lossLimit : null;
+
+  return (
+    <div className="grid md:grid-cols-3 gap-4">
+      <Card>
+        <CardHeader>
+          <CardTitle>{t("ledger.summary.title")}</CardTitle>
+          <CardDescription>{t("ledger.summary.description")}</CardDescription>
+        </CardHeader>
+        <CardContent className="grid gap-3 text-sm">
+          <div className="flex justify-between"><span>{t("ledger.summary.balance")}</span><span className="font-medium">{money(summary.balance)}</span></div>
+          <div className="flex justify-between"><span>{t("ledger.summary.net")}</span><span className={`font-medium ${summary.net < 0 ? "text-red-700" : "text-emerald-700"}`}>{signed(summary.net)}</span></div>
+          <div className="flex justify-between"><span>{t("ledger.summary.staked")}</span><span className="font-medium">{money(summary.staked)}</span></div>
+          <div className="flex justify-between"><span>{t("ledger.summary.roi")}</span><span className="font-medium">{(summary.roi * 100).toFixed(1)}%</span></div>
+          <div className="flex justify-between"><span>{t("ledger.summary.bets")}</span><span className="font-medium">{summary.bets} ({summary.win} / {summary.loss} / {summary.push})</span></div>
+          <div className="flex justify-between"><span>{t("ledger.summary.maxDrawdown")}</span><span className="font-medium">{money(summary.maxDrawdown)}</span></div>
+        </CardContent>
+      </Card>
+
+      <Card className="md:col-span-2">
+        <CardHeader>
+          <CardTitle>{t("ledger.chart.title")}</CardTitle>
+          <CardDescription>{t("ledger.chart.description")}{limitLine != null && ` ${t("ledger.chart.limitLine")}`}</CardDescription>
+        </CardHeader>
+        <CardContent className="grid gap-2">
+          {rows.length ? (
+            <>
+              <div className="h-48 w-full">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={chartData} syncId="ledger">
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="aposta" />
+                    <YAxis />
+                    <Tooltip formatter={(v) => money(v)} />
+                    {limitLine != null && <ReferenceLine y={limitLine} stroke="#dc2626" strokeDasharray="4 4" />}
+                    <Line type="stepAfter" dataKey="balance" name={t("ledger.chart.balance")} stroke="#2563eb" dot={false} isAnimationActive={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="h-28 w-full">
+                <ResponsiveContainer width="100%" height="100%">
+                  <AreaChart data={chartData} syncId="ledger">
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="aposta" />
+                    <YAxis />
+                    <Tooltip formatter={(v) => money(v)} />
+                    <Area type="stepAfter" dataKey="drawdown" name={t("ledger.chart.drawdown")} stroke="#dc2626" fill="#fecaca" isAnimationActive={false} />
+                  </AreaChart>
+                </ResponsiveContainer>
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-zinc-600">{t("ledger.chart.empty")}</p>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="md:col-span-2">
+        <CardHeader>
+          <CardTitle>{t("ledger.recent.title")}</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-zinc-600">
+                <th className="py-1">{t("ledger.recent.round")}</th><th>{t("ledger.recent.bet")}</th><th>{t("ledger.recent.winner")}</th><th>{t("ledger.recent.outcome")}</th><th className="text-right">{t("ledger.recent.profit")}</th><th className="text-right">{t("ledger.recent.balance")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(-RECENT_ROWS).reverse().map((r) => (
+                <tr key={r.id} className="border-t">
+                  <td className="py-1">#{r.index + 1}</td>
+                  <td>{t("ledger.recent.stake", { amount: money(r.amount), side: colorLabel(r.side, t) })}{r.tieTotal ? ` (${t("ledger.recent.tieTotal", { total: r.tieTotal })})` : ""}</td>
+                  <td><span className="inline-flex items-center gap-1"><ResultMarker v={r.v} size={12} label={false} />{colorLabel(r.v, t)}</span></td>
+                  <td>{t(`ledger.outcomes.${r.outcome}`)}</td>
+                  <td className={`text-right ${r.net < 0 ? "text-red-700" : "text-emerald-700"}`}>{signed(r.net)}</td>
+                  <td className="text-right">{money(r.balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{t("ledger.settings.title")}</CardTitle>
+          <CardDescription>{t("ledger.settings.description")}</CardDescription>
+        </CardHeader>
+        <CardContent className="grid gap-3 text-sm">
+          <div className="grid grid-cols-2 gap-3">
+            <NumberField label={t("ledger.settings.startingBalance")} value={form.startingBalance} onChange={(v) => setSettings({ startingBalance: v })} />
+            <NumberField label={t("ledger.settings.lossLimit")} value={form.lossLimit} onChange={(v) => setSettings({ lossLimit: v })} />
+            <NumberField label={t("ledger.settings.sideOdds")} value={paytable.sideOdds} onChange={(v) => setPaytable({ sideOdds: v })} />
+            <NumberField label={t("ledger.settings.tieRefund")} value={Math.round(Number(paytable.tieRefund) * 100)} step={1} onChange={(v) => setPaytable({ tieRefund: Number(v) / 100 })} />
+            <NumberField label={t("ledger.settings.tieDefault")} value={paytable.tieDefault} onChange={(v) => setPaytable({ tieDefault: v })} />
+          </div>
+          <div className="grid gap-1">
+            <span className="text-zinc-600">{t("ledger.settings.tieMultipliers")}</span>
+            <div className="grid grid-cols-4 gap-2">
+              {Object.entries(paytable.tieMultipliers).map(([total, mult]) => (
+                <label key={total} className="grid gap-0.5 text-xs text-zinc-600">
+                  {total}
+                  <Input type="number" step="any" value={mult} onChange={(e) => setPaytable({ tieMultipliers: { ...paytable.tieMultipliers, [total]: e.target.value } })} />
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <Button onClick={() => setSettings({ paytable: DEFAULT_PAYTABLE })} className="rounded-2xl" variant="ghost">{t("ledger.settings.reset")}</Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default LedgerPanel;
@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { MAX_ALERTS, alertName, checkRule } from "@/alerts";
+import { messageText } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+import { Bell, BellRing, Plus, Trash2, Volume2 } from "lucide-react";
+
+const clock = (ms) => new Date(ms).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+/** Cartão de um alerta personalizado, ao lado dos sinais fixos do painel */
+export function PatternAlertTile({ alert }) {
+  const { t } = useI18n();
+  return (
+    <div className={`p-3 rounded-2xl border ${alert.on ? "border-amber-400 bg-amber-50" : "border-zinc-200 border-dashed"}`}>
+      <div className="font-medium mb-1 flex items-center gap-1">
+        {alert.on ? <BellRing className="w-4 h-4 text-amber-600" aria-hidden/> : <Bell className="w-4 h-4 text-zinc-400" aria-hidden/>}
+        {alert.name}
+        {alert.on && <span className="ml-auto px-2 py-0.5 rounded-full text-xs font-medium bg-amber-200 text-amber-900">{t("painel.signals.on")}</span>}
+      </div>
+      <div className="text-xs text-zinc-600 font-mono">{alert.expr}</div>
+      <div className="text-xs text-zinc-500 mt-2">
+        {alert.error ? <span className="text-red-700">{t("alerts.invalid")}</span> : alert.firedAt ? t("alerts.firedAt", { time: clock(alert.firedAt) }) : t("alerts.custom")}
+      </div>
+    </div>
+  );
+}
+
+// Texto da regra com a posição do erro marcada
+function RuleError({ expr, at, error }) {
+  const { t } = useI18n();
+  return (
+    <p className="text-xs text-red-700">
+      {messageText(error, t)}
+      {at != null && (
+        <span className="block font-mono text-zinc-600">
+          {expr.slice(0, at)}<span className="bg-red-200 text-red-900">{expr.slice(at) || " "}</span>
+        </span>
+      )}
+    </p>
+  );
+}
+
+function AlertRow({ alert, index, onChange, onRemove }) {
+  const { t } = useI18n();
+  const set = (patch) => onChange({ ...alert, ...patch });
+  const check = checkRule(alert.expr);
+  return (
+    <div className="grid gap-2 p-3 rounded-2xl border text-sm">
+      <div className="flex gap-2">
+        <Input value={alert.name} onChange={(e) => set({ name: e.target.value })} placeholder={alertName(alert, index, t)} aria-label={t("alerts.name")} className="w-40" />
+        <Input value={alert.expr} onChange={(e) => set({ expr: e.target.value })} placeholder={t("alerts.exprPlaceholder")} aria-label={t("alerts.expr")} className="font-mono" aria-invalid={!!check.error} />
+        <Button onClick={onRemove} variant="ghost" className="rounded-2xl" title={t("alerts.remove")} aria-label={t("alerts.remove")}><Trash2 className="w-4 h-4" aria-hidden/></Button>
+      </div>
+      {check.error && <RuleError expr={alert.expr} at={check.at} error={check.error} />}
+      <div className="flex gap-4 flex-wrap">
+        <label className="inline-flex items-center gap-1">
+          <input type="checkbox" checked={alert.enabled !== false} onChange={(e) => set({ enabled: e.target.checked })} />
+          {t("alerts.enabled")}
+        </label>
+        <label className="inline-flex items-center gap-1">
+          <input type="checkbox" checked={!!alert.notify} onChange={(e) => set({ notify: e.target.checked })} />
+          <Bell className="w-3 h-3" aria-hidden/>{t("alerts.notify")}
+        </label>
+        <label className="inline-flex items-center gap-1">
+          <input type="checkbox" checked={!!alert.sound} onChange={(e) => set({ sound: e.target.checked })} />
+          <Volume2 className="w-3 h-3" aria-hidden/>{t("alerts.sound")}
+        </label>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Editor dos alertas personalizados. `alerts` é o objeto de `usePatternAlerts`;
+ * as regras são gravadas como digitadas e as inválidas ficam inativas até
+ * serem corrigidas.
+ */
+export function PatternAlertsEditor({ alerts }) {
+  const { t } = useI18n();
+  const { alerts: list, setAlerts, log, requestPermission } = alerts;
+  const [permission, setPermission] = useState(() => globalThis.Notification?.permission ?? "unsupported");
+  const wantsNotification = list.some((a) => a.notify);
+
+  const update = (i, a) => setAlerts(list.map((x, j) => (j === i ? a : x)));
+  const remove = (i) => setAlerts(list.filter((_, j) => j !== i));
+  const add = () => setAlerts([...list, { id: `alert-${Date.now()}`, name: "", expr: "", enabled: true, notify: false, sound: false }]);
+
+  return (
+    <div className="grid gap-3">
+      {list.map((a, i) => (
+        <AlertRow key={a.id || i} alert={a} index={i} onChange={(x) => update(i, x)} onRemove={() => remove(i)} />
+      ))}
+      <div className="flex gap-2 flex-wrap items-center">
+        <Button onClick={add} disabled={list.length >= MAX_ALERTS} variant="outline" className="rounded-2xl"><Plus className="w-4 h-4 mr-2" aria-hidden/>{t("alerts.add")}</Button>
+        {wantsNotification && permission === "default" && (
+          <Button onClick={async () => setPermission(await requestPermission())} variant="secondary" className="rounded-2xl">
+            <Bell className="w-4 h-4 mr-2" aria-hidden/>{t("alerts.allow")}
+          </Button>
+        )}
+        {wantsNotification && permission === "denied" && <span className="text-xs text-red-700">{t("alerts.denied")}</span>}
+        {wantsNotification && permission === "unsupported" && <span className="text-xs text-zinc-600">{t("alerts.unsupported")}</span>}
+      </div>
+      <p className="text-xs text-zinc-600">
+        {t("alerts.syntax")} <code>R R B R</code> (<code>?</code> = {t("alerts.any")}), <code>streak &gt;= 6</code>, <code>streak T &gt;= 2</code>, <code>zebra &gt;= 5</code>,{" "}
+        <code>count T in last 20 &gt;= 3</code>, <code>no T in last 30</code>; {t("alerts.combine")} <code>and</code>/<code>or</code>.{" "}
+        {t("alerts.evaluation")}
+      </p>
+      {log.length > 0 && (
+        <ul className="text-xs text-zinc-600 list-disc pl-5">
+          {log.map((e, i) => <li key={`${e.id}-${e.at}-${i}`}>{clock(e.at)} · {alertName(e, e.index, t)}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PatternAlertsEditor;
@@ -0,0 +1,32 @@
+import React from "react";
+import { Contrast, Languages } from "lucide-react";
+import { LANGS } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+import { useTheme } from "@/a11y/useTheme";
+
+/** Idioma da interface e tema de alto contraste (ambos guardados no navegador) */
+export function PreferencesBar() {
+  const { lang, setLang, t } = useI18n();
+  const [theme, setTheme] = useTheme();
+  const contrast = theme === "contrast";
+  return (
+    <div className="flex items-center gap-2 flex-wrap text-sm">
+      <label className="flex items-center gap-1 text-zinc-600">
+        <Languages className="w-4 h-4" aria-hidden />
+        <select value={lang} onChange={(e) => setLang(e.target.value)} className="px-3 py-2 rounded-lg border text-sm" aria-label={t("prefs.language")}>
+          {LANGS.map((l) => <option key={l.id} value={l.id} lang={l.id}>{l.name}</option>)}
+        </select>
+      </label>
+      <button
+        type="button"
+        aria-pressed={contrast}
+        onClick={() => setTheme(contrast ? "default" : "contrast")}
+        className={`flex items-center gap-1 px-3 py-2 rounded-lg border text-sm focus-visible:outline focus-visible:outline-2 focus-visible:outline-zinc-900 ${contrast ? "bg-zinc-900 text-white" : "bg-white"}`}
+      >
+        <Contrast className="w-4 h-4" aria-hidden />{t("prefs.contrast")}
+      </button>
+    </div>
+  );
+}
+
+export default PreferencesBar;
@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { analyzeRandomness } from "@/analysis/randomness";
+import { BACBO_PROBS } from "@/analysis/probabilities";
+import { colorLabel } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+
+/**
+ * Aba "Aleatoriedade": testes estatísticos sobre o histórico inteiro.
+ * Só é montada quando a aba está ativa, então o custo O(n) fica aqui.
+ */
+
+const fmt = (x, digits = 3) => (x == null || Number.isNaN(x) ? "—" : x.toFixed(digits));
+const fmtP = (p) => (p == null ? "—" : p < 0.0001 ? "< 0.0001" : p.toFixed(4));
+const pct = (x) => `${(x * 100).toFixed(2)}%`;
+
+const verdictClass = (level) =>
+  `px-2 py-1 rounded-full text-xs font-medium ${
+    level === "anomaly"
+      ? "bg-amber-100 text-amber-800"
+      : level === "weak"
+      ? "bg-yellow-50 text-yellow-700"
+      : level === "ok"
+      ? "bg-emerald-50 text-emerald-700"
+      : "bg-zinc-100 text-zinc-600"
+  }`;
+
+function TestCard({ title, description, result, children }) {
+  const { t } = useI18n();
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-2">
+          <CardTitle>{title}</CardTitle>
+          <span className={verdictClass(result.verdict.level)}>{t(`randomness.verdicts.${result.verdict.level}`)}</span>
+        </div>
+        <CardDescription>{description}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="grid gap-2 text-sm">
+          {result.ok ? (
+            <>
+              <div className="flex justify-between"><span>{t("randomness.pValue")}</span><span className="font-medium">{fmtP(result.p)}</span></div>
+              {children}
+            </>
+          ) : (
+            <p className="text-xs text-zinc-600">{t(`randomness.reasons.${result.code}`)}</p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export function RandomnessPanel({ history, stats }) {
+  const { t } = useI18n();
+  const [maxLag, setMaxLag] = useState(5);
+  const seq = useMemo(() => history.map((r) => r.v), [history]);
+  const result = useMemo(() => analyzeRandomness(stats, seq, { maxLag }), [stats, seq, maxLag]);
+  const { runs, chiSquare, autocorrelation, streaks } = result;
+
+  return (
+    <div className="grid gap-4">
+      <p className="text-xs text-zinc-600">
+        {t("randomness.nullHypothesis", { R: pct(BACBO_PROBS.R), B: pct(BACBO_PROBS.B), T: pct(BACBO_PROBS.T) })}
+      </p>
+      <div className="grid md:grid-cols-2 gap-4">
+        <TestCard title={t("randomness.runs.title")} description={t("randomness.runs.description")} result={runs}>
+          <div className="flex justify-between"><span>{t("randomness.runs.observed")}</span><span className="font-medium">{runs.runs}</span></div>
+          <div className="flex justify-between"><span>{t("randomness.runs.expected")}</span><span className="font-medium">{fmt(runs.expected, 1)}</span></div>
+          <div className="flex justify-between"><span>z</span><span className="font-medium">{fmt(runs.z, 2)} ({t(runs.z > 0 ? "randomness.runs.alternation" : "randomness.runs.clustering")})</span></div>
+        </TestCard>
+
+        <TestCard title={t("randomness.chi.title")} description={t("randomness.chi.description")} result={chiSquare}>
+          {chiSquare.ok && chiSquare.rows.map((r) => (
+            <div key={r.key} className="flex justify-between">
+              <span>{colorLabel(r.key, t)}</span>
+              <span className="font-medium">{t("randomness.observedExpected", { observed: r.observed, expected: fmt(r.expected, 1) })}</span>
+            </div>
+          ))}
+          <div className="flex justify-between"><span>{t("randomness.chiStat", { df: chiSquare.df })}</span><span className="font-medium">{fmt(chiSquare.stat, 2)}</span></div>
+        </TestCard>
+
+        <TestCard title={t("randomness.auto.title")} description={t("randomness.auto.description")} result={autocorrelation}>
+          <div className="flex items-center justify-between gap-2">
+            <label htmlFor="randomness-lags">{t("randomness.auto.lags")}</label>
+            <Input id="randomness-lags" type="number" min={1} max={20} value={maxLag} onChange={(e) => setMaxLag(Math.max(1, Math.min(20, parseInt(e.target.value || "1"))))} className="w-20" />
+          </div>
+          {autocorrelation.ok && autocorrelation.lags.map((l) => (
+            <div key={l.lag} className="flex justify-between">
+              <span>lag {l.lag}</span>
+              <span className="font-medium">r={fmt(l.r)} · p={fmtP(l.p)}</span>
+            </div>
+          ))}
+        </TestCard>
+
+        <TestCard title={t("randomness.streaks.title")} description={t("randomness.streaks.description")} result={streaks}>
+          {streaks.ok && streaks.rows.map((r) => (
+            <div key={`${r.color}-${r.bucket}`} className="flex justify-between">
+              <span>{colorLabel(r.color, t)} {r.bucket}</span>
+              <span className="font-medium">{t("randomness.observedExpected", { observed: r.observed, expected: fmt(r.expected, 1) })}</span>
+            </div>
+          ))}
+          <div className="flex justify-between"><span>{t("randomness.chiStat", { df: streaks.df })}</span><span className="font-medium">{fmt(streaks.stat, 2)}</span></div>
+        </TestCard>
+      </div>
+    </div>
+  );
+}
+
+export default RandomnessPanel;
@@ -0,0 +1,174 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { ACTIONS, DEFAULT_ENTRY_SETTINGS, keyLabel, keyName, normalizeEntrySettings, normalizeHotkeys, tailStreak } from "@/entry";
+import { useRapidEntry } from "@/entry/useRapidEntry";
+import { usePersistentState } from "@/lib/usePersistentState";
+import { ResultMarker } from "@/components/ResultMarker";
+import { useI18n } from "@/i18n/useI18n";
+import { Keyboard, Settings2 } from "lucide-react";
+
+const FLASH = { R: "bg-red-600 text-white", B: "bg-blue-600 text-white", T: "bg-zinc-500 text-white" };
+
+// nome da ação no idioma atual: cores pelo catálogo de cores, desfazer/refazer pelo do undo
+const actionName = (action, t) => t(action === "undo" || action === "redo" ? `undo.${action}` : `colors.${action}`);
+
+function Flash({ feedback, undoLabel, redoLabel }) {
+  const { t } = useI18n();
+  if (!feedback) return <p className="text-zinc-500">{t("rapid.idle")}</p>;
+  const { action, kind } = feedback;
+  if (kind === "double") {
+    return (
+      <div className="grid gap-1 text-amber-900">
+        <span className="text-2xl font-bold">{t("rapid.doubleTitle")}</span>
+        <span className="text-sm">{t("rapid.doubleHint", { action: actionName(action, t) })}</span>
+      </div>
+    );
+  }
+  if (kind === "locked") return <span className="text-2xl font-bold text-zinc-700">{t("rapid.locked")}</span>;
+  if (action === "undo" || action === "redo") {
+    const next = action === "undo" ? undoLabel : redoLabel;
+    return (
+      <div className="grid gap-1">
+        <span className="text-3xl font-bold">{actionName(action, t)}</span>
+        <span className="text-sm text-zinc-600">{next ? t("rapid.next", { label: next }) : t(`rapid.nothing.${action}`)}</span>
+      </div>
+    );
+  }
+  // forma e letra junto com a cor de fundo: a confirmação não depende de distinguir as cores
+  return (
+    <span className="flex items-center gap-4 text-6xl font-black tracking-wide">
+      <ResultMarker v={action} size={56} label={false} className="ring-4 ring-white" />
+      {actionName(action, t).toUpperCase()}
+    </span>
+  );
+}
+
+function flashClass(feedback) {
+  if (!feedback) return "bg-zinc-50";
+  if (feedback.kind === "double") return "bg-amber-100 ring-4 ring-amber-400";
+  if (feedback.kind === "locked") return "bg-zinc-200";
+  return FLASH[feedback.action] || "bg-zinc-100";
+}
+
+/** Campo que grava a próxima tecla pressionada (com foco nele, o modo rápido não escuta) */
+function HotkeyField({ action, value, conflict, onChange }) {
+  const { t } = useI18n();
+  const id = `hotkey-${action}`;
+  return (
+    <div className="grid gap-1">
+      <label className="text-zinc-600" htmlFor={id}>{actionName(action, t)}</label>
+      <Input
+        id={id}
+        readOnly
+        value={value ? keyLabel(value, t) : "—"}
+        onKeyDown={(e) => {
+          const name = keyName(e);
+          if (!name || e.ctrlKey || e.metaKey || e.altKey) return;
+          e.preventDefault();
+          onChange(name);
+        }}
+        className={conflict ? "border-amber-500" : ""}
+        title={t("rapid.pressKey")}
+      />
+    </div>
+  );
+}
+
+function EntrySettings({ stored, setStored }) {
+  const { t } = useI18n();
+  const settings = normalizeEntrySettings(stored);
+  const { conflicts } = normalizeHotkeys(stored?.hotkeys);
+  const setKey = (action, name) => setStored({ ...stored, hotkeys: { ...settings.hotkeys, ...stored?.hotkeys, [action]: name } });
+  return (
+    <div className="grid gap-3 text-sm p-3 rounded-2xl border">
+      <div className="grid grid-cols-5 gap-2">
+        {ACTIONS.map((action) => (
+          <HotkeyField key={action} action={action} value={settings.hotkeys[action]} conflict={conflicts.includes(action)} onChange={(name) => setKey(action, name)} />
+        ))}
+      </div>
+      {conflicts.length > 0 && (
+        <p className="text-xs text-amber-700">{t("rapid.conflict", { actions: conflicts.map((a) => actionName(a, t)).join(", ") })}</p>
+      )}
+      <div className="flex gap-3 flex-wrap items-end">
+        <div className="grid gap-1">
+          <label className="text-zinc-600" htmlFor="rapid-debounce">{t("rapid.debounce")}</label>
+          <Input id="rapid-debounce" type="number" min={0} step={50} value={settings.debounceMs} onChange={(e) => setStored({ ...stored, debounceMs: e.target.value })} className="w-28" />
+        </div>
+        <label className="inline-flex items-center gap-1 py-2">
+          <input type="checkbox" checked={settings.sound} onChange={(e) => setStored({ ...stored, sound: e.target.checked })} />
+          {t("rapid.sound")}
+        </label>
+        <Button onClick={() => setStored(DEFAULT_ENTRY_SETTINGS)} variant="ghost" className="rounded-2xl">{t("rapid.reset")}</Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Modo de registro rápido: teclas configuráveis para Red/Blue/Tie,
+ * desfazer e refazer, destaque grande e som a cada registro, proteção
+ * contra toque duplo e a sequência atual da sessão ativa. As teclas só
+ * valem com o modo ligado e nunca com o foco num campo de texto.
+ */
+export function RapidEntry({ history, locked, onColor, onUndo, onRedo, undoLabel, redoLabel }) {
+  const { t } = useI18n();
+  const [enabled, setEnabled] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [stored, setStored] = usePersistentState("bacbo-rapid-entry", DEFAULT_ENTRY_SETTINGS);
+  const settings = normalizeEntrySettings(stored);
+  const feedback = useRapidEntry({ enabled, settings, locked, onColor, onUndo, onRedo });
+  const streak = tailStreak(history);
+  const legend = ACTIONS.filter((a) => settings.hotkeys[a]).map((a) => `${keyLabel(settings.hotkeys[a], t)} ${actionName(a, t)}`).join(" · ");
+
+  return (
+    <Card className={enabled ? "ring-2 ring-zinc-900" : ""}>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-2 flex-wrap">
+          <div>
+            <CardTitle>{t("rapid.title")}</CardTitle>
+            <CardDescription>{enabled ? legend : t("rapid.description")}</CardDescription>
+          </div>
+          <div className="flex gap-2">
+            <Button onClick={() => setShowSettings((x) => !x)} variant="ghost" className="rounded-2xl" title={t("rapid.settings")} aria-label={t("rapid.settings")} aria-expanded={showSettings}><Settings2 className="w-4 h-4" aria-hidden/></Button>
+            <Button onClick={() => setEnabled((x) => !x)} variant="outline" className={`rounded-2xl ${enabled ? "bg-zinc-900 text-white" : ""}`} aria-pressed={enabled}>
+              <Keyboard className="w-4 h-4 mr-2" aria-hidden/>{enabled ? t("rapid.turnOff") : t("rapid.turnOn")}
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="grid gap-3">
+        {showSettings && <EntrySettings stored={stored} setStored={setStored} />}
+        {enabled && (
+          <>
+            <motion.div
+              key={feedback?.seq ?? 0}
+              initial={{ scale: 0.96, opacity: 0.6 }}
+              animate={{ scale: 1, opacity: 1 }}
+              transition={{ duration: 0.15 }}
+              className={`h-36 rounded-2xl flex items-center justify-center text-center px-4 ${flashClass(feedback)}`}
+              aria-live="assertive"
+            >
+              <Flash feedback={feedback} undoLabel={undoLabel} redoLabel={redoLabel} />
+            </motion.div>
+            <div className="flex items-center gap-3 flex-wrap text-sm">
+              <span className="text-zinc-600">{t("rapid.streak")}</span>
+              {streak ? (
+                <span className="font-semibold flex items-center gap-1"><ResultMarker v={streak.v} size={14} label={false} />{actionName(streak.v, t)} ×{streak.count}</span>
+              ) : (
+                <span className="text-zinc-500">—</span>
+              )}
+              <span className="flex gap-1 ml-auto">
+                {history.slice(-20).map((r) => <ResultMarker key={r.id} v={r.v} size={14} />)}
+              </span>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default RapidEntry;
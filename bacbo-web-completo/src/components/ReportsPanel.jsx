@@ -0,0 +1,222 @@
+import React, { useMemo, useRef, useState } from "react";
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, Legend } from "recharts";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { DIST_BUCKETS } from "@/engine/summary";
+import { colorLabel } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+import { sessionLabel } from "@/sessions/model";
+import { downloadText, fileStamp } from "@/lib/download";
+import {
+  MAX_SUBJECTS,
+  SUBJECT_COLORS,
+  SUBJECT_LETTERS,
+  buildReport,
+  createReportCache,
+  defaultSubjects,
+  normalizeSubject,
+  reportToHtml,
+  reportRows,
+  reportToMarkdown,
+  rowCells,
+} from "@/reports";
+import { FileCode, FileText, Plus, Printer, X } from "lucide-react";
+
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+// Tamanho fixo: o mesmo gráfico serve na tela e na folha impressa (A4 cabe dois lado a lado)
+const CHART = { width: 320, height: 180 };
+
+// Imprime só a folha do relatório (ver o @media print em index.css)
+function printReport() {
+  const done = () => {
+    document.body.classList.remove("printing-report");
+    window.removeEventListener("afterprint", done);
+  };
+  document.body.classList.add("printing-report");
+  window.addEventListener("afterprint", done);
+  window.print();
+}
+
+function SubjectRow({ index, subject, sessions, onChange, onRemove }) {
+  const { t } = useI18n();
+  const letter = SUBJECT_LETTERS[index];
+  const badge = (
+    <span className="w-6 h-6 rounded-full text-white text-xs font-bold flex items-center justify-center shrink-0" style={{ background: SUBJECT_COLORS[index] }}>
+      {letter}
+    </span>
+  );
+  const setType = (type) =>
+    onChange(type === "session" ? { type, id: sessions[sessions.length - 1]?.id } : { type, from: "", to: "" });
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap">
+      {badge}
+      <select value={subject.type} onChange={(e) => setType(e.target.value)} className="px-3 py-2 rounded-lg border text-sm" aria-label={t("reports.item.type", { letter })}>
+        <option value="session">{t("reports.types.session")}</option>
+        <option value="range">{t("reports.types.range")}</option>
+      </select>
+      {subject.type === "session" ? (
+        <select value={subject.id} onChange={(e) => onChange({ type: "session", id: e.target.value })} className="px-3 py-2 rounded-lg border text-sm min-w-[12rem]" aria-label={t("reports.item.session", { letter })}>
+          {sessions.map((s) => <option key={s.id} value={s.id}>{sessionLabel(s, t)}</option>)}
+        </select>
+      ) : (
+        <>
+          <Input type="date" value={subject.from} onChange={(e) => onChange({ ...subject, from: e.target.value })} className="w-40" aria-label={t("reports.item.from", { letter })} />
+          <span className="text-sm text-zinc-600">{t("reports.until")}</span>
+          <Input type="date" value={subject.to} onChange={(e) => onChange({ ...subject, to: e.target.value })} className="w-40" aria-label={t("reports.item.to", { letter })} />
+        </>
+      )}
+      {onRemove && (
+        <Button variant="ghost" onClick={onRemove} className="rounded-2xl" aria-label={t("reports.item.remove", { letter })}><X className="w-4 h-4" aria-hidden/></Button>
+      )}
+    </div>
+  );
+}
+
+function ReportTable({ report }) {
+  const { t } = useI18n();
+  const rows = useMemo(() => reportRows(t), [t]);
+  const { columns } = report;
+  let section = null;
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-left text-zinc-600 border-b">
+          <th className="py-1 pr-2 font-normal">{t("reports.metric")}</th>
+          {columns.map((c) => <th key={c.letter} className="py-1 px-2 text-right" style={{ color: c.color }}>{c.letter}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.flatMap((row) => {
+          const out = [];
+          if (row.section !== section) {
+            section = row.section;
+            out.push(
+              <tr key={`s-${row.key}`}><th colSpan={columns.length + 1} className="pt-2 pb-1 text-left font-semibold">{row.section}</th></tr>
+            );
+          }
+          out.push(
+            <tr key={row.key} className="border-b border-zinc-100">
+              <td className="py-0.5 pr-2">{row.label}</td>
+              {rowCells(row, columns).map((cell, i) => (
+                <td key={i} className="py-0.5 px-2 text-right tabular-nums whitespace-nowrap">
+                  {cell.value}
+                  {cell.delta && <span className="ml-1 text-zinc-500">{cell.delta}</span>}
+                </td>
+              ))}
+            </tr>
+          );
+          return out;
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Aba "Relatórios": compara sessões ou períodos lado a lado (ver src/reports).
+ * Gráficos sobrepostos por item, tabela com a diferença para o item A, e
+ * saída em folha impressa (ou PDF pelo diálogo de impressão), Markdown e HTML.
+ */
+export function ReportsPanel({ sessions, window }) {
+  const { t } = useI18n();
+  const list = sessions.sessions;
+  const [picked, setPicked] = useState(null);
+  // até mexer, segue o padrão (as sessões carregam depois da aba montar)
+  const subjects = useMemo(() => {
+    const valid = (picked ?? defaultSubjects(list)).map((s) => normalizeSubject(s, list)).filter(Boolean);
+    return valid.length ? valid : defaultSubjects(list);
+  }, [picked, list]);
+  // rodada nova só reprisa os sinais dela (ver signalHits)
+  const cache = useRef(null);
+  cache.current ??= createReportCache();
+  const report = useMemo(
+    () => buildReport({ sessions: list, rounds: sessions.rounds }, subjects, { window, t, cache: cache.current }),
+    [list, sessions.rounds, subjects, window, t]
+  );
+
+  const edit = (next) => setPicked(next);
+  const update = (i, subject) => edit(subjects.map((s, j) => (j === i ? subject : s)));
+  const add = () => edit([...subjects, { type: "range", from: "", to: "" }]);
+  const remove = (i) => edit(subjects.filter((_, j) => j !== i));
+
+  const colorData = ["R", "B", "T"].map((k) => ({
+    name: colorLabel(k, t),
+    ...Object.fromEntries(report.columns.map((c) => [c.letter, c.summary.shares[k]])),
+  }));
+  const streakData = DIST_BUCKETS.map((b) => ({ bucket: b, ...Object.fromEntries(report.columns.map((c) => [c.letter, c.summary.streaks[b]])) }));
+
+  const download = (kind) => {
+    const generatedAt = new Date();
+    const name = `${t("reports.export.file")}-${fileStamp(generatedAt)}`;
+    if (kind === "md") downloadText(`${name}.md`, reportToMarkdown(report, { generatedAt, t }), "text/markdown");
+    else downloadText(`${name}.html`, reportToHtml(report, { generatedAt, t }), "text/html");
+  };
+
+  return (
+    <div className="grid gap-4">
+      <Card>
+        <CardHeader>
+          <CardTitle>{t("reports.title")}</CardTitle>
+          <CardDescription>{t("reports.description", { max: MAX_SUBJECTS, window })}</CardDescription>
+        </CardHeader>
+        <CardContent className="grid gap-3">
+          {subjects.map((s, i) => (
+            <SubjectRow key={i} index={i} subject={s} sessions={list} onChange={(next) => update(i, next)} onRemove={subjects.length > 1 ? () => remove(i) : null} />
+          ))}
+          <div className="flex gap-2 flex-wrap">
+            <Button variant="outline" onClick={add} disabled={subjects.length >= MAX_SUBJECTS} className="rounded-2xl"><Plus className="w-4 h-4 mr-2" aria-hidden/>{t("reports.add")}</Button>
+            <Button onClick={printReport} className="rounded-2xl"><Printer className="w-4 h-4 mr-2" aria-hidden/>{t("reports.print")}</Button>
+            <Button variant="outline" onClick={() => download("md")} className="rounded-2xl"><FileText className="w-4 h-4 mr-2" aria-hidden/>{t("reports.markdown")}</Button>
+            <Button variant="outline" onClick={() => download("html")} className="rounded-2xl"><FileCode className="w-4 h-4 mr-2" aria-hidden/>{t("reports.html")}</Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card className="report-sheet">
+        <CardHeader>
+          <CardTitle>{t("reports.export.title")}</CardTitle>
+          <CardDescription>{t("reports.sheetNote", { date: new Date().toLocaleString(t.lang) })}</CardDescription>
+          <ul className="flex gap-3 flex-wrap text-sm mt-2">
+            {report.columns.map((c) => (
+              <li key={c.letter} className="flex items-center gap-1">
+                <span className="w-3 h-3 rounded-sm" style={{ background: c.color }} aria-hidden />
+                <b>{c.letter}:</b> {c.label} <span className="text-zinc-500">({t("common.rounds", { count: c.summary.total })})</span>
+              </li>
+            ))}
+          </ul>
+        </CardHeader>
+        <CardContent className="grid gap-3">
+          <div className="flex gap-4 flex-wrap">
+            <div>
+              <div className="text-sm font-medium mb-1">{t("reports.charts.colors")}</div>
+              <BarChart {...CHART} data={colorData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis tickFormatter={pct} width={44} />
+                <Tooltip formatter={(v) => pct(v)} />
+                <Legend />
+                {report.columns.map((c) => <Bar key={c.letter} dataKey={c.letter} fill={c.color} isAnimationActive={false} />)}
+              </BarChart>
+            </div>
+            <div>
+              <div className="text-sm font-medium mb-1">{t("reports.charts.streaksShare")}</div>
+              <LineChart {...CHART} data={streakData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="bucket" />
+                <YAxis tickFormatter={pct} width={44} />
+                <Tooltip formatter={(v) => pct(v)} labelFormatter={(b) => t("reports.rows.streak", { length: b })} />
+                <Legend />
+                {report.columns.map((c) => <Line key={c.letter} dataKey={c.letter} stroke={c.color} strokeWidth={2} isAnimationActive={false} />)}
+              </LineChart>
+            </div>
+          </div>
+          <ReportTable report={report} />
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default ReportsPanel;
@@ -0,0 +1,32 @@
+import React from "react";
+import { MARKER_SHAPES } from "@/a11y";
+import { useI18n } from "@/i18n/useI18n";
+import { colorLabel } from "@/i18n";
+
+const SOLID = { R: "bg-red-600 text-white", B: "bg-blue-600 text-white", T: "bg-emerald-600 text-white" };
+const HOLLOW = { R: "border-2 border-red-600 text-red-700", B: "border-2 border-blue-600 text-blue-700", T: "border-2 border-emerald-600 text-emerald-700" };
+const SHAPE = { circle: "rounded-full", square: "rounded-[3px]", diamond: "rotate-45 rounded-[2px] scale-[0.8]" };
+
+/**
+ * Marcador de um resultado: cor, forma e letra (ver src/a11y), para não
+ * depender só da cor. `size` em px; `hollow` desenha só o contorno (Big Road).
+ * Com `label={false}` fica de fora da leitura de tela (quando o contexto já diz).
+ */
+export function ResultMarker({ v, size = 16, hollow = false, letter = true, label = true, className = "" }) {
+  const { t } = useI18n();
+  const shape = MARKER_SHAPES[v] || "circle";
+  const name = colorLabel(v, t);
+  const a11y = label ? { role: "img", "aria-label": name, title: name } : { "aria-hidden": true };
+  return (
+    <span
+      {...a11y}
+      className={`result-marker inline-flex items-center justify-center shrink-0 font-bold leading-none ${SHAPE[shape]} ${hollow ? HOLLOW[v] : SOLID[v]} ${className}`}
+      style={{ width: size, height: size, fontSize: Math.max(8, Math.round(size * 0.6)) }}
+      data-v={v}
+    >
+      {letter && <span className={shape === "diamond" ? "-rotate-45" : ""}>{t(`colors.letter.${v}`)}</span>}
+    </span>
+  );
+}
+
+export default ResultMarker;
@@ -0,0 +1,123 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { ResultMarker } from "@/components/ResultMarker";
+import { colorLabel } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+import { ROWS, buildRoads } from "@/roads";
+
+// Colunas mínimas desenhadas, para a grade vazia já ter o tamanho da mesa
+const MIN_COLUMNS = { bead: 12, big: 24, derived: 24 };
+// Nas derivadas R = padrão se repete (regular) e B = quebrou (irregular); a forma também muda
+const FILL = { R: "bg-red-500 rounded-full", B: "bg-blue-500 rounded-[1px]" };
+const BORDER = { R: "border-red-500 rounded-full", B: "border-blue-500 rounded-[1px]" };
+const STROKE = { R: "bg-red-500 -rotate-45", B: "bg-blue-500 rotate-45" };
+
+// Grade com scroll horizontal que acompanha o fim (resultado mais recente)
+function Grid({ width, min, size, children }) {
+  const ref = useRef(null);
+  useEffect(() => {
+    if (ref.current) ref.current.scrollLeft = ref.current.scrollWidth;
+  }, [width]);
+  const columns = Math.max(width + 1, min);
+  return (
+    <div ref={ref} className="overflow-x-auto border rounded-lg bg-white">
+      <div
+        className="grid"
+        style={{
+          gridTemplateRows: `repeat(${ROWS}, ${size}px)`,
+          gridTemplateColumns: `repeat(${columns}, ${size}px)`,
+          backgroundImage: "linear-gradient(#e4e4e7 1px, transparent 1px), linear-gradient(90deg, #e4e4e7 1px, transparent 1px)",
+          backgroundSize: `${size}px ${size}px`,
+          width: columns * size,
+        }}
+      >
+        {children}
+      </div>
+    </div>
+  );
+}
+
+const place = (c) => ({ gridColumn: c.col + 1, gridRow: c.row + 1 });
+
+function BigRoadCell({ cell }) {
+  const { t } = useI18n();
+  const label = cell.ties ? t("roads.withTies", { color: colorLabel(cell.v, t), count: cell.ties }) : colorLabel(cell.v, t);
+  return (
+    <div style={place(cell)} className="relative flex items-center justify-center" role="img" aria-label={label} title={label}>
+      <ResultMarker v={cell.v} size={16} hollow label={false} />
+      {cell.ties > 0 && (
+        <>
+          <span className="absolute w-5 h-0.5 bg-emerald-500 -rotate-45" />
+          {cell.ties > 1 && <span className="absolute -top-0.5 right-0 text-[9px] leading-none font-bold text-emerald-700">{cell.ties}</span>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Marcas tradicionais: Big Eye Boy = vazado, Small Road = cheio, Cockroach Pig = traço;
+// regular em círculo / traço "/", irregular em quadrado / traço "\"
+function DerivedCell({ cell, id }) {
+  const { t } = useI18n();
+  const mark =
+    id === "bigEye" ? <span className={`w-2.5 h-2.5 border-2 ${BORDER[cell.v]}`} /> :
+    id === "small" ? <span className={`w-2.5 h-2.5 ${FILL[cell.v]}`} /> :
+    <span className={`w-3 h-0.5 ${STROKE[cell.v]}`} />;
+  const label = t(cell.v === "R" ? "roads.regular" : "roads.irregular");
+  return (
+    <div style={place(cell)} className="flex items-center justify-center" role="img" aria-label={label} title={label}>
+      {mark}
+    </div>
+  );
+}
+
+/**
+ * Bead Plate, Big Road e as roads derivadas do histórico da sessão ativa.
+ * A lógica está em src/roads; aqui só o desenho.
+ */
+export function Roadmaps({ history }) {
+  const { t } = useI18n();
+  const roads = useMemo(() => buildRoads(history), [history]);
+  return (
+    <Card className="md:col-span-3">
+      <CardHeader>
+        <CardTitle>Roadmaps</CardTitle>
+        <CardDescription>{t("roads.description")}</CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-4">
+        <div className="grid md:grid-cols-3 gap-4">
+          <div className="grid gap-1">
+            <span className="text-sm text-zinc-600">Bead Plate</span>
+            <Grid width={roads.bead.width} min={MIN_COLUMNS.bead} size={22}>
+              {roads.bead.cells.map((c, i) => (
+                <div key={i} style={place(c)} className="flex items-center justify-center">
+                  <ResultMarker v={c.v} size={18} />
+                </div>
+              ))}
+            </Grid>
+          </div>
+          <div className="grid gap-1 md:col-span-2">
+            <span className="text-sm text-zinc-600">
+              Big Road{roads.big.pendingTies > 0 && ` · ${t("roads.pendingTies", { count: roads.big.pendingTies })}`}
+            </span>
+            <Grid width={roads.big.width} min={MIN_COLUMNS.big} size={22}>
+              {roads.big.cells.map((c, i) => <BigRoadCell key={i} cell={c} />)}
+            </Grid>
+          </div>
+        </div>
+        <div className="grid md:grid-cols-3 gap-4">
+          {roads.derived.map((road) => (
+            <div key={road.id} className="grid gap-1">
+              <span className="text-sm text-zinc-600">{road.title}</span>
+              <Grid width={road.width} min={MIN_COLUMNS.derived} size={12}>
+                {road.cells.map((c, i) => <DerivedCell key={i} cell={c} id={road.id} />)}
+              </Grid>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default Roadmaps;
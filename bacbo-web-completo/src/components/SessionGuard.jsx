@@ -0,0 +1,103 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { useI18n } from "@/i18n/useI18n";
+import { Coffee, Lock, ShieldCheck } from "lucide-react";
+
+const REASONS = ["time", "rounds", "manual"];
+
+export function formatDuration(ms) {
+  const total = Math.max(0, Math.round(ms / 60_000));
+  const h = Math.floor(total / 60);
+  return h ? `${h} h ${String(total % 60).padStart(2, "0")} min` : `${total} min`;
+}
+
+
+/**
+ * Faixa de status sob o cabeçalho: janela aberta (tempo/rodadas) ou pausa
+ * em andamento. `guard` é o objeto de `useSessionGuard`.
+ */
+export function GuardBanner({ guard }) {
+  const { t } = useI18n();
+  const { view, settings } = guard;
+  if (view.status === "locked") {
+    const until = new Date(Date.now() + view.lockRemainingMs).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    return (
+      <div className="flex items-start gap-2 p-3 rounded-2xl border border-amber-300 bg-amber-50 text-sm text-amber-900" role="status">
+        <Lock className="w-4 h-4 mt-0.5 shrink-0" aria-hidden />
+        <span>
+          {t("guard.lockedUntil", { until, remaining: formatDuration(view.lockRemainingMs) })}{" "}
+          {t(`guard.reasons.${REASONS.includes(view.lock?.reason) ? view.lock.reason : "default"}`)}
+          {view.lock && ` ${t("guard.lockedAfter", { elapsed: formatDuration(view.lock.elapsedMs), count: view.lock.rounds })}`}.{" "}
+          {t("guard.lockedHint")}
+        </span>
+      </div>
+    );
+  }
+  if (view.status !== "open") return null;
+  return (
+    <div className="flex flex-wrap items-center gap-3 p-3 rounded-2xl border text-sm text-zinc-700">
+      <ShieldCheck className="w-4 h-4 text-emerald-600" aria-hidden />
+      <span>
+        {settings.maxMinutes
+          ? t("guard.playingOf", { elapsed: formatDuration(view.elapsedMs), limit: formatDuration(settings.maxMinutes * 60_000) })
+          : t("guard.playing", { elapsed: formatDuration(view.elapsedMs) })}
+      </span>
+      <span>· {settings.maxRounds ? t("guard.roundsOf", { count: view.rounds, limit: settings.maxRounds }) : t("common.rounds", { count: view.rounds })}</span>
+      <Button onClick={guard.coolDownNow} className="rounded-2xl ml-auto" variant="outline"><Coffee className="w-4 h-4 mr-2" aria-hidden/>{t("guard.takeBreak")}</Button>
+    </div>
+  );
+}
+
+/** Lembrete periódico ("reality check") com tempo e rodadas da janela */
+export function RealityCheckDialog({ guard }) {
+  const { t } = useI18n();
+  const { view } = guard;
+  if (view.status !== "open" || !view.realityCheckDue) return null;
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div role="dialog" aria-modal="true" aria-labelledby="reality-check-title" className="w-full max-w-sm grid gap-3 p-6 rounded-2xl bg-white shadow-xl">
+        <h2 id="reality-check-title" className="text-lg font-semibold">{t("guard.checkTitle")}</h2>
+        <p className="text-sm text-zinc-700">{t("guard.checkBody", { elapsed: formatDuration(view.elapsedMs), count: view.rounds })}</p>
+        <p className="text-xs text-zinc-600">{t("guard.checkHint")}</p>
+        <div className="flex gap-2 justify-end">
+          <Button onClick={guard.coolDownNow} className="rounded-2xl" variant="outline"><Coffee className="w-4 h-4 mr-2" aria-hidden/>{t("guard.takeBreak")}</Button>
+          <Button onClick={guard.acknowledge} className="rounded-2xl" autoFocus>{t("guard.continue")}</Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const FIELDS = ["maxMinutes", "maxRounds", "realityCheckMinutes", "coolDownMinutes"];
+
+/** Configuração da guarda (salva no navegador; travada durante a pausa) */
+export function GuardSettingsCard({ guard }) {
+  const { t } = useI18n();
+  const { settings, setSettings, locked } = guard;
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("guard.title")}</CardTitle>
+        <CardDescription>{t("guard.description")}</CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-3 text-sm">
+        <label className="inline-flex items-center gap-2">
+          <input type="checkbox" checked={settings.enabled} disabled={locked} onChange={(e) => setSettings({ enabled: e.target.checked })} />
+          {t("guard.enable")}
+        </label>
+        <div className="grid grid-cols-2 gap-3">
+          {FIELDS.map((key) => (
+            <div key={key} className="grid gap-1">
+              <label className="text-zinc-600" htmlFor={`guard-${key}`}>{t(`guard.fields.${key}`)}</label>
+              <Input id={`guard-${key}`} type="number" min={0} value={settings[key]} disabled={locked} onChange={(e) => setSettings({ [key]: e.target.value })} />
+            </div>
+          ))}
+        </div>
+        {locked && <p className="text-xs text-amber-800">{t("guard.settingsLocked")}</p>}
+        <p className="text-xs text-zinc-600">{t("guard.windowHint")}</p>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { useI18n } from "@/i18n/useI18n";
+import { sessionLabel, sessionName } from "@/sessions/model";
+import { Plus, Square, Trash2 } from "lucide-react";
+
+const fmtTime = (ts) => (ts ? new Date(ts).toLocaleString() : "—");
+
+/**
+ * Troca de sessão, criação/encerramento e escolha do escopo das estatísticas.
+ * Recebe o objeto devolvido por `useSessions`.
+ */
+export function SessionSwitcher({ sessions: s }) {
+  const { t } = useI18n();
+  const [name, setName] = useState("");
+  const [table, setTable] = useState("");
+  const { sessions, active, rounds, scope, setScope } = s;
+  const selected = Array.isArray(scope) ? scope : [];
+
+  function handleStart() {
+    s.startSession({ name, table });
+    setName("");
+    setTable("");
+  }
+
+  function handleDelete() {
+    if (confirm(t("sessions.confirmDelete", { name: sessionName(active, t), count: rounds[active.id].length }))) s.deleteSession(active.id);
+  }
+
+  function toggleScope(id) {
+    const next = selected.includes(id) ? selected.filter((x) => x !== id) : [...selected, id];
+    setScope(next.length ? next : "active");
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("sessions.title")}</CardTitle>
+        <CardDescription>{t("sessions.description")}</CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-3">
+        <div className="grid md:grid-cols-3 gap-3 items-end">
+          <div className="grid gap-2">
+            <label className="text-sm text-zinc-600" htmlFor="session-active">{t("sessions.active")}</label>
+            <select id="session-active" value={active.id} onChange={(e) => s.switchSession(e.target.value)} className="px-3 py-2 rounded-lg border text-sm">
+              {sessions.map((x) => (
+                <option key={x.id} value={x.id}>
+                  {sessionLabel(x, t)} ({(rounds[x.id] || []).length}){x.endedAt ? ` · ${t("sessions.ended")}` : ""}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="text-xs text-zinc-600 grid gap-1">
+            <span>{t("sessions.start", { time: fmtTime(active.startedAt) })}</span>
+            <span>{t("sessions.end", { time: active.endedAt ? fmtTime(active.endedAt) : t("sessions.ongoing") })}</span>
+          </div>
+          <div className="flex gap-2 flex-wrap">
+            {!active.endedAt && (
+              <Button onClick={() => s.endSession(active.id)} className="rounded-2xl" variant="outline"><Square className="w-4 h-4 mr-2" aria-hidden/>{t("sessions.endAction")}</Button>
+            )}
+            <Button onClick={handleDelete} className="rounded-2xl" variant="ghost"><Trash2 className="w-4 h-4 mr-2" aria-hidden/>{t("sessions.delete")}</Button>
+          </div>
+        </div>
+
+        <div className="grid md:grid-cols-3 gap-3 items-end">
+          <div className="grid gap-2">
+            <label className="text-sm text-zinc-600" htmlFor="session-name">{t("sessions.newName")}</label>
+            <Input id="session-name" value={name} onChange={(e) => setName(e.target.value)} placeholder={t("sessions.namePlaceholder")} />
+          </div>
+          <div className="grid gap-2">
+            <label className="text-sm text-zinc-600" htmlFor="session-table">{t("sessions.table")}</label>
+            <Input id="session-table" value={table} onChange={(e) => setTable(e.target.value)} placeholder={t("sessions.tablePlaceholder")} />
+          </div>
+          <Button onClick={handleStart} className="rounded-2xl"><Plus className="w-4 h-4 mr-2" aria-hidden/>{t("sessions.new")}</Button>
+        </div>
+
+        <div className="grid gap-2" role="group" aria-labelledby="session-scope">
+          <span className="text-sm text-zinc-600" id="session-scope">{t("sessions.scope")}</span>
+          <div className="flex gap-3 flex-wrap text-sm">
+            <label className="inline-flex items-center gap-1">
+              <input type="radio" checked={scope === "active"} onChange={() => setScope("active")} /> {t("sessions.active")}
+            </label>
+            <label className="inline-flex items-center gap-1">
+              <input type="radio" checked={scope === "all"} onChange={() => setScope("all")} /> {t("sessions.all")}
+            </label>
+            {sessions.length > 1 &&
+              sessions.map((x) => (
+                <label key={x.id} className="inline-flex items-center gap-1">
+                  <input type="checkbox" checked={selected.includes(x.id)} onChange={() => toggleScope(x.id)} /> {sessionLabel(x, t)}
+                </label>
+              ))}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default SessionSwitcher;
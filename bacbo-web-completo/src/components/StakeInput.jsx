@@ -0,0 +1,44 @@
+import React from "react";
+import { Input } from "@/components/ui/input";
+import { colorLabel } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+
+const TIE_TOTALS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+/**
+ * Aposta opcional da próxima rodada: vai junto com o resultado registrado
+ * pelos botões Red/Blue/Tie. `value` = { side: "" | "R" | "B" | "T", amount, tieTotal }.
+ */
+export function StakeInput({ value, onChange, disabled = false }) {
+  const { t } = useI18n();
+  const set = (patch) => onChange({ ...value, ...patch });
+  return (
+    <div className="flex gap-2 flex-wrap items-end text-sm">
+      <div className="grid gap-1">
+        <label className="text-zinc-600" htmlFor="stake-side">{t("stake.side")}</label>
+        <select id="stake-side" value={value.side} disabled={disabled} onChange={(e) => set({ side: e.target.value })} className="px-3 py-2 rounded-lg border text-sm">
+          <option value="">{t("stake.none")}</option>
+          {["R", "B", "T"].map((v) => <option key={v} value={v}>{colorLabel(v, t)}</option>)}
+        </select>
+      </div>
+      {value.side && (
+        <div className="grid gap-1 w-28">
+          <label className="text-zinc-600" htmlFor="stake-amount">{t("stake.amount")}</label>
+          <Input id="stake-amount" type="number" min={0} step="any" value={value.amount} disabled={disabled} onChange={(e) => set({ amount: e.target.value })} />
+        </div>
+      )}
+      {value.side === "T" && (
+        <div className="grid gap-1">
+          <label className="text-zinc-600" htmlFor="stake-tie-total">{t("stake.tieTotal")}</label>
+          <select id="stake-tie-total" value={value.tieTotal} disabled={disabled} onChange={(e) => set({ tieTotal: e.target.value })} className="px-3 py-2 rounded-lg border text-sm">
+            <option value="">{t("stake.tieUnknown")}</option>
+            {TIE_TOTALS.map((n) => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </div>
+      )}
+      {disabled && <span className="text-xs text-red-700 pb-2">{t("stake.blocked")}</span>}
+    </div>
+  );
+}
+
+export default StakeInput;
@@ -0,0 +1,28 @@
+import React from "react";
+import { messageText } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+import { AlertTriangle, X } from "lucide-react";
+
+/**
+ * Avisos do armazenamento (dados corrompidos, cota cheia, IndexedDB ausente).
+ * Ficam visíveis até o usuário dispensar.
+ */
+export function StorageWarnings({ warnings, onDismiss }) {
+  const { t } = useI18n();
+  if (!warnings.length) return null;
+  return (
+    <div className="grid gap-2" role="alert">
+      {warnings.map((w, i) => (
+        <div key={i} className="flex items-start gap-2 p-3 rounded-2xl border border-amber-300 bg-amber-50 text-sm text-amber-900">
+          <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" aria-hidden />
+          <span className="flex-1">{messageText(w, t)}</span>
+          <button onClick={() => onDismiss(w)} className="text-amber-700 hover:text-amber-900" aria-label={t("common.dismiss")}>
+            <X className="w-4 h-4" aria-hidden />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default StorageWarnings;
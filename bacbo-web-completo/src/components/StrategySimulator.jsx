@@ -0,0 +1,263 @@
+import React, { useMemo, useState } from "react";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { CONDITIONS, DEFAULT_RULES, normalizeRule, replayRule, ruleName, summarize, theoreticalEdge } from "@/strategy";
+import { useStrategySimulation } from "@/strategy/useStrategySimulation";
+import { usePersistentState } from "@/lib/usePersistentState";
+import { useI18n } from "@/i18n/useI18n";
+import { Play, Plus, RotateCcw, Square, Trash2 } from "lucide-react";
+
+const RULES_KEY = "bacbo-strategy-rules";
+const fmt = (x, digits = 2) => (x == null || Number.isNaN(x) ? "—" : x.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+const pct = (x) => (x == null ? "—" : `${(x * 100).toFixed(2)}%`);
+const signedPct = (x) => (x == null ? "—" : `${x > 0 ? "+" : ""}${(x * 100).toFixed(2)}%`);
+
+function RuleEditor({ rule, index, onChange, onRemove }) {
+  const { t } = useI18n();
+  const set = (patch) => onChange({ ...rule, ...patch });
+  return (
+    <div className="grid gap-2 p-3 rounded-2xl border text-sm">
+      <div className="flex gap-2">
+        <Input value={rule.name} onChange={(e) => set({ name: e.target.value })} placeholder={ruleName(rule, index, t)} aria-label={t("strategy.ruleName")} />
+        <Button onClick={onRemove} variant="ghost" className="rounded-2xl" title={t("strategy.removeRule")} aria-label={t("strategy.removeRule")}><Trash2 className="w-4 h-4" aria-hidden/></Button>
+      </div>
+      <div className="flex gap-2 flex-wrap items-center">
+        <select value={rule.when} onChange={(e) => set({ when: e.target.value })} className="px-3 py-2 rounded-lg border text-sm" aria-label={t("strategy.condition")}>
+          {Object.keys(CONDITIONS).map((key) => <option key={key} value={key}>{t(`strategy.conditions.${key}.label`)}</option>)}
+        </select>
+        <Input type="number" min={1} value={rule.min} onChange={(e) => set({ min: e.target.value })} className="w-20" aria-label={t("strategy.threshold")} />
+        <span className="text-zinc-600">{CONDITIONS[rule.when] && t(`strategy.conditions.${rule.when}.unit`)}</span>
+      </div>
+      <div className="flex gap-2 flex-wrap items-center">
+        <select value={rule.action} onChange={(e) => set({ action: e.target.value })} className="px-3 py-2 rounded-lg border text-sm" aria-label={t("strategy.action")}>
+          <option value="follow">{t("strategy.follow")}</option>
+          <option value="against">{t("strategy.against")}</option>
+        </select>
+        <label className="text-zinc-600" htmlFor={`rule-unit-${rule.id}`}>{t("strategy.stake")}</label>
+        <Input id={`rule-unit-${rule.id}`} type="number" min={0} step="any" value={rule.unit} onChange={(e) => set({ unit: e.target.value })} className="w-24" />
+        <select value={rule.progression} onChange={(e) => set({ progression: e.target.value })} className="px-3 py-2 rounded-lg border text-sm" aria-label={t("strategy.progression")}>
+          <option value="flat">{t("strategy.flat")}</option>
+          <option value="martingale">Martingale</option>
+        </select>
+        {rule.progression === "martingale" && (
+          <>
+            <label className="text-zinc-600" htmlFor={`rule-steps-${rule.id}`}>{t("strategy.upTo")}</label>
+            <Input id={`rule-steps-${rule.id}`} type="number" min={1} max={20} value={rule.maxSteps ?? 5} onChange={(e) => set({ maxSteps: e.target.value })} className="w-20" />
+            <span className="text-zinc-600">{t("strategy.doublings")}</span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ResultsTable({ rules, names, results, edge, simulated }) {
+  const { t } = useI18n();
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-zinc-600">
+            <th className="py-1 pr-3">{t("strategy.table.rule")}</th>
+            <th className="py-1 pr-3">{t("strategy.table.bets")}</th>
+            <th className="py-1 pr-3">{t("strategy.table.hitRate")}</th>
+            <th className="py-1 pr-3">{t("strategy.table.evPerBet")}</th>
+            <th className="py-1 pr-3">{t("strategy.table.evPerUnit")}</th>
+            <th className="py-1 pr-3">{t("strategy.table.variance")}</th>
+            {simulated ? (
+              <>
+                <th className="py-1 pr-3">{t("strategy.table.finalPercentiles")}</th>
+                <th className="py-1 pr-3">{t("strategy.table.profit")}</th>
+                <th className="py-1 pr-3">{t("strategy.table.ruin")}</th>
+              </>
+            ) : (
+              <>
+                <th className="py-1 pr-3">{t("strategy.table.final")}</th>
+                <th className="py-1 pr-3">{t("strategy.table.maxDrawdown")}</th>
+              </>
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map((rule) => {
+            const r = results[rule.id];
+            if (!r) return null;
+            return (
+              <tr key={rule.id} className="border-t">
+                <td className="py-1 pr-3">{names[rule.id]}</td>
+                <td className="py-1 pr-3">{simulated ? fmt(r.bets / r.trials, 1) : r.bets}</td>
+                <td className="py-1 pr-3">{pct(r.hitRate)}</td>
+                <td className="py-1 pr-3">{fmt(r.evPerBet, 3)}</td>
+                <td className={`py-1 pr-3 ${r.evPerUnit != null && r.evPerUnit < edge ? "text-red-700" : ""}`}>{signedPct(r.evPerUnit)}</td>
+                <td className="py-1 pr-3">{fmt(r.variance)}</td>
+                {simulated ? (
+                  <>
+                    <td className="py-1 pr-3">{fmt(r.finalP5)} / {fmt(r.finalP50)} / {fmt(r.finalP95)}</td>
+                    <td className="py-1 pr-3">{pct(r.profitRate)}</td>
+                    <td className="py-1 pr-3">{pct(r.ruinRate)}</td>
+                  </>
+                ) : (
+                  <>
+                    <td className="py-1 pr-3">{fmt(r.finalBankroll)}{r.ruined ? ` (${t("strategy.table.ruined")})` : ""}</td>
+                    <td className="py-1 pr-3">{fmt(r.maxDrawdown)}</td>
+                  </>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {simulated && <p className="text-xs text-zinc-600 mt-2">{t("strategy.table.betsNote")}</p>}
+    </div>
+  );
+}
+
+/**
+ * Aba "Simulador": regras de aposta baseadas nos sinais (streak, zebra, viés),
+ * reproduzidas no histórico das sessões selecionadas e em milhares de
+ * sequências aleatórias de uma mesa justa (Web Worker). Usa a tabela de
+ * pagamentos da banca (`ledger` é o objeto de `useLedger`).
+ */
+export function StrategySimulator({ segments, ledger }) {
+  const { t } = useI18n();
+  const [storedRules, setStoredRules] = usePersistentState(RULES_KEY, DEFAULT_RULES);
+  const [bankroll, setBankroll] = useState(1000);
+  const [rounds, setRounds] = useState(200);
+  const [trials, setTrials] = useState(2000);
+  const [replay, setReplay] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const sim = useStrategySimulation();
+
+  const rules = useMemo(() => storedRules.map(normalizeRule).filter(Boolean), [storedRules]);
+  const names = useMemo(() => Object.fromEntries(storedRules.map((r, i) => [normalizeRule(r, i)?.id, ruleName(r, i, t)])), [storedRules, t]);
+  const paytable = ledger.settings.paytable;
+  const edge = theoreticalEdge(paytable);
+  const roundsRecorded = segments.reduce((n, s) => n + s.history.length, 0);
+
+  const updateRule = (i, rule) => setStoredRules(storedRules.map((r, j) => (j === i ? rule : r)));
+  const removeRule = (i) => setStoredRules(storedRules.filter((_, j) => j !== i));
+  const addRule = () =>
+    setStoredRules([...storedRules, { ...DEFAULT_RULES[0], id: `rule-${Date.now()}`, name: "" }]);
+
+  function handleReplay() {
+    const seqs = segments.map((s) => s.history.map((r) => r.v));
+    const results = Object.fromEntries(rules.map((rule) => [rule.id, summarize(replayRule(rule, seqs, { paytable, bankroll }))]));
+    setReplay({ results, rounds: roundsRecorded });
+  }
+
+  function handleSimulate() {
+    sim.run({ rules, n: rounds, trials, paytable, bankroll });
+  }
+
+  const chartRule = rules.find((r) => r.id === selected) || rules[0];
+  const chartData = chartRule && sim.results?.[chartRule.id]?.histogram.map((b) => ({ faixa: fmt((b.from + b.to) / 2, 0), count: b.count }));
+
+  return (
+    <div className="grid gap-4">
+      <p className="text-xs text-zinc-600">
+        {t("strategy.intro", { edge: signedPct(edge) })}
+      </p>
+      <div className="grid md:grid-cols-3 gap-4">
+        <Card className="md:col-span-2">
+          <CardHeader>
+            <CardTitle>{t("strategy.rules.title")}</CardTitle>
+            <CardDescription>{t("strategy.rules.description")}</CardDescription>
+          </CardHeader>
+          <CardContent className="grid gap-3">
+            {storedRules.map((rule, i) => (
+              <RuleEditor key={rule.id || i} rule={rule} index={i} onChange={(r) => updateRule(i, r)} onRemove={() => removeRule(i)} />
+            ))}
+            <div className="flex gap-2 flex-wrap">
+              <Button onClick={addRule} variant="outline" className="rounded-2xl"><Plus className="w-4 h-4 mr-2" aria-hidden/>{t("strategy.rules.add")}</Button>
+              <Button onClick={() => setStoredRules(DEFAULT_RULES)} variant="ghost" className="rounded-2xl"><RotateCcw className="w-4 h-4 mr-2" aria-hidden/>{t("strategy.rules.reset")}</Button>
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>{t("strategy.run.title")}</CardTitle>
+            <CardDescription>{t("strategy.run.description")}</CardDescription>
+          </CardHeader>
+          <CardContent className="grid gap-3 text-sm">
+            <div className="grid gap-1">
+              <label className="text-zinc-600" htmlFor="strategy-bankroll">{t("strategy.run.bankroll")}</label>
+              <Input id="strategy-bankroll" type="number" min={0} value={bankroll} onChange={(e) => setBankroll(Math.max(0, Number(e.target.value) || 0))} />
+            </div>
+            <Button onClick={handleReplay} disabled={!rules.length || !roundsRecorded} className="rounded-2xl">
+              <Play className="w-4 h-4 mr-2" aria-hidden/>{t("strategy.run.replay", { count: roundsRecorded })}
+            </Button>
+            <div className="grid grid-cols-2 gap-2">
+              <div className="grid gap-1">
+                <label className="text-zinc-600" htmlFor="strategy-rounds">{t("strategy.run.rounds")}</label>
+                <Input id="strategy-rounds" type="number" min={10} max={10000} value={rounds} onChange={(e) => setRounds(Math.max(10, Math.min(10000, parseInt(e.target.value || "10"))))} />
+              </div>
+              <div className="grid gap-1">
+                <label className="text-zinc-600" htmlFor="strategy-trials">{t("strategy.run.trials")}</label>
+                <Input id="strategy-trials" type="number" min={100} max={100000} value={trials} onChange={(e) => setTrials(Math.max(100, Math.min(100000, parseInt(e.target.value || "100"))))} />
+              </div>
+            </div>
+            {sim.status === "running" ? (
+              <Button onClick={sim.stop} variant="outline" className="rounded-2xl"><Square className="w-4 h-4 mr-2" aria-hidden/>{t("strategy.run.stop", { percent: Math.round(sim.progress * 100) })}</Button>
+            ) : (
+              <Button onClick={handleSimulate} disabled={!rules.length} variant="secondary" className="rounded-2xl"><Play className="w-4 h-4 mr-2" aria-hidden/>{t("strategy.run.simulate")}</Button>
+            )}
+            {sim.error && <p className="text-xs text-red-700" role="alert">{sim.error}</p>}
+            {sim.params && sim.params.trials !== trials && sim.status !== "error" && (
+              <p className="text-xs text-zinc-600">{t("strategy.run.capped", { count: sim.params.trials })}</p>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {replay && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{t("strategy.replay.title")}</CardTitle>
+            <CardDescription>{t("strategy.replay.description", { count: replay.rounds })}</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ResultsTable rules={rules} names={names} results={replay.results} edge={edge} />
+          </CardContent>
+        </Card>
+      )}
+
+      {sim.results && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{t("strategy.simulated.title")}</CardTitle>
+            <CardDescription>{t("strategy.simulated.description", { trials: sim.params.trials, rounds: sim.params.n })}</CardDescription>
+          </CardHeader>
+          <CardContent className="grid gap-4">
+            <ResultsTable rules={rules} names={names} results={sim.results} edge={edge} simulated />
+            {chartData && (
+              <div className="grid gap-2">
+                <div className="flex items-center gap-2 text-sm">
+                  <label className="text-zinc-600" htmlFor="strategy-chart-rule">{t("strategy.simulated.finalOf")}</label>
+                  <select id="strategy-chart-rule" value={chartRule.id} onChange={(e) => setSelected(e.target.value)} className="px-3 py-2 rounded-lg border text-sm">
+                    {rules.filter((r) => sim.results[r.id]).map((r) => <option key={r.id} value={r.id}>{names[r.id]}</option>)}
+                  </select>
+                </div>
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={chartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="faixa" />
+                      <YAxis allowDecimals={false} />
+                      <Tooltip />
+                      <Bar dataKey="count" name={t("strategy.simulated.sequences")} fill="#2563eb" isAnimationActive={false} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+export default StrategySimulator;
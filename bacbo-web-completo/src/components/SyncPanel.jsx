@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { MIN_INTERVAL_SEC, normalizeSyncSettings } from "@/sync";
+import { messageText } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+import { RefreshCw, Users } from "lucide-react";
+
+// rótulos em sync.states.<estado>
+const STATE_CLASSES = {
+  off: "bg-zinc-100 text-zinc-600",
+  idle: "bg-zinc-100 text-zinc-600",
+  syncing: "bg-blue-50 text-blue-700",
+  ok: "bg-emerald-50 text-emerald-700",
+  offline: "bg-amber-50 text-amber-800",
+  error: "bg-amber-100 text-amber-800",
+};
+
+const fmtTime = (ts) => (ts ? new Date(ts).toLocaleTimeString() : "—");
+
+/**
+ * Sincronização com o servidor da equipe (ver src/sync): endereço, token,
+ * nome que aparece nas rodadas registradas aqui e status da fila.
+ * Recebe o objeto de `useSync`.
+ */
+export function SyncPanel({ sync }) {
+  const { t } = useI18n();
+  const { settings, setSettings, status, syncNow } = sync;
+  const [form, setForm] = useState(settings);
+  const field = (key) => ({ value: form[key], onChange: (e) => setForm({ ...form, [key]: e.target.value }) });
+  const known = status.state in STATE_CLASSES;
+  const label = known ? t(`sync.states.${status.state}`) : status.state;
+  const cls = known ? STATE_CLASSES[status.state] : "bg-zinc-100 text-zinc-600";
+
+  function apply() {
+    const next = normalizeSyncSettings({ ...form, enabled: true });
+    if (!next.url) return;
+    setForm(next);
+    setSettings(next);
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("sync.title")}</CardTitle>
+        <CardDescription>
+          {t("sync.description")} (<code>npm run sync-server</code>). {t("sync.offline")}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-3">
+        <div className="grid gap-2">
+          <label className="text-sm text-zinc-600" htmlFor="sync-url">{t("sync.server")}</label>
+          <Input id="sync-url" {...field("url")} placeholder="http://192.168.0.10:8788" />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div className="grid gap-2">
+            <label className="text-sm text-zinc-600" htmlFor="sync-name">{t("sync.name")}</label>
+            <Input id="sync-name" {...field("name")} placeholder={t("sync.namePlaceholder")} maxLength={40} />
+          </div>
+          <div className="grid gap-2">
+            <label className="text-sm text-zinc-600" htmlFor="sync-token">{t("sync.token")}</label>
+            <Input id="sync-token" type="password" {...field("token")} autoComplete="off" />
+          </div>
+        </div>
+        <div className="grid gap-2">
+          <label className="text-sm text-zinc-600" htmlFor="sync-interval">{t("sync.interval", { min: MIN_INTERVAL_SEC })}</label>
+          <Input id="sync-interval" type="number" min={MIN_INTERVAL_SEC} {...field("intervalSec")} />
+        </div>
+        <div className="flex gap-2 flex-wrap">
+          <Button onClick={apply} disabled={!form.url?.trim()} className="rounded-2xl"><Users className="w-4 h-4 mr-2" aria-hidden/>{settings.enabled ? t("common.apply") : t("sync.turnOn")}</Button>
+          {settings.enabled && (
+            <>
+              <Button onClick={syncNow} variant="outline" className="rounded-2xl"><RefreshCw className="w-4 h-4 mr-2" aria-hidden/>{t("sync.now")}</Button>
+              <Button onClick={() => setSettings({ ...settings, enabled: false })} variant="ghost" className="rounded-2xl">{t("sync.turnOff")}</Button>
+            </>
+          )}
+        </div>
+        <div className="grid gap-2 text-sm" aria-live="polite">
+          <div className="flex justify-between items-center">
+            <span>{t("feed.status")}</span>
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${cls}`}>{label}</span>
+          </div>
+          <div className="flex justify-between"><span>{t("sync.pending")}</span><span className="font-medium">{status.pending}</span></div>
+          <div className="flex justify-between"><span>{t("sync.lastSync")}</span><span className="font-medium">{fmtTime(status.lastSync)}</span></div>
+          {status.error && (
+            <div className="flex justify-between gap-2"><span>{t("sync.error")}</span><span className="font-medium text-right">{messageText(status.error, t)}</span></div>
+          )}
+        </div>
+        <p className="text-xs text-zinc-600">
+          {t("sync.conflicts")}
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default SyncPanel;
@@ -0,0 +1,224 @@
+import React, { useMemo, useState } from "react";
+import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { HOURS, cadence, detectGaps, heatmap, isTimed, normalizeGapSettings, DEFAULT_GAP_SETTINGS } from "@/time";
+import { sessionLabel, sessionName } from "@/sessions/model";
+import { usePersistentState } from "@/lib/usePersistentState";
+import { useI18n } from "@/i18n/useI18n";
+import { Scissors } from "lucide-react";
+
+// Célula com menos rodadas que isto não entra na escala de porcentagem
+const MIN_CELL = 5;
+
+// rótulos em time.metrics.<chave>
+const METRICS = {
+  total: "82, 82, 91",
+  R: "220, 38, 38",
+  B: "37, 99, 235",
+  T: "5, 150, 105",
+};
+
+const duration = (ms) => {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.round(s / 60);
+  return m < 60 ? `${m} min` : `${Math.floor(m / 60)}h${String(m % 60).padStart(2, "0")}`;
+};
+const dateTime = (ms) => new Date(ms).toLocaleString(undefined, { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" });
+const bucketLabel = (ms, t) => (ms >= 86_400_000 ? t("time.days", { count: ms / 86_400_000 }) : ms >= 3_600_000 ? `${ms / 3_600_000}h` : `${ms / 60_000} min`);
+
+function Heatmap({ rounds }) {
+  const { t } = useI18n();
+  const weekday = (d) => t(`time.weekdays.${d}`);
+  const [metric, setMetric] = useState("total");
+  const { cells, max, timed } = useMemo(() => heatmap(rounds), [rounds]);
+  const value = (c) => (metric === "total" ? c.total : c.total ? c[metric] / c.total : 0);
+  const scale = metric === "total" ? max : Math.max(0, ...cells.flat().filter((c) => c.total >= MIN_CELL).map(value));
+
+  return (
+    <Card className="md:col-span-2">
+      <CardHeader>
+        <CardTitle>{t("time.heatmap.title")}</CardTitle>
+        <CardDescription>{t("time.heatmap.description", { count: timed, min: MIN_CELL })}</CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-3">
+        <select value={metric} onChange={(e) => setMetric(e.target.value)} className="px-3 py-2 rounded-lg border text-sm w-40" aria-label={t("time.heatmap.metric")}>
+          {Object.keys(METRICS).map((key) => <option key={key} value={key}>{t(`time.metrics.${key}`)}</option>)}
+        </select>
+        <div className="overflow-x-auto">
+          <table className="text-[10px] border-separate" style={{ borderSpacing: 2 }}>
+            <thead>
+              <tr>
+                <th />
+                {HOURS.map((h) => <th key={h} className="font-normal text-zinc-500 w-5">{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {cells.map((row, d) => (
+                <tr key={d}>
+                  <th className="font-normal text-zinc-600 pr-1 text-left">{weekday(d)}</th>
+                  {row.map((c, h) => {
+                    const sparse = metric !== "total" && c.total < MIN_CELL;
+                    const alpha = !c.total || sparse || !scale ? 0 : 0.15 + 0.85 * (value(c) / scale);
+                    return (
+                      <td
+                        key={h}
+                        title={t("time.heatmap.cell", { day: weekday(d), hour: h, count: c.total, R: c.R, B: c.B, T: c.T })}
+                        className={`w-5 h-5 rounded ${sparse && c.total ? "border border-dashed border-zinc-300" : ""}`}
+                        style={{ background: alpha ? `rgba(${METRICS[metric]}, ${alpha.toFixed(2)})` : "#f4f4f5" }}
+                      />
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function Cadence({ rounds }) {
+  const { t } = useI18n();
+  const { bucketMs, points } = useMemo(() => cadence(rounds), [rounds]);
+  const data = points.map((p) => ({ hora: dateTime(p.t), perMinute: Number(p.perMinute.toFixed(2)) }));
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t("time.cadence.title")}</CardTitle>
+        <CardDescription>{t("time.cadence.description", { bucket: bucketLabel(bucketMs, t) })}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {data.length ? (
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={data}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="hora" minTickGap={24} />
+                <YAxis allowDecimals />
+                <Tooltip />
+                <Area type="stepAfter" dataKey="perMinute" name={t("time.cadence.perMinute")} stroke="#2563eb" fill="#bfdbfe" isAnimationActive={false} />
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <p className="text-sm text-zinc-600">{t("time.cadence.empty")}</p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function GapSettings({ form, setForm }) {
+  const { t } = useI18n();
+  const field = (key) => (
+    <div className="grid gap-1">
+      <label className="text-zinc-600" htmlFor={`gap-${key}`}>{t(`time.gapFields.${key}`)}</label>
+      <Input id={`gap-${key}`} type="number" min={1} step="any" value={form[key]} onChange={(e) => setForm({ ...form, [key]: e.target.value })} />
+    </div>
+  );
+  return (
+    <div className="grid grid-cols-3 gap-2 text-sm">
+      {field("factor")}
+      {field("minGapSeconds")}
+      {field("breakMinutes")}
+    </div>
+  );
+}
+
+/**
+ * Aba "Horários": mapa de calor por dia/hora, cadência e lacunas entre
+ * rodadas das sessões do escopo, com a opção de dividir uma sessão nas
+ * lacunas escolhidas. Recebe o objeto de `useSessions`.
+ */
+export function TimeAnalytics({ sessions: s }) {
+  const { t } = useI18n();
+  const [form, setForm] = usePersistentState("bacbo-gap-settings", DEFAULT_GAP_SETTINGS);
+  const settings = normalizeGapSettings(form);
+  const [picked, setPicked] = useState({}); // "sessão:índice" → marcada; sem entrada = marcada se for pausa
+
+  const rounds = useMemo(() => s.segments.flatMap((seg) => seg.history), [s.segments]);
+  const approx = useMemo(() => rounds.filter((r) => !isTimed(r)).length, [rounds]);
+  const perSession = useMemo(
+    () =>
+      s.segments
+        .map((seg) => ({ session: s.sessions.find((x) => x.id === seg.key), ...detectGaps(seg.history, settings) }))
+        .filter((x) => x.session),
+    [s.segments, s.sessions, settings.factor, settings.minGapSeconds, settings.breakMinutes]
+  );
+
+  const isPicked = (id, gap) => picked[`${id}:${gap.index}`] ?? gap.kind === "break";
+
+  function split({ session, gaps }) {
+    const cuts = gaps.filter((g) => isPicked(session.id, g)).map((g) => g.index);
+    if (!cuts.length) return;
+    if (!confirm(t("time.confirmSplit", { name: sessionName(session, t), count: cuts.length + 1 }))) return;
+    s.splitSession(session.id, cuts);
+    setPicked({});
+  }
+
+  return (
+    <div className="grid gap-4">
+      {approx > 0 && (
+        <p className="text-xs text-zinc-600">{t("time.untimed", { count: approx })}</p>
+      )}
+      <div className="grid md:grid-cols-3 gap-4">
+        <Heatmap rounds={rounds} />
+        <Cadence rounds={rounds} />
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{t("time.gaps.title")}</CardTitle>
+          <CardDescription>{t("time.gaps.description")}</CardDescription>
+        </CardHeader>
+        <CardContent className="grid gap-4">
+          <GapSettings form={form} setForm={setForm} />
+          {perSession.map((x) => {
+            const marked = x.gaps.filter((g) => isPicked(x.session.id, g)).length;
+            return (
+              <div key={x.session.id} className="grid gap-2 text-sm">
+                <div className="flex items-center justify-between gap-2 flex-wrap">
+                  <span className="font-medium">{sessionLabel(x.session, t)}</span>
+                  <span className="text-xs text-zinc-600">
+                    {x.median == null ? t("time.gaps.fewTimed") : t("time.gaps.summary", { median: duration(x.median), threshold: duration(x.threshold), count: x.gaps.length })}
+                  </span>
+                </div>
+                {x.gaps.length > 0 && (
+                  <>
+                    <ul className="grid gap-1">
+                      {x.gaps.map((g) => (
+                        <li key={g.index} className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={isPicked(x.session.id, g)}
+                            aria-label={t("time.gaps.pick", { position: g.index + 1 })}
+                            onChange={(e) => setPicked((p) => ({ ...p, [`${x.session.id}:${g.index}`]: e.target.checked }))}
+                          />
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${g.kind === "break" ? "bg-zinc-100 text-zinc-700" : "bg-amber-100 text-amber-800"}`}>
+                            {g.kind === "break" ? t("time.gaps.break") : t("time.gaps.missing", { count: g.missing })}
+                          </span>
+                          <span>{t("time.gaps.range", { from: dateTime(g.from), to: dateTime(g.to), duration: duration(g.durationMs), position: g.index + 1 })}</span>
+                        </li>
+                      ))}
+                    </ul>
+                    <div>
+                      <Button onClick={() => split(x)} disabled={!marked} variant="outline" className="rounded-2xl">
+                        <Scissors className="w-4 h-4 mr-2" aria-hidden/>{t("time.gaps.split", { count: marked + 1 })}
+                      </Button>
+                    </div>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default TimeAnalytics;
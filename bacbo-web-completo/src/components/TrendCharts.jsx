@@ -0,0 +1,96 @@
+import React, { useMemo } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceArea, ReferenceLine, Brush } from "recharts";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { colorLabel } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+import { TREND_WINDOWS, confidenceBands, outsideBands, rollingShares } from "@/trends";
+
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+// traço próprio de cada cor, para as linhas não dependerem só da cor
+const DASH = { R: undefined, B: "8 4", T: "2 3" };
+
+/** Seletor da janela recente, compartilhado pelo Resumo e pelas tendências */
+export function WindowSelect({ value, onChange, className = "" }) {
+  const { t } = useI18n();
+  return (
+    <select value={value} onChange={(e) => onChange(Number(e.target.value))} className={`px-3 py-2 rounded-lg border text-sm ${className}`} aria-label={t("trends.window")}>
+      {TREND_WINDOWS.map((w) => <option key={w} value={w}>{t("trends.last", { count: w })}</option>)}
+    </select>
+  );
+}
+
+function ShareChart({ data, bands, series, height, brush }) {
+  const { t } = useI18n();
+  const [first] = series;
+  const band = bands[first.key];
+  const domain = [0, Math.min(1, Math.max(band.hi * 1.6, ...data.map((d) => Math.max(...series.map((s) => d[s.key])))))];
+  return (
+    <div style={{ height }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data} syncId="trends">
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="round" />
+          <YAxis domain={domain} tickFormatter={pct} width={48} />
+          <Tooltip formatter={(v) => pct(v)} labelFormatter={(r) => t("trends.round", { round: r })} />
+          <ReferenceArea y1={band.lo} y2={band.hi} fill="#e4e4e7" fillOpacity={0.6} />
+          <ReferenceLine y={band.p} stroke="#71717a" strokeDasharray="4 4" />
+          {series.map((s) => <Line key={s.key} type="monotone" dataKey={s.key} name={s.name} stroke={s.color} strokeDasharray={DASH[s.key]} strokeWidth={2} dot={false} isAnimationActive={false} />)}
+          {brush && <Brush dataKey="round" height={24} travellerWidth={8} />}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+/**
+ * Participação de cada cor em janela móvel sobre o histórico do escopo, com
+ * a faixa de 95% em torno da probabilidade do jogo. As janelas atravessam
+ * as sessões do escopo. O Brush (embaixo) recorta os dois gráficos juntos.
+ */
+export function TrendCharts({ history, window, onWindowChange }) {
+  const { t } = useI18n();
+  const values = useMemo(() => history.map((r) => r.v), [history]);
+  const { step, points } = useMemo(() => rollingShares(values, window), [values, window]);
+  const bands = useMemo(() => confidenceBands(window), [window]);
+  const outside = useMemo(() => outsideBands(points, bands), [points, bands]);
+
+  return (
+    <Card className="md:col-span-3">
+      <CardHeader>
+        <div className="flex items-start justify-between gap-2 flex-wrap">
+          <div>
+            <CardTitle>{t("trends.title")}</CardTitle>
+            <CardDescription>
+              {t("trends.description", { rb: `${pct(bands.R.lo)}–${pct(bands.R.hi)}`, tie: `${pct(bands.T.lo)}–${pct(bands.T.hi)}` })}
+              {step > 1 && ` ${t("trends.step", { count: step })}`}
+            </CardDescription>
+          </div>
+          <WindowSelect value={window} onChange={onWindowChange} />
+        </div>
+      </CardHeader>
+      <CardContent className="grid gap-2">
+        {points.length ? (
+          <>
+            <ShareChart
+              data={points}
+              bands={bands}
+              height={220}
+              series={[
+                { key: "R", name: colorLabel("R", t), color: "#dc2626" },
+                { key: "B", name: colorLabel("B", t), color: "#2563eb" },
+              ]}
+            />
+            <ShareChart data={points} bands={bands} height={190} brush series={[{ key: "T", name: colorLabel("T", t), color: "#059669" }]} />
+            <p className="text-xs text-zinc-600">
+              {t("trends.outside", { R: pct(outside.R / points.length), B: pct(outside.B / points.length), T: pct(outside.T / points.length) })}
+            </p>
+          </>
+        ) : (
+          <p className="text-sm text-zinc-600">{t("trends.notEnough", { count: window })}</p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default TrendCharts;
@@ -0,0 +1,30 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { useI18n } from "@/i18n/useI18n";
+import { useServiceWorker } from "@/pwa/useServiceWorker";
+import { RefreshCw, WifiOff, X } from "lucide-react";
+
+/**
+ * Avisos do app instalável: versão nova pronta (atualiza só quando o
+ * usuário pede, para não recarregar no meio de um registro) e app pronto
+ * para uso offline.
+ */
+export function UpdatePrompt() {
+  const { t } = useI18n();
+  const { updateReady, offlineReady, applyUpdate, dismiss } = useServiceWorker();
+  if (!updateReady && !offlineReady) return null;
+  return (
+    <div className="flex items-center gap-2 p-3 rounded-2xl border border-sky-300 bg-sky-50 text-sm text-sky-900" role="status">
+      {updateReady ? <RefreshCw className="w-4 h-4 shrink-0" aria-hidden /> : <WifiOff className="w-4 h-4 shrink-0" aria-hidden />}
+      <span className="flex-1">{updateReady ? t("pwa.updateReady") : t("pwa.offlineReady")}</span>
+      {updateReady && (
+        <Button onClick={applyUpdate} variant="outline" className="rounded-2xl">{t("pwa.updateNow")}</Button>
+      )}
+      <button onClick={dismiss} className="text-sky-700 hover:text-sky-900" aria-label={updateReady ? t("pwa.later") : t("common.dismiss")}>
+        <X className="w-4 h-4" aria-hidden />
+      </button>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
@@ -1,21 +1,50 @@
-import React, { createContext, useContext, useState } from "react";
+import React, { createContext, useContext, useId, useState } from "react";
+import { nextTabIndex } from "@/a11y";
 const Ctx = createContext({});
-export function Tabs({ children, defaultValue }) {
-  const [active, setActive] = useState(defaultValue);
-  return <Ctx.Provider value={{ active, setActive }}>{children}</Ctx.Provider>;
+// ids ligando aba e painel (aria-controls / aria-labelledby)
+const ids = (base, value) => ({ tab: `${base}-tab-${value}`, panel: `${base}-panel-${value}` });
+export function Tabs({ children, defaultValue, value, onValueChange, className = "" }) {
+  const [own, setOwn] = useState(defaultValue);
+  const base = useId();
+  // controlado quando recebe `value` (ex.: aba guardada entre recarregamentos)
+  const active = value ?? own;
+  const setActive = (v) => (onValueChange ? onValueChange(v) : setOwn(v));
+  return <Ctx.Provider value={{ active, setActive, base }}><div className={className}>{children}</div></Ctx.Provider>;
+}
+// Setas/Home/End movem o foco e já ativam a aba (padrão WAI-ARIA com ativação automática)
+function onListKeyDown(e) {
+  const tabs = [...e.currentTarget.querySelectorAll('[role="tab"]:not([disabled])')];
+  const next = nextTabIndex(e.key, tabs.indexOf(document.activeElement), tabs.length);
+  if (next == null) return;
+  e.preventDefault();
+  tabs[next].focus();
+  tabs[next].click();
+}
+export function TabsList({ children, label }) {
+  return <div role="tablist" aria-label={label} onKeyDown={onListKeyDown} className="flex flex-wrap gap-2 mb-3">{children}</div>;
 }
-export function TabsList({ children }) { return <div className="flex gap-2 mb-3">{children}</div>; }
 export function TabsTrigger({ children, value }) {
-  const { active, setActive } = useContext(Ctx);
+  const { active, setActive, base } = useContext(Ctx);
   const isActive = active === value;
+  const id = ids(base, value);
   return (
-    <button onClick={() => setActive(value)} className={`px-3 py-1 rounded ${isActive ? "bg-zinc-200" : "bg-transparent"}`}>
+    <button
+      type="button"
+      role="tab"
+      id={id.tab}
+      aria-selected={isActive}
+      aria-controls={id.panel}
+      tabIndex={isActive ? 0 : -1}
+      onClick={() => setActive(value)}
+      className={`px-3 py-1 rounded focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-zinc-900 ${isActive ? "bg-zinc-200" : "bg-transparent"}`}
+    >
       {children}
     </button>
   );
 }
 export function TabsContent({ children, value }) {
-  const { active } = useContext(Ctx);
-  return active === value ? <div>{children}</div> : null;
+  const { active, base } = useContext(Ctx);
+  const id = ids(base, value);
+  return active === value ? <div role="tabpanel" id={id.panel} aria-labelledby={id.tab} tabIndex={0} className="focus-visible:outline-none">{children}</div> : null;
 }
 export default Tabs;
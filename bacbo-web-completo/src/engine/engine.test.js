@@ -0,0 +1,278 @@
+import { describe, expect, it } from "vitest";
+import { computeStats, createStatsEngine, markEdit, syncEngine } from "./index";
+
+// Cópia fiel do computeStats original do App (referência para comparação)
+function legacyComputeStats(history) {
+  const lastN = (n) => history.slice(-n);
+  const seq = history.map((r) => r.v);
+
+  let alternations = 0;
+  let lastColor = null;
+  for (const v of seq) {
+    if (v === "T") continue;
+    if (lastColor && v !== lastColor) alternations++;
+    lastColor = v;
+  }
+
+  let currentStreak = 0;
+  let currentColor = null;
+  for (let i = seq.length - 1; i >= 0; i--) {
+    const v = seq[i];
+    if (v === "T") break;
+    if (currentColor === null) {
+      currentColor = v;
+      currentStreak = 1;
+    } else if (v === currentColor) {
+      currentStreak++;
+    } else {
+      break;
+    }
+  }
+
+  const longest = { R: 0, B: 0, T: 0 };
+  let runColor = null;
+  let runLen = 0;
+  for (const v of seq) {
+    if (runColor === v) runLen++;
+    else {
+      if (runColor) longest[runColor] = Math.max(longest[runColor], runLen);
+      runColor = v;
+      runLen = 1;
+    }
+  }
+  if (runColor) longest[runColor] = Math.max(longest[runColor], runLen);
+
+  const dist = {
+    R: { 1: 0, 2: 0, 3: 0, 4: 0, "5": 0, "6+": 0 },
+    B: { 1: 0, 2: 0, 3: 0, 4: 0, "5": 0, "6+": 0 },
+  };
+  runColor = null;
+  runLen = 0;
+  for (const v of seq) {
+    if (v === "T") {
+      if (runColor && (runColor === "R" || runColor === "B")) {
+        const bucket = runLen >= 6 ? "6+" : runLen;
+        dist[runColor][bucket]++;
+      }
+      runColor = null;
+      runLen = 0;
+      continue;
+    }
+    if (runColor === v) runLen++;
+    else {
+      if (runColor && (runColor === "R" || runColor === "B")) {
+        const bucket = runLen >= 6 ? "6+" : runLen;
+        dist[runColor][bucket]++;
+      }
+      runColor = v;
+      runLen = 1;
+    }
+  }
+  if (runColor && (runColor === "R" || runColor === "B")) {
+    const bucket = runLen >= 6 ? "6+" : runLen;
+    dist[runColor][bucket]++;
+  }
+
+  const last20 = lastN(20).map((r) => r.v);
+  const count20 = { R: 0, B: 0, T: 0 };
+  last20.forEach((v) => count20[v]++);
+
+  let zebraMax = 0;
+  let zebraCur = 0;
+  lastColor = null;
+  for (const v of seq) {
+    if (v === "T") {
+      zebraMax = Math.max(zebraMax, zebraCur);
+      zebraCur = 0;
+      lastColor = null;
+      continue;
+    }
+    if (lastColor && v !== lastColor) zebraCur++;
+    else zebraCur = 1;
+    lastColor = v;
+    zebraMax = Math.max(zebraMax, zebraCur);
+  }
+
+  return {
+    total: history.length,
+    alternations,
+    currentStreak,
+    currentColor,
+    longest,
+    dist,
+    recent: count20,
+    window: 20,
+    zebraMax,
+  };
+}
+
+// PRNG determinístico (mulberry32) para reproduzir falhas
+function rng(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const randomColor = (rand, tieRate = 0.1) => {
+  const x = rand();
+  if (x < tieRate) return "T";
+  return x < tieRate + (1 - tieRate) / 2 ? "R" : "B";
+};
+
+const toHistory = (seq) => seq.map((v, i) => ({ id: String(i), v, ts: i }));
+
+describe("createStatsEngine", () => {
+  it("histórico vazio", () => {
+    expect(createStatsEngine().stats()).toEqual(legacyComputeStats([]));
+  });
+
+  it.each([
+    ["R"],
+    ["T"],
+    ["R", "B", "R", "B"],
+    ["R", "T", "B"],
+    ["B", "B", "T", "T", "B"],
+    ["R", "R", "R", "R", "R", "R", "R", "B"],
+  ])("casos fixos %#", (...seq) => {
+    expect(computeStats(toHistory(seq))).toEqual(legacyComputeStats(toHistory(seq)));
+  });
+
+  it("push a push bate com o cálculo completo", () => {
+    for (const seed of [1, 2, 3, 4]) {
+      const rand = rng(seed);
+      const tieRate = seed * 0.08;
+      const engine = createStatsEngine();
+      const seq = [];
+      for (let i = 0; i < 300; i++) {
+        const v = randomColor(rand, tieRate);
+        seq.push(v);
+        engine.push(v);
+        expect(engine.stats()).toEqual(legacyComputeStats(toHistory(seq)));
+      }
+    }
+  });
+
+  it("operações aleatórias (pop, removeAt, set, insertAt) bate com o cálculo completo", () => {
+    const rand = rng(42);
+    const engine = createStatsEngine();
+    const seq = [];
+    for (let step = 0; step < 3000; step++) {
+      const op = rand();
+      if (op < 0.55 || seq.length === 0) {
+        const v = randomColor(rand);
+        seq.push(v);
+        engine.push(v);
+      } else if (op < 0.7) {
+        seq.pop();
+        engine.pop();
+      } else if (op < 0.85) {
+        const i = Math.floor(rand() * seq.length);
+        seq.splice(i, 1);
+        engine.removeAt(i);
+      } else if (op < 0.95) {
+        const i = Math.floor(rand() * seq.length);
+        const v = randomColor(rand);
+        seq[i] = v;
+        engine.set(i, v);
+      } else {
+        const i = Math.floor(rand() * (seq.length + 1));
+        const v = randomColor(rand);
+        seq.splice(i, 0, v);
+        engine.insertAt(i, v);
+      }
+      expect(engine.values()).toEqual(seq);
+      expect(engine.stats()).toEqual(legacyComputeStats(toHistory(seq)));
+    }
+  });
+
+  it("janela recente configurável", () => {
+    const seq = "RRRRRBBBBBTTTTT".split("");
+    const engine = createStatsEngine(seq);
+    expect(engine.stats({ window: 5 })).toMatchObject({ recent: { R: 0, B: 0, T: 5 }, window: 5 });
+    expect(engine.stats({ window: 500 })).toMatchObject({ recent: { R: 5, B: 5, T: 5 }, window: 500 });
+  });
+
+  it("rejeita índices e valores inválidos", () => {
+    const engine = createStatsEngine(["R"]);
+    expect(() => engine.removeAt(3)).toThrow(RangeError);
+    expect(() => engine.push("X")).toThrow(TypeError);
+  });
+});
+
+describe("syncEngine", () => {
+  it("recolorir junto com remover ou acrescentar não pega o atalho", () => {
+    const h = (text) => text.split("").map((v, i) => ({ id: `r${i}`, v, ts: i }));
+    const check = (prev, next) => {
+      const engine = createStatsEngine(prev.map((r) => r.v));
+      syncEngine(engine, prev, next);
+      expect(engine.stats()).toEqual(computeStats(next));
+    };
+    // [a,b,c,d,e] → [a,b',c,e]: recolore b e remove d
+    const five = h("RBRRB");
+    check(five, [five[0], { ...five[1], v: "R" }, five[2], five[4]]);
+    check(five, [five[0], { ...five[1], v: "B" }, five[2], five[4]]);
+    // [a,b,c] → [a,b'(T),c,d]: recolore b como empate e acrescenta d
+    const three = h("RBR");
+    check(three, [three[0], { ...three[1], v: "T" }, three[2], { id: "r3", v: "B", ts: 3 }]);
+    // inserção com recoloração depois do ponto de inserção
+    check(five, [five[0], { id: "x", v: "T", ts: 9 }, five[1], five[2], { ...five[3], v: "B" }, five[4]]);
+  });
+
+  it("edição anunciada e o desfazer dela não percorrem o histórico", () => {
+    let reads = 0;
+    // conta leituras de posições do array
+    const watched = (list) => new Proxy(list, { get: (t, k) => (typeof k === "string" && /^\d+$/.test(k) && reads++, t[k]) });
+    const base = Array.from({ length: 5000 }, (_, i) => ({ id: `r${i}`, v: i % 3 ? "R" : "B", ts: i }));
+    const prev = watched(base);
+    const engine = createStatsEngine(base.map((r) => r.v));
+    const steps = [
+      markEdit(prev, watched([...base, { id: "n", v: "T", ts: 9 }]), "append"),
+      markEdit(prev, watched(base.filter((_, i) => i !== 10)), "removeAt", 10),
+      markEdit(prev, watched(base.map((r, i) => (i === 20 ? { ...r, v: "T" } : r))), "set", 20),
+    ];
+    for (const next of steps) {
+      reads = 0;
+      syncEngine(engine, prev, next);
+      const forward = reads;
+      expect(engine.stats()).toEqual(computeStats([...next]));
+      reads = 0;
+      syncEngine(engine, next, prev); // desfazer
+      expect(forward + reads).toBeLessThan(5);
+      expect(engine.stats()).toEqual(computeStats(base));
+    }
+  });
+
+  it("acompanha atualizações imutáveis do histórico", () => {
+    const rand = rng(7);
+    const engine = createStatsEngine();
+    let prev = [];
+    let nextId = 0;
+    const item = () => ({ id: String(nextId++), v: randomColor(rand), ts: 0 });
+
+    for (let step = 0; step < 1000; step++) {
+      const op = rand();
+      let next;
+      if (op < 0.5 || prev.length === 0) next = [...prev, item()];
+      else if (op < 0.6) next = prev.slice(0, -1);
+      else if (op < 0.75) {
+        const victim = prev[Math.floor(rand() * prev.length)];
+        next = prev.filter((r) => r !== victim);
+      } else if (op < 0.85) {
+        const i = Math.floor(rand() * (prev.length + 1));
+        next = [...prev.slice(0, i), item(), ...prev.slice(i)];
+      } else if (op < 0.95) {
+        const i = Math.floor(rand() * prev.length);
+        next = prev.map((r, j) => (j === i ? { ...r, v: randomColor(rand) } : r));
+      } else {
+        next = Array.from({ length: Math.floor(rand() * 40) }, item);
+      }
+      syncEngine(engine, prev, next);
+      expect(engine.stats()).toEqual(legacyComputeStats(next));
+      prev = next;
+    }
+  });
+});
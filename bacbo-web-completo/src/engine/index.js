@@ -0,0 +1,283 @@
+import { leaf, merge, distToObject } from "./summary";
+
+/**
+ * Motor de estatísticas incremental
+ * ---------------------------------
+ * Guarda os resultados numa árvore de segmentos cujos nós são resumos
+ * monoidais (ver `summary.js`). Custos:
+ * - push / pop / set / removeAt: O(log n)
+ * - stats(): O(log n) (só a janela recente, de tamanho configurável, precisa de consulta)
+ * - insertAt no meio e reset: O(n) (reconstrução)
+ *
+ * Remoções no meio deixam uma "lápide" (folha vazia); a árvore é compactada
+ * quando as lápides passam do número de itens vivos.
+ */
+
+/** @typedef {import("./summary").ColorKey} ColorKey */
+
+const MIN_CAPACITY = 16;
+export const RECENT_WINDOW = 20;
+
+const nextPow2 = (n) => {
+  let c = MIN_CAPACITY;
+  while (c < n) c *= 2;
+  return c;
+};
+const sizeOf = (s) => (s ? s.len : 0);
+
+/**
+ * @param {ColorKey[]} [initial]
+ */
+export function createStatsEngine(initial = []) {
+  let cap = 0;
+  let tree = [];
+  let end = 0; // próximo slot livre (tudo a partir daqui está vazio)
+  let size = 0; // itens vivos
+
+  function rebuild(values) {
+    cap = nextPow2(values.length * 2);
+    tree = new Array(cap * 2).fill(null);
+    values.forEach((v, i) => (tree[cap + i] = leaf(v)));
+    for (let i = cap - 1; i >= 1; i--) tree[i] = merge(tree[2 * i], tree[2 * i + 1]);
+    end = values.length;
+    size = values.length;
+  }
+
+  function update(slot, summary) {
+    let i = slot + cap;
+    tree[i] = summary;
+    for (i >>= 1; i >= 1; i >>= 1) tree[i] = merge(tree[2 * i], tree[2 * i + 1]);
+  }
+
+  // Slot físico do k-ésimo item vivo (0-based)
+  function slotOf(k) {
+    let node = 1;
+    while (node < cap) {
+      const left = 2 * node;
+      const n = sizeOf(tree[left]);
+      if (k < n) node = left;
+      else {
+        k -= n;
+        node = left + 1;
+      }
+    }
+    return node - cap;
+  }
+
+  // Resumo dos slots [lo, hi)
+  function query(lo, hi) {
+    let left = null;
+    let right = null;
+    for (lo += cap, hi += cap; lo < hi; lo >>= 1, hi >>= 1) {
+      if (lo & 1) left = merge(left, tree[lo++]);
+      if (hi & 1) right = merge(tree[--hi], right);
+    }
+    return merge(left, right);
+  }
+
+  function checkIndex(i) {
+    if (!Number.isInteger(i) || i < 0 || i >= size) throw new RangeError(`Índice fora do histórico: ${i}`);
+  }
+
+  function values() {
+    const out = [];
+    for (let i = 0; i < end; i++) {
+      const s = tree[cap + i];
+      if (s) out.push(s.first);
+    }
+    return out;
+  }
+
+  function compactIfSparse() {
+    const tombstones = end - size;
+    if (tombstones > MIN_CAPACITY && tombstones > size) rebuild(values());
+  }
+
+  const engine = {
+    get size() {
+      return size;
+    },
+
+    /** @param {ColorKey} v */
+    push(v) {
+      const s = leaf(v);
+      if (end === cap) rebuild(values());
+      update(end++, s);
+      size++;
+    },
+
+    pop() {
+      if (!size) return;
+      const slot = slotOf(size - 1);
+      update(slot, null);
+      size--;
+      end = slot; // tudo depois do último vivo já está vazio
+    },
+
+    removeAt(i) {
+      checkIndex(i);
+      if (i === size - 1) return engine.pop();
+      update(slotOf(i), null);
+      size--;
+      compactIfSparse();
+    },
+
+    /** @param {number} i @param {ColorKey} v */
+    set(i, v) {
+      checkIndex(i);
+      update(slotOf(i), leaf(v));
+    },
+
+    /** @param {number} i @param {ColorKey} v */
+    insertAt(i, v) {
+      if (i === size) return engine.push(v);
+      checkIndex(i);
+      const next = values();
+      next.splice(i, 0, v);
+      rebuild(next);
+    },
+
+    /** @param {ColorKey[]} next */
+    reset(next) {
+      rebuild(next);
+    },
+
+    values,
+
+    /**
+     * Formato do antigo `computeStats` do App; a janela recente (antes fixa
+     * em 20) vem em `recent`, com o tamanho pedido em `window`.
+     */
+    stats({ window = RECENT_WINDOW } = {}) {
+      const root = tree[1];
+      const recent = size ? query(slotOf(Math.max(0, size - window)), end) : null;
+      const endsInColor = root && root.last !== "T";
+      return {
+        total: size,
+        alternations: root ? root.alternations : 0,
+        currentStreak: endsInColor ? root.runSuf : 0,
+        currentColor: endsInColor ? root.last : null,
+        longest: root ? { ...root.longest } : { R: 0, B: 0, T: 0 },
+        dist: distToObject(root && root.dist),
+        recent: recent ? { ...recent.count } : { R: 0, B: 0, T: 0 },
+        window,
+        zebraMax: root ? root.zebraMax : 0,
+      };
+    },
+  };
+
+  rebuild(initial);
+  return engine;
+}
+
+/**
+ * Cálculo completo (uma passada) a partir do histórico. Útil fora do React.
+ * @param {{ v: ColorKey }[]} history
+ */
+export function computeStats(history) {
+  return createStatsEngine(history.map((r) => r.v)).stats();
+}
+
+// `a[from..]` é, item a item (por referência), `b[bFrom..]`
+function sameTail(a, from, b, bFrom) {
+  for (let i = from; i < a.length; i++) if (a[i] !== b[i - from + bFrom]) return false;
+  return true;
+}
+
+// Edições anunciadas por quem criou o array: next → { from, op, index }
+const edits = new WeakMap();
+
+/**
+ * Anuncia que `next` saiu de `from` por uma única edição: "append" (itens
+ * novos no fim), "removeAt", "insertAt" ou "set" na posição `index`. Assim
+ * `syncEngine` aplica só ela — ou a desfaz, quando o histórico volta de
+ * `next` para `from` — sem comparar o resto. Devolve `next`.
+ */
+export function markEdit(from, next, op, index) {
+  edits.set(next, { from, op, index });
+  return next;
+}
+
+function applyEdit(engine, { op, index }, prev, next) {
+  if (op === "append") for (let i = prev.length; i < next.length; i++) engine.push(next[i].v);
+  else if (op === "removeAt") engine.removeAt(index);
+  else if (op === "insertAt") engine.insertAt(index, next[index].v);
+  else engine.set(index, next[index].v);
+}
+
+function revertEdit(engine, { op, index }, prev, next) {
+  if (op === "append") for (let i = next.length; i < prev.length; i++) engine.pop();
+  else if (op === "removeAt") engine.insertAt(index, next[index].v);
+  else if (op === "insertAt") engine.removeAt(index);
+  else engine.set(index, next[index].v);
+}
+
+/**
+ * Leva o motor do histórico `prev` para `next` reaproveitando o estado.
+ * Edições anunciadas com `markEdit` (registrar, colar, remover, inserir ou
+ * recolorir uma rodada) e o desfazer/refazer delas custam o mesmo que a
+ * operação no motor: O(1)/O(log n) por item. Sem anúncio, compara tudo por
+ * referência (O(n)) para achar append, remoção ou inserção de um item; qualquer
+ * outra diferença (ex.: recolorir e acrescentar no mesmo lote) reconstrói.
+ */
+export function syncEngine(engine, prev, next) {
+  if (prev === next) return;
+  const edit = edits.get(next);
+  if (edit?.from === prev) return applyEdit(engine, edit, prev, next);
+  const undone = edits.get(prev);
+  if (undone?.from === next) return revertEdit(engine, undone, prev, next);
+  const p = prev.length;
+  const n = next.length;
+  const short = Math.min(p, n);
+
+  // Prefixo comum
+  let k = 0;
+  while (k < short && prev[k] === next[k]) k++;
+
+  // Append (inclui histórico vazio e cópia sem mudança)
+  if (k === p) {
+    for (let i = p; i < n; i++) engine.push(next[i].v);
+    return;
+  }
+
+  // Remoção ou inserção de um único item em `k`: o resto tem que bater inteiro
+  if (n === p - 1 && sameTail(next, k, prev, k + 1)) {
+    engine.removeAt(k);
+    return;
+  }
+  if (n === p + 1 && sameTail(prev, k, next, k + 1)) {
+    engine.insertAt(k, next[k].v);
+    return;
+  }
+
+  engine.reset(next.map((r) => r.v));
+}
+
+/**
+ * Junta estatísticas de trechos independentes (ex.: sessões diferentes) sem
+ * emendar runs entre eles. Streak atual e janela recente vêm do último trecho.
+ */
+export function combineStats(list) {
+  if (!list.length) return createStatsEngine().stats();
+  if (list.length === 1) return list[0];
+  const last = list[list.length - 1];
+  const out = {
+    total: 0,
+    alternations: 0,
+    currentStreak: last.currentStreak,
+    currentColor: last.currentColor,
+    longest: { R: 0, B: 0, T: 0 },
+    dist: { R: {}, B: {} },
+    recent: { ...last.recent },
+    window: last.window,
+    zebraMax: 0,
+  };
+  for (const s of list) {
+    out.total += s.total;
+    out.alternations += s.alternations;
+    out.zebraMax = Math.max(out.zebraMax, s.zebraMax);
+    for (const c of ["R", "B", "T"]) out.longest[c] = Math.max(out.longest[c], s.longest[c]);
+    for (const c of ["R", "B"]) for (const [bucket, n] of Object.entries(s.dist[c])) out.dist[c][bucket] = (out.dist[c][bucket] || 0) + n;
+  }
+  return out;
+}
@@ -0,0 +1,107 @@
+/**
+ * Resumo monoidal de um trecho do histórico
+ * ------------------------------------------
+ * Cada trecho contíguo de resultados é descrito por um objeto imutável que
+ * guarda só o necessário para ser concatenado com o vizinho em O(1):
+ * contagens, runs de borda (prefixo/sufixo), cadeias de alternância nas bordas,
+ * maiores runs por cor e a distribuição de runs R/B.
+ *
+ * `merge(a, b)` é associativa e `null` é o elemento neutro, o que permite
+ * guardar os resumos numa árvore de segmentos (ver `engine/index.js`).
+ */
+
+/** @typedef {"R" | "B" | "T"} ColorKey */
+
+export const DIST_BUCKETS = ["1", "2", "3", "4", "5", "6+"];
+
+// dist é um vetor plano: posições 0..5 = R, 6..11 = B
+const distIndex = (v, len) => (v === "R" ? 0 : 6) + (len >= 6 ? 5 : len - 1);
+
+function makeLeaf(v) {
+  const isColor = v !== "T";
+  const dist = new Array(12).fill(0);
+  if (isColor) dist[distIndex(v, 1)] = 1;
+  return Object.freeze({
+    len: 1,
+    count: Object.freeze({ R: v === "R" ? 1 : 0, B: v === "B" ? 1 : 0, T: v === "T" ? 1 : 0 }),
+    first: v,
+    last: v,
+    firstColor: isColor ? v : null, // primeiro R/B (ignora T)
+    lastColor: isColor ? v : null,
+    alternations: 0,
+    runPre: 1, // tamanho da run que começa no primeiro item
+    runSuf: 1, // tamanho da run que termina no último item
+    longest: Object.freeze({ R: v === "R" ? 1 : 0, B: v === "B" ? 1 : 0, T: v === "T" ? 1 : 0 }),
+    dist: Object.freeze(dist),
+    zebraPre: isColor ? 1 : 0, // cadeia R/B alternada a partir do início
+    zebraSuf: isColor ? 1 : 0,
+    zebraMax: isColor ? 1 : 0,
+  });
+}
+
+// Só existem três folhas possíveis: compartilhadas por todo o histórico.
+const LEAVES = { R: makeLeaf("R"), B: makeLeaf("B"), T: makeLeaf("T") };
+
+/** @param {ColorKey} v */
+export function leaf(v) {
+  const s = LEAVES[v];
+  if (!s) throw new TypeError(`Resultado inválido: ${v}`);
+  return s;
+}
+
+/**
+ * Concatena dois resumos (a seguido de b). `null` representa o trecho vazio.
+ */
+export function merge(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  const sameRun = a.last === b.first;
+  const zebraLink = a.last !== "T" && b.first !== "T" && a.last !== b.first;
+
+  const longest = {
+    R: Math.max(a.longest.R, b.longest.R),
+    B: Math.max(a.longest.B, b.longest.B),
+    T: Math.max(a.longest.T, b.longest.T),
+  };
+  const dist = a.dist.map((n, i) => n + b.dist[i]);
+
+  if (sameRun) {
+    // a run do fim de `a` continua no começo de `b`: desfaz as duas e conta a junção
+    const joined = a.runSuf + b.runPre;
+    longest[a.last] = Math.max(longest[a.last], joined);
+    if (a.last !== "T") {
+      dist[distIndex(a.last, a.runSuf)]--;
+      dist[distIndex(a.last, b.runPre)]--;
+      dist[distIndex(a.last, joined)]++;
+    }
+  }
+
+  return {
+    len: a.len + b.len,
+    count: { R: a.count.R + b.count.R, B: a.count.B + b.count.B, T: a.count.T + b.count.T },
+    first: a.first,
+    last: b.last,
+    firstColor: a.firstColor ?? b.firstColor,
+    lastColor: b.lastColor ?? a.lastColor,
+    alternations:
+      a.alternations + b.alternations + (a.lastColor && b.firstColor && a.lastColor !== b.firstColor ? 1 : 0),
+    runPre: sameRun && a.runPre === a.len ? a.len + b.runPre : a.runPre,
+    runSuf: sameRun && b.runSuf === b.len ? b.len + a.runSuf : b.runSuf,
+    longest,
+    dist,
+    zebraPre: zebraLink && a.zebraPre === a.len ? a.len + b.zebraPre : a.zebraPre,
+    zebraSuf: zebraLink && b.zebraSuf === b.len ? b.len + a.zebraSuf : b.zebraSuf,
+    zebraMax: Math.max(a.zebraMax, b.zebraMax, zebraLink ? a.zebraSuf + b.zebraPre : 0),
+  };
+}
+
+/** Converte o vetor plano de `dist` no formato { R: { "1": n, …, "6+": n }, B: … }. */
+export function distToObject(dist) {
+  const out = { R: {}, B: {} };
+  DIST_BUCKETS.forEach((bucket, i) => {
+    out.R[bucket] = dist ? dist[i] : 0;
+    out.B[bucket] = dist ? dist[6 + i] : 0;
+  });
+  return out;
+}
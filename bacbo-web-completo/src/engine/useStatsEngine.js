@@ -0,0 +1,41 @@
+import { useMemo, useRef } from "react";
+import { RECENT_WINDOW, combineStats, createStatsEngine, syncEngine } from "./index";
+
+/**
+ * Estatísticas de vários trechos independentes (ex.: sessões), cada um com
+ * seu motor incremental. Cada motor lembra qual array representa e só aplica
+ * a diferença; trechos que saem da lista são descartados.
+ *
+ * `window` é o tamanho da janela recente (`stats.recent`).
+ *
+ * @param {{ key: string, history: { v: string }[] }[]} segments
+ * @param {{ window?: number }} [options]
+ */
+export function useSegmentedStats(segments, { window = RECENT_WINDOW } = {}) {
+  const ref = useRef(new Map());
+  return useMemo(() => {
+    const engines = ref.current;
+    const seen = new Set();
+    const list = segments.map(({ key, history }) => {
+      seen.add(key);
+      let entry = engines.get(key);
+      if (!entry) {
+        entry = { engine: createStatsEngine(), source: [] };
+        engines.set(key, entry);
+      }
+      syncEngine(entry.engine, entry.source, history);
+      entry.source = history;
+      return entry.engine.stats({ window });
+    });
+    for (const key of engines.keys()) if (!seen.has(key)) engines.delete(key);
+    return combineStats(list);
+  }, [segments, window]);
+}
+
+/** Estatísticas de um único histórico, mantidas de forma incremental entre renders. */
+export function useStatsEngine(history, options) {
+  const segments = useMemo(() => [{ key: "history", history }], [history]);
+  return useSegmentedStats(segments, options);
+}
+
+export default useStatsEngine;
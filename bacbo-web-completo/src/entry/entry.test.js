@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { createTranslator } from "@/i18n";
+import { DEFAULT_DEBOUNCE_MS, DEFAULT_HOTKEYS, isDoublePress, keyLabel, keyName, matchHotkey, normalizeEntrySettings, normalizeHotkeys, tailStreak } from "./index";
+
+const key = (k, mods = {}) => ({ key: k, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, repeat: false, ...mods });
+
+describe("teclas", () => {
+  it("normaliza nomes e recusa teclas reservadas", () => {
+    expect(keyName(key("R"))).toBe("r");
+    expect(keyName(key(" "))).toBe("space");
+    expect(keyName(key("Enter"))).toBe("enter");
+    expect(keyName(key("Tab"))).toBeNull();
+    expect(keyName(key("Shift"))).toBeNull();
+    expect(keyLabel("space")).toBe("Espaço");
+    expect(keyLabel("space", createTranslator("en"))).toBe("Space");
+    expect(keyLabel("arrowleft")).toBe("Arrowleft");
+    expect(keyLabel("r")).toBe("R");
+  });
+
+  it("acha a ação sem modificadores e ignora tecla segurada", () => {
+    expect(matchHotkey(DEFAULT_HOTKEYS, key("b"))).toBe("B");
+    expect(matchHotkey(DEFAULT_HOTKEYS, key("Z"))).toBe("undo");
+    expect(matchHotkey(DEFAULT_HOTKEYS, key("z", { ctrlKey: true }))).toBeNull();
+    expect(matchHotkey(DEFAULT_HOTKEYS, key("r", { repeat: true }))).toBeNull();
+    expect(matchHotkey(DEFAULT_HOTKEYS, key("q"))).toBeNull();
+  });
+
+  it("teclas inválidas voltam ao padrão e repetidas ficam só na primeira ação", () => {
+    const { hotkeys, conflicts } = normalizeHotkeys({ R: "1", B: "1", T: "tab", undo: 5 });
+    expect(hotkeys).toEqual({ R: "1", B: null, T: "t", undo: "z", redo: "x" });
+    expect(conflicts).toEqual(["B"]);
+    expect(matchHotkey(hotkeys, key("1"))).toBe("R");
+    expect(normalizeHotkeys({ R: "Tab", B: "Escape", T: "Enter" }).hotkeys).toMatchObject({ R: "r", B: "b", T: "enter" });
+  });
+
+  it("configurações ilegíveis caem no padrão e o intervalo é limitado", () => {
+    expect(normalizeEntrySettings(null)).toEqual({ hotkeys: DEFAULT_HOTKEYS, debounceMs: DEFAULT_DEBOUNCE_MS, sound: true });
+    expect(normalizeEntrySettings({ debounceMs: "250", sound: false })).toMatchObject({ debounceMs: 250, sound: false });
+    expect(normalizeEntrySettings({ debounceMs: 1e9 }).debounceMs).toBe(5000);
+    expect(normalizeEntrySettings({ debounceMs: -3 }).debounceMs).toBe(0);
+  });
+});
+
+describe("toque duplo e sequência", () => {
+  it("só a mesma cor dentro da janela é toque duplo", () => {
+    const last = { action: "R", at: 1000 };
+    expect(isDoublePress(last, "R", 1300, 600)).toBe(true);
+    expect(isDoublePress(last, "R", 1600, 600)).toBe(false);
+    expect(isDoublePress(last, "B", 1100, 600)).toBe(false);
+    expect(isDoublePress(null, "R", 1100, 600)).toBe(false);
+    expect(isDoublePress(last, "R", 1001, 0)).toBe(false);
+  });
+
+  it("conta a sequência no fim do histórico", () => {
+    const h = (s) => [...s].map((v) => ({ v }));
+    expect(tailStreak([])).toBeNull();
+    expect(tailStreak(h("RBBB"))).toEqual({ v: "B", count: 3 });
+    expect(tailStreak(h("BTT"))).toEqual({ v: "T", count: 2 });
+    expect(tailStreak(h("R"))).toEqual({ v: "R", count: 1 });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Registro rápido pelo teclado
+ * ----------------------------
+ * Teclas configuráveis para Red/Blue/Tie, desfazer e refazer, sem
+ * modificadores (Ctrl/⌘ continuam com o navegador e o Ctrl+Z global).
+ * Um segundo toque na mesma cor dentro de `debounceMs` é tratado como
+ * toque duplo acidental: numa mesa ao vivo duas rodadas não saem em
+ * menos de um segundo.
+ */
+
+import { defaultT } from "@/i18n";
+
+export const ACTIONS = ["R", "B", "T", "undo", "redo"];
+export const DEFAULT_HOTKEYS = { R: "r", B: "b", T: "t", undo: "z", redo: "x" };
+export const DEFAULT_DEBOUNCE_MS = 600;
+export const MAX_DEBOUNCE_MS = 5000;
+export const DEFAULT_ENTRY_SETTINGS = { hotkeys: DEFAULT_HOTKEYS, debounceMs: DEFAULT_DEBOUNCE_MS, sound: true };
+
+// Teclas que nunca viram atalho (navegação e modificadores)
+const RESERVED = new Set(["tab", "escape", "shift", "control", "alt", "meta", "capslock", "dead", "unidentified"]);
+
+/** Nome normalizado da tecla de um KeyboardEvent ("r", "1", "space", "enter"); `null` se não serve de atalho */
+export function keyName(e) {
+  const key = typeof e?.key === "string" ? e.key : "";
+  const name = key === " " ? "space" : key.toLowerCase();
+  return name && !RESERVED.has(name) ? name : null;
+}
+
+/** Rótulo para exibir uma tecla ("R", "Espaço"/"Space", "Enter") */
+export const keyLabel = (name, t = defaultT) => (name === "space" ? t("rapid.keys.space") : name.length === 1 ? name.toUpperCase() : name[0].toUpperCase() + name.slice(1));
+
+/**
+ * Valida as teclas salvas: nomes inválidos voltam ao padrão e uma tecla
+ * repetida fica só com a primeira ação (as outras ficam sem atalho).
+ * `conflicts` lista as ações que perderam a tecla.
+ */
+export function normalizeHotkeys(raw) {
+  const hotkeys = {};
+  const used = new Set();
+  const conflicts = [];
+  for (const action of ACTIONS) {
+    // mesma normalização de uma tecla pressionada: "Tab" salvo também é reservada
+    const name = keyName({ key: raw?.[action] }) ?? DEFAULT_HOTKEYS[action];
+    if (used.has(name)) {
+      hotkeys[action] = null;
+      conflicts.push(action);
+      continue;
+    }
+    used.add(name);
+    hotkeys[action] = name;
+  }
+  return { hotkeys, conflicts };
+}
+
+export function normalizeEntrySettings(raw) {
+  const debounce = Number(raw?.debounceMs);
+  return {
+    hotkeys: normalizeHotkeys(raw?.hotkeys).hotkeys,
+    debounceMs: Number.isFinite(debounce) ? Math.max(0, Math.min(MAX_DEBOUNCE_MS, Math.round(debounce))) : DEFAULT_DEBOUNCE_MS,
+    sound: raw?.sound !== false,
+  };
+}
+
+/** Ação do atalho pressionado, ou `null` (com Ctrl/⌘/Alt ou tecla segurada não conta) */
+export function matchHotkey(hotkeys, e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return null;
+  const name = keyName(e);
+  if (!name) return null;
+  return ACTIONS.find((action) => hotkeys[action] === name) || null;
+}
+
+/**
+ * Decide se um toque de cor é duplo acidental: mesma cor que o último toque
+ * aceito, dentro da janela. `last` = `{ action, at }` do último toque aceito.
+ */
+export const isDoublePress = (last, action, at, debounceMs) =>
+  !!last && last.action === action && at - last.at < debounceMs;
+
+/** Sequência atual no fim do histórico: `{ v, count }` (Tie conta como cor própria) */
+export function tailStreak(history) {
+  const n = history.length;
+  if (!n) return null;
+  const v = history[n - 1].v;
+  let count = 1;
+  while (count < n && history[n - 1 - count].v === v) count++;
+  return { v, count };
+}
@@ -0,0 +1,61 @@
+import { useEffect, useRef, useState } from "react";
+import { isTypingTarget } from "@/lib/keyboard";
+import { playTone } from "@/lib/sound";
+import { isDoublePress, matchHotkey } from "./index";
+
+const TONES = {
+  R: { frequency: 660 },
+  B: { frequency: 440 },
+  T: { frequency: 990 },
+  undo: { frequency: 330, duration: 0.1 },
+  redo: { frequency: 550, duration: 0.1 },
+  double: { frequency: 160, duration: 0.35, volume: 0.3 },
+  locked: { frequency: 200, duration: 0.2 },
+};
+
+/**
+ * Escuta as teclas do modo rápido enquanto `enabled`, fora de campos de
+ * texto. Devolve `feedback` do último toque — `{ action, kind, seq }`, com
+ * `kind` "ok", "double" (ignorado como toque duplo) ou "locked" (pausa do
+ * jogo responsável) — para o destaque visual; o som sai daqui mesmo.
+ */
+export function useRapidEntry({ enabled, settings, locked, onColor, onUndo, onRedo }) {
+  const [feedback, setFeedback] = useState(null);
+  const latest = useRef(null);
+  latest.current = { settings, locked, onColor, onUndo, onRedo };
+  const lastRef = useRef(null); // último toque de cor aceito: { action, at }
+  const seqRef = useRef(0);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const onKeyDown = (e) => {
+      if (e.defaultPrevented || isTypingTarget(e.target)) return;
+      const { settings, locked, onColor, onUndo, onRedo } = latest.current;
+      const action = matchHotkey(settings.hotkeys, e);
+      if (!action) return;
+      e.preventDefault();
+
+      const at = Date.now();
+      let kind = "ok";
+      if (action === "undo" || action === "redo") {
+        // corrigir com outra tecla logo depois de desfazer não é toque duplo
+        lastRef.current = null;
+        (action === "undo" ? onUndo : onRedo)();
+      } else if (locked) kind = "locked";
+      else if (isDoublePress(lastRef.current, action, at, settings.debounceMs)) kind = "double";
+      else {
+        lastRef.current = { action, at };
+        onColor(action);
+      }
+
+      if (settings.sound) playTone(TONES[kind === "ok" ? action : kind]);
+      setFeedback({ action, kind, seq: ++seqRef.current });
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [enabled]);
+
+  return feedback;
+}
+
+export default useRapidEntry;
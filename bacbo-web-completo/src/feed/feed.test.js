@@ -0,0 +1,146 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { normalizeFeedPayload } from "./normalize";
+import { messageText } from "@/i18n";
+import { findOverlap, mergeFeed } from "./merge";
+import { backoffDelay, createPoller } from "./poller";
+
+const hist = (str) => str.split("").map((v, i) => ({ id: `h${i}`, v, ts: i }));
+const items = (str) => str.split("").map((v) => ({ v }));
+
+describe("normalizeFeedPayload", () => {
+  it("aceita strings, objetos e aliases", () => {
+    const { items, rejected } = normalizeFeedPayload({
+      results: ["r", "Blue", { color: "tie", roundId: 7, timestamp: 1700000000 }, { v: "X" }, null],
+    });
+    expect(items).toEqual([{ v: "R" }, { v: "B" }, { v: "T", roundId: "7", ts: 1700000000000 }]);
+    expect(rejected).toBe(2);
+  });
+
+  it("rejeita formato desconhecido", () => {
+    expect(() => normalizeFeedPayload({ foo: 1 })).toThrow(/Formato inesperado/);
+  });
+});
+
+describe("mergeFeed", () => {
+  it("deduplica por roundId", () => {
+    const h = [{ id: "a", v: "R", ts: 1, roundId: "1" }];
+    const { next, added, duplicates } = mergeFeed(h, [
+      { v: "R", roundId: "1" },
+      { v: "B", roundId: "2", ts: 50 },
+      { v: "B", roundId: "2" },
+    ]);
+    expect(added).toBe(1);
+    expect(duplicates).toBe(2);
+    expect(next.map((r) => r.roundId)).toEqual(["1", "2"]);
+    expect(next[1].ts).toBe(50);
+  });
+
+  it("acrescenta só o que vem depois da sobreposição", () => {
+    const h = hist("RRBTBR");
+    expect(findOverlap(h, items("TBRBB"))).toBe(3);
+    const { next, added, gap } = mergeFeed(h, items("TBRBB"));
+    expect(added).toBe(2);
+    expect(gap).toBe(false);
+    expect(next.map((r) => r.v).join("")).toBe("RRBTBRBB");
+  });
+
+  it("janela repetida não duplica nada", () => {
+    const h = hist("RBRBT");
+    const { next, added } = mergeFeed(h, items("RBRBT"));
+    expect(added).toBe(0);
+    expect(next).toBe(h);
+  });
+
+  it("janela que só bate pela cor e admite encaixe menor fica ambígua", () => {
+    const h = hist("BRRR").map(({ ts, ...r }) => r);
+    const res = mergeFeed(h, items("RRR"));
+    expect(res).toMatchObject({ added: 0, ambiguous: true, gap: false });
+    expect(res.next).toBe(h);
+    // com horário dá para conferir: é a mesma janela
+    const timed = hist("BRRR");
+    expect(mergeFeed(timed, [1, 2, 3].map((ts) => ({ v: "R", ts })))).toMatchObject({ added: 0, duplicates: 3, ambiguous: false });
+    expect(mergeFeed(timed, [4, 5, 6].map((ts) => ({ v: "R", ts })))).toMatchObject({ added: 3, ambiguous: false });
+  });
+
+  it("a sobreposição usa só a sequência final sem id do histórico", () => {
+    // a rodada com id no meio quebra a sequência: "B R" não pode casar pulando ela
+    const h = [{ id: "a", v: "B" }, { id: "b", v: "B", roundId: "9" }, { id: "c", v: "R" }];
+    const { added, duplicates, gap } = mergeFeed(h, items("BRB"));
+    expect(duplicates).toBe(0);
+    expect(added).toBe(3);
+    expect(gap).toBe(true);
+  });
+
+  it("sinaliza lacuna quando não há sobreposição", () => {
+    const { added, gap } = mergeFeed(hist("RRR"), items("BBB"));
+    expect(added).toBe(3);
+    expect(gap).toBe(true);
+  });
+
+  it("mantém o horário da fonte e marca como aproximado o lote sem horário", () => {
+    const timed = mergeFeed([], [{ v: "R", ts: 500 }, { v: "B", ts: 530 }], { now: 9999 }).next;
+    expect(timed.map((r) => [r.ts, r.tsApprox])).toEqual([[500, undefined], [530, undefined]]);
+    const snapshot = mergeFeed([], items("RB"), { now: 9999 }).next;
+    expect(snapshot.every((r) => r.ts === 9999 && r.tsApprox)).toBe(true);
+    const live = mergeFeed([], items("R"), { now: 9999 }).next;
+    expect(live[0].tsApprox).toBeUndefined();
+  });
+});
+
+describe("poller", () => {
+  afterEach(() => vi.useRealTimers());
+
+  it("backoff exponencial com teto", () => {
+    const fixed = { random: () => 0.5, maxMs: 60_000 };
+    expect(backoffDelay(5000, 0, fixed)).toBe(5000);
+    expect(backoffDelay(5000, 1, fixed)).toBe(10_000);
+    expect(backoffDelay(5000, 3, fixed)).toBe(40_000);
+    expect(backoffDelay(5000, 10, fixed)).toBe(60_000);
+  });
+
+  it("repete após falha, volta ao intervalo no sucesso e pausa com a aba oculta", async () => {
+    vi.useFakeTimers();
+    const listeners = {};
+    const doc = {
+      visibilityState: "visible",
+      addEventListener: (t, fn) => (listeners[t] = fn),
+      removeEventListener: () => {},
+    };
+    let calls = 0;
+    const fetchBatch = vi.fn(async () => {
+      calls++;
+      if (calls === 1) throw new Error("HTTP 500");
+      return { items: [{ v: "R" }] };
+    });
+    const statuses = [];
+    const poller = createPoller({
+      fetchBatch,
+      onBatch: () => ({ added: 1 }),
+      onStatus: (s) => statuses.push(s),
+      intervalMs: 1000,
+      doc,
+    });
+
+    poller.start();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(poller.status.state).toBe("backoff");
+    expect(messageText(poller.status.lastError)).toBe("HTTP 500");
+
+    await vi.advanceTimersByTimeAsync(2400); // 2s ± 20%
+    expect(poller.status.state).toBe("ok");
+    expect(poller.status.failures).toBe(0);
+    expect(poller.status.log[0].added).toBe(1);
+
+    doc.visibilityState = "hidden";
+    listeners.visibilitychange();
+    expect(poller.status.state).toBe("paused");
+    await vi.advanceTimersByTimeAsync(10_000);
+    expect(fetchBatch).toHaveBeenCalledTimes(2);
+
+    doc.visibilityState = "visible";
+    listeners.visibilitychange();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetchBatch).toHaveBeenCalledTimes(3);
+    poller.stop();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Junta rodadas vindas do feed ao histórico sem duplicar
+ * ------------------------------------------------------
+ * 1. Itens com `roundId`: entram só os ids que o histórico ainda não tem.
+ * 2. Itens sem id: o feed costuma mandar as últimas N rodadas, então procura
+ *    a maior sobreposição entre o fim do histórico e o começo do lote e
+ *    acrescenta só o que vem depois dela.
+ *
+ * Se não houver sobreposição nenhuma o lote é acrescentado inteiro e
+ * `gap: true` avisa que podem ter faltado rodadas entre as duas leituras.
+ * Se o lote inteiro coincide com o fim do histórico só pela cor (sem `ts`
+ * para conferir) e um encaixe menor também serve — ex.: `R R R` depois de
+ * um histórico que termina em `R R R` —, não dá para saber se é a mesma
+ * janela ou rodadas novas iguais: nada entra e `ambiguous: true` avisa.
+ *
+ * `by` marca quem registrou as rodadas novas (ver src/sync).
+ *
+ * O horário da fonte (`ts`) é mantido. Sem ele vale a hora de chegada, que
+ * só é confiável para uma rodada avulsa: num lote (ex.: snapshot ao conectar)
+ * as rodadas novas sem horário ficam marcadas `tsApprox` e as análises de
+ * horário as ignoram.
+ */
+
+import { markEdit } from "@/engine";
+
+const uid = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+export function toResult(item, now = Date.now(), { approx = false, by = "" } = {}) {
+  const r = { id: uid(), v: item.v, ts: item.ts ?? now };
+  if (item.ts === undefined && approx) r.tsApprox = true;
+  if (item.roundId) r.roundId = item.roundId;
+  if (by) r.by = by;
+  return r;
+}
+
+const sameRound = (h, item) => h.v === item.v && (h.ts === undefined || item.ts === undefined || h.ts === item.ts);
+const timed = (h, item) => h.ts !== undefined && item.ts !== undefined;
+
+// As últimas `k` rodadas de `history` batem com as `k` primeiras de `items`?
+function overlaps(history, items, k) {
+  for (let i = 0; i < k; i++) if (!sameRound(history[history.length - k + i], items[i])) return false;
+  return true;
+}
+
+/** Tamanho da maior sobreposição entre o fim de `history` e o começo de `items` */
+export function findOverlap(history, items) {
+  for (let k = Math.min(history.length, items.length); k > 0; k--) if (overlaps(history, items, k)) return k;
+  return 0;
+}
+
+/** Sobreposição de `k` itens que só bateu pela cor e que um encaixe menor também explicaria */
+function isAmbiguous(history, items, k) {
+  for (let i = 0; i < k; i++) if (timed(history[history.length - k + i], items[i])) return false;
+  for (let j = k - 1; j > 0; j--) if (overlaps(history, items, j)) return true;
+  return false;
+}
+
+// Rodadas sem `roundId` no fim do histórico (sequência contínua, até `max`)
+function idlessTail(history, max) {
+  let start = history.length;
+  while (start > 0 && history.length - start < max && !history[start - 1].roundId) start--;
+  return history.slice(start);
+}
+
+/**
+ * @returns {{ next: object[], added: number, duplicates: number, gap: boolean, ambiguous: boolean }}
+ */
+export function mergeFeed(history, items, { now = Date.now(), by = "" } = {}) {
+  if (!items.length) return { next: history, added: 0, duplicates: 0, gap: false, ambiguous: false };
+
+  const withId = items.filter((i) => i.roundId);
+  const withoutId = items.filter((i) => !i.roundId);
+  let next = history;
+  let added = 0;
+  let duplicates = 0;
+  let gap = false;
+  let ambiguous = false;
+  const approx = { approx: items.filter((i) => i.ts === undefined).length > 1, by };
+
+  if (withId.length) {
+    const known = new Set();
+    for (const r of history) if (r.roundId) known.add(r.roundId);
+    const fresh = [];
+    for (const item of withId) {
+      if (known.has(item.roundId)) duplicates++;
+      else {
+        known.add(item.roundId);
+        fresh.push(toResult(item, now, approx));
+      }
+    }
+    if (fresh.length) next = [...next, ...fresh];
+    added += fresh.length;
+  }
+
+  if (withoutId.length) {
+    // só a sequência final de rodadas sem id do histórico participa da sobreposição
+    const tail = idlessTail(next, withoutId.length);
+    const k = findOverlap(tail, withoutId);
+    gap = k === 0 && tail.length > 0;
+    ambiguous = k === withoutId.length && isAmbiguous(tail, withoutId, k);
+    if (!ambiguous) {
+      duplicates += k;
+      const fresh = withoutId.slice(k).map((item) => toResult(item, now, approx));
+      if (fresh.length) next = [...next, ...fresh];
+      added += fresh.length;
+    }
+  }
+
+  // tudo que entrou foi no fim: o motor de estatísticas só empilha (ver `markEdit`)
+  if (added) next = markEdit(history, next, "append");
+  return { next, added, duplicates, gap, ambiguous };
+}
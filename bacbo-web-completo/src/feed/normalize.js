@@ -0,0 +1,60 @@
+/**
+ * Normalização do payload do feed
+ * -------------------------------
+ * Formatos aceitos (na raiz ou em `results`):
+ *   ["R", "B", "T", …]
+ *   [{ v: "R", id: "12345", ts: 1700000000000 }, …]
+ * Aliases: cor em v | color | result | winner (R/B/T ou Red/Blue/Tie);
+ * id da rodada em roundId | id | round; horário em ts | timestamp | time
+ * (ms, segundos ou ISO 8601).
+ *
+ * Devolve `{ items: FeedItem[], rejected }`, com FeedItem = { v, roundId?, ts? }.
+ */
+
+import { TranslatableError } from "@/i18n";
+
+const COLOR_ALIASES = { R: "R", RED: "R", B: "B", BLUE: "B", T: "T", TIE: "T" };
+
+export function normalizeColor(x) {
+  return typeof x === "string" ? COLOR_ALIASES[x.trim().toUpperCase()] || null : null;
+}
+
+export function normalizeTimestamp(x) {
+  if (typeof x === "number" && Number.isFinite(x)) return x < 1e11 ? Math.round(x * 1000) : x; // segundos → ms
+  if (typeof x === "string" && x.trim()) {
+    const n = Number(x);
+    if (Number.isFinite(n)) return normalizeTimestamp(n);
+    const parsed = Date.parse(x);
+    return Number.isNaN(parsed) ? undefined : parsed;
+  }
+  return undefined;
+}
+
+export function normalizeItem(raw) {
+  if (typeof raw === "string") {
+    const v = normalizeColor(raw);
+    return v ? { v } : null;
+  }
+  if (!raw || typeof raw !== "object") return null;
+  const v = normalizeColor(raw.v ?? raw.color ?? raw.result ?? raw.winner);
+  if (!v) return null;
+  const item = { v };
+  const roundId = raw.roundId ?? raw.id ?? raw.round;
+  if (roundId != null && roundId !== "") item.roundId = String(roundId);
+  const ts = normalizeTimestamp(raw.ts ?? raw.timestamp ?? raw.time);
+  if (ts !== undefined) item.ts = ts;
+  return item;
+}
+
+export function normalizeFeedPayload(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.results) ? data.results : null;
+  if (!list) throw new TranslatableError("feed.errors.format");
+  const items = [];
+  let rejected = 0;
+  for (const raw of list) {
+    const item = normalizeItem(raw);
+    if (item) items.push(item);
+    else rejected++;
+  }
+  return { items, rejected };
+}
@@ -0,0 +1,107 @@
+/**
+ * Poller com backoff
+ * ------------------
+ * Encadeia `setTimeout` (nunca sobrepõe requisições), dobra a espera a cada
+ * falha até `maxDelayMs`, e pausa enquanto a aba está oculta — ao voltar,
+ * busca na hora.
+ *
+ * Não conhece React: `useFeedPoller` só liga isto ao estado do componente.
+ */
+
+import { errorMessage } from "@/i18n";
+
+export const DEFAULT_TIMEOUT_MS = 10_000;
+export const DEFAULT_MAX_DELAY_MS = 5 * 60_000;
+
+/** Espera antes da próxima tentativa após `failures` falhas seguidas (com jitter de ±20%). */
+export function backoffDelay(baseMs, failures, { maxMs = DEFAULT_MAX_DELAY_MS, random = Math.random } = {}) {
+  if (failures <= 0) return baseMs;
+  const raw = Math.min(maxMs, baseMs * 2 ** failures);
+  return Math.round(raw * (0.8 + 0.4 * random()));
+}
+
+/**
+ * @param {object} opts
+ * @param {(signal: AbortSignal) => Promise<any>} opts.fetchBatch busca e normaliza um lote
+ * @param {(batch: any) => { added, duplicates, gap, ambiguous }} opts.onBatch aplica o lote (ver `mergeFeed`)
+ * @param {(status: object) => void} opts.onStatus
+ * @param {number} opts.intervalMs
+ */
+export function createPoller({ fetchBatch, onBatch, onStatus, intervalMs, timeoutMs = DEFAULT_TIMEOUT_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS, doc = globalThis.document }) {
+  let timer = null;
+  let controller = null;
+  let stopped = true;
+  let status = { state: "idle", failures: 0, lastSuccess: null, lastError: null, lastErrorAt: null, nextAt: null, log: [] };
+
+  const emit = (patch) => {
+    status = { ...status, ...patch };
+    onStatus?.(status);
+  };
+
+  const hidden = () => doc?.visibilityState === "hidden";
+
+  function schedule(delay) {
+    clearTimeout(timer);
+    if (stopped || hidden()) return;
+    emit({ nextAt: Date.now() + delay });
+    timer = setTimeout(tick, delay);
+  }
+
+  async function tick() {
+    if (stopped || hidden()) return;
+    controller?.abort();
+    controller = new AbortController();
+    const own = controller;
+    const timeout = setTimeout(() => own.abort(), timeoutMs);
+    emit({ state: status.failures ? "retrying" : "fetching" });
+    try {
+      const batch = await fetchBatch(own.signal);
+      if (stopped || own !== controller) return;
+      const { added = 0, duplicates = 0, gap = false, ambiguous = false } = onBatch(batch) || {};
+      const entry = { at: Date.now(), received: batch?.items?.length ?? 0, added, duplicates, gap, ambiguous };
+      emit({ state: "ok", failures: 0, lastSuccess: entry.at, log: [entry, ...status.log].slice(0, 10) });
+      schedule(intervalMs);
+    } catch (err) {
+      if (stopped || own !== controller || hidden()) return;
+      const failures = status.failures + 1;
+      const message = own.signal.aborted ? { code: "feed.errors.timeout" } : errorMessage(err);
+      emit({ state: "backoff", failures, lastError: message, lastErrorAt: Date.now() });
+      schedule(backoffDelay(intervalMs, failures, { maxMs: maxDelayMs }));
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  function onVisibility() {
+    if (stopped) return;
+    if (hidden()) {
+      clearTimeout(timer);
+      controller?.abort();
+      emit({ state: "paused", nextAt: null });
+    } else tick();
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      doc?.addEventListener?.("visibilitychange", onVisibility);
+      if (hidden()) emit({ state: "paused" });
+      else tick();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      controller?.abort();
+      doc?.removeEventListener?.("visibilitychange", onVisibility);
+      emit({ state: "idle", nextAt: null });
+    },
+    /** Busca agora, sem esperar o próximo ciclo */
+    pollNow() {
+      if (!stopped) tick();
+    },
+    get status() {
+      return status;
+    },
+  };
+}
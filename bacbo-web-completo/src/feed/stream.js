@@ -0,0 +1,138 @@
+import { backoffDelay, DEFAULT_MAX_DELAY_MS } from "./poller";
+import { normalizeFeedPayload } from "./normalize";
+import { TranslatableError, errorMessage } from "@/i18n";
+
+/**
+ * Cliente de feed por push (WebSocket ou Server-Sent Events)
+ * ----------------------------------------------------------
+ * Cada mensagem é JSON no mesmo formato do pull: um lote `{ results: [...] }`
+ * (ex.: snapshot ao conectar) ou uma rodada avulsa `{ v, roundId, ts }`.
+ * Tudo passa por `onBatch`, que aplica o mesmo `mergeFeed` do poller — então
+ * rodadas repetidas entre snapshot e eventos não contam duas vezes.
+ *
+ * Ao cair, reconecta sozinho com o mesmo backoff exponencial do poller.
+ * O status tem o mesmo formato do poller para reaproveitar `FeedStatus`.
+ */
+
+export const STREAM_BASE_DELAY_MS = 1000;
+// Conexão que durou mais que isto antes de cair recomeça o backoff do zero
+const STABLE_AFTER_MS = 30_000;
+
+/** Converte uma mensagem (texto JSON) num lote `{ items, rejected }` */
+export function parseStreamMessage(text) {
+  const data = JSON.parse(text);
+  return normalizeFeedPayload(Array.isArray(data) || Array.isArray(data?.results) ? data : [data]);
+}
+
+export function createStreamClient({
+  url,
+  transport,
+  onBatch,
+  onStatus,
+  WebSocketImpl = globalThis.WebSocket,
+  EventSourceImpl = globalThis.EventSource,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+}) {
+  let socket = null;
+  let timer = null;
+  let stopped = true;
+  let openedAt = null;
+  let status = { state: "idle", failures: 0, lastSuccess: null, lastError: null, lastErrorAt: null, nextAt: null, log: [] };
+
+  const emit = (patch) => {
+    status = { ...status, ...patch };
+    onStatus?.(status);
+  };
+
+  function handleMessage(text) {
+    let batch;
+    try {
+      batch = parseStreamMessage(text);
+    } catch (err) {
+      emit({ lastError: { code: "feed.errors.message", params: { error: errorMessage(err) } }, lastErrorAt: Date.now() });
+      return;
+    }
+    if (!batch.items.length) return;
+    let result;
+    try {
+      result = onBatch(batch) || {};
+    } catch (err) {
+      // lote que não deu para aplicar: a conexão segue, o erro aparece no status
+      emit({ lastError: { code: "feed.errors.batch", params: { error: errorMessage(err) } }, lastErrorAt: Date.now() });
+      return;
+    }
+    const { added = 0, duplicates = 0, gap = false, ambiguous = false } = result;
+    const entry = { at: Date.now(), received: batch.items.length, added, duplicates, gap, ambiguous };
+    emit({ state: "ok", lastSuccess: entry.at, log: [entry, ...status.log].slice(0, 10) });
+  }
+
+  function handleDrop(reason) {
+    if (stopped) return;
+    close();
+    const stable = openedAt && Date.now() - openedAt > STABLE_AFTER_MS;
+    openedAt = null;
+    const failures = stable ? 1 : status.failures + 1;
+    const delay = backoffDelay(STREAM_BASE_DELAY_MS, failures, { maxMs: maxDelayMs });
+    emit({ state: "backoff", failures, lastError: reason, lastErrorAt: Date.now(), nextAt: Date.now() + delay });
+    timer = setTimeout(connect, delay);
+  }
+
+  function close() {
+    if (!socket) return;
+    const s = socket;
+    socket = null;
+    s.onopen = s.onmessage = s.onerror = s.onclose = null;
+    s.close();
+  }
+
+  function connect() {
+    if (stopped) return;
+    emit({ state: status.failures ? "retrying" : "connecting", nextAt: null });
+    try {
+      if (transport === "sse") {
+        if (!EventSourceImpl) throw new TranslatableError("feed.errors.unsupported", { api: "EventSource" });
+        socket = new EventSourceImpl(url);
+        // EventSource reconecta sozinho, mas sem backoff: assumimos o controle
+        socket.onerror = () => handleDrop({ code: "feed.errors.sseLost" });
+      } else {
+        if (!WebSocketImpl) throw new TranslatableError("feed.errors.unsupported", { api: "WebSocket" });
+        socket = new WebSocketImpl(url);
+        socket.onerror = () => handleDrop({ code: "feed.errors.wsError" });
+        socket.onclose = (e) => handleDrop(e?.code ? { code: "feed.errors.wsClosedCode", params: { code: e.code } } : { code: "feed.errors.wsClosed" });
+      }
+    } catch (err) {
+      socket = null;
+      handleDrop(errorMessage(err));
+      return;
+    }
+    socket.onopen = () => {
+      openedAt = Date.now();
+      emit({ state: "ok" });
+    };
+    socket.onmessage = (e) => handleMessage(e.data);
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      connect();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      close();
+      emit({ state: "idle", nextAt: null });
+    },
+    /** Reconecta já, sem esperar o backoff */
+    reconnect() {
+      if (stopped) return;
+      clearTimeout(timer);
+      close();
+      connect();
+    },
+    get status() {
+      return status;
+    },
+  };
+}
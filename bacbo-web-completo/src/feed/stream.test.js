@@ -0,0 +1,96 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createStreamClient, parseStreamMessage } from "./stream";
+import { mergeFeed } from "./merge";
+import { messageText } from "@/i18n";
+
+class FakeSocket {
+  static instances = [];
+  constructor(url) {
+    this.url = url;
+    FakeSocket.instances.push(this);
+  }
+  close() {
+    this.closed = true;
+  }
+  emit(data) {
+    this.onmessage?.({ data: JSON.stringify(data) });
+  }
+}
+
+afterEach(() => {
+  FakeSocket.instances = [];
+  vi.useRealTimers();
+});
+
+describe("stream", () => {
+  it("aceita lote ou rodada avulsa", () => {
+    expect(parseStreamMessage('{"v":"R","roundId":"9"}').items).toEqual([{ v: "R", roundId: "9" }]);
+    expect(parseStreamMessage('{"results":["B","T"]}').items).toHaveLength(2);
+  });
+
+  it("snapshot + eventos repetidos não duplicam rodadas", () => {
+    let history = [];
+    const client = createStreamClient({
+      url: "ws://x",
+      transport: "ws",
+      WebSocketImpl: FakeSocket,
+      onBatch: (batch) => {
+        const result = mergeFeed(history, batch.items);
+        history = result.next;
+        return result;
+      },
+    });
+    client.start();
+    const ws = FakeSocket.instances[0];
+    ws.onopen();
+    ws.emit({ results: [{ v: "R", roundId: "1" }, { v: "B", roundId: "2" }] });
+    ws.emit({ v: "B", roundId: "2" });
+    ws.emit({ v: "T", roundId: "3" });
+    expect(history.map((r) => r.roundId)).toEqual(["1", "2", "3"]);
+    expect(client.status.log[1]).toMatchObject({ received: 1, added: 0, duplicates: 1 });
+    client.stop();
+  });
+
+  it("falha ao aplicar um lote vira erro no status, sem derrubar a conexão", () => {
+    const client = createStreamClient({
+      url: "ws://x",
+      transport: "ws",
+      WebSocketImpl: FakeSocket,
+      onBatch: () => {
+        throw new Error("boom");
+      },
+    });
+    client.start();
+    const ws = FakeSocket.instances[0];
+    ws.onopen();
+    expect(() => ws.emit({ v: "R" })).not.toThrow();
+    expect(messageText(client.status.lastError)).toBe("Falha ao aplicar o lote: boom");
+    expect(ws.closed).toBeUndefined();
+    client.stop();
+  });
+
+  it("reconecta com backoff quando a conexão cai", async () => {
+    vi.useFakeTimers();
+    const client = createStreamClient({ url: "ws://x", transport: "ws", WebSocketImpl: FakeSocket, onBatch: () => ({}) });
+    client.start();
+    FakeSocket.instances[0].onclose({ code: 1006 });
+    expect(client.status.state).toBe("backoff");
+    expect(messageText(client.status.lastError)).toMatch(/1006/);
+    await vi.advanceTimersByTimeAsync(2400);
+    expect(FakeSocket.instances).toHaveLength(2);
+    FakeSocket.instances[1].onclose({});
+    expect(client.status.failures).toBe(2);
+    client.stop();
+    await vi.advanceTimersByTimeAsync(60_000);
+    expect(FakeSocket.instances).toHaveLength(2);
+  });
+
+  it("usa EventSource no modo SSE", () => {
+    const client = createStreamClient({ url: "http://x/events", transport: "sse", EventSourceImpl: FakeSocket, onBatch: () => ({ added: 1 }) });
+    client.start();
+    FakeSocket.instances[0].emit({ v: "R" });
+    expect(client.status.lastSuccess).not.toBeNull();
+    client.stop();
+    expect(FakeSocket.instances[0].closed).toBe(true);
+  });
+});
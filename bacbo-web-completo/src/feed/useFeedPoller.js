@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createPoller } from "./poller";
+import { normalizeFeedPayload } from "./normalize";
+import { TranslatableError } from "@/i18n";
+
+export async function fetchFeed(url, signal) {
+  const res = await fetch(url, { signal, cache: "no-store" });
+  if (!res.ok) throw new TranslatableError("feed.errors.http", { status: res.status });
+  return normalizeFeedPayload(await res.json());
+}
+
+const IDLE = { state: "idle", failures: 0, lastSuccess: null, lastError: null, lastErrorAt: null, nextAt: null, log: [] };
+
+/**
+ * Liga o poller a uma URL enquanto `intervalSec > 0`.
+ * `onBatch` recebe `{ items, rejected }` e devolve o resultado de `mergeFeed`.
+ */
+export function useFeedPoller({ url, intervalSec, onBatch }) {
+  const [status, setStatus] = useState(IDLE);
+  const onBatchRef = useRef(onBatch);
+  const pollerRef = useRef(null);
+
+  useEffect(() => {
+    onBatchRef.current = onBatch;
+  }, [onBatch]);
+
+  useEffect(() => {
+    if (!url || !(intervalSec > 0)) {
+      setStatus(IDLE);
+      return;
+    }
+    const poller = createPoller({
+      fetchBatch: (signal) => fetchFeed(url, signal),
+      onBatch: (batch) => onBatchRef.current(batch),
+      onStatus: setStatus,
+      intervalMs: intervalSec * 1000,
+    });
+    pollerRef.current = poller;
+    poller.start();
+    return () => {
+      poller.stop();
+      pollerRef.current = null;
+    };
+  }, [url, intervalSec]);
+
+  const pollNow = useCallback(() => pollerRef.current?.pollNow(), []);
+  return { status, pollNow };
+}
+
+export default useFeedPoller;
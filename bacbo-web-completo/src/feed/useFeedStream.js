@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createStreamClient } from "./stream";
+
+const IDLE = { state: "idle", failures: 0, lastSuccess: null, lastError: null, lastErrorAt: null, nextAt: null, log: [] };
+
+/**
+ * Mantém uma conexão WebSocket/SSE enquanto `url` estiver definida.
+ * Mesmo contrato de `useFeedPoller`: `onBatch` recebe `{ items, rejected }`.
+ */
+export function useFeedStream({ url, transport, onBatch }) {
+  const [status, setStatus] = useState(IDLE);
+  const onBatchRef = useRef(onBatch);
+  const clientRef = useRef(null);
+
+  useEffect(() => {
+    onBatchRef.current = onBatch;
+  }, [onBatch]);
+
+  useEffect(() => {
+    if (!url) {
+      setStatus(IDLE);
+      return;
+    }
+    const client = createStreamClient({
+      url,
+      transport,
+      onBatch: (batch) => onBatchRef.current(batch),
+      onStatus: setStatus,
+    });
+    clientRef.current = client;
+    client.start();
+    return () => {
+      client.stop();
+      clientRef.current = null;
+    };
+  }, [url, transport]);
+
+  const reconnect = useCallback(() => clientRef.current?.reconnect(), []);
+  return { status, reconnect };
+}
+
+export default useFeedStream;
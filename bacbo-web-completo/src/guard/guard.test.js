@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_GUARD_SETTINGS,
+  INITIAL_GUARD_STATE,
+  acknowledgeRealityCheck,
+  countRoundsSince,
+  enableGuard,
+  evaluateGuard,
+  firstRoundAfter,
+  lastRoundTime,
+  normalizeGuardSettings,
+  startCoolDown,
+} from "./index";
+
+const MIN = 60_000;
+const settings = normalizeGuardSettings({ ...DEFAULT_GUARD_SETTINGS, enabled: true, maxMinutes: 60, maxRounds: 5, realityCheckMinutes: 20, coolDownMinutes: 15 });
+
+// Rodadas em uma sessão nos minutos indicados
+const roundsAt = (...minutes) => ({ s1: minutes.map((m, i) => ({ id: String(i), v: "R", ts: m * MIN })) });
+
+function run(state, rounds, now, cfg = settings) {
+  return evaluateGuard(state, cfg, { now, lastRoundAt: lastRoundTime(rounds), countSince: (ts) => countRoundsSince(rounds, ts), firstAfter: (ts) => firstRoundAfter(rounds, ts) });
+}
+
+describe("guarda de jogo responsável", () => {
+  it("desligada não faz nada", () => {
+    const state = enableGuard(0);
+    const { state: next, view } = run(state, roundsAt(1, 2), 3 * MIN, DEFAULT_GUARD_SETTINGS);
+    expect(view.status).toBe("off");
+    expect(next).toBe(state);
+  });
+
+  it("abre a janela na primeira rodada depois de ligar e ignora o histórico antigo", () => {
+    const state = enableGuard(10 * MIN);
+    expect(run(state, roundsAt(1, 2), 11 * MIN).view.status).toBe("idle");
+    const { state: next, view } = run(state, roundsAt(1, 2, 12, 13), 14 * MIN);
+    expect(next.startedAt).toBe(12 * MIN);
+    expect(view).toMatchObject({ status: "open", rounds: 2, elapsedMs: 2 * MIN, realityCheckDue: false });
+  });
+
+  it("bloqueia ao atingir o limite de rodadas e libera depois da pausa", () => {
+    const rounds = roundsAt(1, 2, 3, 4, 5);
+    const { state: locked, view } = run(enableGuard(0), rounds, 6 * MIN);
+    expect(view).toMatchObject({ status: "locked", lockRemainingMs: 15 * MIN, lock: { reason: "rounds", rounds: 5 } });
+    expect(locked.lockedUntil).toBe(21 * MIN);
+
+    // recarregar (mesmo estado salvo) não tira o bloqueio
+    expect(run(locked, rounds, 20 * MIN).view.status).toBe("locked");
+
+    const after = run(locked, rounds, 21 * MIN);
+    expect(after.view.status).toBe("idle");
+    expect(after.state.idleSince).toBe(21 * MIN);
+  });
+
+  it("bloqueia ao atingir o limite de tempo", () => {
+    const open = run(enableGuard(0), roundsAt(1), 2 * MIN).state;
+    const { view } = run(open, roundsAt(1, 14, 28, 42, 56), 61 * MIN);
+    expect(view).toMatchObject({ status: "locked", lock: { reason: "time" } });
+  });
+
+  it("lembrete vence a cada intervalo e é confirmado", () => {
+    const rounds = roundsAt(1, 10, 20);
+    const open = run(enableGuard(0), rounds, 2 * MIN).state;
+    const { state, view } = run(open, rounds, 21 * MIN);
+    expect(view.realityCheckDue).toBe(true);
+    const acked = acknowledgeRealityCheck(state, 21 * MIN);
+    expect(run(acked, rounds, 22 * MIN).view.realityCheckDue).toBe(false);
+  });
+
+  it("ficar sem jogar pelo tempo da pausa fecha a janela", () => {
+    const open = run(enableGuard(0), roundsAt(1), 2 * MIN).state;
+    const { state, view } = run(open, roundsAt(1), 16 * MIN);
+    expect(view.status).toBe("idle");
+    expect(state.startedAt).toBe(null);
+  });
+
+  it("pausa manual e configuração normalizada", () => {
+    const state = startCoolDown(settings, 0, { reason: "manual", elapsedMs: 0, rounds: 0 });
+    expect(run(state, {}, MIN).view).toMatchObject({ status: "locked", lock: { reason: "manual" } });
+    expect(normalizeGuardSettings({ maxRounds: "-3", coolDownMinutes: 0, maxMinutes: "abc" })).toMatchObject({
+      enabled: false,
+      maxRounds: 0,
+      coolDownMinutes: 1,
+      maxMinutes: DEFAULT_GUARD_SETTINGS.maxMinutes,
+    });
+    expect(INITIAL_GUARD_STATE.lockedUntil).toBe(null);
+  });
+});
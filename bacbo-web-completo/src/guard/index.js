@@ -0,0 +1,139 @@
+/**
+ * Guarda de jogo responsável
+ * --------------------------
+ * Lógica pura; o hook (useSessionGuard) persiste estado e configuração no
+ * localStorage, então recarregar a página não zera limites nem a pausa.
+ *
+ * - A janela de jogo abre na primeira rodada registrada depois de um
+ *   intervalo sem jogo e conta tempo e rodadas (de todas as sessões, para
+ *   trocar de sessão não zerar a conta).
+ * - Ao atingir o limite de tempo ou de rodadas começa a pausa (cool-down):
+ *   registrar resultados e o feed ficam bloqueados até `lockedUntil`.
+ * - Ficar sem registrar nada pelo tempo da pausa também fecha a janela
+ *   (a pessoa já descansou).
+ * - A cada `realityCheckMinutes` de janela aberta um lembrete mostra tempo e rodadas.
+ *
+ * Limites com valor 0 ficam desligados. Tempos em minutos na configuração,
+ * em ms no estado.
+ */
+
+export const DEFAULT_GUARD_SETTINGS = {
+  enabled: false,
+  maxMinutes: 60,
+  maxRounds: 200,
+  realityCheckMinutes: 20,
+  coolDownMinutes: 15,
+};
+
+export const INITIAL_GUARD_STATE = {
+  startedAt: null, // início da janela atual (null = sem janela aberta)
+  lastCheckAt: null, // último lembrete confirmado
+  idleSince: 0, // rodadas até aqui não abrem janela
+  lockedUntil: null,
+  lock: null, // { reason: "time" | "rounds" | "manual", elapsedMs, rounds }
+};
+
+const MIN = 60_000;
+// Pausa mínima: sem isso um cool-down de 0 seria só um aviso
+export const MIN_COOL_DOWN_MINUTES = 1;
+
+const clampInt = (x, lo, hi, fallback) => {
+  const n = Math.round(Number(x));
+  return Number.isFinite(n) ? Math.min(hi, Math.max(lo, n)) : fallback;
+};
+
+/** Configuração utilizável a partir do que estava salvo (ou digitado) */
+export function normalizeGuardSettings(s) {
+  const d = DEFAULT_GUARD_SETTINGS;
+  return {
+    enabled: !!s?.enabled,
+    maxMinutes: clampInt(s?.maxMinutes, 0, 24 * 60, d.maxMinutes),
+    maxRounds: clampInt(s?.maxRounds, 0, 100_000, d.maxRounds),
+    realityCheckMinutes: clampInt(s?.realityCheckMinutes, 0, 24 * 60, d.realityCheckMinutes),
+    coolDownMinutes: clampInt(s?.coolDownMinutes, MIN_COOL_DOWN_MINUTES, 7 * 24 * 60, d.coolDownMinutes),
+  };
+}
+
+/** Começa a pausa agora (limite atingido ou pedido pela própria pessoa) */
+export function startCoolDown(settings, now, lock) {
+  return { ...INITIAL_GUARD_STATE, idleSince: now, lockedUntil: now + settings.coolDownMinutes * MIN, lock };
+}
+
+export const acknowledgeRealityCheck = (state, now) => ({ ...state, lastCheckAt: now });
+
+/** Estado ao ligar a guarda: o histórico que já existe não abre janela */
+export const enableGuard = (now) => ({ ...INITIAL_GUARD_STATE, idleSince: now });
+
+/**
+ * Avança o estado até `now` e descreve a situação para a UI.
+ * Devolve o mesmo objeto `state` quando nada mudou (o hook só grava se mudar).
+ *
+ * @param {typeof INITIAL_GUARD_STATE} state
+ * @param {typeof DEFAULT_GUARD_SETTINGS} settings já normalizada
+ * @param {{ now: number, lastRoundAt: number | null, countSince: (ts: number) => number, firstAfter: (ts: number) => number | null }} input
+ * @returns {{ state, view: { status: "off" | "idle" | "open" | "locked", elapsedMs?, rounds?, lockRemainingMs?, lock?, realityCheckDue? } }}
+ */
+export function evaluateGuard(state, settings, { now, lastRoundAt, countSince, firstAfter }) {
+  let s = state;
+  if (s.lockedUntil != null) {
+    if (now < s.lockedUntil) return { state: s, view: { status: "locked", lockRemainingMs: s.lockedUntil - now, lock: s.lock } };
+    s = { ...INITIAL_GUARD_STATE, idleSince: s.lockedUntil };
+  }
+  if (!settings.enabled) {
+    return { state: s.startedAt != null ? enableGuard(now) : s, view: { status: "off" } };
+  }
+
+  if (s.startedAt == null) {
+    if (lastRoundAt == null || lastRoundAt <= s.idleSince) return { state: s, view: { status: "idle" } };
+    const startedAt = firstAfter(s.idleSince) ?? lastRoundAt;
+    s = { ...s, startedAt, lastCheckAt: startedAt };
+  }
+
+  // pausa natural: tanto tempo sem jogar quanto a pausa obrigatória
+  if (lastRoundAt != null && now - lastRoundAt >= settings.coolDownMinutes * MIN) {
+    return { state: enableGuard(now), view: { status: "idle" } };
+  }
+
+  const elapsedMs = Math.max(0, now - s.startedAt);
+  const rounds = countSince(s.startedAt);
+  const reason =
+    settings.maxMinutes && elapsedMs >= settings.maxMinutes * MIN ? "time" :
+    settings.maxRounds && rounds >= settings.maxRounds ? "rounds" : null;
+  if (reason) {
+    const next = startCoolDown(settings, now, { reason, elapsedMs, rounds });
+    return { state: next, view: { status: "locked", lockRemainingMs: next.lockedUntil - now, lock: next.lock } };
+  }
+
+  const realityCheckDue = !!settings.realityCheckMinutes && now - s.lastCheckAt >= settings.realityCheckMinutes * MIN;
+  return { state: s, view: { status: "open", elapsedMs, rounds, realityCheckDue } };
+}
+
+/** Rodadas de todas as sessões com horário ≥ `since` */
+export function countRoundsSince(rounds, since) {
+  let n = 0;
+  for (const list of Object.values(rounds)) {
+    // em geral os horários crescem: percorre de trás para frente e para no primeiro anterior
+    for (let i = list.length - 1; i >= 0 && list[i].ts >= since; i--) n++;
+  }
+  return n;
+}
+
+/** Horário da primeira rodada (de qualquer sessão) depois de `since` */
+export function firstRoundAfter(rounds, since) {
+  let first = null;
+  for (const list of Object.values(rounds)) {
+    for (let i = list.length - 1; i >= 0 && list[i].ts > since; i--) {
+      if (first == null || list[i].ts < first) first = list[i].ts;
+    }
+  }
+  return first;
+}
+
+export function lastRoundTime(rounds) {
+  let last = null;
+  for (const list of Object.values(rounds)) {
+    const ts = list[list.length - 1]?.ts;
+    if (ts != null && (last == null || ts > last)) last = ts;
+  }
+  return last;
+}
@@ -0,0 +1,77 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { usePersistentState } from "@/lib/usePersistentState";
+import {
+  DEFAULT_GUARD_SETTINGS,
+  INITIAL_GUARD_STATE,
+  acknowledgeRealityCheck,
+  countRoundsSince,
+  enableGuard,
+  evaluateGuard,
+  firstRoundAfter,
+  lastRoundTime,
+  normalizeGuardSettings,
+  startCoolDown,
+} from "./index";
+
+export const GUARD_SETTINGS_KEY = "bacbo-guard-settings";
+export const GUARD_STATE_KEY = "bacbo-guard-state";
+const TICK_MS = 5000;
+
+/**
+ * Guarda de jogo responsável sobre os rounds de todas as sessões
+ * (`sessions.rounds`). Ver src/guard/index.js para as regras.
+ *
+ * Devolve `{ settings, setSettings, view, locked, acknowledge, coolDownNow }`.
+ * Enquanto a pausa durar, `setSettings` não afrouxa nada.
+ */
+export function useSessionGuard(rounds) {
+  const [rawSettings, setRawSettings] = usePersistentState(GUARD_SETTINGS_KEY, DEFAULT_GUARD_SETTINGS);
+  const [state, setState] = usePersistentState(GUARD_STATE_KEY, INITIAL_GUARD_STATE);
+  const [now, setNow] = useState(() => Date.now());
+  const settings = useMemo(() => normalizeGuardSettings(rawSettings), [rawSettings]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const lastRoundAt = useMemo(() => lastRoundTime(rounds), [rounds]);
+  const guard = { ...INITIAL_GUARD_STATE, ...state };
+  // `now` só anda de TICK_MS em TICK_MS; uma rodada nova avança o relógio junto
+  const at = Math.max(now, lastRoundAt ?? 0);
+  const { state: next, view } = evaluateGuard(guard, settings, {
+    now: at,
+    lastRoundAt,
+    countSince: (ts) => countRoundsSince(rounds, ts),
+    firstAfter: (ts) => firstRoundAfter(rounds, ts),
+  });
+
+  useEffect(() => {
+    if (next !== guard) setState(next);
+  });
+
+  const locked = view.status === "locked";
+
+  const setSettings = useCallback(
+    (patch) => {
+      if (locked) return;
+      const merged = normalizeGuardSettings({ ...rawSettings, ...patch });
+      // ao ligar, o que já estava registrado não conta para a janela
+      if (merged.enabled && !settings.enabled) setState(enableGuard(Date.now()));
+      setRawSettings(merged);
+    },
+    [locked, rawSettings, settings.enabled, setRawSettings, setState]
+  );
+
+  const acknowledge = useCallback(() => setState((s) => acknowledgeRealityCheck(s, Date.now())), [setState]);
+
+  const coolDownNow = useCallback(() => {
+    const at = Date.now();
+    setState(startCoolDown(settings, at, { reason: "manual", elapsedMs: view.elapsedMs ?? 0, rounds: view.rounds ?? 0 }));
+    setNow(at);
+  }, [settings, view.elapsedMs, view.rounds, setState]);
+
+  return { settings, setSettings, view, locked, acknowledge, coolDownNow };
+}
+
+export default useSessionGuard;
@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import { computeStats, createStatsEngine, syncEngine } from "@/engine";
+import { dayBoundary, filterRows, groupBySession, insertRound, rangeIds, recolorRounds, removeRounds } from "./index";
+
+const day = (d, h = 12) => new Date(2024, 4, d, h).getTime();
+const rounds = (spec, id = "r", t0 = day(1)) => [...spec].map((v, i) => ({ id: `${id}${i}`, v, ts: t0 + i * 60_000 }));
+
+const state = {
+  rounds: {
+    a: rounds("RBTR", "a", day(1)),
+    b: rounds("BBR", "b", day(3)),
+  },
+};
+
+describe("filterRows", () => {
+  it("lista as sessões na ordem pedida com a posição de cada resultado", () => {
+    const rows = filterRows(state, ["b", "a"]);
+    expect(rows.map((r) => r.round.id)).toEqual(["b0", "b1", "b2", "a0", "a1", "a2", "a3"]);
+    expect(rows[4]).toMatchObject({ sessionId: "a", index: 1 });
+  });
+
+  it("filtra por cor, por intervalo de datas (dias inteiros) e ignora sessões inexistentes", () => {
+    expect(filterRows(state, ["a", "b"], { color: "R" }).map((r) => r.round.id)).toEqual(["a0", "a3", "b2"]);
+    expect(filterRows(state, ["a", "b"], { from: "2024-05-02" }).map((r) => r.round.id)).toEqual(["b0", "b1", "b2"]);
+    expect(filterRows(state, ["a", "b"], { to: "2024-05-01" })).toHaveLength(4);
+    expect(filterRows(state, ["a", "zz"], { color: "B", from: "2024-05-01", to: "2024-05-01" }).map((r) => r.round.id)).toEqual(["a1"]);
+  });
+
+  it("ignora datas inválidas", () => {
+    expect(dayBoundary("ontem")).toBeNull();
+    expect(dayBoundary("2024-05-01", { end: true }) - dayBoundary("2024-05-01")).toBe(86_400_000 - 1);
+    expect(filterRows(state, ["a"], { from: "x" })).toHaveLength(4);
+  });
+});
+
+describe("edições", () => {
+  const list = rounds("RBTR");
+
+  it("remove e troca a cor sem mutar; sem mudança devolve o mesmo array", () => {
+    expect(removeRounds(list, ["r1", "r3"]).map((r) => r.v)).toEqual(["R", "T"]);
+    expect(removeRounds(list, ["nada"])).toBe(list);
+    const recolored = recolorRounds(list, ["r0", "r2"], "B");
+    expect(recolored.map((r) => r.v).join("")).toBe("BBBR");
+    expect(recolored[1]).toBe(list[1]);
+    expect(recolorRounds(list, ["r1"], "B")).toBe(list);
+    expect(list.map((r) => r.v).join("")).toBe("RBTR");
+  });
+
+  it("insere em qualquer posição com horário aproximado entre os vizinhos", () => {
+    const mid = insertRound(list, 2, "B", { id: "x" });
+    expect(mid.map((r) => r.id)).toEqual(["r0", "r1", "x", "r2", "r3"]);
+    expect(mid[2]).toEqual({ id: "x", v: "B", ts: list[1].ts + 30_000, tsApprox: true });
+    expect(insertRound(list, 0, "T", { id: "x" })[0].ts).toBe(list[0].ts - 1);
+    expect(insertRound(list, 99, "T", { id: "x" })[4].ts).toBe(list[3].ts + 1);
+    expect(insertRound([], 0, "R", { id: "x", now: 5 })).toEqual([{ id: "x", v: "R", ts: 5, tsApprox: true }]);
+  });
+
+  it("as estatísticas batem com um recálculo completo após edições no meio", () => {
+    let prev = rounds("RRBRBBTRRRBTBBR");
+    const engine = createStatsEngine(prev.map((r) => r.v));
+    const edits = [
+      (h) => insertRound(h, 3, "T", { id: "n1" }),
+      (h) => removeRounds(h, ["r6"]),
+      (h) => recolorRounds(h, ["r8", "r9"], "B"),
+      (h) => removeRounds(h, ["r0", "r12"]),
+      (h) => insertRound(h, 0, "B", { id: "n2" }),
+    ];
+    for (const edit of edits) {
+      const next = edit(prev);
+      syncEngine(engine, prev, next);
+      expect(engine.stats()).toEqual(computeStats(next));
+      prev = next;
+    }
+  });
+});
+
+describe("seleção", () => {
+  const rows = filterRows(state, ["a", "b"]);
+
+  it("intervalo do shift+clique em qualquer direção", () => {
+    expect(rangeIds(rows, "a2", "b0")).toEqual(["a2", "a3", "b0"]);
+    expect(rangeIds(rows, "b0", "a2")).toEqual(["a2", "a3", "b0"]);
+    expect(rangeIds(rows, "sumiu", "a1")).toEqual(["a1"]);
+  });
+
+  it("agrupa por sessão só o que está visível", () => {
+    const picked = groupBySession(filterRows(state, ["a", "b"], { color: "R" }), new Set(["a0", "a1", "b2"]));
+    expect([...picked]).toEqual([["a", ["a0"]], ["b", ["b2"]]]);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tabela do histórico: filtros e edições
+ * --------------------------------------
+ * Funções puras sobre o estado de `useSessions`. As edições devolvem um
+ * novo array de resultados da sessão (nunca mutam), então o motor de
+ * estatísticas, os roadmaps e o livro da banca se recalculam sozinhos —
+ * as edições de uma rodada só são anunciadas ao motor (`markEdit`), que
+ * aplica (ou desfaz) só elas; o resto ele compara ou reconstrói (ver `syncEngine`).
+ */
+
+import { markEdit } from "@/engine";
+
+export const COLOR_FILTERS = ["all", "R", "B", "T"];
+
+/** "2024-05-01" (data local) → ms do início do dia; `end` = último ms do dia */
+export function dayBoundary(text, { end = false } = {}) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || "");
+  if (!m) return null;
+  const day = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return end ? day.getTime() + 86_400_000 - 1 : day.getTime();
+}
+
+/**
+ * Linhas `{ round, sessionId, index }` das sessões `ids` (na ordem delas)
+ * que passam pelos filtros `{ color, from, to }` (`from`/`to` em "AAAA-MM-DD").
+ * `index` é a posição do resultado na sua sessão (0-based).
+ */
+export function filterRows(state, ids, { color = "all", from = "", to = "" } = {}) {
+  const lo = dayBoundary(from);
+  const hi = dayBoundary(to, { end: true });
+  const rows = [];
+  for (const sessionId of ids) {
+    (state.rounds[sessionId] || []).forEach((round, index) => {
+      if (color !== "all" && round.v !== color) return;
+      if (lo !== null && !(round.ts >= lo)) return;
+      if (hi !== null && !(round.ts <= hi)) return;
+      rows.push({ round, sessionId, index });
+    });
+  }
+  return rows;
+}
+
+/** Acrescenta resultados no fim */
+export const appendRounds = (rounds, items) => (items.length ? markEdit(rounds, [...rounds, ...items], "append") : rounds);
+
+/** Remove os resultados com os ids dados */
+export function removeRounds(rounds, ids) {
+  const drop = new Set(ids);
+  const next = rounds.filter((r) => !drop.has(r.id));
+  if (next.length === rounds.length) return rounds;
+  return next.length === rounds.length - 1 ? markEdit(rounds, next, "removeAt", rounds.findIndex((r) => drop.has(r.id))) : next;
+}
+
+/** Troca a cor dos resultados com os ids dados (a aposta, se houver, passa a valer contra a cor nova) */
+export function recolorRounds(rounds, ids, v) {
+  const pick = new Set(ids);
+  const changed = [];
+  const next = rounds.map((r, i) => {
+    if (!pick.has(r.id) || r.v === v) return r;
+    changed.push(i);
+    return { ...r, v };
+  });
+  if (!changed.length) return rounds;
+  return changed.length === 1 ? markEdit(rounds, next, "set", changed[0]) : next;
+}
+
+/**
+ * Insere uma rodada esquecida na posição `index` (0 = antes da primeira).
+ * O horário fica entre os vizinhos e é marcado `tsApprox`, porque não se
+ * sabe quando ela aconteceu. `by`: quem inseriu (ver src/sync).
+ */
+export function insertRound(rounds, index, v, { id, now = Date.now(), by = "" } = {}) {
+  const at = Math.max(0, Math.min(rounds.length, index));
+  const prev = rounds[at - 1];
+  const next = rounds[at];
+  const ts = prev && next ? Math.round((prev.ts + next.ts) / 2) : prev ? prev.ts + 1 : next ? next.ts - 1 : now;
+  const round = { id, v, ts, tsApprox: true };
+  if (by) round.by = by;
+  return markEdit(rounds, [...rounds.slice(0, at), round, ...rounds.slice(at)], "insertAt", at);
+}
+
+/**
+ * Seleção por intervalo (shift+clique): ids das linhas entre a última
+ * clicada e a atual, inclusive, na ordem exibida.
+ */
+export function rangeIds(rows, fromId, toId) {
+  const a = rows.findIndex((r) => r.round.id === fromId);
+  const b = rows.findIndex((r) => r.round.id === toId);
+  if (a < 0 || b < 0) return b >= 0 ? [toId] : [];
+  const [lo, hi] = a < b ? [a, b] : [b, a];
+  return rows.slice(lo, hi + 1).map((r) => r.round.id);
+}
+
+/** Agrupa ids selecionados por sessão: `Map(sessionId → ids[])` */
+export function groupBySession(rows, selected) {
+  const out = new Map();
+  for (const { round, sessionId } of rows) {
+    if (!selected.has(round.id)) continue;
+    if (!out.has(sessionId)) out.set(sessionId, []);
+    out.get(sessionId).push(round.id);
+  }
+  return out;
+}
@@ -0,0 +1,646 @@
+/** English texts (same keys as pt-BR.js, checked in i18n.test.js). */
+export default {
+  colors: {
+    R: "Red",
+    B: "Blue",
+    T: "Tie",
+    letter: { R: "R", B: "B", T: "T" },
+  },
+  common: {
+    apply: "Apply",
+    cancel: "Cancel",
+    close: "Close",
+    save: "Save",
+    remove: "Remove",
+    none: "—",
+    dismiss: "Dismiss notice",
+    rounds: { one: "{count} round", other: "{count} rounds" },
+    results: { one: "{count} result", other: "{count} results" },
+  },
+  app: {
+    title: "Bac Bo – Pattern Tracker",
+    disclaimer: "Educational tool for monitoring trends. Not financial advice and no guarantee of results. Play responsibly.",
+    loading: "Loading history…",
+    tabsLabel: "App sections",
+    confirmClear: "Clear the whole history of the active session?",
+  },
+  prefs: {
+    language: "Language",
+    contrast: "High contrast",
+  },
+  tabs: {
+    painel: "Dashboard",
+    historico: "History",
+    aleatoriedade: "Randomness",
+    horarios: "Times",
+    banca: "Bankroll",
+    simulador: "Simulator",
+    relatorios: "Reports",
+    dados: "Data/Integration",
+  },
+  undo: {
+    undo: "Undo",
+    redo: "Redo",
+    undoNext: "Undo: {label}",
+    redoNext: "Redo: {label}",
+    register: "Log {color}",
+    clear: "Clear history",
+    paste: { one: "Paste {count} result", other: "Paste {count} results" },
+    feed: "Feed rounds",
+    editHistory: "Edit history",
+    newSession: "New session",
+    editSession: "Edit session",
+    endSession: "End session",
+    deleteSession: "Delete session",
+    splitSession: "Split session",
+    importReplace: "Import (replace)",
+    importMerge: "Import (merge)",
+    deleteRounds: { one: "Delete {count} result", other: "Delete {count} results" },
+    recolorRounds: { one: "Change {count} result to {color}", other: "Change {count} results to {color}" },
+    insertRound: "Insert {color} at position {position}",
+  },
+  painel: {
+    add: {
+      title: "Add result",
+      description: "Quickly log the winner of the round.",
+      clear: "Clear",
+      last: "Last {count}",
+    },
+    summary: {
+      title: "Summary",
+      description: "Quick stats",
+      total: "Total rounds",
+      alternations: "R↔B alternations",
+      currentStreak: "Current streak",
+      longestR: "Longest Red streak",
+      longestB: "Longest Blue streak",
+      zebraMax: "Longest alternation (\"zebra\")",
+      recent: "Count in the latest rounds",
+    },
+    streaks: {
+      title: "Streak distribution (Red and Blue)",
+      description: "How many streaks of 1, 2, 3… appeared",
+    },
+    signals: {
+      title: "Readings/Heuristics",
+      description: "Simple rules based on recent history (informational only). \"Base\" = chance of the signal lighting up at a fair table with the same number of rounds.",
+      on: "on",
+      base: "Base: {value}",
+      simulated: "sim. {rate} ± {margin}",
+      simulate: "Simulate base rates",
+      simulating: "Simulating… {percent}%",
+      simulationFailed: "Simulation failed: {error}",
+      openAlerts: "Custom alerts",
+      closeAlerts: "Close alerts",
+    },
+  },
+  signals: {
+    zebra: { title: "Zebra / Alternation", desc: "Longest consecutive alternation seen: {zebraMax}" },
+    streaklong: { title: "Long streak", desc: "Longest streak: Red={R}, Blue={B}" },
+    bias: { title: "Recent bias", desc: "Last {window} → Red={R}, Blue={B}, Tie={T}" },
+    ties: {
+      title: "Frequent ties",
+      desc: { one: "Last {window} had {count} tie (alert from {threshold})", other: "Last {window} had {count} ties (alert from {threshold})" },
+    },
+  },
+  live: {
+    title: "Live integration",
+    description: "Optional: fetch JSON results periodically (pull) or receive them over WebSocket/SSE (push).",
+    mode: "Mode",
+    modes: { poll: "Pull (HTTP)", ws: "WebSocket", sse: "Server-Sent Events" },
+    url: "URL",
+    interval: "Interval (seconds, 0 = off)",
+    disconnect: "Disconnect",
+    help: "The URL must return {format} or objects {objects}; with roundId rounds are deduplicated by id, otherwise by overlap with the end of the history. In push mode each message is a batch in that format or a single round. To test offline:",
+    noScraping: "Avoid scraping sites that forbid it.",
+    pausedByGuard: "Off during the responsible-play break; it comes back on its own when the break ends.",
+  },
+  rapid: {
+    title: "Keyboard rapid entry",
+    description: "For live tables: log each round with a single key.",
+    settings: "Keys and confirmation",
+    turnOn: "Turn on",
+    turnOff: "Turn off",
+    idle: "Press a key to log.",
+    doubleTitle: "Double press ignored",
+    doubleHint: "{action} repeated too quickly. If it really was another round, press it again.",
+    locked: "Break active — logging blocked",
+    next: "Next: {label}",
+    nothing: { undo: "Nothing left to undo", redo: "Nothing left to redo" },
+    pressKey: "Click and press the key",
+    conflict: "Repeated key: {actions} left without a shortcut.",
+    debounce: "Double press (ms)",
+    sound: "Confirmation sound",
+    reset: "Restore defaults",
+    streak: "Streak:",
+    keys: { space: "Space" },
+  },
+  bulk: {
+    label: "Paste a list (R/B/T, Red/Blue/Tie, V/A/E, Vermelho/Azul/Empate; R3 = three Red)",
+    placeholder: "E.g. R B R R T B ... or R3 B2 T",
+    add: "Add in bulk",
+    rejected: "“{text}” at position {position}: {error}",
+    strictBlocked: "Strict mode: fix the items above to add.",
+    ignored: "The items above will be ignored.",
+    strict: "Strict mode",
+    editAliases: "Edit aliases",
+    closeAliases: "Close aliases",
+    resetAliases: "Restore defaults",
+    errors: {
+      aliasLetters: "“{alias}”: use letters only (numbers mean repetition)",
+      aliasTaken: "“{alias}” is already an alias for {color}",
+      repeat: "repetition out of 1–{max}",
+      notAlias: "“{letter}” is not a color alias",
+      unknown: "not recognized",
+    },
+  },
+  roads: {
+    description: "Scoreboards like the ones at live tables. Big Road: green slash = tie (number = how many). In the derived roads, red circle = pattern repeats, blue square = pattern broke.",
+    withTies: { one: "{color} + {count} tie", other: "{color} + {count} ties" },
+    pendingTies: { one: "{count} tie before the first Red/Blue", other: "{count} ties before the first Red/Blue" },
+    regular: "regular (pattern repeats)",
+    irregular: "irregular (pattern broke)",
+  },
+  history: {
+    title: "Detailed history",
+    description: "Filter, select (shift+click selects a range) and fix results. Deletions and color changes ask for confirmation and can be undone (Ctrl+Z).",
+    session: "Session",
+    scopeSessions: "Sessions in the stats ({count})",
+    allSessions: "All sessions",
+    color: "Color",
+    allColors: "All",
+    from: "From",
+    to: "To",
+    newestFirst: "Newest first",
+    selected: { one: "{count} selected of {total}", other: "{count} selected of {total}" },
+    delete: "Delete",
+    recolorTo: "Change to",
+    clearSelection: "Clear selection",
+    insertAt: "Insert at position",
+    inActiveSession: "In the active session",
+    inserting: "Insert at position {position} of “{session}” (approximate time):",
+    selectAll: "Select all filtered",
+    selectRow: "Select #{position}",
+    time: "Time",
+    by: "By",
+    approxTime: "Approximate time (round had no time)",
+    insertAfter: "Insert a round after this one",
+    empty: "No results with these filters.",
+    page: "Page {page} of {pages}",
+    prevPage: "Previous page",
+    nextPage: "Next page",
+    confirmDelete: { one: "Delete {count} selected result?", other: "Delete {count} selected results?" },
+    confirmRecolor: { one: "Change the color of {count} result to {color}?", other: "Change the color of {count} results to {color}?" },
+  },
+  trends: {
+    title: "Rolling-window trend",
+    description: "Gray band = 95% expected at a fair table (Red/Blue {rb}, Tie {tie}). Lines: Red solid, Blue dashed, Tie dotted.",
+    step: "One point every {count} rounds.",
+    window: "Recent window",
+    last: "Last {count}",
+    round: "Round {round}",
+    outside: "Outside the band: Red {R}, Blue {B}, Tie {T} of the points (~5% is expected; neighboring windows overlap, so deviations come in blocks).",
+    notEnough: "At least {count} rounds in scope are needed for the first window.",
+  },
+  sessions: {
+    title: "Session",
+    description: "Each session is a table/period: streaks and zebras don't cross sessions.",
+    active: "Active session",
+    ended: "ended",
+    start: "Start: {time}",
+    end: "End: {time}",
+    ongoing: "in progress",
+    endAction: "End",
+    delete: "Delete",
+    confirmDelete: { one: "Delete the session \"{name}\" and its {count} result?", other: "Delete the session \"{name}\" and its {count} results?" },
+    newName: "New session name",
+    namePlaceholder: "E.g. Friday night",
+    table: "Table / source",
+    tablePlaceholder: "E.g. Bac Bo 2 (Evolution)",
+    new: "New session",
+    scope: "Stats from",
+    all: "All",
+    untitled: "Session from {date}",
+  },
+  guard: {
+    title: "Responsible play",
+    description: "Limits per play window (0 = no limit). When a limit is reached, logging results and the feed are blocked during the break, even after reloading the page.",
+    enable: "Enable limits and reminders",
+    fields: {
+      maxMinutes: "Maximum time per window (min)",
+      maxRounds: "Maximum rounds per window",
+      realityCheckMinutes: "Reminder every (min)",
+      coolDownMinutes: "Break length (min)",
+    },
+    settingsLocked: "The settings can't be changed during the break.",
+    windowHint: "The window starts at the first logged round and closes by itself after a break of the same length without logging anything.",
+    lockedUntil: "Break until {until} ({remaining} left):",
+    reasons: { time: "time limit reached", rounds: "round limit reached", manual: "break you asked for", default: "break" },
+    lockedAfter: { one: "after {elapsed} and {count} round", other: "after {elapsed} and {count} rounds" },
+    lockedHint: "Logging results and the live integration are blocked until then.",
+    playing: "Playing for {elapsed}",
+    playingOf: "Playing for {elapsed} of {limit}",
+    roundsOf: "{count} of {limit} rounds",
+    takeBreak: "Take a break",
+    checkTitle: "Time for a check",
+    checkBody: { one: "You have been playing for {elapsed} and logged {count} round in this window.", other: "You have been playing for {elapsed} and logged {count} rounds in this window." },
+    checkHint: "Past results don't change the odds of the next round.",
+    continue: "Continue",
+  },
+  feed: {
+    status: "Status",
+    states: {
+      idle: "Off",
+      fetching: "Fetching…",
+      retrying: "Retrying…",
+      ok: "Connected",
+      backoff: "Failing (waiting)",
+      paused: "Paused (tab hidden)",
+    },
+    lastSuccess: "Last success",
+    lastError: "Last error",
+    failures: "Consecutive failures",
+    next: "Next read",
+    recent: "Recent reads",
+    received: { one: "{count} received", other: "{count} received" },
+    duplicates: { one: "{count} duplicate", other: "{count} duplicates" },
+    gap: "no overlap (possible gap)",
+    ambiguous: "repeats the end of the history with no time to check: nothing added",
+    errors: {
+      format: "Unexpected format: expected { results: [...] }",
+      http: "HTTP {status}",
+      timeout: "Timed out",
+      message: "Invalid message: {error}",
+      batch: "Failed to apply the batch: {error}",
+      unsupported: "{api} is not available in this browser",
+      sseLost: "SSE connection lost",
+      wsError: "WebSocket error",
+      wsClosed: "WebSocket closed",
+      wsClosedCode: "WebSocket closed (code {code})",
+    },
+  },
+  stake: {
+    side: "Bet (optional)",
+    none: "No bet",
+    amount: "Amount",
+    tieTotal: "Tie total",
+    tieUnknown: "Don't know (default)",
+    blocked: "Loss limit reached: bets blocked.",
+  },
+  pwa: {
+    updateReady: "New version available. Your data is kept when updating.",
+    offlineReady: "Ready for offline use: the app opens even without internet.",
+    updateNow: "Update now",
+    later: "Later",
+  },
+  alerts: {
+    invalid: "Invalid rule",
+    firedAt: "Fired at {time}",
+    custom: "Custom",
+    name: "Name",
+    expr: "Rule",
+    exprPlaceholder: "e.g. streak >= 6",
+    remove: "Remove alert",
+    enabled: "Active",
+    notify: "Notification",
+    sound: "Sound",
+    defaultName: "Alert {n}",
+    add: "New alert",
+    allow: "Allow notifications",
+    denied: "Notifications are blocked in the browser; only the sound and the highlight work.",
+    unsupported: "This browser has no notifications.",
+    syntax: "Syntax: sequence",
+    any: "any",
+    combine: "combine with",
+    evaluation: "Evaluated on the active session at every round; fires when the condition becomes true.",
+    errors: {
+      number: "expected a number ({what})",
+      range: "{what} out of {min}–{max}",
+      comparator: "expected a comparator ({list})",
+      color: "expected a color (R, B or T)",
+      inLast: "expected \"in last N\"",
+      incomplete: "incomplete rule",
+      unknown: "\"{text}\" is not a known color, sequence or keyword",
+      tooLong: "sequence longer than {max} rounds",
+      empty: "empty rule",
+      joiner: "expected \"and\" or \"or\" before \"{text}\"",
+      what: { window: "window", count: "count", streak: "streak", zebra: "zebra" },
+    },
+    presets: {
+      rrbr: "R R B R",
+      streak: "Streak of 6+",
+      noTie: "No tie in 30",
+    },
+    notificationTitle: "Bac Bo: {name}",
+  },
+  randomness: {
+    nullHypothesis: "Null hypothesis: independent rounds with Red {R}, Blue {B} and Tie {T}. With several tests, an occasional \"weak hint\" is expected even at a fair table.",
+    verdicts: { na: "Not enough data", anomaly: "Anomaly (p < 1%)", weak: "Weak hint (p < 5%)", ok: "Consistent with chance" },
+    reasons: {
+      minRuns: "At least 10 Red/Blue rounds, with both colors",
+      lowExpected: "Expected frequency < 5 in some category",
+      minLags: "At least 20 Red/Blue rounds",
+      constant: "Constant sequence",
+      fewStreaks: "Too few streaks to compare",
+    },
+    pValue: "p-value",
+    observedExpected: "{observed} obs. / {expected} exp.",
+    chiStat: "χ² (df={df})",
+    runs: {
+      title: "Runs test (Wald–Wolfowitz)",
+      description: "Alternation vs. clustering in the Red/Blue sequence (ties ignored).",
+      observed: "Observed runs",
+      expected: "Expected runs",
+      alternation: "alternation",
+      clustering: "clustering",
+    },
+    chi: { title: "Color chi-square", description: "Red, Blue and Tie frequencies vs. the game's probabilities." },
+    auto: { title: "Serial autocorrelation", description: "Correlation between round t and t+k (Red=+1, Blue=−1). p corrected by Bonferroni.", lags: "Lags" },
+    streaks: { title: "Streaks vs. geometric", description: "Streak distribution compared to what independent rounds would give." },
+  },
+  time: {
+    weekdays: { 0: "Sun", 1: "Mon", 2: "Tue", 3: "Wed", 4: "Thu", 5: "Fri", 6: "Sat" },
+    metrics: { total: "Rounds", R: "% Red", B: "% Blue", T: "% Tie" },
+    days: { one: "{count} day", other: "{count} days" },
+    untimed: {
+      one: "{count} result without a round time (pasted list or imported without times) is left out of these analyses.",
+      other: "{count} results without a round time (pasted list or imported without times) are left out of these analyses.",
+    },
+    confirmSplit: "Split \"{name}\" into {count} sessions at the marked gaps?",
+    heatmap: {
+      title: "Weekday × hour",
+      description: {
+        one: "{count} round with a time. In the percentages, cells with fewer than {min} rounds are dashed.",
+        other: "{count} rounds with a time. In the percentages, cells with fewer than {min} rounds are dashed.",
+      },
+      metric: "Metric",
+      cell: { one: "{day} {hour}h: {count} round · R {R} · B {B} · T {T}", other: "{day} {hour}h: {count} rounds · R {R} · B {B} · T {T}" },
+    },
+    cadence: {
+      title: "Cadence",
+      description: "Rounds per minute, in buckets of {bucket}. Dips to zero are breaks.",
+      perMinute: "Rounds/min",
+      empty: "No timed rounds in scope.",
+    },
+    gapFields: { factor: "× typical interval", minGapSeconds: "Minimum (s)", breakMinutes: "Break from (min)" },
+    gaps: {
+      title: "Gaps between rounds",
+      description: "Interval much longer than the session's typical one: short suggests missed rounds, long a break. Mark where to split the session.",
+      fewTimed: "few timed rounds",
+      summary: { one: "typical interval {median} · threshold {threshold} · {count} gap", other: "typical interval {median} · threshold {threshold} · {count} gaps" },
+      pick: "Split before #{position}",
+      break: "break",
+      missing: { one: "~{count} missed", other: "~{count} missed" },
+      range: "{from} → {to} ({duration}), before #{position}",
+      split: "Split into {count} sessions",
+    },
+  },
+  ledger: {
+    lossLimit: "Loss limit reached: the session is at {net} (limit {limit}). New bets are blocked; stop here.",
+    outcomes: { win: "won", loss: "lost", push: "tie (partial refund)" },
+    summary: {
+      title: "Session result",
+      description: "Only rounds logged with a bet.",
+      balance: "Current bankroll",
+      net: "Profit/loss",
+      staked: "Total staked",
+      roi: "Return on stake",
+      bets: "Bets (won / lost / tie)",
+      maxDrawdown: "Largest drawdown",
+    },
+    chart: {
+      title: "Balance and drawdown",
+      description: "Balance after each bet and how far it is below the peak.",
+      limitLine: "Dashed red line = loss limit.",
+      balance: "Bankroll",
+      drawdown: "Drawdown",
+      empty: "No bets logged in this session. Pick the side and amount under “Add result” before logging the round.",
+    },
+    recent: {
+      title: "Latest bets",
+      round: "Round",
+      bet: "Bet",
+      winner: "Winner",
+      outcome: "Outcome",
+      profit: "Profit",
+      balance: "Bankroll",
+      stake: "{amount} on {side}",
+      tieTotal: "total {total}",
+    },
+    settings: {
+      title: "Bankroll settings",
+      description: "Standard Bac Bo table; check your table's. Changing the table recalculates the session.",
+      startingBalance: "Starting bankroll",
+      lossLimit: "Loss limit (0 = none)",
+      sideOdds: "Red/Blue pay (x:1)",
+      tieRefund: "Refund on tie (%)",
+      tieDefault: "Tie without total pays (x:1)",
+      tieMultipliers: "Tie pays by dice total (x:1)",
+      reset: "Restore standard table",
+    },
+  },
+  strategy: {
+    intro: "Independent rounds have no memory: no rule changes the house edge, which with the current table is {edge} per unit staked on Red/Blue. A progression only trades many small losses for a few big ones.",
+    ruleName: "Rule name",
+    removeRule: "Remove rule",
+    defaultName: "Rule {n}",
+    condition: "Condition",
+    threshold: "Threshold",
+    conditions: {
+      streak: { label: "Current streak ≥", unit: "rounds" },
+      zebra: { label: "Current zebra ≥", unit: "alternations" },
+      bias: { label: "Dominant color in the last 20 ≥", unit: "%" },
+    },
+    action: "Action",
+    follow: "Follow the pattern",
+    against: "Bet against",
+    stake: "Stake",
+    progression: "Progression",
+    flat: "Flat",
+    upTo: "up to",
+    doublings: "doublings",
+    rules: {
+      title: "Rules",
+      description: "Each rule looks at the previous rounds and bets (or not) on the next one. Ties break streaks and zebras.",
+      add: "Add rule",
+      reset: "Restore defaults",
+    },
+    run: {
+      title: "Run",
+      description: "Starting bankroll 0 = no limit (never goes broke).",
+      bankroll: "Starting bankroll",
+      replay: "Run on history ({count})",
+      rounds: "Rounds per sequence",
+      trials: "Sequences",
+      stop: "Stop ({percent}%)",
+      simulate: "Simulate a fair table",
+      capped: "Capped at {count} sequences to keep the browser responsive.",
+    },
+    replay: {
+      title: "On history",
+      description: { one: "{count} round from the selected sessions; the bankroll carries over from one session to the next.", other: "{count} rounds from the selected sessions, in order; the bankroll carries over from one session to the next." },
+    },
+    simulated: {
+      title: "Simulated fair table",
+      description: "{trials} sequences of {rounds} rounds with the game's probabilities; every rule plays the same sequences.",
+      finalOf: "Final bankroll of",
+      sequences: "Sequences",
+    },
+    table: {
+      rule: "Rule",
+      bets: "Bets",
+      hitRate: "Hit rate",
+      evPerBet: "EV/bet",
+      evPerUnit: "EV/unit",
+      variance: "Variance",
+      finalPercentiles: "Final bankroll P5 / P50 / P95",
+      profit: "Profit",
+      ruin: "Ruin",
+      final: "Final bankroll",
+      maxDrawdown: "Max drawdown",
+      ruined: "went broke",
+      betsNote: "Bets = average per sequence.",
+    },
+    presets: {
+      followStreak: "Follow streak of 3+",
+      againstZebra: "Against zebra of 4+",
+      followBias: "Follow 60% bias",
+      martingaleStreak: "Against streak of 4+ (martingale)",
+    },
+  },
+  interchange: {
+    title: "Import / Export",
+    description: "Back up or move to another device.",
+    export: "Export",
+    activeOnly: "Active session only",
+    allSessions: "All sessions ({count})",
+    exportJson: "Export JSON",
+    exportCsv: "Export CSV",
+    import: "Import JSON/CSV",
+    confirmReplace: "Replace all {count} current sessions with the contents of \"{file}\"?",
+    preview: "Preview of “{file}”",
+    accepted: { one: "{count} accepted", other: "{count} accepted" },
+    rejected: { one: "{count} rejected", other: "{count} rejected" },
+    duplicates: { one: "{count} duplicate", other: "{count} duplicates" },
+    sessionsCreated: { one: "{count} new session", other: "{count} new sessions" },
+    sessionsMerged: { one: "{count} completed", other: "{count} completed" },
+    line: "line {line}: {reason}",
+    item: "item {line}: {reason}",
+    more: "… and {count} more",
+    merge: "Append / merge",
+    replace: "Replace everything",
+    formatHelp: "JSON: envelope {envelope} (also reads the old list {legacy} or {results}). CSV: columns index, color, timestamp, session (optional: session_id, round_id, id); comma or semicolon separator.",
+    errors: {
+      empty: "Empty file",
+      json: "Invalid JSON: {error}",
+      version: "File uses version {version} of the format; this version of the app reads up to {max}. Update the app.",
+      noSessions: "Envelope without the `sessions` list",
+      unknown: "Unrecognized format: expected a “{format}” envelope, a list or { results: [...] }",
+      csvEmpty: "Empty CSV",
+      csvColor: "CSV without the “color” column (expected columns: {columns})",
+      color: "invalid color",
+      colorValue: "invalid color “{value}”",
+      colorEmpty: "empty color",
+      time: "invalid time “{value}”",
+      bet: "invalid bet “{value}”",
+    },
+  },
+  sync: {
+    title: "Team sync",
+    description: "Optional: several devices logging the same table share the history through your own server",
+    offline: "Works offline: changes wait in a queue until the network is back.",
+    server: "Server",
+    name: "Your name (shown on rounds)",
+    namePlaceholder: "e.g. Ana",
+    token: "Token (if the server requires one)",
+    interval: "Interval (seconds, minimum {min})",
+    turnOn: "Turn on",
+    turnOff: "Turn off",
+    now: "Sync now",
+    states: {
+      off: "Off",
+      idle: "Starting…",
+      syncing: "Syncing…",
+      ok: "Up to date",
+      offline: "Offline (queued)",
+      error: "Failing",
+    },
+    pending: "Queued changes",
+    lastSync: "Last sync",
+    error: "Error",
+    conflicts: "Conflicts are resolved by round id: the most recent change wins. Undo (Ctrl+Z) only reverts what was done on this device.",
+    errors: {
+      timeout: "Server did not respond",
+      http: "HTTP {status}",
+      unauthorized: "Invalid token",
+      tooLarge: "Upload too large for the server",
+      badJson: "The server rejected the upload (invalid JSON)",
+      notFound: "Address not found on the server (check the URL)",
+    },
+  },
+  reports: {
+    title: "Compare sessions and periods",
+    description: "Up to {max} items. A period combines the rounds of every session on the chosen days (empty = no limit). Signals use the recent window of {window} rounds.",
+    item: {
+      type: "Type of item {letter}",
+      session: "Session of item {letter}",
+      from: "Start of item {letter}",
+      to: "End of item {letter}",
+      remove: "Remove item {letter}",
+    },
+    types: { session: "Session", range: "Period" },
+    until: "to",
+    add: "Add item",
+    print: "Print / PDF",
+    markdown: "Download Markdown",
+    html: "Download HTML",
+    sheetNote: "{date} · differences relative to A. Educational tool: past results do not predict the next ones.",
+    metric: "Metric",
+    subject: {
+      removed: "Deleted session",
+      all: "Whole history",
+      since: "Since {from}",
+      until: "Until {to}",
+      day: "Day {day}",
+      range: "{from} to {to}",
+    },
+    sections: {
+      general: "General",
+      colors: "Colors",
+      runs: "Runs",
+      streaks: "Streak distribution (% of same-color runs)",
+      signals: "Signals",
+    },
+    rows: {
+      total: "Rounds",
+      sessions: "Sessions with rounds",
+      tieRate: "Tie rate",
+      longest: "Longest {color} run",
+      zebraMax: "Longest zebra (alternation)",
+      streak: "Streak of {length}",
+      activations: "{signal}: times it lit up",
+      lit: "{signal}: rounds lit",
+    },
+    charts: {
+      colors: "Color share",
+      streaks: "Same-color streaks",
+      streaksShare: "Same-color streaks (% of runs)",
+    },
+    export: {
+      title: "Bac Bo report — comparison",
+      header: "Generated on {date} · signals over a recent window of {window} rounds · differences relative to A",
+      disclaimer: "Educational tool. Past results do not predict the next ones; this is not financial advice.",
+      file: "bacbo-report",
+    },
+  },
+  storage: {
+    corrupt: "The data saved in “{key}” was corrupted and has been ignored. A copy of the original text was kept in “{backup}”.",
+    legacyUnknown: "The format of “{key}” was not recognized and has been ignored.",
+    idbUnavailable: "IndexedDB unavailable ({error}); using localStorage, limited to ~5MB.",
+    corruptRecords: { one: "{count} corrupted record was discarded on load.", other: "{count} corrupted records were discarded on load." },
+    recovered: "Results without a valid session were moved to a new session.",
+    quota: "Storage full: the latest results were not saved. Export a backup and delete old sessions to free up space.",
+    saveFailed: "Failed to save: {error}",
+    openFailed: "Could not open storage ({error}). Data in this tab will not be saved.",
+  },
+};
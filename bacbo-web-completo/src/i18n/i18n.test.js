@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import { CATALOGS, LANGS, TranslatableError, colorLabel, createTranslator, defaultT, detectLang, errorMessage, messageText, normalizeLang, translate } from "./index";
+
+// Todas as folhas do catálogo: "a.b.c" → texto (plurais viram "a.b.one"/"a.b.other")
+function leaves(node, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(node)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === "string") out[path] = value;
+    else leaves(value, path, out);
+  }
+  return out;
+}
+const params = (text) => [...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+
+describe("catálogos", () => {
+  const pt = leaves(CATALOGS["pt-BR"]);
+  const en = leaves(CATALOGS.en);
+
+  it("todos os idiomas têm exatamente as mesmas chaves", () => {
+    expect(LANGS.map((l) => l.id).sort()).toEqual(Object.keys(CATALOGS).sort());
+    expect(Object.keys(en).sort()).toEqual(Object.keys(pt).sort());
+  });
+
+  it("nenhum texto vazio e os mesmos parâmetros nos dois idiomas", () => {
+    for (const [key, text] of Object.entries(pt)) {
+      expect(text.trim(), key).not.toBe("");
+      expect(en[key].trim(), key).not.toBe("");
+      expect(params(en[key]), key).toEqual(params(text));
+    }
+  });
+});
+
+describe("tradução", () => {
+  it("interpola parâmetros e escolhe o plural pela contagem", () => {
+    const t = createTranslator("en");
+    expect(t.lang).toBe("en");
+    expect(t("common.rounds", { count: 1 })).toBe("1 round");
+    expect(t("common.rounds", { count: 0 })).toBe("0 rounds");
+    expect(defaultT("common.rounds", { count: 3 })).toBe("3 rodadas");
+    expect(t("undo.undoNext", { label: "x" })).toBe("Undo: x");
+    // parâmetro ausente fica visível em vez de sumir
+    expect(t("undo.undoNext")).toBe("Undo: {label}");
+  });
+
+  it("chave que falta cai no pt-BR e depois na própria chave", () => {
+    const original = CATALOGS.en.common.apply;
+    delete CATALOGS.en.common.apply;
+    try {
+      expect(translate("en", "common.apply")).toBe("Aplicar");
+    } finally {
+      CATALOGS.en.common.apply = original;
+    }
+    expect(translate("en", "nao.existe")).toBe("nao.existe");
+    expect(translate("en", "common")).toBe("common");
+    expect(createTranslator("xx").lang).toBe("pt-BR");
+  });
+
+  it("nomes das cores", () => {
+    expect(colorLabel("R")).toBe("Vermelho");
+    expect(colorLabel("B", createTranslator("en"))).toBe("Blue");
+    expect(colorLabel("T", createTranslator("en"))).toBe("Tie");
+  });
+});
+
+describe("idioma", () => {
+  it("normaliza variantes regionais e recusa o desconhecido", () => {
+    expect(normalizeLang("en-US")).toBe("en");
+    expect(normalizeLang("pt")).toBe("pt-BR");
+    expect(normalizeLang("pt_PT")).toBe("pt-BR");
+    expect(normalizeLang("pt-BR")).toBe("pt-BR");
+    expect(normalizeLang("fr")).toBeNull();
+    expect(normalizeLang(undefined)).toBeNull();
+  });
+
+  it("usa o primeiro idioma conhecido do navegador, senão pt-BR", () => {
+    expect(detectLang(["fr-FR", "en-GB", "pt-BR"])).toBe("en");
+    expect(detectLang(["de"])).toBe("pt-BR");
+    expect(detectLang([])).toBe("pt-BR");
+  });
+});
+
+describe("mensagens com código", () => {
+  const en = createTranslator("en");
+
+  it("traduz na hora de mostrar, inclusive parâmetros que também são mensagens", () => {
+    const m = { code: "bulk.errors.aliasTaken", params: { alias: "V", color: { code: "colors.R" } } };
+    expect(messageText(m)).toBe("“V” já é apelido de Vermelho");
+    expect(messageText(m, en)).toBe("“V” is already an alias for Red");
+    expect(messageText({ code: "storage.corruptRecords", params: { count: 1 } }, en)).toBe("1 corrupted record was discarded on load.");
+  });
+
+  it("texto solto e erros comuns passam como estão", () => {
+    expect(messageText("Token inválido", en)).toBe("Token inválido");
+    expect(messageText(new Error("boom"), en)).toBe("boom");
+    expect(messageText(null)).toBe("");
+  });
+
+  it("TranslatableError guarda o código e tem mensagem em pt-BR", () => {
+    const err = new TranslatableError("feed.errors.http", { status: 502 });
+    expect(err.message).toBe("HTTP 502");
+    expect(messageText(err, en)).toBe("HTTP 502");
+    expect(errorMessage(new TranslatableError("sync.errors.timeout"))).toEqual({ code: "sync.errors.timeout", params: {} });
+    expect(errorMessage(new Error("x"))).toBe("x");
+  });
+});
@@ -0,0 +1,110 @@
+import ptBR from "./pt-BR";
+import en from "./en";
+
+/**
+ * Idiomas da interface
+ * --------------------
+ * Catálogos aninhados por área (`painel.summary.title`); os textos aceitam
+ * `{param}` e, quando dependem de quantidade, `{ one, other }` escolhido
+ * por `params.count`. Chave sem tradução no idioma cai no pt-BR e, por
+ * fim, na própria chave — então um rótulo antigo que não é chave (ex.:
+ * desfazer de uma versão anterior) aparece como está.
+ *
+ * Mensagens que nascem fora dos componentes (avisos do armazenamento,
+ * erros dos leitores de arquivo, do feed, das regras…) viajam como
+ * `{ code, params }` — `code` é a chave do catálogo — ou como
+ * `TranslatableError`, e viram texto só na tela, com `messageText`.
+ * Ficam de fora os dados e formatos (R/B/T no JSON, CSV e feed), o que o
+ * usuário escreveu (nomes de sessões, alertas e regras) e falhas
+ * inesperadas do navegador, mostradas como vieram. Sessão sem nome fica com
+ * `name` vazio e ganha o rótulo traduzido (`sessionName` em src/sessions).
+ */
+
+export const CATALOGS = { "pt-BR": ptBR, en };
+export const LANGS = [
+  { id: "pt-BR", name: "Português (Brasil)" },
+  { id: "en", name: "English" },
+];
+export const DEFAULT_LANG = "pt-BR";
+
+/** "en-US" → "en", "pt" → "pt-BR"; `null` se não houver catálogo */
+export function normalizeLang(lang) {
+  if (typeof lang !== "string") return null;
+  if (CATALOGS[lang]) return lang;
+  const base = lang.toLowerCase().split(/[-_]/)[0];
+  return LANGS.find((l) => l.id.toLowerCase().split("-")[0] === base)?.id ?? null;
+}
+
+/** Primeiro idioma do navegador que o app conhece */
+export function detectLang(languages = globalThis.navigator?.languages) {
+  for (const lang of languages || []) {
+    const found = normalizeLang(lang);
+    if (found) return found;
+  }
+  return DEFAULT_LANG;
+}
+
+function lookup(catalog, key) {
+  let node = catalog;
+  for (const part of key.split(".")) {
+    if (node == null || typeof node !== "object") return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (m, name) => (params && params[name] != null ? String(params[name]) : m));
+
+export function translate(lang, key, params) {
+  let value = lookup(CATALOGS[lang] || CATALOGS[DEFAULT_LANG], key);
+  if (value === undefined && lang !== DEFAULT_LANG) value = lookup(CATALOGS[DEFAULT_LANG], key);
+  if (value && typeof value === "object" && "other" in value) value = params?.count === 1 ? value.one : value.other;
+  return typeof value === "string" ? interpolate(value, params) : key;
+}
+
+/** `t(key, params)` de um idioma; `t.lang` diz qual */
+export function createTranslator(lang = DEFAULT_LANG) {
+  const id = normalizeLang(lang) || DEFAULT_LANG;
+  const t = (key, params) => translate(id, key, params);
+  t.lang = id;
+  return t;
+}
+
+/** Tradutor padrão (pt-BR) para funções puras chamadas sem `t` */
+export const defaultT = createTranslator(DEFAULT_LANG);
+
+/** Nome da cor no idioma ("Vermelho", "Red"…) */
+export const colorLabel = (v, t = defaultT) => t(`colors.${v}`);
+
+/**
+ * Erro com texto do catálogo: `code` é a chave e `params` seus valores.
+ * `message` sai em pt-BR (logs, testes); a tela usa `messageText`.
+ */
+export class TranslatableError extends Error {
+  constructor(code, params = {}) {
+    super(messageText({ code, params }));
+    this.name = "TranslatableError";
+    this.code = code;
+    this.params = params;
+  }
+}
+
+/**
+ * Texto de uma mensagem no idioma de `t`: `{ code, params }` (ou erro com
+ * `code`) é traduzido, inclusive parâmetros que também sejam mensagens;
+ * texto solto e erros comuns aparecem como estão.
+ */
+export function messageText(m, t = defaultT) {
+  if (m == null) return "";
+  if (typeof m === "string") return m;
+  if (m instanceof TranslatableError || (!(m instanceof Error) && typeof m.code === "string")) {
+    const params = {};
+    for (const [k, v] of Object.entries(m.params || {})) params[k] = v && typeof v === "object" ? messageText(v, t) : v;
+    return t(m.code, params);
+  }
+  return m.message ?? String(m);
+}
+
+/** Erro capturado → mensagem para guardar em estado: `{ code, params }` se traduzível, senão o texto */
+export const errorMessage = (err) =>
+  err instanceof TranslatableError ? { code: err.code, params: err.params } : err?.message || String(err);
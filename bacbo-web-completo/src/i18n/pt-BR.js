@@ -0,0 +1,649 @@
+/**
+ * Textos em português do Brasil (idioma padrão e referência: en.js tem
+ * exatamente as mesmas chaves, conferido em i18n.test.js).
+ */
+export default {
+  colors: {
+    R: "Vermelho",
+    B: "Azul",
+    T: "Empate",
+    letter: { R: "V", B: "A", T: "E" },
+  },
+  common: {
+    apply: "Aplicar",
+    cancel: "Cancelar",
+    close: "Fechar",
+    save: "Salvar",
+    remove: "Remover",
+    none: "—",
+    dismiss: "Dispensar aviso",
+    rounds: { one: "{count} rodada", other: "{count} rodadas" },
+    results: { one: "{count} resultado", other: "{count} resultados" },
+  },
+  app: {
+    title: "Bac Bo – Rastreador de Padrões",
+    disclaimer: "Ferramenta educacional para monitorar tendências. Não é conselho financeiro nem garantia de resultados. Jogue com responsabilidade.",
+    loading: "Carregando histórico…",
+    tabsLabel: "Seções do app",
+    confirmClear: "Limpar todo o histórico da sessão ativa?",
+  },
+  prefs: {
+    language: "Idioma",
+    contrast: "Alto contraste",
+  },
+  tabs: {
+    painel: "Painel",
+    historico: "Histórico",
+    aleatoriedade: "Aleatoriedade",
+    horarios: "Horários",
+    banca: "Banca",
+    simulador: "Simulador",
+    relatorios: "Relatórios",
+    dados: "Dados/Integração",
+  },
+  undo: {
+    undo: "Desfazer",
+    redo: "Refazer",
+    undoNext: "Desfazer: {label}",
+    redoNext: "Refazer: {label}",
+    register: "Registrar {color}",
+    clear: "Limpar histórico",
+    paste: { one: "Colar {count} resultado", other: "Colar {count} resultados" },
+    feed: "Rodadas do feed",
+    editHistory: "Editar histórico",
+    newSession: "Nova sessão",
+    editSession: "Editar sessão",
+    endSession: "Encerrar sessão",
+    deleteSession: "Excluir sessão",
+    splitSession: "Dividir sessão",
+    importReplace: "Importar (substituir)",
+    importMerge: "Importar (mesclar)",
+    deleteRounds: { one: "Excluir {count} resultado", other: "Excluir {count} resultados" },
+    recolorRounds: { one: "Trocar {count} resultado para {color}", other: "Trocar {count} resultados para {color}" },
+    insertRound: "Inserir {color} na posição {position}",
+  },
+  painel: {
+    add: {
+      title: "Adicionar resultado",
+      description: "Registre rapidamente o vencedor da rodada.",
+      clear: "Limpar",
+      last: "Últimos {count}",
+    },
+    summary: {
+      title: "Resumo",
+      description: "Estatísticas rápidas",
+      total: "Total de rodadas",
+      alternations: "Alternâncias V↔A",
+      currentStreak: "Streak atual",
+      longestR: "Maior streak Vermelho",
+      longestB: "Maior streak Azul",
+      zebraMax: "Maior alternância (\"zebra\")",
+      recent: "Contagem nas últimas rodadas",
+    },
+    streaks: {
+      title: "Distribuição de streaks (Vermelho e Azul)",
+      description: "Quantas vezes apareceram streaks de 1, 2, 3…",
+    },
+    signals: {
+      title: "Leituras/Heurísticas",
+      description: "Regras simples baseadas no histórico recente (apenas informativas). \"Base\" = chance de o sinal acender numa mesa justa com o mesmo número de rodadas.",
+      on: "aceso",
+      base: "Base: {value}",
+      simulated: "sim. {rate} ± {margin}",
+      simulate: "Simular taxas-base",
+      simulating: "Simulando… {percent}%",
+      simulationFailed: "Falha na simulação: {error}",
+      openAlerts: "Alertas personalizados",
+      closeAlerts: "Fechar alertas",
+    },
+  },
+  signals: {
+    zebra: { title: "Zebra / Alternância", desc: "Maior alternância consecutiva observada: {zebraMax}" },
+    streaklong: { title: "Sequência Longa", desc: "Maior streak: Vermelho={R}, Azul={B}" },
+    bias: { title: "Viés recente", desc: "Últimos {window} → Vermelho={R}, Azul={B}, Empate={T}" },
+    ties: {
+      title: "Empates frequentes",
+      desc: { one: "Últimos {window} tiveram {count} empate (alerta a partir de {threshold})", other: "Últimos {window} tiveram {count} empates (alerta a partir de {threshold})" },
+    },
+  },
+  live: {
+    title: "Integração ao vivo",
+    description: "Opcional: buscar resultados em JSON periodicamente (pull) ou recebê-los por WebSocket/SSE (push).",
+    mode: "Modo",
+    modes: { poll: "Pull (HTTP)", ws: "WebSocket", sse: "Server-Sent Events" },
+    url: "URL",
+    interval: "Intervalo (segundos, 0 = desligado)",
+    disconnect: "Desconectar",
+    help: "A URL deve retornar {format} ou objetos {objects}; com roundId as rodadas são deduplicadas pelo id, sem ele pela sobreposição com o fim do histórico. No push, cada mensagem é um lote nesse formato ou uma rodada avulsa. Para testar offline:",
+    noScraping: "Evite scraping de sites que proíbem.",
+    pausedByGuard: "Desligado durante a pausa de jogo responsável; volta sozinho quando ela acabar.",
+  },
+  rapid: {
+    title: "Registro rápido pelo teclado",
+    description: "Para mesas ao vivo: registre cada rodada com uma tecla.",
+    settings: "Teclas e confirmação",
+    turnOn: "Ligar",
+    turnOff: "Desligar",
+    idle: "Pressione uma tecla para registrar.",
+    doubleTitle: "Toque duplo ignorado",
+    doubleHint: "{action} repetido rápido demais. Se foi mesmo outra rodada, pressione de novo.",
+    locked: "Pausa ativa — registro bloqueado",
+    next: "Próximo: {label}",
+    nothing: { undo: "Nada mais para desfazer", redo: "Nada mais para refazer" },
+    pressKey: "Clique e pressione a tecla",
+    conflict: "Tecla repetida: {actions} ficou sem atalho.",
+    debounce: "Toque duplo (ms)",
+    sound: "Som de confirmação",
+    reset: "Restaurar padrão",
+    streak: "Sequência:",
+    keys: { space: "Espaço" },
+  },
+  bulk: {
+    label: "Colar lista (R/B/T, Red/Blue/Tie, V/A/E, Vermelho/Azul/Empate; R3 = três Red)",
+    placeholder: "Ex: R B R R T B ... ou R3 B2 T",
+    add: "Adicionar em lote",
+    rejected: "“{text}” na posição {position}: {error}",
+    strictBlocked: "Modo estrito: corrija os itens acima para adicionar.",
+    ignored: "Os itens acima serão ignorados.",
+    strict: "Modo estrito",
+    editAliases: "Editar apelidos",
+    closeAliases: "Fechar apelidos",
+    resetAliases: "Restaurar padrão",
+    errors: {
+      aliasLetters: "“{alias}”: use só letras (números indicam repetição)",
+      aliasTaken: "“{alias}” já é apelido de {color}",
+      repeat: "repetição fora de 1–{max}",
+      notAlias: "“{letter}” não é apelido de cor",
+      unknown: "não reconhecido",
+    },
+  },
+  roads: {
+    description: "Placares como os das mesas ao vivo. Big Road: traço verde = empate (número = quantos). Nas derivadas, vermelho em círculo = padrão se repete, azul em quadrado = padrão quebrou.",
+    withTies: { one: "{color} + {count} empate", other: "{color} + {count} empates" },
+    pendingTies: { one: "{count} empate antes do primeiro Vermelho/Azul", other: "{count} empates antes do primeiro Vermelho/Azul" },
+    regular: "regular (padrão se repete)",
+    irregular: "irregular (padrão quebrou)",
+  },
+  history: {
+    title: "Histórico detalhado",
+    description: "Filtre, selecione (shift+clique seleciona um intervalo) e corrija resultados. Exclusões e trocas de cor pedem confirmação e podem ser desfeitas (Ctrl+Z).",
+    session: "Sessão",
+    scopeSessions: "Sessões das estatísticas ({count})",
+    allSessions: "Todas as sessões",
+    color: "Cor",
+    allColors: "Todas",
+    from: "De",
+    to: "Até",
+    newestFirst: "Mais recentes primeiro",
+    selected: { one: "{count} selecionado de {total}", other: "{count} selecionados de {total}" },
+    delete: "Excluir",
+    recolorTo: "Trocar para",
+    clearSelection: "Limpar seleção",
+    insertAt: "Inserir na posição",
+    inActiveSession: "Na sessão ativa",
+    inserting: "Inserir na posição {position} de “{session}” (horário aproximado):",
+    selectAll: "Selecionar todos os filtrados",
+    selectRow: "Selecionar #{position}",
+    time: "Horário",
+    by: "Por",
+    approxTime: "Horário aproximado (sem horário da rodada)",
+    insertAfter: "Inserir uma rodada depois desta",
+    empty: "Nenhum resultado com estes filtros.",
+    page: "Página {page} de {pages}",
+    prevPage: "Página anterior",
+    nextPage: "Próxima página",
+    confirmDelete: { one: "Excluir {count} resultado selecionado?", other: "Excluir {count} resultados selecionados?" },
+    confirmRecolor: { one: "Trocar a cor de {count} resultado para {color}?", other: "Trocar a cor de {count} resultados para {color}?" },
+  },
+  trends: {
+    title: "Tendência em janela móvel",
+    description: "Faixa cinza = 95% esperado numa mesa justa (Vermelho/Azul {rb}, Empate {tie}). Linhas: Vermelho contínua, Azul tracejada, Empate pontilhada.",
+    step: "Um ponto a cada {count} rodadas.",
+    window: "Janela recente",
+    last: "Últimas {count}",
+    round: "Rodada {round}",
+    outside: "Fora da faixa: Vermelho {R}, Azul {B}, Empate {T} dos pontos (~5% é o esperado; janelas vizinhas se sobrepõem, então os desvios vêm em blocos).",
+    notEnough: "São precisas pelo menos {count} rodadas no escopo para a primeira janela.",
+  },
+  sessions: {
+    title: "Sessão",
+    description: "Cada sessão é uma mesa/período: streaks e zebras não atravessam sessões.",
+    active: "Sessão ativa",
+    ended: "encerrada",
+    start: "Início: {time}",
+    end: "Fim: {time}",
+    ongoing: "em andamento",
+    endAction: "Encerrar",
+    delete: "Excluir",
+    confirmDelete: { one: "Excluir a sessão \"{name}\" e seu {count} resultado?", other: "Excluir a sessão \"{name}\" e seus {count} resultados?" },
+    newName: "Nome da nova sessão",
+    namePlaceholder: "Ex: Noite de sexta",
+    table: "Mesa / fonte",
+    tablePlaceholder: "Ex: Bac Bo 2 (Evolution)",
+    new: "Nova sessão",
+    scope: "Estatísticas de",
+    all: "Todas",
+    untitled: "Sessão de {date}",
+  },
+  guard: {
+    title: "Jogo responsável",
+    description: "Limites por janela de jogo (0 = sem limite). Ao atingir um limite, registrar resultados e o feed ficam bloqueados durante a pausa, mesmo recarregando a página.",
+    enable: "Ativar limites e lembretes",
+    fields: {
+      maxMinutes: "Tempo máximo por janela (min)",
+      maxRounds: "Máximo de rodadas por janela",
+      realityCheckMinutes: "Lembrete a cada (min)",
+      coolDownMinutes: "Duração da pausa (min)",
+    },
+    settingsLocked: "Durante a pausa a configuração não pode ser alterada.",
+    windowHint: "A janela começa na primeira rodada registrada e fecha sozinha depois de uma pausa do mesmo tamanho sem registrar nada.",
+    lockedUntil: "Pausa até {until} (faltam {remaining}):",
+    reasons: { time: "limite de tempo atingido", rounds: "limite de rodadas atingido", manual: "pausa pedida por você", default: "pausa" },
+    lockedAfter: { one: "depois de {elapsed} e {count} rodada", other: "depois de {elapsed} e {count} rodadas" },
+    lockedHint: "Registrar resultados e a integração ao vivo ficam bloqueados até lá.",
+    playing: "Jogando há {elapsed}",
+    playingOf: "Jogando há {elapsed} de {limit}",
+    roundsOf: "{count} de {limit} rodadas",
+    takeBreak: "Fazer uma pausa",
+    checkTitle: "Hora de conferir",
+    checkBody: { one: "Você está jogando há {elapsed} e registrou {count} rodada nesta janela.", other: "Você está jogando há {elapsed} e registrou {count} rodadas nesta janela." },
+    checkHint: "Resultados passados não mudam as chances da próxima rodada.",
+    continue: "Continuar",
+  },
+  feed: {
+    status: "Status",
+    states: {
+      idle: "Desligado",
+      fetching: "Buscando…",
+      retrying: "Tentando de novo…",
+      ok: "Conectado",
+      backoff: "Falhando (aguardando)",
+      paused: "Pausado (aba oculta)",
+    },
+    lastSuccess: "Último sucesso",
+    lastError: "Último erro",
+    failures: "Falhas seguidas",
+    next: "Próxima leitura",
+    recent: "Leituras recentes",
+    received: { one: "{count} recebida", other: "{count} recebidas" },
+    duplicates: { one: "{count} repetida", other: "{count} repetidas" },
+    gap: "sem sobreposição (possível lacuna)",
+    ambiguous: "repete o fim do histórico sem horário para conferir: nada entrou",
+    errors: {
+      format: "Formato inesperado: esperado { results: [...] }",
+      http: "HTTP {status}",
+      timeout: "Tempo esgotado",
+      message: "Mensagem inválida: {error}",
+      batch: "Falha ao aplicar o lote: {error}",
+      unsupported: "{api} indisponível neste navegador",
+      sseLost: "Conexão SSE perdida",
+      wsError: "Erro no WebSocket",
+      wsClosed: "WebSocket fechado",
+      wsClosedCode: "WebSocket fechado (código {code})",
+    },
+  },
+  stake: {
+    side: "Aposta (opcional)",
+    none: "Sem aposta",
+    amount: "Valor",
+    tieTotal: "Soma no empate",
+    tieUnknown: "Não sei (padrão)",
+    blocked: "Limite de perda atingido: apostas bloqueadas.",
+  },
+  pwa: {
+    updateReady: "Nova versão disponível. Os dados ficam salvos ao atualizar.",
+    offlineReady: "Pronto para uso offline: o app abre mesmo sem internet.",
+    updateNow: "Atualizar agora",
+    later: "Depois",
+  },
+  alerts: {
+    invalid: "Regra inválida",
+    firedAt: "Disparou às {time}",
+    custom: "Personalizado",
+    name: "Nome",
+    expr: "Regra",
+    exprPlaceholder: "ex.: streak >= 6",
+    remove: "Remover alerta",
+    enabled: "Ativo",
+    notify: "Notificação",
+    sound: "Som",
+    defaultName: "Alerta {n}",
+    add: "Novo alerta",
+    allow: "Permitir notificações",
+    denied: "Notificações bloqueadas no navegador; só o som e o destaque funcionam.",
+    unsupported: "Este navegador não tem notificações.",
+    syntax: "Sintaxe: sequência",
+    any: "qualquer",
+    combine: "combine com",
+    evaluation: "Avaliado na sessão ativa a cada rodada; dispara quando a condição passa a valer.",
+    errors: {
+      number: "esperado um número ({what})",
+      range: "{what} fora de {min}–{max}",
+      comparator: "esperado um comparador ({list})",
+      color: "esperada uma cor (R, B ou T)",
+      inLast: "esperado \"in last N\"",
+      incomplete: "regra incompleta",
+      unknown: "\"{text}\" não é uma cor, sequência ou palavra-chave conhecida",
+      tooLong: "sequência com mais de {max} rodadas",
+      empty: "regra vazia",
+      joiner: "esperado \"and\" ou \"or\" antes de \"{text}\"",
+      what: { window: "janela", count: "contagem", streak: "streak", zebra: "zebra" },
+    },
+    presets: {
+      rrbr: "R R B R",
+      streak: "Streak de 6+",
+      noTie: "Sem empate em 30",
+    },
+    notificationTitle: "Bac Bo: {name}",
+  },
+  randomness: {
+    nullHypothesis: "Hipótese nula: rodadas independentes com Vermelho {R}, Azul {B} e Empate {T}. Com vários testes, um \"indício fraco\" de vez em quando é esperado mesmo numa mesa justa.",
+    verdicts: { na: "Dados insuficientes", anomaly: "Anomalia (p < 1%)", weak: "Indício fraco (p < 5%)", ok: "Compatível com acaso" },
+    reasons: {
+      minRuns: "Mínimo de 10 rodadas V/A, com as duas cores",
+      lowExpected: "Frequência esperada < 5 em alguma categoria",
+      minLags: "Mínimo de 20 rodadas V/A",
+      constant: "Sequência constante",
+      fewStreaks: "Poucas streaks para comparar",
+    },
+    pValue: "p-valor",
+    observedExpected: "{observed} obs. / {expected} esp.",
+    chiStat: "χ² (gl={df})",
+    runs: {
+      title: "Teste de runs (Wald–Wolfowitz)",
+      description: "Alternância vs. agrupamento na sequência Vermelho/Azul (empates ignorados).",
+      observed: "Runs observadas",
+      expected: "Runs esperadas",
+      alternation: "alternância",
+      clustering: "agrupamento",
+    },
+    chi: { title: "Qui-quadrado de cores", description: "Frequências de Vermelho, Azul e Empate vs. probabilidades do jogo." },
+    auto: { title: "Autocorrelação serial", description: "Correlação entre a rodada t e t+k (Vermelho=+1, Azul=−1). p corrigido por Bonferroni.", lags: "Lags" },
+    streaks: { title: "Streaks vs. geométrica", description: "Distribuição de streaks comparada ao esperado para rodadas independentes." },
+  },
+  time: {
+    weekdays: { 0: "Dom", 1: "Seg", 2: "Ter", 3: "Qua", 4: "Qui", 5: "Sex", 6: "Sáb" },
+    metrics: { total: "Rodadas", R: "% Vermelho", B: "% Azul", T: "% Empate" },
+    days: { one: "{count} dia", other: "{count} dias" },
+    untimed: {
+      one: "{count} resultado sem horário da rodada (lista colada ou importado sem horário) fica de fora destas análises.",
+      other: "{count} resultados sem horário da rodada (lista colada ou importados sem horário) ficam de fora destas análises.",
+    },
+    confirmSplit: "Dividir \"{name}\" em {count} sessões nas lacunas marcadas?",
+    heatmap: {
+      title: "Dia da semana × hora",
+      description: {
+        one: "{count} rodada com horário. Nas porcentagens, células com menos de {min} rodadas ficam tracejadas.",
+        other: "{count} rodadas com horário. Nas porcentagens, células com menos de {min} rodadas ficam tracejadas.",
+      },
+      metric: "Métrica",
+      cell: { one: "{day} {hour}h: {count} rodada · V {R} · A {B} · E {T}", other: "{day} {hour}h: {count} rodadas · V {R} · A {B} · E {T}" },
+    },
+    cadence: {
+      title: "Cadência",
+      description: "Rodadas por minuto, em faixas de {bucket}. Vales no zero são pausas.",
+      perMinute: "Rodadas/min",
+      empty: "Sem rodadas com horário no escopo.",
+    },
+    gapFields: { factor: "× intervalo típico", minGapSeconds: "Mínimo (s)", breakMinutes: "Pausa a partir de (min)" },
+    gaps: {
+      title: "Lacunas entre rodadas",
+      description: "Intervalo bem maior que o típico da sessão: curto sugere rodadas perdidas, longo uma pausa. Marque onde dividir a sessão.",
+      fewTimed: "poucas rodadas com horário",
+      summary: { one: "intervalo típico {median} · limite {threshold} · {count} lacuna", other: "intervalo típico {median} · limite {threshold} · {count} lacunas" },
+      pick: "Dividir antes do #{position}",
+      break: "pausa",
+      missing: { one: "~{count} perdida", other: "~{count} perdidas" },
+      range: "{from} → {to} ({duration}), antes do #{position}",
+      split: "Dividir em {count} sessões",
+    },
+  },
+  ledger: {
+    lossLimit: "Limite de perda atingido: a sessão está em {net} (limite {limit}). Novas apostas ficam bloqueadas; pare por aqui.",
+    outcomes: { win: "ganhou", loss: "perdeu", push: "empate (devolução parcial)" },
+    summary: {
+      title: "Resultado da sessão",
+      description: "Só rodadas registradas com aposta.",
+      balance: "Banca atual",
+      net: "Lucro/prejuízo",
+      staked: "Total apostado",
+      roi: "Retorno sobre o apostado",
+      bets: "Apostas (ganhou / perdeu / empate)",
+      maxDrawdown: "Maior drawdown",
+    },
+    chart: {
+      title: "Saldo e drawdown",
+      description: "Saldo após cada aposta e quanto ele está abaixo do pico.",
+      limitLine: "Linha vermelha tracejada = limite de perda.",
+      balance: "Banca",
+      drawdown: "Drawdown",
+      empty: "Nenhuma aposta registrada nesta sessão. Escolha o lado e o valor em “Adicionar resultado” antes de registrar a rodada.",
+    },
+    recent: {
+      title: "Últimas apostas",
+      round: "Rodada",
+      bet: "Aposta",
+      winner: "Vencedor",
+      outcome: "Resultado",
+      profit: "Lucro",
+      balance: "Banca",
+      stake: "{amount} em {side}",
+      tieTotal: "soma {total}",
+    },
+    settings: {
+      title: "Configuração da banca",
+      description: "Tabela padrão do Bac Bo; confira a da sua mesa. Mudar a tabela recalcula a sessão.",
+      startingBalance: "Banca inicial",
+      lossLimit: "Limite de perda (0 = sem)",
+      sideOdds: "Vermelho/Azul pagam (x:1)",
+      tieRefund: "Devolução no empate (%)",
+      tieDefault: "Empate sem soma paga (x:1)",
+      tieMultipliers: "Empate paga por soma dos dados (x:1)",
+      reset: "Restaurar tabela padrão",
+    },
+  },
+  strategy: {
+    intro: "Rodadas independentes não guardam memória: nenhuma regra muda a vantagem da casa, que com a tabela atual é {edge} por unidade apostada em Vermelho/Azul. A progressão só troca muitas perdas pequenas por poucas grandes.",
+    ruleName: "Nome da regra",
+    removeRule: "Remover regra",
+    defaultName: "Regra {n}",
+    condition: "Condição",
+    threshold: "Limiar",
+    conditions: {
+      streak: { label: "Streak atual ≥", unit: "rodadas" },
+      zebra: { label: "Zebra atual ≥", unit: "alternâncias" },
+      bias: { label: "Cor dominante nas últimas 20 ≥", unit: "%" },
+    },
+    action: "Ação",
+    follow: "Seguir o padrão",
+    against: "Apostar contra",
+    stake: "Aposta",
+    progression: "Progressão",
+    flat: "Fixa",
+    upTo: "até",
+    doublings: "dobras",
+    rules: {
+      title: "Regras",
+      description: "Cada regra olha as rodadas anteriores e aposta (ou não) na próxima. Empates quebram streak e zebra.",
+      add: "Adicionar regra",
+      reset: "Restaurar padrão",
+    },
+    run: {
+      title: "Execução",
+      description: "Banca inicial 0 = sem limite (não quebra).",
+      bankroll: "Banca inicial",
+      replay: "Rodar no histórico ({count})",
+      rounds: "Rodadas por sequência",
+      trials: "Sequências",
+      stop: "Parar ({percent}%)",
+      simulate: "Simular mesa justa",
+      capped: "Limitado a {count} sequências para não travar o navegador.",
+    },
+    replay: {
+      title: "No histórico",
+      description: { one: "{count} rodada das sessões selecionadas; a banca segue de uma sessão para a outra.", other: "{count} rodadas das sessões selecionadas, em ordem; a banca segue de uma sessão para a outra." },
+    },
+    simulated: {
+      title: "Mesa justa simulada",
+      description: "{trials} sequências de {rounds} rodadas com as probabilidades do jogo; todas as regras jogam as mesmas sequências.",
+      finalOf: "Banca final de",
+      sequences: "Sequências",
+    },
+    table: {
+      rule: "Regra",
+      bets: "Apostas",
+      hitRate: "Acerto",
+      evPerBet: "EV/aposta",
+      evPerUnit: "EV/unidade",
+      variance: "Variância",
+      finalPercentiles: "Banca final P5 / P50 / P95",
+      profit: "Lucro",
+      ruin: "Quebra",
+      final: "Banca final",
+      maxDrawdown: "Drawdown máx.",
+      ruined: "quebrou",
+      betsNote: "Apostas = média por sequência.",
+    },
+    presets: {
+      followStreak: "Seguir streak de 3+",
+      againstZebra: "Contra zebra de 4+",
+      followBias: "Seguir viés de 60%",
+      martingaleStreak: "Contra streak de 4+ (martingale)",
+    },
+  },
+  interchange: {
+    title: "Importar / Exportar",
+    description: "Faça backup ou mova para outro dispositivo.",
+    export: "Exportar",
+    activeOnly: "Só a sessão ativa",
+    allSessions: "Todas as sessões ({count})",
+    exportJson: "Exportar JSON",
+    exportCsv: "Exportar CSV",
+    import: "Importar JSON/CSV",
+    confirmReplace: "Substituir todas as {count} sessões atuais pelo conteúdo de \"{file}\"?",
+    preview: "Prévia de “{file}”",
+    accepted: { one: "{count} aceito", other: "{count} aceitos" },
+    rejected: { one: "{count} rejeitado", other: "{count} rejeitados" },
+    duplicates: { one: "{count} duplicado", other: "{count} duplicados" },
+    sessionsCreated: { one: "{count} sessão nova", other: "{count} sessões novas" },
+    sessionsMerged: { one: "{count} completada", other: "{count} completadas" },
+    line: "linha {line}: {reason}",
+    item: "item {line}: {reason}",
+    more: "… e mais {count}",
+    merge: "Acrescentar / mesclar",
+    replace: "Substituir tudo",
+    formatHelp: "JSON: envelope {envelope} (também lê a lista antiga {legacy} ou {results}). CSV: colunas index, color, timestamp, session (opcionais: session_id, round_id, id); separador vírgula ou ponto e vírgula.",
+    errors: {
+      empty: "Arquivo vazio",
+      json: "JSON inválido: {error}",
+      version: "Arquivo na versão {version} do formato; esta versão do app lê até a {max}. Atualize o app.",
+      noSessions: "Envelope sem a lista `sessions`",
+      unknown: "Formato não reconhecido: esperado um envelope “{format}”, uma lista ou { results: [...] }",
+      csvEmpty: "CSV vazio",
+      csvColor: "CSV sem a coluna “color” (colunas esperadas: {columns})",
+      color: "cor inválida",
+      colorValue: "cor inválida “{value}”",
+      colorEmpty: "cor vazia",
+      time: "horário inválido “{value}”",
+      bet: "aposta inválida “{value}”",
+    },
+  },
+  sync: {
+    title: "Sincronização da equipe",
+    description: "Opcional: vários aparelhos registrando a mesma mesa compartilham o histórico por um servidor próprio",
+    offline: "Funciona offline: as alterações esperam numa fila até a rede voltar.",
+    server: "Servidor",
+    name: "Seu nome (aparece nas rodadas)",
+    namePlaceholder: "ex.: Ana",
+    token: "Token (se o servidor exigir)",
+    interval: "Intervalo (segundos, mínimo {min})",
+    turnOn: "Ligar",
+    turnOff: "Desligar",
+    now: "Sincronizar agora",
+    states: {
+      off: "Desligada",
+      idle: "Iniciando…",
+      syncing: "Sincronizando…",
+      ok: "Em dia",
+      offline: "Offline (na fila)",
+      error: "Falhando",
+    },
+    pending: "Alterações na fila",
+    lastSync: "Última sincronização",
+    error: "Erro",
+    conflicts: "Conflitos se resolvem pelo id da rodada: fica a alteração mais recente. Desfazer (Ctrl+Z) só volta o que foi feito neste aparelho.",
+    errors: {
+      timeout: "Servidor não respondeu",
+      http: "HTTP {status}",
+      unauthorized: "Token inválido",
+      tooLarge: "Envio grande demais para o servidor",
+      badJson: "O servidor recusou o envio (JSON inválido)",
+      notFound: "Endereço não encontrado no servidor (confira a URL)",
+    },
+  },
+  reports: {
+    title: "Comparar sessões e períodos",
+    description: "Até {max} itens. Período junta as rodadas de todas as sessões nos dias escolhidos (vazio = sem limite). Sinais usam a janela recente de {window} rodadas.",
+    item: {
+      type: "Tipo do item {letter}",
+      session: "Sessão do item {letter}",
+      from: "Início do item {letter}",
+      to: "Fim do item {letter}",
+      remove: "Remover item {letter}",
+    },
+    types: { session: "Sessão", range: "Período" },
+    until: "até",
+    add: "Adicionar item",
+    print: "Imprimir / PDF",
+    markdown: "Baixar Markdown",
+    html: "Baixar HTML",
+    sheetNote: "{date} · diferenças em relação a A. Ferramenta educacional: resultados passados não preveem os próximos.",
+    metric: "Métrica",
+    subject: {
+      removed: "Sessão removida",
+      all: "Todo o histórico",
+      since: "Desde {from}",
+      until: "Até {to}",
+      day: "Dia {day}",
+      range: "{from} a {to}",
+    },
+    sections: {
+      general: "Geral",
+      colors: "Cores",
+      runs: "Sequências",
+      streaks: "Distribuição de streaks (% das sequências de mesma cor)",
+      signals: "Sinais",
+    },
+    rows: {
+      total: "Rodadas",
+      sessions: "Sessões com rodadas",
+      tieRate: "Taxa de empate",
+      longest: "Maior sequência {color}",
+      zebraMax: "Maior zebra (alternância)",
+      streak: "Streak de {length}",
+      activations: "{signal}: vezes que acendeu",
+      lit: "{signal}: rodadas aceso",
+    },
+    charts: {
+      colors: "Participação das cores",
+      streaks: "Streaks de mesma cor",
+      streaksShare: "Streaks de mesma cor (% das sequências)",
+    },
+    export: {
+      title: "Relatório Bac Bo — comparação",
+      header: "Gerado em {date} · sinais com janela recente de {window} rodadas · diferenças em relação a A",
+      disclaimer: "Ferramenta educacional. Resultados passados não preveem os próximos; não é conselho financeiro.",
+      file: "bacbo-relatorio",
+    },
+  },
+  storage: {
+    corrupt: "Os dados salvos em “{key}” estavam corrompidos e foram ignorados. Uma cópia do texto original ficou em “{backup}”.",
+    legacyUnknown: "O formato de “{key}” não foi reconhecido e foi ignorado.",
+    idbUnavailable: "IndexedDB indisponível ({error}); usando localStorage, limitado a ~5MB.",
+    corruptRecords: { one: "{count} registro corrompido foi descartado ao carregar.", other: "{count} registros corrompidos foram descartados ao carregar." },
+    recovered: "Resultados sem sessão válida foram movidos para uma sessão nova.",
+    quota: "Armazenamento cheio: os últimos resultados não foram salvos. Exporte um backup e exclua sessões antigas para liberar espaço.",
+    saveFailed: "Falha ao salvar: {error}",
+    openFailed: "Não foi possível abrir o armazenamento ({error}). Os dados desta aba não serão salvos.",
+  },
+};
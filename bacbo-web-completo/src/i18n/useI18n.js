@@ -0,0 +1,25 @@
+import { createContext, createElement, useContext, useEffect, useMemo } from "react";
+import { usePersistentState } from "@/lib/usePersistentState";
+import { createTranslator, defaultT, detectLang, normalizeLang } from "./index";
+
+// Fora do provedor (testes, hooks isolados) vale o pt-BR
+const I18nContext = createContext({ lang: defaultT.lang, setLang: () => {}, t: defaultT });
+
+/** Guarda o idioma escolhido (padrão: o do navegador) e o entrega a toda a árvore */
+export function I18nProvider({ children }) {
+  const [stored, setLang] = usePersistentState("bacbo-lang", detectLang());
+  const lang = normalizeLang(stored) || detectLang();
+  const t = useMemo(() => createTranslator(lang), [lang]);
+
+  useEffect(() => {
+    if (globalThis.document) document.documentElement.lang = lang;
+  }, [lang]);
+
+  const value = useMemo(() => ({ lang, setLang, t }), [lang, setLang, t]);
+  return createElement(I18nContext.Provider, { value }, children);
+}
+
+/** `{ lang, setLang, t }` do idioma atual */
+export const useI18n = () => useContext(I18nContext);
+
+export default useI18n;
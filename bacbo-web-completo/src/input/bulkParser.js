@@ -0,0 +1,96 @@
+/**
+ * Leitura de lista colada
+ * -----------------------
+ * Tokens separados por espaço , ; | / ou -. Cada token é:
+ * - um apelido de cor (R, Red, Vermelho, V…; sem diferenciar maiúsculas/acentos);
+ * - um apelido com repetição: `R3`, `Rx3`, `R*3`, `Azul2` → a cor N vezes;
+ * - uma sequência compacta de apelidos de uma letra: `RBBT`, `V2AE`.
+ * O que não se encaixa vira um rejeitado com a posição no texto original,
+ * em vez de sumir em silêncio.
+ */
+
+export const DEFAULT_ALIASES = {
+  R: ["R", "Red", "V", "Vermelho"],
+  B: ["B", "Blue", "A", "Azul"],
+  T: ["T", "Tie", "E", "Empate"],
+};
+
+// Evita que um "R999999" trave a aba
+export const MAX_REPEAT = 500;
+
+const SEPARATORS = /[^\s,;|/\-]+/g;
+
+/** Caixa alta e sem acentos: "empáte" → "EMPATE" */
+export const foldToken = (s) => s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toUpperCase();
+
+/**
+ * Monta a tabela apelido → cor. Apelidos precisam ser só letras e não podem
+ * apontar para duas cores. Devolve `{ table, errors }`; apelidos com erro ficam de fora
+ * e cada erro é `{ code, params }` (traduzido na tela, ver src/i18n).
+ */
+export function buildAliasTable(aliases = DEFAULT_ALIASES) {
+  const table = new Map();
+  const errors = [];
+  for (const color of ["R", "B", "T"]) {
+    for (const raw of aliases[color] || []) {
+      const alias = foldToken(String(raw).trim());
+      if (!alias) continue;
+      if (!/^[A-Z]+$/.test(alias)) errors.push({ code: "bulk.errors.aliasLetters", params: { alias: String(raw) } });
+      else if (table.has(alias) && table.get(alias) !== color) errors.push({ code: "bulk.errors.aliasTaken", params: { alias: String(raw), color: { code: `colors.${table.get(alias)}` } } });
+      else table.set(alias, color);
+    }
+  }
+  return { table, errors };
+}
+
+function readCount(digits) {
+  if (digits === undefined || digits === "") return 1;
+  const n = Number(digits);
+  return n >= 1 && n <= MAX_REPEAT ? n : null;
+}
+
+const rejectRepeat = () => ({ error: { code: "bulk.errors.repeat", params: { max: MAX_REPEAT } } });
+
+// Um token (já normalizado) → lista de cores, ou o motivo da rejeição (`{ code, params }`)
+function readToken(token, table) {
+  if (table.has(token)) return { values: [table.get(token)] };
+
+  const run = token.match(/^([A-Z]+?)[X*×]?(\d+)$/);
+  if (run && table.has(run[1])) {
+    const n = readCount(run[2]);
+    return n ? { values: Array(n).fill(table.get(run[1])) } : rejectRepeat();
+  }
+
+  // compacto: só apelidos de uma letra, cada um com repetição opcional
+  if (/^([A-Z]\d*)+$/.test(token)) {
+    const values = [];
+    for (const [, letter, digits] of token.matchAll(/([A-Z])(\d*)/g)) {
+      const color = table.get(letter);
+      if (!color) return { error: { code: "bulk.errors.notAlias", params: { letter } } };
+      const n = readCount(digits);
+      if (!n) return rejectRepeat();
+      for (let i = 0; i < n; i++) values.push(color);
+    }
+    return { values };
+  }
+  return { error: { code: "bulk.errors.unknown" } };
+}
+
+/**
+ * @param {string} text
+ * @param {Map<string, "R"|"B"|"T">} [table] de `buildAliasTable`
+ * @returns {{ values: ("R"|"B"|"T")[], tokens: { text, start, end, values?, error? }[], rejected: { text, start, end, error }[] }}
+ *   `start`/`end` são índices no texto original (end exclusivo)
+ */
+export function parseBulk(text, table = buildAliasTable().table) {
+  const tokens = [];
+  const values = [];
+  const rejected = [];
+  for (const m of text.matchAll(SEPARATORS)) {
+    const token = { text: m[0], start: m.index, end: m.index + m[0].length, ...readToken(foldToken(m[0]), table) };
+    tokens.push(token);
+    if (token.error) rejected.push(token);
+    else values.push(...token.values);
+  }
+  return { values, tokens, rejected };
+}
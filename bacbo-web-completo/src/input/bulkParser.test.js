@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { messageText } from "@/i18n";
+import { DEFAULT_ALIASES, MAX_REPEAT, buildAliasTable, parseBulk } from "./bulkParser";
+
+const seq = (text, table) => parseBulk(text, table).values.join("");
+
+describe("parseBulk", () => {
+  it("lê letras e palavras em inglês e português, sem diferenciar caixa e acentos", () => {
+    expect(seq("R b Red blue TIE t")).toBe("RBRBTT");
+    expect(seq("Vermelho, azul; EMPATE | v/a-e")).toBe("RBTRBT");
+    expect(seq("empáte")).toBe("T");
+  });
+
+  it("expande repetição e sequências compactas", () => {
+    expect(seq("R3 B2 T")).toBe("RRRBBT");
+    expect(seq("Rx2 b*2 azul3")).toBe("RRBBBBB");
+    expect(seq("RBBT V2AE")).toBe("RBBTRRBT");
+  });
+
+  it("aponta cada token rejeitado com a posição no texto original", () => {
+    const { values, rejected } = parseBulk("R BLEU  T X R0");
+    expect(values).toEqual(["R", "T"]);
+    expect(rejected.map(({ text, start, end }) => [text, start, end])).toEqual([
+      ["BLEU", 2, 6],
+      ["X", 10, 11],
+      ["R0", 12, 14],
+    ]);
+    expect(messageText(rejected[2].error)).toMatch(/repetição/);
+    expect(rejected[0].error).toEqual({ code: "bulk.errors.notAlias", params: { letter: "L" } });
+  });
+
+  it("limita a repetição", () => {
+    expect(parseBulk(`R${MAX_REPEAT}`).values).toHaveLength(MAX_REPEAT);
+    expect(parseBulk(`R${MAX_REPEAT + 1}`).rejected).toHaveLength(1);
+  });
+
+  it("texto vazio não produz nada", () => {
+    expect(parseBulk("  , ;")).toEqual({ values: [], tokens: [], rejected: [] });
+  });
+});
+
+describe("buildAliasTable", () => {
+  it("usa apelidos configurados e ignora os padrão ausentes", () => {
+    const { table, errors } = buildAliasTable({ R: ["Rojo"], B: ["Azul"], T: ["Empate"] });
+    expect(errors).toEqual([]);
+    expect(seq("rojo azul r", table)).toBe("RB");
+    expect(parseBulk("rojo azul r", table).rejected.map((t) => t.text)).toEqual(["r"]);
+  });
+
+  it("recusa apelidos ambíguos ou com dígitos", () => {
+    const { table, errors } = buildAliasTable({ ...DEFAULT_ALIASES, T: ["T", "R", "T2"] });
+    expect(errors).toHaveLength(2);
+    expect(table.get("R")).toBe("R");
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * CSV mínimo (RFC 4180): campos entre aspas, aspas duplicadas, quebras de
+ * linha dentro de aspas e CRLF. O separador é detectado pela primeira linha
+ * (vírgula ou ponto e vírgula, comum no Excel em pt-BR).
+ */
+
+export function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+}
+
+/** Devolve as linhas como arrays de strings, com o número da linha no arquivo (1-based) */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") rows.push({ line: rowLine, cells: row });
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else quoted = false;
+      } else {
+        if (c === "\n") line++;
+        field += c;
+      }
+    } else if (c === '"' && field === "") quoted = true;
+    else if (c === delimiter) endField();
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else field += c;
+  }
+  if (field !== "" || row.length) endRow();
+  return rows;
+}
+
+const escapeCell = (value, delimiter) => {
+  const s = value == null ? "" : String(value);
+  return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+};
+
+export function toCsv(rows, delimiter = ",") {
+  return rows.map((r) => r.map((c) => escapeCell(c, delimiter)).join(delimiter)).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,273 @@
+import { version as APP_VERSION } from "../../package.json";
+import { newId, normalizeState } from "@/sessions/model";
+import { normalizeColor, normalizeTimestamp } from "@/feed/normalize";
+import { validateBet } from "@/ledger";
+import { TranslatableError } from "@/i18n";
+import { parseCsv, toCsv } from "./csv";
+
+/**
+ * Formato de troca (backup / outro dispositivo)
+ * ---------------------------------------------
+ * Exporta em JSON versionado ou CSV; importa os dois (e os JSON antigos,
+ * um `Result[]` ou `{ results: [...] }`). Especificação em docs/interchange-format.md.
+ *
+ * A importação tem duas etapas:
+ * 1. `parseImport(text, filename)` → lido e validado, sem tocar no estado:
+ *    `{ kind, sessions: ImportedSession[], rejected: { line, reason }[] }`; `reason`
+ *    é `{ code, params }` e os erros lançados são `TranslatableError` (ver src/i18n)
+ * 2. `mergeImport(state, imported, { mode })` → `{ next, summary }`, puro.
+ *    A prévia chama a mesma função e só mostra `summary`.
+ *
+ * ImportedSession = { id?, name?, table, startedAt?, endedAt?, rounds: Result[] };
+ * sem `id` nem `name` (JSON antigo, CSV sem coluna session) os resultados vão
+ * para a sessão ativa. `name: ""` é uma sessão sem nome, rotulada na exibição
+ * como as demais (ver sessionLabel).
+ */
+
+export const FORMAT_NAME = "bacbo-history";
+export const FORMAT_VERSION = 1;
+export const CSV_COLUMNS = ["index", "color", "timestamp", "session", "session_id", "round_id", "id", "bet_side", "bet_amount", "bet_tie_total"];
+export { APP_VERSION };
+
+// ---- exportação ----
+
+// Só os campos documentados, na ordem documentada
+function exportRound({ id, v, ts, tsApprox, roundId, bet, by }) {
+  const out = { id, v, ts };
+  if (tsApprox) out.tsApprox = true;
+  if (roundId) out.roundId = roundId;
+  if (bet) out.bet = bet;
+  if (by) out.by = by;
+  return out;
+}
+
+export function buildEnvelope(state, ids, { now = Date.now() } = {}) {
+  const wanted = new Set(ids);
+  return {
+    format: FORMAT_NAME,
+    formatVersion: FORMAT_VERSION,
+    appVersion: APP_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    sessions: state.sessions
+      .filter((s) => wanted.has(s.id))
+      .map((s) => ({ ...s, rounds: (state.rounds[s.id] || []).map(exportRound) })),
+  };
+}
+
+export const toJson = (state, ids, opts) => JSON.stringify(buildEnvelope(state, ids, opts), null, 2);
+
+export function toCsvText(state, ids) {
+  const rows = [CSV_COLUMNS];
+  for (const s of state.sessions) {
+    if (!ids.includes(s.id)) continue;
+    (state.rounds[s.id] || []).forEach((r, i) => {
+      // horário aproximado (colado em lote, sem horário na fonte) sai vazio
+      rows.push([i + 1, r.v, r.tsApprox ? "" : new Date(r.ts).toISOString(), s.name, s.id, r.roundId || "", r.id, r.bet?.side || "", r.bet?.amount ?? "", r.bet?.tieTotal ?? ""]);
+    });
+  }
+  return toCsv(rows);
+}
+
+// ---- leitura ----
+
+/** Detecta JSON ou CSV pelo nome do arquivo ou, na falta dele, pelo conteúdo */
+export function parseImport(text, filename = "") {
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  if (!trimmed) throw new TranslatableError("interchange.errors.empty");
+  const isJson = /\.json$/i.test(filename) || (!/\.csv$/i.test(filename) && /^[[{]/.test(trimmed));
+  return isJson ? parseJsonImport(trimmed) : parseCsvImport(trimmed);
+}
+
+// No JSON o horário numérico é sempre ms (como o app grava); texto passa pelo normalizador do feed
+const jsonTime = (x) => (typeof x === "number" && Number.isFinite(x) ? x : normalizeTimestamp(x));
+
+function readRound(raw, at, rejected) {
+  const v = normalizeColor(typeof raw === "string" ? raw : raw?.v ?? raw?.color);
+  if (!v) {
+    rejected.push({ line: at, reason: { code: "interchange.errors.color" } });
+    return null;
+  }
+  const round = { id: typeof raw?.id === "string" && raw.id ? raw.id : newId(), v };
+  const ts = jsonTime(raw?.ts ?? raw?.timestamp);
+  if (ts !== undefined) round.ts = ts;
+  if (ts !== undefined && raw?.tsApprox === true) round.tsApprox = true;
+  if (raw?.roundId != null && raw.roundId !== "") round.roundId = String(raw.roundId);
+  const bet = validateBet(raw?.bet);
+  if (bet) round.bet = bet;
+  if (typeof raw?.by === "string" && raw.by.trim()) round.by = raw.by.trim().slice(0, 40);
+  return round;
+}
+
+export function parseJsonImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new TranslatableError("interchange.errors.json", { error: e.message });
+  }
+  const rejected = [];
+
+  if (data?.format === FORMAT_NAME) {
+    if (!(data.formatVersion <= FORMAT_VERSION)) {
+      throw new TranslatableError("interchange.errors.version", { version: data.formatVersion, max: FORMAT_VERSION });
+    }
+    if (!Array.isArray(data.sessions)) throw new TranslatableError("interchange.errors.noSessions");
+    let n = 0;
+    const sessions = data.sessions.map((s) => ({
+      id: typeof s?.id === "string" && s.id ? s.id : undefined,
+      name: typeof s?.name === "string" ? s.name : "",
+      table: typeof s?.table === "string" ? s.table : "",
+      startedAt: jsonTime(s?.startedAt),
+      endedAt: jsonTime(s?.endedAt) ?? null,
+      rounds: (Array.isArray(s?.rounds) ? s.rounds : []).map((r) => readRound(r, ++n, rejected)).filter(Boolean),
+    }));
+    return { kind: "json", sessions, rejected };
+  }
+
+  // formatos antigos: Result[] ou { results: ["R", …] }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.results) ? data.results : null;
+  if (!list) throw new TranslatableError("interchange.errors.unknown", { format: FORMAT_NAME });
+  const rounds = list.map((r, i) => readRound(r, i + 1, rejected)).filter(Boolean);
+  return { kind: "json-legacy", sessions: [{ rounds }], rejected };
+}
+
+export function parseCsvImport(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) throw new TranslatableError("interchange.errors.csvEmpty");
+  const header = rows[0].cells.map((c) => c.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const colorAt = col("color");
+  if (colorAt < 0) throw new TranslatableError("interchange.errors.csvColor", { columns: CSV_COLUMNS.join(", ") });
+  const tsAt = col("timestamp");
+  const sessionAt = col("session");
+  const sessionIdAt = col("session_id");
+  const roundIdAt = col("round_id");
+  const idAt = col("id");
+  const betAt = [col("bet_side"), col("bet_amount"), col("bet_tie_total")];
+
+  const rejected = [];
+  const sessions = [];
+  const byKey = new Map();
+  for (const { line, cells } of rows.slice(1)) {
+    const cell = (i) => (i >= 0 ? (cells[i] ?? "").trim() : "");
+    const v = normalizeColor(cell(colorAt));
+    if (!v) {
+      rejected.push({ line, reason: cell(colorAt) ? { code: "interchange.errors.colorValue", params: { value: cell(colorAt) } } : { code: "interchange.errors.colorEmpty" } });
+      continue;
+    }
+    const round = { id: cell(idAt) || newId(), v };
+    if (cell(tsAt)) {
+      const ts = normalizeTimestamp(cell(tsAt));
+      if (ts === undefined) {
+        rejected.push({ line, reason: { code: "interchange.errors.time", params: { value: cell(tsAt) } } });
+        continue;
+      }
+      round.ts = ts;
+    }
+    if (cell(roundIdAt)) round.roundId = cell(roundIdAt);
+    if (cell(betAt[0]) || cell(betAt[1])) {
+      const bet = validateBet({ side: normalizeColor(cell(betAt[0])), amount: Number(cell(betAt[1]).replace(",", ".")), tieTotal: cell(betAt[2]) });
+      if (!bet) {
+        rejected.push({ line, reason: { code: "interchange.errors.bet", params: { value: `${cell(betAt[0])} ${cell(betAt[1])}` } } });
+        continue;
+      }
+      round.bet = bet;
+    }
+
+    const name = cell(sessionAt);
+    const id = cell(sessionIdAt);
+    const key = id || name;
+    if (!byKey.has(key)) {
+      const session = key ? { id: id || undefined, name, table: "", rounds: [] } : { rounds: [] };
+      byKey.set(key, session);
+      sessions.push(session);
+    }
+    byKey.get(key).rounds.push(round);
+  }
+  return { kind: "csv", sessions, rejected };
+}
+
+// ---- aplicação ----
+
+export const IMPORT_MODES = ["merge", "replace"];
+
+/**
+ * Aplica uma importação ao estado de `useSessions`.
+ * - "merge": sessões com o mesmo id (ou, sem id, mesmo nome e mesa, se
+ *   informada) recebem só os
+ *   resultados que ainda não têm; as demais viram sessões novas. Resultados
+ *   sem sessão vão para a ativa. Duplicado = mesmo `id` em qualquer sessão,
+ *   mesmo `roundId` na sessão de destino ou mesma cor no mesmo horário de
+ *   origem na sessão de destino (CSV feito à mão não tem ids).
+ * - "replace": o estado inteiro é trocado pelo conteúdo do arquivo.
+ *   Resultados sem sessão formam uma sessão nova, sem nome.
+ * Resultados sem horário recebem `now` marcado `tsApprox` (as análises de
+ * horário os ignoram); os da mesma sessão ficam em ordem
+ * cronológica quando todos têm horário de origem.
+ *
+ * @returns {{ next, summary: { accepted, duplicates, sessionsCreated, sessionsMerged } }}
+ */
+export function mergeImport(state, imported, { mode = "merge", now = Date.now() } = {}) {
+  const replacing = mode === "replace";
+  const base = replacing ? { sessions: [], rounds: {}, activeId: null } : state;
+  const sessions = [...base.sessions];
+  const rounds = { ...base.rounds };
+  const summary = { accepted: 0, duplicates: 0, sessionsCreated: 0, sessionsMerged: 0 };
+
+  const seenIds = new Set();
+  for (const list of Object.values(rounds)) for (const r of list) seenIds.add(r.id);
+
+  // sem id nem nome: resultados avulsos, não uma sessão do arquivo
+  const loose = (src) => !src.id && src.name === undefined;
+
+  const target = (src) => {
+    if (loose(src) && !replacing) return sessions.find((s) => s.id === base.activeId);
+    const found = src.id ? sessions.find((s) => s.id === src.id) : src.name ? sessions.find((s) => s.name === src.name && (!src.table || s.table === src.table)) : null;
+    if (found) return found;
+    const first = src.rounds.find((r) => r.ts !== undefined)?.ts;
+    const session = {
+      id: src.id && !rounds[src.id] ? src.id : newId(),
+      name: src.name || "",
+      table: src.table || "",
+      startedAt: src.startedAt ?? first ?? now,
+      endedAt: src.endedAt ?? null,
+    };
+    sessions.push(session);
+    rounds[session.id] = [];
+    summary.sessionsCreated++;
+    return session;
+  };
+
+  for (const src of imported.sessions) {
+    if (!src.rounds.length && loose(src)) continue;
+    const session = target(src);
+    const existing = rounds[session.id];
+    const roundIds = new Set(existing.filter((r) => r.roundId).map((r) => r.roundId));
+    // contagem por horário+cor: três "R" no mesmo ms só descartam três
+    const timedKeys = new Map();
+    for (const r of existing) timedKeys.set(`${r.ts}|${r.v}`, (timedKeys.get(`${r.ts}|${r.v}`) || 0) + 1);
+    const fresh = [];
+    for (const r of src.rounds) {
+      const key = `${r.ts}|${r.v}`;
+      const sameTime = r.ts !== undefined && timedKeys.get(key) > 0;
+      if (seenIds.has(r.id) || (r.roundId && roundIds.has(r.roundId)) || sameTime) {
+        if (sameTime) timedKeys.set(key, timedKeys.get(key) - 1);
+        summary.duplicates++;
+        continue;
+      }
+      seenIds.add(r.id);
+      if (r.roundId) roundIds.add(r.roundId);
+      fresh.push(r.ts === undefined ? { ...r, ts: now, tsApprox: true } : r);
+    }
+    if (existing.length && fresh.length && !replacing) summary.sessionsMerged++;
+    summary.accepted += fresh.length;
+    if (!fresh.length) continue;
+    const all = [...existing, ...fresh];
+    const timed = src.rounds.every((r) => r.ts !== undefined);
+    rounds[session.id] = timed && existing.length ? all.map((r, i) => [r, i]).sort((a, b) => a[0].ts - b[0].ts || a[1] - b[1]).map(([r]) => r) : all;
+  }
+
+  if (replacing && !sessions.length) return { next: state, summary };
+  const activeId = replacing ? sessions[sessions.length - 1].id : base.activeId;
+  return { next: normalizeState({ sessions, rounds, activeId }), summary };
+}
@@ -0,0 +1,144 @@
+import { describe, expect, it } from "vitest";
+import { parseCsv, toCsv } from "./csv";
+import { FORMAT_NAME, FORMAT_VERSION, buildEnvelope, mergeImport, parseImport, toCsvText, toJson } from "./index";
+
+const state = {
+  version: 1,
+  activeId: "s1",
+  sessions: [
+    { id: "s1", name: "Sexta", table: "Mesa 1", startedAt: 1000, endedAt: null },
+    { id: "s2", name: "Sábado, noite", table: "", startedAt: 5000, endedAt: 9000 },
+  ],
+  rounds: {
+    s1: [
+      { id: "a", v: "R", ts: 1000 },
+      { id: "b", v: "B", ts: 2000, roundId: "77", bet: { side: "T", amount: 2.5, tieTotal: 4 } },
+    ],
+    s2: [{ id: "c", v: "T", ts: 6000 }],
+  },
+};
+const ALL = ["s1", "s2"];
+
+describe("csv", () => {
+  it("lê aspas, aspas duplicadas, quebras de linha e CRLF", () => {
+    const rows = parseCsv('a,b\r\n"x, y","diz ""oi"""\r\n"linha\nquebrada",2\r\n');
+    expect(rows.map((r) => r.cells)).toEqual([["a", "b"], ["x, y", 'diz "oi"'], ["linha\nquebrada", "2"]]);
+    expect(rows.map((r) => r.line)).toEqual([1, 2, 3]);
+  });
+
+  it("detecta ponto e vírgula e ida e volta preserva os campos", () => {
+    expect(parseCsv("color;session\nR;x").map((r) => r.cells)).toEqual([["color", "session"], ["R", "x"]]);
+    const rows = [["a", 'b "c"'], ["1,2", ""]];
+    expect(parseCsv(toCsv(rows)).map((r) => r.cells)).toEqual(rows);
+  });
+});
+
+describe("exportação", () => {
+  it("envelope traz versão do formato, do app e metadados das sessões", () => {
+    const env = buildEnvelope(state, ["s1"], { now: 0 });
+    expect(env.format).toBe(FORMAT_NAME);
+    expect(env.formatVersion).toBe(FORMAT_VERSION);
+    expect(typeof env.appVersion).toBe("string");
+    expect(env.exportedAt).toBe("1970-01-01T00:00:00.000Z");
+    expect(env.sessions).toEqual([{ ...state.sessions[0], rounds: state.rounds.s1 }]);
+  });
+
+  it("JSON e CSV exportados são reimportados sem perda", () => {
+    for (const [text, name] of [[toJson(state, ALL), "x.json"], [toCsvText(state, ALL), "x.csv"]]) {
+      const imported = parseImport(text, name);
+      expect(imported.rejected).toEqual([]);
+      const { next, summary } = mergeImport(state, imported, { mode: "replace", now: 1 });
+      expect(summary.accepted).toBe(3);
+      expect(next.sessions.map((s) => s.name)).toEqual(["Sexta", "Sábado, noite"]);
+      expect(next.sessions.map((s) => next.rounds[s.id])).toEqual([state.rounds.s1, state.rounds.s2]);
+    }
+  });
+});
+
+describe("importação", () => {
+  it("horário ausente vira aproximado e assim volta na exportação", () => {
+    const imported = parseImport("color,timestamp\nR,\nB,2024-05-01T21:30:00Z", "x.csv");
+    const { next } = mergeImport(state, imported, { mode: "replace", now: 42 });
+    const [approx, timed] = next.rounds[next.activeId];
+    expect(approx).toMatchObject({ ts: 42, tsApprox: true });
+    expect(timed.tsApprox).toBeUndefined();
+    const csv = toCsvText(next, [next.activeId]).split("\n");
+    expect(csv[1].split(",")[2]).toBe("");
+    const json = JSON.parse(toJson(next, [next.activeId]));
+    expect(json.sessions[0].rounds[0].tsApprox).toBe(true);
+    expect(parseImport(JSON.stringify(json), "x.json").sessions[0].rounds[0].tsApprox).toBe(true);
+  });
+
+  it("rejeita linhas inválidas informando a linha", () => {
+    const csv = "index,color,timestamp\n1,R,\n2,X,\n3,B,ontem\n4,,\n5,tie,1700000000";
+    const { sessions, rejected } = parseImport(csv, "h.csv");
+    expect(sessions[0].rounds.map((r) => r.v)).toEqual(["R", "T"]);
+    expect(sessions[0].rounds[1].ts).toBe(1700000000000);
+    expect(rejected.map((r) => r.line)).toEqual([3, 4, 5]);
+  });
+
+  it("rejeita apostas inválidas no CSV", () => {
+    const { sessions, rejected } = parseImport("color,bet_side,bet_amount\nR,B,\"2,5\"\nB,X,3\nT,,", "x.csv");
+    expect(sessions[0].rounds.map((r) => r.bet || null)).toEqual([{ side: "B", amount: 2.5 }, null]);
+    expect(rejected).toEqual([{ line: 3, reason: { code: "interchange.errors.bet", params: { value: "X 3" } } }]);
+  });
+
+  it("aceita os formatos JSON antigos", () => {
+    expect(parseImport('{"results":["R","B","x"]}').sessions[0].rounds.map((r) => r.v)).toEqual(["R", "B"]);
+    const legacy = parseImport('[{"id":"q","v":"T","ts":5}]');
+    expect(legacy.kind).toBe("json-legacy");
+    expect(legacy.sessions[0].rounds).toEqual([{ id: "q", v: "T", ts: 5 }]);
+  });
+
+  it("recusa versão futura do formato e arquivos irreconhecíveis", () => {
+    expect(() => parseImport(JSON.stringify({ format: FORMAT_NAME, formatVersion: FORMAT_VERSION + 1, sessions: [] }))).toThrow(/versão/);
+    expect(() => parseImport('{"foo":1}')).toThrow(/não reconhecido/);
+    expect(() => parseImport("a,b\n1,2", "x.csv")).toThrow(/color/);
+  });
+
+  it("mesclar descarta duplicados por id, roundId e horário+cor", () => {
+    const imported = parseImport(
+      "color,timestamp,session,session_id,round_id,id\n" +
+        "R,1970-01-01T00:00:01.000Z,Sexta,s1,,a\n" + // id existente
+        "B,,Sexta,s1,77,\n" + // roundId existente
+        "T,1970-01-01T00:00:06.000Z,Sábado,s2,,\n" + // mesmo horário e cor
+        "B,1970-01-01T00:00:03.000Z,Sexta,s1,,\n", // novo
+      "x.csv"
+    );
+    const { next, summary } = mergeImport(state, imported, { mode: "merge", now: 1 });
+    expect(summary).toEqual({ accepted: 1, duplicates: 3, sessionsCreated: 0, sessionsMerged: 1 });
+    expect(next.rounds.s1.map((r) => r.ts)).toEqual([1000, 2000, 3000]);
+    expect(next.rounds.s2).toBe(state.rounds.s2);
+  });
+
+  it("mesclar intercala por horário e cria sessões desconhecidas", () => {
+    const imported = parseImport("color,timestamp,session\nB,1970-01-01T00:00:01.500Z,Sexta\nR,1970-01-01T00:00:00.100Z,Outra", "x.csv");
+    const { next, summary } = mergeImport(state, imported, { mode: "merge", now: 1 });
+    expect(summary.sessionsCreated).toBe(1);
+    expect(next.rounds.s1.map((r) => r.ts)).toEqual([1000, 1500, 2000]);
+    const outra = next.sessions.find((s) => s.name === "Outra");
+    expect(outra.startedAt).toBe(100);
+    expect(next.activeId).toBe("s1");
+  });
+
+  it("sem sessão vai para a ativa (mesclar) ou para uma sessão nova (substituir)", () => {
+    const imported = parseImport('["R","B"]');
+    const merged = mergeImport(state, imported, { mode: "merge", now: 9 }).next;
+    expect(merged.rounds.s1.map((r) => r.v)).toEqual(["R", "B", "R", "B"]);
+    const replaced = mergeImport(state, imported, { mode: "replace", now: 9 }).next;
+    expect(replaced.sessions.map((s) => s.name)).toEqual([""]);
+    expect(replaced.rounds[replaced.activeId].map((r) => r.ts)).toEqual([9, 9]);
+  });
+
+  it("sessões sem nome do arquivo viram sessões novas, sem nome, e não vão para a ativa", () => {
+    const file = { format: FORMAT_NAME, formatVersion: FORMAT_VERSION, sessions: [{ rounds: [{ v: "R", ts: 7 }] }, { rounds: [{ v: "B", ts: 8 }] }] };
+    const { next, summary } = mergeImport(state, parseImport(JSON.stringify(file)), { mode: "merge", now: 9 });
+    expect(summary.sessionsCreated).toBe(2);
+    expect(next.rounds.s1).toBe(state.rounds.s1);
+    expect(next.sessions.slice(-2).map((s) => s.name)).toEqual(["", ""]);
+  });
+
+  it("substituir sem nada aceito mantém o estado", () => {
+    expect(mergeImport(state, { sessions: [{ rounds: [] }], rejected: [] }, { mode: "replace" }).next).toBe(state);
+  });
+});
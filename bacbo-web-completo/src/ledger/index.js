@@ -0,0 +1,118 @@
+/**
+ * Livro de apostas (banca)
+ * ------------------------
+ * Opcional: um `Result` pode levar a aposta feita naquela rodada,
+ *   bet = { side: "R" | "B" | "T", amount: number, tieTotal?: 2..12 }
+ * (`tieTotal` = soma dos dados no empate, quando conhecida). O resultado da
+ * aposta é sempre recalculado a partir da tabela de pagamentos, então mudar
+ * a tabela reavalia a sessão inteira.
+ *
+ * Tabela padrão (Bac Bo da Evolution; confira a da sua mesa):
+ * - Red/Blue pagam 1:1; no empate devolvem 90% (perde 10%).
+ * - Tie paga conforme a soma: 2/12 → 88:1, 3/11 → 25:1, 4/10 → 10:1,
+ *   5/9 → 6:1, 6/7/8 → 4:1. Sem a soma, usa `tieDefault`.
+ */
+
+export const DEFAULT_PAYTABLE = {
+  sideOdds: 1,
+  tieRefund: 0.9,
+  tieMultipliers: { 2: 88, 3: 25, 4: 10, 5: 6, 6: 4, 7: 4, 8: 4, 9: 6, 10: 10, 11: 25, 12: 88 },
+  tieDefault: 4,
+};
+
+export const DEFAULT_LEDGER_SETTINGS = {
+  startingBalance: 0,
+  lossLimit: 0, // 0 = sem limite
+  paytable: DEFAULT_PAYTABLE,
+};
+
+const SIDES = ["R", "B", "T"];
+const TIE_TOTALS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+const nonNegative = (x, fallback) => (Number.isFinite(Number(x)) && Number(x) >= 0 ? Number(x) : fallback);
+
+/** Aposta válida ou `null` (valores salvos/importados passam por aqui) */
+export function validateBet(bet) {
+  if (!bet || typeof bet !== "object" || !SIDES.includes(bet.side)) return null;
+  const amount = Number(bet.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+  const out = { side: bet.side, amount };
+  const total = Number(bet.tieTotal);
+  if (TIE_TOTALS.includes(total)) out.tieTotal = total;
+  return out;
+}
+
+export function normalizePaytable(p) {
+  const d = DEFAULT_PAYTABLE;
+  const tieMultipliers = {};
+  for (const t of TIE_TOTALS) tieMultipliers[t] = nonNegative(p?.tieMultipliers?.[t], d.tieMultipliers[t]);
+  return {
+    sideOdds: nonNegative(p?.sideOdds, d.sideOdds),
+    tieRefund: Math.min(1, nonNegative(p?.tieRefund, d.tieRefund)),
+    tieMultipliers,
+    tieDefault: nonNegative(p?.tieDefault, d.tieDefault),
+  };
+}
+
+export function normalizeLedgerSettings(s) {
+  return {
+    startingBalance: Number.isFinite(Number(s?.startingBalance)) ? Number(s.startingBalance) : 0,
+    lossLimit: nonNegative(s?.lossLimit, 0),
+    paytable: normalizePaytable(s?.paytable),
+  };
+}
+
+/**
+ * Lucro líquido de uma aposta dado o vencedor `v`.
+ * @returns {{ net: number, outcome: "win" | "loss" | "push" }}
+ */
+export function settleBet(bet, v, paytable = DEFAULT_PAYTABLE) {
+  if (bet.side === "T") {
+    if (v !== "T") return { net: -bet.amount, outcome: "loss" };
+    const mult = bet.tieTotal ? paytable.tieMultipliers[bet.tieTotal] : paytable.tieDefault;
+    return { net: bet.amount * mult, outcome: "win" };
+  }
+  if (v === bet.side) return { net: bet.amount * paytable.sideOdds, outcome: "win" };
+  if (v === "T") return { net: -bet.amount * (1 - paytable.tieRefund), outcome: "push" };
+  return { net: -bet.amount, outcome: "loss" };
+}
+
+/**
+ * Percorre o histórico e monta as linhas do livro (só rodadas com aposta)
+ * e o resumo da sessão. `drawdown` = quanto a banca está abaixo do pico.
+ */
+export function buildLedger(history, settings = DEFAULT_LEDGER_SETTINGS) {
+  const { startingBalance, lossLimit, paytable } = settings;
+  const rows = [];
+  let balance = startingBalance;
+  let peak = startingBalance;
+  let maxDrawdown = 0;
+  let staked = 0;
+  const counts = { win: 0, loss: 0, push: 0 };
+
+  history.forEach((r, index) => {
+    if (!r.bet) return;
+    const { net, outcome } = settleBet(r.bet, r.v, paytable);
+    balance += net;
+    peak = Math.max(peak, balance);
+    const drawdown = peak - balance;
+    maxDrawdown = Math.max(maxDrawdown, drawdown);
+    staked += r.bet.amount;
+    counts[outcome]++;
+    rows.push({ index, id: r.id, ts: r.ts, v: r.v, ...r.bet, outcome, net, balance, drawdown });
+  });
+
+  const net = balance - startingBalance;
+  return {
+    rows,
+    summary: {
+      bets: rows.length,
+      staked,
+      net,
+      balance,
+      maxDrawdown,
+      roi: staked ? net / staked : 0,
+      ...counts,
+      lossLimitReached: lossLimit > 0 && -net >= lossLimit,
+    },
+  };
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_LEDGER_SETTINGS, DEFAULT_PAYTABLE, buildLedger, normalizeLedgerSettings, settleBet, validateBet } from "./index";
+import { BACBO_PROBS } from "@/analysis/probabilities";
+
+const round = (v, bet, i = 0) => ({ id: `r${i}`, v, ts: i, ...(bet ? { bet } : {}) });
+
+describe("settleBet", () => {
+  it("Red/Blue pagam 1:1 e perdem 10% no empate", () => {
+    expect(settleBet({ side: "R", amount: 10 }, "R")).toEqual({ net: 10, outcome: "win" });
+    expect(settleBet({ side: "R", amount: 10 }, "B")).toEqual({ net: -10, outcome: "loss" });
+    expect(settleBet({ side: "B", amount: 10 }, "T").net).toBeCloseTo(-1);
+  });
+
+  it("Tie paga pela soma dos dados ou pelo padrão", () => {
+    expect(settleBet({ side: "T", amount: 1, tieTotal: 2 }, "T").net).toBe(88);
+    expect(settleBet({ side: "T", amount: 1, tieTotal: 7 }, "T").net).toBe(4);
+    expect(settleBet({ side: "T", amount: 1 }, "T").net).toBe(DEFAULT_PAYTABLE.tieDefault);
+    expect(settleBet({ side: "T", amount: 1, tieTotal: 2 }, "R").net).toBe(-1);
+  });
+
+  it("a vantagem da casa em Red/Blue fica perto de 1,1% na tabela padrão", () => {
+    const ev = BACBO_PROBS.R * 1 - BACBO_PROBS.B * 1 - BACBO_PROBS.T * (1 - DEFAULT_PAYTABLE.tieRefund);
+    expect(ev).toBeCloseTo(-0.0113, 3);
+  });
+});
+
+describe("buildLedger", () => {
+  it("acompanha saldo, drawdown, P&L e ignora rodadas sem aposta", () => {
+    const history = [
+      round("R", { side: "R", amount: 10 }, 0),
+      round("B", null, 1),
+      round("B", { side: "R", amount: 20 }, 2),
+      round("T", { side: "B", amount: 10 }, 3),
+      round("T", { side: "T", amount: 5, tieTotal: 3 }, 4),
+    ];
+    const { rows, summary } = buildLedger(history, normalizeLedgerSettings({ startingBalance: 100 }));
+    expect(rows.map((r) => r.index)).toEqual([0, 2, 3, 4]);
+    expect(rows.map((r) => r.balance)).toEqual([110, 90, 89, 214]);
+    expect(rows.map((r) => r.drawdown)).toEqual([0, 20, 21, 0]);
+    expect(summary).toMatchObject({ bets: 4, staked: 45, net: 114, balance: 214, maxDrawdown: 21, win: 2, loss: 1, push: 1, lossLimitReached: false });
+  });
+
+  it("sinaliza o limite de perda", () => {
+    const history = [round("B", { side: "R", amount: 30 }, 0), round("B", { side: "R", amount: 20 }, 1)];
+    expect(buildLedger(history, normalizeLedgerSettings({ lossLimit: 50 })).summary.lossLimitReached).toBe(true);
+    expect(buildLedger(history, normalizeLedgerSettings({ lossLimit: 51 })).summary.lossLimitReached).toBe(false);
+    expect(buildLedger(history, DEFAULT_LEDGER_SETTINGS).summary.lossLimitReached).toBe(false);
+  });
+});
+
+describe("validação", () => {
+  it("aceita só apostas completas", () => {
+    expect(validateBet({ side: "R", amount: "12.5" })).toEqual({ side: "R", amount: 12.5 });
+    expect(validateBet({ side: "T", amount: 1, tieTotal: "11" })).toEqual({ side: "T", amount: 1, tieTotal: 11 });
+    expect(validateBet({ side: "T", amount: 1, tieTotal: 13 })).toEqual({ side: "T", amount: 1 });
+    expect(validateBet({ side: "", amount: 1 })).toBe(null);
+    expect(validateBet({ side: "R", amount: 0 })).toBe(null);
+    expect(validateBet(null)).toBe(null);
+  });
+
+  it("tabela com valores inválidos volta ao padrão campo a campo", () => {
+    const p = normalizeLedgerSettings({ paytable: { sideOdds: "-1", tieRefund: 2, tieMultipliers: { 2: "50" } } }).paytable;
+    expect(p.sideOdds).toBe(1);
+    expect(p.tieRefund).toBe(1);
+    expect(p.tieMultipliers[2]).toBe(50);
+    expect(p.tieMultipliers[12]).toBe(88);
+  });
+});
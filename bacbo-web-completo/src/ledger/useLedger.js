@@ -0,0 +1,33 @@
+import { useMemo } from "react";
+import { usePersistentState } from "@/lib/usePersistentState";
+import { DEFAULT_LEDGER_SETTINGS, DEFAULT_PAYTABLE, buildLedger, normalizeLedgerSettings } from "./index";
+
+export const LEDGER_SETTINGS_KEY = "bacbo-ledger-settings";
+
+/**
+ * Livro da sessão ativa com a configuração salva (banca inicial, limite de
+ * perda e tabela de pagamentos). `form` guarda o que foi digitado (para
+ * os campos aceitarem "0," no meio da digitação); `settings` é a versão
+ * normalizada usada nas contas.
+ */
+export function useLedger(history) {
+  const [raw, setRaw] = usePersistentState(LEDGER_SETTINGS_KEY, DEFAULT_LEDGER_SETTINGS);
+  const settings = useMemo(() => normalizeLedgerSettings(raw), [raw]);
+  const ledger = useMemo(() => buildLedger(history, settings), [history, settings]);
+  const form = useMemo(
+    () => ({
+      ...DEFAULT_LEDGER_SETTINGS,
+      ...raw,
+      paytable: {
+        ...DEFAULT_PAYTABLE,
+        ...raw?.paytable,
+        tieMultipliers: { ...DEFAULT_PAYTABLE.tieMultipliers, ...raw?.paytable?.tieMultipliers },
+      },
+    }),
+    [raw]
+  );
+  const setSettings = (patch) => setRaw((s) => ({ ...s, ...patch }));
+  return { settings, form, setSettings, ...ledger };
+}
+
+export default useLedger;
@@ -0,0 +1,13 @@
+/** Dispara o download de um texto como arquivo. */
+export function downloadText(filename, text, type = "text/plain") {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** Carimbo para nomes de arquivo: 2024-01-31T12-00-00 */
+export const fileStamp = (date = new Date()) => date.toISOString().slice(0, 19).replaceAll(":", "-");
@@ -0,0 +1,13 @@
+/**
+ * Foco num campo de texto: atalhos globais devem deixar a tecla para ele
+ * (o Ctrl+Z de um input desfaz a digitação, não o histórico).
+ */
+export function isTypingTarget(target) {
+  if (!target || typeof target !== "object") return false;
+  if (target.isContentEditable) return true;
+  const tag = String(target.tagName || "").toUpperCase();
+  if (tag === "TEXTAREA" || tag === "SELECT") return true;
+  if (tag !== "INPUT") return false;
+  // checkbox, rádio e botões não recebem texto
+  return !["checkbox", "radio", "button", "submit", "reset", "range", "color", "file"].includes(String(target.type || "text").toLowerCase());
+}
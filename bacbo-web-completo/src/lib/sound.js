@@ -0,0 +1,24 @@
+let context = null;
+
+/**
+ * Bipe curto pelo Web Audio, sem arquivo de som. O navegador só libera o
+ * áudio depois de alguma interação com a página; antes disso é ignorado.
+ */
+export function playTone({ frequency = 880, duration = 0.15, volume = 0.2 } = {}) {
+  try {
+    const Ctx = globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (!Ctx) return;
+    context = context || new Ctx();
+    if (context.state === "suspended") context.resume().catch(() => {});
+    const osc = context.createOscillator();
+    const gain = context.createGain();
+    osc.frequency.value = frequency;
+    gain.gain.setValueAtTime(volume, context.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.0001, context.currentTime + duration);
+    osc.connect(gain).connect(context.destination);
+    osc.start();
+    osc.stop(context.currentTime + duration);
+  } catch {
+    // sem áudio (política de autoplay, aba em segundo plano): o destaque visual basta
+  }
+}
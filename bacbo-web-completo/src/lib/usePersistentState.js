@@ -0,0 +1,29 @@
+import { useEffect, useState } from "react";
+
+/**
+ * `useState` guardado no localStorage, para preferências pequenas
+ * (o histórico em si fica no IndexedDB, ver src/storage). Valor ilegível
+ * ou armazenamento indisponível caem no `initial` sem derrubar o app.
+ */
+export function usePersistentState(key, initial) {
+  const [value, setValue] = useState(() => {
+    try {
+      const text = globalThis.localStorage?.getItem(key);
+      return text == null ? initial : JSON.parse(text);
+    } catch {
+      return initial;
+    }
+  });
+
+  useEffect(() => {
+    try {
+      globalThis.localStorage?.setItem(key, JSON.stringify(value));
+    } catch {
+      // cota cheia ou modo privado: a preferência vale só para esta aba
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+}
+
+export default usePersistentState;
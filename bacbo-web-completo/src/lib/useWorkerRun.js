@@ -0,0 +1,56 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const IDLE = { status: "idle", progress: 0, result: null, meta: null, error: null };
+
+/**
+ * Uma execução por vez num Web Worker que responde `{ type: "progress", value }`,
+ * `{ type: "done", ... }` ou `{ type: "error", message }`. Uma nova execução
+ * cancela a anterior; `stop` e desmontar também.
+ *
+ * `createWorker` fica no módulo ao lado do worker, estável (fora do componente),
+ * para o Vite achar o arquivo em `new URL("./x.worker.js", import.meta.url)`.
+ * Devolve `{ status, progress, result, meta, error, start, stop }`: `result` é a
+ * mensagem "done" e `meta`, o que a chamada de `start(message, meta)` quis guardar.
+ */
+export function useWorkerRun(createWorker) {
+  const [state, setState] = useState(IDLE);
+  const workerRef = useRef(null);
+
+  const terminate = useCallback(() => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  useEffect(() => terminate, [terminate]);
+
+  const stop = useCallback(() => {
+    terminate();
+    setState((s) => (s.status === "running" ? IDLE : s));
+  }, [terminate]);
+
+  const start = useCallback(
+    (message, meta = null) => {
+      terminate();
+      const worker = createWorker();
+      workerRef.current = worker;
+      setState({ status: "running", progress: 0, result: null, meta, error: null });
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === "progress") setState((s) => ({ ...s, progress: msg.value }));
+        else if (msg.type === "done") {
+          setState({ status: "done", progress: 1, result: msg, meta, error: null });
+          terminate();
+        } else if (msg.type === "error") {
+          setState({ status: "error", progress: 0, result: null, meta, error: msg.message });
+          terminate();
+        }
+      };
+      worker.postMessage(message);
+    },
+    [createWorker, terminate]
+  );
+
+  return { ...state, start, stop };
+}
+
+export default useWorkerRun;
@@ -0,0 +1,53 @@
+/**
+ * App instalável (PWA)
+ * --------------------
+ * O service worker (`service-worker.js`) guarda o "app shell" — HTML, JS,
+ * CSS, manifesto e ícones — para o app abrir sem rede. Os nomes dos
+ * arquivos do build têm hash, então a lista só existe no fim do build: o
+ * plugin em scripts/vite-plugin-sw.mjs usa estas funções para gerar o
+ * `sw.js` com a lista e uma versão. A versão cobre o conteúdo de tudo o que
+ * vai para o cache (e o do próprio worker), não só os nomes: mudar o
+ * index.html, o manifesto ou um ícone também gera versão nova → o navegador
+ * instala o worker novo e o app oferece atualizar.
+ */
+
+export const SW_FILE = "sw.js";
+export const SHELL_PLACEHOLDER = "self.__SHELL_MANIFEST__";
+
+// Arquivos de public/ (copiados sem passar pelo bundle)
+export const STATIC_SHELL = ["./", "manifest.webmanifest", "icons/icon-192.png", "icons/icon-512.png", "icons/apple-touch-icon.png"];
+
+const CACHEABLE = /\.(?:html|js|mjs|css|svg|png|jpe?g|webp|ico|woff2?|webmanifest)$/i;
+
+/** Arquivos do bundle que entram no shell (sem source maps nem o próprio worker) */
+export function shellFiles(fileNames) {
+  return [...new Set(fileNames)].filter((f) => f !== SW_FILE && CACHEABLE.test(f)).sort();
+}
+
+const encoder = new TextEncoder();
+
+/** Versão curta e estável de uma lista de textos ou bytes (FNV-1a de 32 bits) */
+export function shellVersion(parts) {
+  let h = 0x811c9dc5;
+  const mix = (byte) => {
+    h ^= byte;
+    h = Math.imul(h, 0x01000193) >>> 0;
+  };
+  for (const part of parts) {
+    for (const byte of typeof part === "string" ? encoder.encode(part) : part) mix(byte);
+    mix(0); // separa as partes: ["ab", "c"] ≠ ["a", "bc"]
+  }
+  return h.toString(16).padStart(8, "0");
+}
+
+/**
+ * Troca o marcador do código do worker pela lista `{ version, files }`.
+ * `assets` é `{ [arquivo]: texto | bytes }` com o bundle e os arquivos de
+ * public/; "./" é o index.html.
+ */
+export function injectShellManifest(source, assets) {
+  if (!source.includes(SHELL_PLACEHOLDER)) throw new Error(`Marcador ${SHELL_PLACEHOLDER} não encontrado no service worker`);
+  const files = [...new Set([...STATIC_SHELL, ...shellFiles(Object.keys(assets))])];
+  const version = shellVersion([source, ...files.flatMap((f) => [f, assets[f === "./" ? "index.html" : f] ?? ""])]);
+  return source.split(SHELL_PLACEHOLDER).join(JSON.stringify({ version, files }));
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { readFileSync } from "node:fs";
+import { SHELL_PLACEHOLDER, STATIC_SHELL, injectShellManifest, shellFiles, shellVersion } from "./index";
+
+const bundle = ["index.html", "assets/index-a1b2.js", "assets/index-a1b2.js.map", "assets/index-c3d4.css", "assets/worker-e5.js", "sw.js", "assets/data.json"];
+const assets = Object.fromEntries(bundle.map((f) => [f, `conteúdo de ${f}`]));
+const versionOf = (source, changes) => JSON.parse(/const SHELL = (\{.*\});/.exec(injectShellManifest(source, { ...assets, ...changes }))[1]).version;
+
+describe("shell do service worker", () => {
+  it("guarda HTML, JS, CSS e imagens, sem source maps nem o próprio worker", () => {
+    expect(shellFiles(bundle)).toEqual(["assets/index-a1b2.js", "assets/index-c3d4.css", "assets/worker-e5.js", "index.html"]);
+  });
+
+  it("a versão é estável para o mesmo conteúdo e muda com o build", () => {
+    const files = shellFiles(bundle);
+    expect(shellVersion(files)).toMatch(/^[0-9a-f]{8}$/);
+    expect(shellVersion([...files])).toBe(shellVersion(files));
+    expect(shellVersion(shellFiles([...bundle, "assets/index-ffff.js"]))).not.toBe(shellVersion(files));
+    expect(shellVersion(["ab", "c"])).not.toBe(shellVersion(["a", "bc"]));
+    expect(shellVersion([new Uint8Array([1, 2])])).not.toBe(shellVersion([new Uint8Array([1, 3])]));
+  });
+
+  it("injeta a lista no código do worker", () => {
+    const source = readFileSync(new URL("./service-worker.js", import.meta.url), "utf8");
+    expect(source).toContain(SHELL_PLACEHOLDER);
+    const out = injectShellManifest(source, assets);
+    expect(out).not.toContain(SHELL_PLACEHOLDER);
+    const manifest = JSON.parse(/const SHELL = (\{.*\});/.exec(out)[1]);
+    expect(manifest.files).toEqual([...STATIC_SHELL, "assets/index-a1b2.js", "assets/index-c3d4.css", "assets/worker-e5.js", "index.html"]);
+    expect(manifest.version).toMatch(/^[0-9a-f]{8}$/);
+    expect(() => injectShellManifest("sem marcador", assets)).toThrow(/Marcador/);
+  });
+
+  it("a versão muda quando muda o conteúdo do shell, mesmo com os mesmos nomes", () => {
+    const source = readFileSync(new URL("./service-worker.js", import.meta.url), "utf8");
+    const base = versionOf(source, {});
+    expect(versionOf(source, {})).toBe(base);
+    expect(versionOf(source, { "index.html": "<html>novo</html>" })).not.toBe(base);
+    expect(versionOf(source, { "manifest.webmanifest": "{}" })).not.toBe(base);
+    expect(versionOf(source, { "icons/icon-192.png": new Uint8Array([9]) })).not.toBe(base);
+    expect(versionOf(`${source}\n// mudou`, {})).not.toBe(base);
+    expect(versionOf(source, { "assets/index-a1b2.js.map": "mapa novo" })).toBe(base);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Service worker do app (vira `sw.js` no build, ver src/pwa/index.js).
+ *
+ * - install: baixa o shell inteiro para um cache com a versão no nome; não
+ *   assume o controle sozinho — a página pergunta antes de atualizar
+ * - activate: apaga caches de versões anteriores
+ * - fetch: abrir o app (navegação) e arquivos do shell saem do cache;
+ *   o resto (feeds, APIs, outros domínios) vai direto para a rede
+ */
+
+const SHELL = self.__SHELL_MANIFEST__;
+const PREFIX = "bacbo-shell-";
+const CACHE = PREFIX + SHELL.version;
+const INDEX = new URL("./", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL.files)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// A página manda isto quando o usuário aceita a atualização
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    // app de uma página só: qualquer navegação abre o shell salvo
+    event.respondWith(
+      caches.open(CACHE).then((cache) => cache.match(INDEX).then((hit) => hit || fetch(request)))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.open(CACHE).then((cache) => cache.match(request).then((hit) => hit || fetch(request)))
+  );
+});
@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useState } from "react";
+import { SW_FILE } from "./index";
+
+// Aba aberta o dia todo: procura versão nova de hora em hora
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Registra o service worker (só no build; no `vite dev` não existe `sw.js`)
+ * e acompanha o ciclo de vida dele:
+ * - `offlineReady`: primeira instalação terminou, o app já abre sem rede
+ * - `updateReady`: há uma versão nova esperando; `applyUpdate()` ativa e recarrega
+ */
+export function useServiceWorker({ enabled = import.meta.env.PROD } = {}) {
+  const [waiting, setWaiting] = useState(null);
+  const [offlineReady, setOfflineReady] = useState(false);
+
+  useEffect(() => {
+    const sw = globalThis.navigator?.serviceWorker;
+    if (!enabled || !sw) return;
+    let cancelled = false;
+    let timer = null;
+    const base = import.meta.env.BASE_URL;
+
+    // com um controlador ativo, worker instalado = atualização; sem, = primeira instalação
+    const track = (worker) =>
+      worker.addEventListener("statechange", () => {
+        if (cancelled || worker.state !== "installed") return;
+        if (sw.controller) setWaiting(worker);
+        else setOfflineReady(true);
+      });
+
+    sw.register(`${base}${SW_FILE}`, { scope: base })
+      .then((reg) => {
+        if (cancelled) return;
+        if (reg.waiting && sw.controller) setWaiting(reg.waiting);
+        if (reg.installing) track(reg.installing);
+        reg.addEventListener("updatefound", () => reg.installing && track(reg.installing));
+        timer = setInterval(() => reg.update().catch(() => {}), UPDATE_CHECK_MS);
+      })
+      .catch(() => {
+        // sem HTTPS, modo privado etc.: o app segue funcionando online
+      });
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [enabled]);
+
+  const applyUpdate = useCallback(() => {
+    const sw = globalThis.navigator?.serviceWorker;
+    if (!waiting || !sw) return;
+    // o recarregamento dispara `pagehide`, que grava o estado antes (ver flushOnHide)
+    sw.addEventListener("controllerchange", () => globalThis.location.reload(), { once: true });
+    waiting.postMessage({ type: "SKIP_WAITING" });
+  }, [waiting]);
+
+  const dismiss = useCallback(() => {
+    setWaiting(null);
+    setOfflineReady(false);
+  }, []);
+
+  return { updateReady: !!waiting, offlineReady, applyUpdate, dismiss };
+}
+
+export default useServiceWorker;
@@ -0,0 +1,345 @@
+import { DIST_BUCKETS } from "@/engine/summary";
+import { combineStats, computeStats, createStatsEngine } from "@/engine";
+import { SIGNAL_DEFS, signalTitle } from "@/analysis/signals";
+import { dayBoundary } from "@/history";
+import { colorLabel, defaultT } from "@/i18n";
+import { sessionLabel } from "@/sessions/model";
+
+/**
+ * Relatórios: comparação de sessões ou períodos
+ * ---------------------------------------------
+ * Cada item comparado (`subject`) é uma sessão (`{ type: "session", id }`)
+ * ou um período de datas sobre todas as sessões (`{ type: "range", from,
+ * to }`, "AAAA-MM-DD"; vazio = sem limite). Os resultados de cada sessão
+ * ficam num trecho próprio, como no motor: runs não emendam entre sessões.
+ *
+ * `reportRows(t)` é a única definição das linhas da tabela — a tela, o
+ * Markdown e o HTML usam a mesma, então os três mostram os mesmos números.
+ * Os textos saem no idioma de `t` (src/i18n); sem ele, em pt-BR.
+ */
+
+export const MAX_SUBJECTS = 4;
+export const SUBJECT_COLORS = ["#18181b", "#d97706", "#7c3aed", "#059669"];
+export const SUBJECT_LETTERS = ["A", "B", "C", "D"];
+
+const ISO_DAY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY = { day: "2-digit", month: "2-digit", year: "numeric" };
+// Datas na ordem do idioma de `t`; o dia "AAAA-MM-DD" é lido e escrito em UTC para não mudar de data com o fuso
+const fmtDay = (text, lang) => {
+  const m = ISO_DAY.exec(text || "");
+  return m ? new Intl.DateTimeFormat(lang, { ...DAY, timeZone: "UTC" }).format(Date.UTC(+m[1], m[2] - 1, +m[3])) : "";
+};
+const fmtDateTime = (d, lang) => new Intl.DateTimeFormat(lang, { ...DAY, hour: "2-digit", minute: "2-digit" }).format(d);
+
+/** Valida um item vindo da tela; `null` se não der para comparar */
+export function normalizeSubject(raw, sessions) {
+  if (raw?.type === "session") return sessions.some((s) => s.id === raw.id) ? { type: "session", id: raw.id } : null;
+  if (raw?.type === "range") {
+    const from = ISO_DAY.test(raw.from || "") ? raw.from : "";
+    const to = ISO_DAY.test(raw.to || "") ? raw.to : "";
+    return from && to && from > to ? { type: "range", from: to, to: from } : { type: "range", from, to };
+  }
+  return null;
+}
+
+/** Padrão da tela: as duas sessões mais recentes; com uma só, ela contra o histórico todo */
+export function defaultSubjects(sessions) {
+  const recent = [...sessions].sort((a, b) => (b.startedAt ?? 0) - (a.startedAt ?? 0)).slice(0, 2);
+  const picked = recent.reverse().map((s) => ({ type: "session", id: s.id }));
+  return picked.length >= 2 ? picked : [...picked, { type: "range", from: "", to: "" }];
+}
+
+export function subjectLabel(subject, sessions, t = defaultT) {
+  if (subject.type === "session") {
+    const s = sessions.find((x) => x.id === subject.id);
+    return s ? sessionLabel(s, t) : t("reports.subject.removed");
+  }
+  if (!subject.from && !subject.to) return t("reports.subject.all");
+  if (!subject.to) return t("reports.subject.since", { from: fmtDay(subject.from, t.lang) });
+  if (!subject.from) return t("reports.subject.until", { to: fmtDay(subject.to, t.lang) });
+  return subject.from === subject.to
+    ? t("reports.subject.day", { day: fmtDay(subject.from, t.lang) })
+    : t("reports.subject.range", { from: fmtDay(subject.from, t.lang), to: fmtDay(subject.to, t.lang) });
+}
+
+/** Trechos (um array de resultados por sessão) que o item cobre */
+export function subjectSegments(state, subject) {
+  if (subject.type === "session") {
+    const rounds = state.rounds[subject.id] || [];
+    return rounds.length ? [rounds] : [];
+  }
+  const lo = dayBoundary(subject.from);
+  const hi = dayBoundary(subject.to, { end: true });
+  const segments = [];
+  for (const s of state.sessions) {
+    const rounds = (state.rounds[s.id] || []).filter((r) => (lo === null || r.ts >= lo) && (hi === null || r.ts <= hi));
+    if (rounds.length) segments.push(rounds);
+  }
+  return segments;
+}
+
+// Reprise de um trecho: motor, sinais acesos e contagens até `rounds.length`
+function replaySegment(entry, seg, window, defs) {
+  for (let i = entry.rounds.length; i < seg.length; i++) {
+    entry.engine.push(seg[i].v);
+    const stats = entry.engine.stats({ window });
+    for (const d of defs) {
+      if (!d.check(stats)) {
+        entry.on.delete(d.id);
+        continue;
+      }
+      entry.hits[d.id].lit++;
+      if (!entry.on.has(d.id)) entry.hits[d.id].activations++;
+      entry.on.add(d.id);
+    }
+  }
+  entry.rounds = seg;
+  return entry;
+}
+
+const freshReplay = (defs) => ({
+  rounds: [],
+  engine: createStatsEngine(),
+  on: new Set(),
+  hits: Object.fromEntries(defs.map((d) => [d.id, { activations: 0, lit: 0 }])),
+});
+
+// `seg` começa com as mesmas rodadas (mesmos objetos) que a reprise guardada?
+function continues(entry, seg) {
+  if (entry.rounds.length > seg.length) return false;
+  for (let i = 0; i < entry.rounds.length; i++) if (entry.rounds[i] !== seg[i]) return false;
+  return true;
+}
+
+/**
+ * Quantas vezes cada sinal acendeu (passou de apagado a aceso) ao longo dos
+ * trechos, rodada a rodada, e em quantas rodadas ficou aceso. É o painel
+ * "Leituras" reprisado: mesma janela recente, mesmas condições.
+ *
+ * Reprisar custa uma leitura do motor por rodada; com `cache` (um `Map`
+ * por item comparado, ver `buildReport`) cada trecho continua de onde
+ * parou quando só ganhou rodadas no fim.
+ */
+export function signalHits(segments, { window, defs = SIGNAL_DEFS, cache = null } = {}) {
+  const hits = Object.fromEntries(defs.map((d) => [d.id, { activations: 0, lit: 0 }]));
+  const used = new Set();
+  let rounds = 0;
+  for (const seg of segments) {
+    const key = seg[0]?.id;
+    let entry = cache?.get(key);
+    if (!entry || entry.window !== window || entry.defs !== defs || !continues(entry, seg)) entry = { ...freshReplay(defs), window, defs };
+    replaySegment(entry, seg, window, defs);
+    if (cache) {
+      cache.set(key, entry);
+      used.add(key);
+    }
+    rounds += seg.length;
+    for (const d of defs) {
+      hits[d.id].activations += entry.hits[d.id].activations;
+      hits[d.id].lit += entry.hits[d.id].lit;
+    }
+  }
+  // trechos que saíram do item não ficam presos na memória
+  if (cache) for (const key of [...cache.keys()]) if (!used.has(key)) cache.delete(key);
+  return defs.map((d) => ({ id: d.id, ...hits[d.id], litShare: rounds ? hits[d.id].lit / rounds : 0 }));
+}
+
+/** Números de um item: participação das cores, streaks, zebra e sinais (`cache`: ver `signalHits`) */
+export function summarizeSubject(segments, { window, cache = null }) {
+  const stats = combineStats(segments.map((seg) => computeStats(seg)));
+  const total = stats.total;
+  const count = { R: 0, B: 0, T: 0 };
+  for (const seg of segments) for (const r of seg) count[r.v]++;
+  const runs = DIST_BUCKETS.map((b) => (stats.dist.R[b] || 0) + (stats.dist.B[b] || 0));
+  const totalRuns = runs.reduce((a, b) => a + b, 0);
+  return {
+    total,
+    sessions: segments.length,
+    shares: {
+      R: total ? count.R / total : 0,
+      B: total ? count.B / total : 0,
+      T: total ? count.T / total : 0,
+    },
+    count,
+    longest: stats.longest,
+    zebraMax: stats.zebraMax,
+    // distribuição das sequências de mesma cor (Red e Blue juntas), em fração das runs
+    streaks: Object.fromEntries(DIST_BUCKETS.map((b, i) => [b, totalRuns ? runs[i] / totalRuns : 0])),
+    totalRuns,
+    signals: signalHits(segments, { window, cache }),
+  };
+}
+
+/**
+ * Relatório completo: `{ window, columns: [{ letter, label, color, summary }] }`.
+ * `cache` (de `createReportCache`, guardado pela tela entre recálculos) evita
+ * reprisar os sinais do começo a cada rodada nova.
+ */
+export function buildReport(state, subjects, { window, t = defaultT, cache = null }) {
+  const picked = subjects.slice(0, MAX_SUBJECTS);
+  if (cache) for (const letter of [...cache.keys()]) if (!SUBJECT_LETTERS.slice(0, picked.length).includes(letter)) cache.delete(letter);
+  return {
+    window,
+    columns: picked.map((subject, i) => {
+      const letter = SUBJECT_LETTERS[i];
+      if (cache && !cache.has(letter)) cache.set(letter, new Map());
+      return {
+        letter,
+        label: subjectLabel(subject, state.sessions, t),
+        color: SUBJECT_COLORS[i],
+        summary: summarizeSubject(subjectSegments(state, subject), { window, cache: cache?.get(letter) ?? null }),
+      };
+    }),
+  };
+}
+
+/** Cache de `buildReport`: por item (letra), as reprises de cada trecho */
+export const createReportCache = () => new Map();
+
+// ---- linhas da tabela ----
+
+/** Linhas da tabela, com seção e rótulo no idioma de `t` */
+export function reportRows(t = defaultT) {
+  const section = (key) => t(`reports.sections.${key}`);
+  const signalRows = SIGNAL_DEFS.flatMap((d) => [
+    { key: `signal-${d.id}`, section: section("signals"), label: t("reports.rows.activations", { signal: signalTitle(d, t) }), kind: "int", get: (s) => s.signals.find((x) => x.id === d.id)?.activations ?? 0 },
+    { key: `signal-${d.id}-lit`, section: section("signals"), label: t("reports.rows.lit", { signal: signalTitle(d, t) }), kind: "pct", get: (s) => s.signals.find((x) => x.id === d.id)?.litShare ?? 0 },
+  ]);
+  return [
+    { key: "total", section: section("general"), label: t("reports.rows.total"), kind: "int", get: (s) => s.total },
+    { key: "sessions", section: section("general"), label: t("reports.rows.sessions"), kind: "int", get: (s) => s.sessions },
+    { key: "R", section: section("colors"), label: colorLabel("R", t), kind: "pct", get: (s) => s.shares.R },
+    { key: "B", section: section("colors"), label: colorLabel("B", t), kind: "pct", get: (s) => s.shares.B },
+    { key: "T", section: section("colors"), label: t("reports.rows.tieRate"), kind: "pct", get: (s) => s.shares.T },
+    { key: "longestR", section: section("runs"), label: t("reports.rows.longest", { color: colorLabel("R", t) }), kind: "int", get: (s) => s.longest.R },
+    { key: "longestB", section: section("runs"), label: t("reports.rows.longest", { color: colorLabel("B", t) }), kind: "int", get: (s) => s.longest.B },
+    { key: "zebraMax", section: section("runs"), label: t("reports.rows.zebraMax"), kind: "int", get: (s) => s.zebraMax },
+    ...DIST_BUCKETS.map((b) => ({ key: `streak-${b}`, section: section("streaks"), label: t("reports.rows.streak", { length: b }), kind: "pct", get: (s) => s.streaks[b] })),
+    ...signalRows,
+  ];
+}
+
+/** As linhas em pt-BR */
+export const REPORT_ROWS = reportRows();
+
+export const formatValue = (x, kind) => (kind === "pct" ? `${(x * 100).toFixed(1)}%` : String(x));
+
+/** Diferença contra a coluna A: "+3.2 p.p." nas porcentagens, "+4" nas contagens; vazio se igual */
+export function formatDelta(x, base, kind) {
+  const d = kind === "pct" ? (x - base) * 100 : x - base;
+  if (Math.abs(d) < (kind === "pct" ? 0.05 : 1)) return "";
+  const sign = d > 0 ? "+" : "−";
+  return kind === "pct" ? `${sign}${Math.abs(d).toFixed(1)} p.p.` : `${sign}${Math.abs(d)}`;
+}
+
+/** Células de texto de uma linha: valor de cada coluna, com a diferença para A a partir da B */
+export function rowCells(row, columns) {
+  const base = row.get(columns[0].summary);
+  return columns.map((c, i) => {
+    const x = row.get(c.summary);
+    const delta = i > 0 ? formatDelta(x, base, row.kind) : "";
+    return { value: formatValue(x, row.kind), delta };
+  });
+}
+
+// ---- exportação ----
+
+const sections = (t) => {
+  const out = [];
+  for (const row of reportRows(t)) {
+    const last = out[out.length - 1];
+    if (last?.title === row.section) last.rows.push(row);
+    else out.push({ title: row.section, rows: [row] });
+  }
+  return out;
+};
+
+const header = (report, generatedAt, t) => t("reports.export.header", { date: fmtDateTime(generatedAt, t.lang), window: report.window });
+
+const mdEscape = (text) => String(text).replace(/[|\\]/g, (c) => `\\${c}`);
+
+export function reportToMarkdown(report, { generatedAt = new Date(), t = defaultT } = {}) {
+  const { columns } = report;
+  const lines = [`# ${t("reports.export.title")}`, "", header(report, generatedAt, t), ""];
+  for (const c of columns) lines.push(`- **${c.letter}:** ${mdEscape(c.label)} (${t("common.rounds", { count: c.summary.total })})`);
+  for (const section of sections(t)) {
+    lines.push("", `## ${section.title}`, "", `| | ${columns.map((c) => c.letter).join(" | ")} |`, `|---|${columns.map(() => "---:").join("|")}|`);
+    for (const row of section.rows) {
+      const cells = rowCells(row, columns).map(({ value, delta }) => (delta ? `${value} (${delta})` : value));
+      lines.push(`| ${mdEscape(row.label)} | ${cells.join(" | ")} |`);
+    }
+  }
+  lines.push("", `> ${t("reports.export.disclaimer")}`, "");
+  return lines.join("\n");
+}
+
+const htmlEscape = (text) => String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Barras horizontais por coluna: o gráfico sobreposto, sem depender de script
+function htmlBars(report, title, items) {
+  const max = Math.max(0.0001, ...items.flatMap((it) => report.columns.map((c) => it.get(c.summary))));
+  const groups = items.map((it) => {
+    const bars = report.columns
+      .map((c) => {
+        const x = it.get(c.summary);
+        return `<div class="bar"><span class="k">${c.letter}</span><span class="track"><span style="width:${((x / max) * 100).toFixed(1)}%;background:${c.color}"></span></span><span class="v">${formatValue(x, "pct")}</span></div>`;
+      })
+      .join("");
+    return `<div class="group"><div class="gl">${htmlEscape(it.label)}</div>${bars}</div>`;
+  });
+  return `<section class="chart"><h2>${htmlEscape(title)}</h2><div class="groups">${groups.join("")}</div></section>`;
+}
+
+export function reportToHtml(report, { generatedAt = new Date(), t = defaultT } = {}) {
+  const { columns } = report;
+  const legend = columns
+    .map((c) => `<li><span class="sw" style="background:${c.color}"></span><b>${c.letter}:</b> ${htmlEscape(c.label)} (${htmlEscape(t("common.rounds", { count: c.summary.total }))})</li>`)
+    .join("");
+  const tables = sections(t)
+    .map((section) => {
+      const body = section.rows
+        .map((row) => {
+          const cells = rowCells(row, columns).map(({ value, delta }) => `<td>${value}${delta ? ` <small>${delta}</small>` : ""}</td>`);
+          return `<tr><th>${htmlEscape(row.label)}</th>${cells.join("")}</tr>`;
+        })
+        .join("");
+      return `<table><thead><tr><th>${htmlEscape(section.title)}</th>${columns.map((c) => `<th>${c.letter}</th>`).join("")}</tr></thead><tbody>${body}</tbody></table>`;
+    })
+    .join("");
+  const colorBars = htmlBars(report, t("reports.charts.colors"), ["R", "B", "T"].map((k) => ({ label: colorLabel(k, t), get: (s) => s.shares[k] })));
+  const streakBars = htmlBars(report, t("reports.charts.streaks"), DIST_BUCKETS.map((b) => ({ label: b, get: (s) => s.streaks[b] })));
+
+  return `<!doctype html>
+<html lang="${htmlEscape(t.lang || "pt-BR")}">
+<head>
+<meta charset="utf-8">
+<title>${htmlEscape(t("reports.export.title"))}</title>
+<style>
+  @page { size: A4; margin: 12mm; }
+  body { font: 12px/1.4 system-ui, sans-serif; color: #18181b; max-width: 960px; margin: 16px auto; padding: 0 12px; }
+  h1 { font-size: 18px; margin: 0 0 4px; } h2 { font-size: 13px; margin: 8px 0 4px; }
+  .meta { color: #52525b; margin: 0 0 8px; } ul { list-style: none; padding: 0; margin: 0 0 8px; display: flex; gap: 12px; flex-wrap: wrap; }
+  .sw { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+  .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 0 16px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 6px; break-inside: avoid; }
+  th, td { border-bottom: 1px solid #e4e4e7; padding: 2px 4px; text-align: right; } th:first-child { text-align: left; font-weight: normal; }
+  thead th { font-weight: 600; background: #f4f4f5; } small { color: #71717a; }
+  .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; } .chart { break-inside: avoid; }
+  .groups { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px 12px; } .gl { font-weight: 600; }
+  .bar { display: flex; align-items: center; gap: 4px; } .k { width: 10px; } .v { width: 44px; text-align: right; }
+  .track { flex: 1; height: 8px; background: #f4f4f5; border-radius: 2px; overflow: hidden; } .track span { display: block; height: 100%; }
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .note { color: #52525b; font-size: 11px; margin-top: 8px; }
+</style>
+</head>
+<body>
+<h1>${htmlEscape(t("reports.export.title"))}</h1>
+<p class="meta">${htmlEscape(header(report, generatedAt, t))}</p>
+<ul>${legend}</ul>
+<div class="charts">${colorBars}${streakBars}</div>
+<div class="grid">${tables}</div>
+<p class="note">${htmlEscape(t("reports.export.disclaimer"))}</p>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,157 @@
+import { describe, expect, it } from "vitest";
+import { createTranslator } from "@/i18n";
+import {
+  REPORT_ROWS,
+  buildReport,
+  createReportCache,
+  defaultSubjects,
+  formatDelta,
+  normalizeSubject,
+  reportToHtml,
+  reportToMarkdown,
+  rowCells,
+  signalHits,
+  subjectLabel,
+  subjectSegments,
+  summarizeSubject,
+} from "./index";
+
+const day = (y, m, d, h = 12) => new Date(y, m - 1, d, h).getTime();
+const rounds = (text, ts) => text.split("").map((v, i) => ({ id: `${text}-${ts}-${i}`, v, ts: ts + i }));
+const state = {
+  sessions: [
+    { id: "s1", name: "Manhã", table: "", startedAt: day(2024, 5, 1) },
+    { id: "s2", name: "Noite", table: "VIP", startedAt: day(2024, 5, 2) },
+  ],
+  rounds: { s1: rounds("RRRBT", day(2024, 5, 1)), s2: rounds("RBRBRBT", day(2024, 5, 2)) },
+  activeId: "s2",
+};
+
+describe("itens comparados", () => {
+  it("valida, ordena o período e descarta sessão que não existe", () => {
+    expect(normalizeSubject({ type: "session", id: "s1" }, state.sessions)).toEqual({ type: "session", id: "s1" });
+    expect(normalizeSubject({ type: "session", id: "nada" }, state.sessions)).toBeNull();
+    expect(normalizeSubject({ type: "range", from: "2024-05-09", to: "2024-05-01" }, state.sessions)).toEqual({ type: "range", from: "2024-05-01", to: "2024-05-09" });
+    expect(normalizeSubject({ type: "range", from: "ontem" }, state.sessions)).toEqual({ type: "range", from: "", to: "" });
+  });
+
+  it("padrão: as duas sessões mais recentes, a mais antiga como A", () => {
+    expect(defaultSubjects(state.sessions)).toEqual([{ type: "session", id: "s1" }, { type: "session", id: "s2" }]);
+    expect(defaultSubjects(state.sessions.slice(0, 1))).toEqual([{ type: "session", id: "s1" }, { type: "range", from: "", to: "" }]);
+  });
+
+  it("rótulos", () => {
+    expect(subjectLabel({ type: "session", id: "s2" }, state.sessions)).toBe("Noite · VIP");
+    expect(subjectLabel({ type: "range", from: "2024-05-01", to: "2024-05-01" }, state.sessions)).toBe("Dia 01/05/2024");
+    expect(subjectLabel({ type: "range", from: "2024-05-01", to: "" }, state.sessions)).toBe("Desde 01/05/2024");
+    expect(subjectLabel({ type: "range", from: "", to: "" }, state.sessions)).toBe("Todo o histórico");
+    expect(subjectLabel({ type: "range", from: "2024-05-01", to: "" }, state.sessions, createTranslator("en"))).toBe("Since 05/01/2024");
+  });
+
+  it("período pega as rodadas de cada sessão nos dias escolhidos, uma sessão por trecho", () => {
+    expect(subjectSegments(state, { type: "range", from: "2024-05-02", to: "" })).toEqual([state.rounds.s2]);
+    expect(subjectSegments(state, { type: "range", from: "", to: "" })).toEqual([state.rounds.s1, state.rounds.s2]);
+    expect(subjectSegments(state, { type: "range", from: "2024-06-01", to: "" })).toEqual([]);
+  });
+});
+
+describe("resumo", () => {
+  it("cores, streaks e zebra sem emendar sessões", () => {
+    const s = summarizeSubject([state.rounds.s1, state.rounds.s2], { window: 20 });
+    expect(s.total).toBe(12);
+    expect(s.count).toEqual({ R: 6, B: 4, T: 2 });
+    expect(s.shares.T).toBeCloseTo(2 / 12, 12);
+    expect(s.longest).toEqual({ R: 3, B: 1, T: 1 });
+    expect(s.zebraMax).toBe(6);
+    // runs: RRR, B | R, B, R, B, R, B → 1 de 3 e 7 de 1
+    expect(s.totalRuns).toBe(8);
+    expect(s.streaks["1"]).toBeCloseTo(7 / 8, 12);
+    expect(s.streaks["3"]).toBeCloseTo(1 / 8, 12);
+  });
+
+  it("conta quantas vezes cada sinal acendeu e por quantas rodadas", () => {
+    const defs = [{ id: "red", title: "Red", check: (s) => s.currentColor === "R" }];
+    const [hit] = signalHits([rounds("RRBRT", 0), rounds("R", 10)], { window: 20, defs });
+    expect(hit).toMatchObject({ id: "red", activations: 3, lit: 4 });
+    expect(hit.litShare).toBeCloseTo(4 / 6, 12);
+  });
+
+  it("com cache, rodada nova no fim só reprisa ela; o resto recomeça", () => {
+    let calls = 0;
+    const defs = [{ id: "red", title: "Red", check: (s) => (calls++, s.currentColor === "R") }];
+    const cache = new Map();
+    const seg = rounds("RRBRT", 0);
+    signalHits([seg], { window: 20, defs, cache });
+    expect(calls).toBe(5);
+
+    const longer = [...seg, { id: "novo", v: "R", ts: 99 }];
+    calls = 0;
+    expect(signalHits([longer], { window: 20, defs, cache })).toEqual(signalHits([longer], { window: 20, defs }));
+    expect(calls).toBe(1 + 6);
+
+    // recolorir no meio (mesmo id, objeto novo) não é continuação
+    const recolored = longer.map((r, i) => (i === 1 ? { ...r, v: "B" } : r));
+    expect(signalHits([recolored], { window: 20, defs, cache })).toEqual(signalHits([recolored], { window: 20, defs }));
+    // trecho que saiu do item sai do cache
+    signalHits([rounds("B", 50)], { window: 20, defs, cache });
+    expect([...cache.keys()]).toEqual([`B-50-0`]);
+  });
+
+  it("relatório com cache dá o mesmo que sem", () => {
+    const cache = createReportCache();
+    const subjects = [{ type: "session", id: "s1" }, { type: "range", from: "", to: "" }];
+    buildReport(state, subjects, { window: 20, cache });
+    const grown = { ...state, rounds: { ...state.rounds, s2: [...state.rounds.s2, { id: "x", v: "R", ts: day(2024, 5, 2, 23) }] } };
+    expect(buildReport(grown, subjects, { window: 20, cache })).toEqual(buildReport(grown, subjects, { window: 20 }));
+    buildReport(grown, subjects.slice(0, 1), { window: 20, cache });
+    expect([...cache.keys()]).toEqual(["A"]);
+  });
+
+  it("vazio não quebra", () => {
+    const s = summarizeSubject([], { window: 20 });
+    expect(s).toMatchObject({ total: 0, totalRuns: 0, shares: { R: 0, B: 0, T: 0 } });
+    expect(s.signals.every((x) => x.activations === 0 && x.litShare === 0)).toBe(true);
+  });
+});
+
+describe("tabela e exportação", () => {
+  const report = buildReport(state, [{ type: "session", id: "s1" }, { type: "session", id: "s2" }], { window: 20 });
+  const generatedAt = new Date(2024, 4, 3, 9, 5);
+
+  it("diferença contra A nas porcentagens e nas contagens", () => {
+    expect(formatDelta(0.55, 0.5, "pct")).toBe("+5.0 p.p.");
+    expect(formatDelta(0.5, 0.5004, "pct")).toBe("");
+    expect(formatDelta(3, 7, "int")).toBe("−4");
+    const total = REPORT_ROWS.find((r) => r.key === "total");
+    expect(rowCells(total, report.columns)).toEqual([{ value: "5", delta: "" }, { value: "7", delta: "+2" }]);
+  });
+
+  it("Markdown com uma coluna por item", () => {
+    const md = reportToMarkdown(report, { generatedAt });
+    expect(md).toContain("Gerado em 03/05/2024, 09:05");
+    expect(md).toContain("- **B:** Noite · VIP (7 rodadas)");
+    expect(md).toContain("| Taxa de empate | 20.0% | 14.3% (−5.7 p.p.) |");
+    expect(md).toContain("| Maior zebra (alternância) | 2 | 6 (+4) |");
+  });
+
+  it("exporta no idioma pedido", () => {
+    const t = createTranslator("en");
+    const md = reportToMarkdown(buildReport(state, [{ type: "session", id: "s1" }, { type: "range", from: "", to: "" }], { window: 20, t }), { generatedAt, t });
+    expect(md).toContain("# Bac Bo report — comparison");
+    expect(md).toContain("Generated on 05/03/2024, 09:05 AM");
+    expect(md).toContain("(5 rounds)");
+    expect(md).toContain("**B:** Whole history");
+    expect(md).toContain("| Tie rate |");
+    expect(md).toContain("## Runs");
+    expect(reportToHtml(report, { generatedAt, t })).toContain('<html lang="en">');
+  });
+
+  it("HTML independente, com estilo de impressão e textos escapados", () => {
+    const html = reportToHtml(buildReport({ ...state, sessions: [{ ...state.sessions[0], name: "<Mesa & cia>" }, state.sessions[1]] }, [{ type: "session", id: "s1" }], { window: 20 }), { generatedAt });
+    expect(html.startsWith("<!doctype html>")).toBe(true);
+    expect(html).toContain("@page");
+    expect(html).toContain("&lt;Mesa &amp; cia&gt;");
+    expect(html).not.toContain("<Mesa");
+    expect(html).not.toMatch(/<script/);
+  });
+});
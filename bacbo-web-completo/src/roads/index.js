@@ -0,0 +1,135 @@
+/**
+ * Roadmaps (placares das mesas ao vivo)
+ * -------------------------------------
+ * Lógica pura; o desenho fica em components/Roadmaps.jsx. Todas as grades
+ * têm 6 linhas e crescem para a direita. Células: { col, row, v, ... }.
+ *
+ * - Bead Plate: um resultado por célula, de cima para baixo, coluna a coluna.
+ * - Big Road: uma coluna por sequência da mesma cor. Empates não ocupam
+ *   célula: contam em `ties` da última célula (os empates antes do primeiro
+ *   Red/Blue vão para a primeira). Coluna que passa da 6ª linha ou encontra
+ *   célula ocupada dobra para a direita ("cauda de dragão").
+ * - Derivadas (Big Eye Boy, Small Road, Cockroach Pig): comparam a Big Road
+ *   com a coluna 1, 2 ou 3 posições antes. "R" = padrão se repete (regular),
+ *   "B" = padrão quebrou (irregular) — não têm relação com Red/Blue da mesa.
+ */
+
+export const ROWS = 6;
+
+export function beadPlate(values, rows = ROWS) {
+  return values.map((v, i) => ({ col: Math.floor(i / rows), row: i % rows, v }));
+}
+
+/**
+ * Colunas lógicas da Big Road (antes de dobrar caudas): cada coluna é a
+ * lista de entradas `{ v, ties }` de uma sequência. Devolve também os
+ * empates que ainda não têm onde ficar (histórico só com empates).
+ */
+export function bigRoadColumns(values) {
+  const columns = [];
+  let pendingTies = 0;
+  let last = null;
+  for (const v of values) {
+    if (v === "T") {
+      if (last) last.ties++;
+      else pendingTies++;
+      continue;
+    }
+    const entry = { v, ties: pendingTies };
+    pendingTies = 0;
+    const current = columns[columns.length - 1];
+    if (current && current[0].v === v) current.push(entry);
+    else columns.push([entry]);
+    last = entry;
+  }
+  return { columns, pendingTies };
+}
+
+/**
+ * Posiciona colunas lógicas na grade, dobrando para a direita quando a
+ * coluna chega ao fim ou a célula de baixo já está ocupada.
+ * `columns`: arrays de entradas; cada célula recebe `{ col, row, ...entrada }`.
+ */
+export function placeColumns(columns, rows = ROWS) {
+  const taken = new Set();
+  const key = (c, r) => `${c},${r}`;
+  const cells = [];
+  let start = -1;
+  let width = 0;
+  for (const column of columns) {
+    start++;
+    while (taken.has(key(start, 0))) start++;
+    let col = start;
+    let row = 0;
+    let turned = false;
+    column.forEach((entry, i) => {
+      if (i > 0) {
+        if (!turned && row + 1 < rows && !taken.has(key(col, row + 1))) row++;
+        else {
+          turned = true;
+          col++;
+          while (taken.has(key(col, row))) col++;
+        }
+      }
+      taken.add(key(col, row));
+      cells.push({ col, row, ...entry });
+      width = Math.max(width, col + 1);
+    });
+  }
+  return { cells, width };
+}
+
+export function bigRoad(values, rows = ROWS) {
+  const { columns, pendingTies } = bigRoadColumns(values);
+  return { ...placeColumns(columns, rows), pendingTies };
+}
+
+export const DERIVED_ROADS = [
+  { id: "bigEye", title: "Big Eye Boy", offset: 1 },
+  { id: "small", title: "Small Road", offset: 2 },
+  { id: "cockroach", title: "Cockroach Pig", offset: 3 },
+];
+
+/**
+ * Sequência de uma road derivada a partir das colunas lógicas da Big Road.
+ * Para cada entrada (coluna c, linha r), a partir de onde há com o que comparar:
+ * - r = 0: colunas c-1 e c-1-k do mesmo tamanho → "R", senão "B";
+ * - r ≥ 1: a coluna c-k tem exatamente r entradas (acabou logo acima) → "B", senão "R".
+ */
+export function derivedSequence(columns, offset) {
+  const out = [];
+  for (let c = offset; c < columns.length; c++) {
+    for (let r = 0; r < columns[c].length; r++) {
+      if (r === 0) {
+        if (c - 1 - offset < 0) continue;
+        out.push(columns[c - 1].length === columns[c - 1 - offset].length ? "R" : "B");
+      } else {
+        out.push(columns[c - offset].length === r ? "B" : "R");
+      }
+    }
+  }
+  return out;
+}
+
+/** Road derivada já posicionada na grade (mesmas regras da Big Road, sem empates) */
+export function derivedRoad(values, offset, rows = ROWS) {
+  const { columns } = bigRoadColumns(values);
+  const seq = derivedSequence(columns, offset);
+  const runs = [];
+  for (const v of seq) {
+    const current = runs[runs.length - 1];
+    if (current && current[0].v === v) current.push({ v });
+    else runs.push([{ v }]);
+  }
+  return placeColumns(runs, rows);
+}
+
+/** Todas as roads de um histórico (`Result[]` ou lista de cores) */
+export function buildRoads(history, rows = ROWS) {
+  const values = history.map((r) => (typeof r === "string" ? r : r.v));
+  return {
+    bead: { cells: beadPlate(values, rows), width: Math.ceil(values.length / rows) },
+    big: bigRoad(values, rows),
+    derived: DERIVED_ROADS.map((d) => ({ ...d, ...derivedRoad(values, d.offset, rows) })),
+  };
+}
@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { beadPlate, bigRoad, bigRoadColumns, buildRoads, derivedSequence } from "./index";
+
+const pos = (cells) => cells.map((c) => `${c.v}${c.col},${c.row}`);
+const split = (s) => s.split("");
+
+describe("bead plate", () => {
+  it("preenche de cima para baixo, coluna a coluna", () => {
+    const cells = beadPlate(split("RBTRBTR"));
+    expect(pos(cells)).toEqual(["R0,0", "B0,1", "T0,2", "R0,3", "B0,4", "T0,5", "R1,0"]);
+  });
+});
+
+describe("big road", () => {
+  it("abre coluna nova a cada troca de cor e anota empates na célula anterior", () => {
+    const { columns, pendingTies } = bigRoadColumns(split("TBBTTRRRBTR"));
+    expect(pendingTies).toBe(0);
+    expect(columns.map((c) => c.map((e) => e.v + e.ties).join(" "))).toEqual(["B1 B2", "R0 R0 R0", "B1", "R0"]);
+  });
+
+  it("guarda empates sem célula enquanto só houver empates", () => {
+    expect(bigRoad(split("TT"))).toEqual({ cells: [], width: 0, pendingTies: 2 });
+  });
+
+  it("dobra a cauda de dragão no fim da coluna e ao encontrar célula ocupada", () => {
+    const { cells, width } = bigRoad(split("RRRRRRRR" + "BBBBBBB"));
+    expect(pos(cells)).toEqual([
+      "R0,0", "R0,1", "R0,2", "R0,3", "R0,4", "R0,5", "R1,5", "R2,5",
+      "B1,0", "B1,1", "B1,2", "B1,3", "B1,4", "B2,4", "B3,4",
+    ]);
+    expect(width).toBe(4);
+  });
+
+  it("coluna nova pula a primeira linha ocupada por uma cauda", () => {
+    // a 2ª coluna dobra já na linha 0 porque a cauda da 1ª ocupa (1,1)
+    const { cells } = bigRoad(split("RRRRRRR" + "B" + "RR"));
+    expect(pos(cells).slice(-3)).toEqual(["B1,0", "R2,0", "R2,1"]);
+  });
+});
+
+describe("roads derivadas", () => {
+  const { columns } = bigRoadColumns(split("BBRRRBTR"));
+
+  it("Big Eye Boy compara com a coluna anterior", () => {
+    expect(derivedSequence(columns, 1)).toEqual(["R", "B", "B", "B"]);
+  });
+
+  it("Small Road e Cockroach Pig começam mais tarde", () => {
+    expect(derivedSequence(columns, 2)).toEqual(["B"]);
+    expect(derivedSequence(columns, 3)).toEqual([]);
+  });
+
+  it("padrão regular (colunas de mesmo tamanho) dá só vermelho", () => {
+    const { columns: regular } = bigRoadColumns(split("RRBBRRBBRRBB"));
+    expect(derivedSequence(regular, 1).every((v) => v === "R")).toBe(true);
+    expect(derivedSequence(regular, 3)).toEqual(["R", "R", "R", "R", "R"]);
+  });
+
+  it("buildRoads aceita Result[] e monta todas as grades", () => {
+    const roads = buildRoads(split("BBRRRBTR").map((v, i) => ({ id: String(i), v, ts: i })));
+    expect(roads.bead.width).toBe(2);
+    expect(roads.big.cells).toHaveLength(7);
+    expect(roads.derived.map((d) => d.cells.length)).toEqual([4, 1, 0]);
+    expect(pos(roads.derived[0].cells)).toEqual(["R0,0", "B1,0", "B1,1", "B1,2"]);
+  });
+});
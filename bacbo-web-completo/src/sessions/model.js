@@ -0,0 +1,115 @@
+/**
+ * Modelo de sessões
+ * -----------------
+ * O histórico deixa de ser um único array: cada sessão (uma mesa em um
+ * período) tem seus próprios resultados, e streaks/zebras nunca atravessam
+ * a fronteira entre sessões.
+ *
+ * Formato em memória (também o antigo formato v1 da chave `bacbo-sessions`,
+ * hoje só lido uma vez pela camada de armazenamento em src/storage):
+ *   { version: 1, activeId, sessions: Session[], rounds: { [sessionId]: Result[] } }
+ *
+ * Session = { id, name, table, startedAt, endedAt }  (timestamps em ms, endedAt null se aberta)
+ * `name` vazio = sem nome; a tela mostra um rótulo traduzido (ver `sessionName`).
+ */
+
+import { defaultT } from "@/i18n";
+
+export const SESSIONS_KEY = "bacbo-sessions";
+export const LEGACY_HISTORY_KEY = "bacbo-history";
+export const SESSIONS_VERSION = 1;
+
+export const newId = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+export function createSession({ name, table = "", startedAt = Date.now() } = {}) {
+  return {
+    id: newId(),
+    name: (name || "").trim(),
+    table: (table || "").trim(),
+    startedAt,
+    endedAt: null,
+  };
+}
+
+export function emptyState() {
+  const session = createSession();
+  return { version: SESSIONS_VERSION, activeId: session.id, sessions: [session], rounds: { [session.id]: [] } };
+}
+
+/**
+ * Converte o antigo `bacbo-history` (Result[] plano) numa sessão padrão.
+ */
+export function migrateLegacyHistory(legacy) {
+  const state = emptyState();
+  const session = state.sessions[0];
+  const rounds = Array.isArray(legacy) ? legacy.filter((r) => r && ["R", "B", "T"].includes(r.v)) : [];
+  if (rounds.length) {
+    session.startedAt = rounds[0].ts || session.startedAt;
+    session.endedAt = rounds[rounds.length - 1].ts || null;
+  }
+  state.rounds[session.id] = rounds;
+  return state;
+}
+
+/** Garante um estado utilizável: sessão ativa existente e arrays de rounds para todas as sessões. */
+export function normalizeState(state) {
+  if (!state || !Array.isArray(state.sessions) || !state.sessions.length) return emptyState();
+  const rounds = { ...(state.rounds || {}) };
+  for (const s of state.sessions) if (!Array.isArray(rounds[s.id])) rounds[s.id] = [];
+  const activeId = state.sessions.some((s) => s.id === state.activeId) ? state.activeId : state.sessions[state.sessions.length - 1].id;
+  return { version: SESSIONS_VERSION, activeId, sessions: state.sessions, rounds };
+}
+
+/**
+ * Divide uma sessão nos índices de `cuts` (cada um é o primeiro resultado de
+ * um novo trecho). O primeiro trecho fica na sessão original; os demais viram
+ * sessões "Nome (2)", "Nome (3)"… logo depois dela, com `ids` se informados.
+ * Se a original estava aberta, só o último trecho continua aberto (e vira a
+ * ativa, se a original era).
+ */
+export function splitSessionAt(state, sessionId, cuts, { ids = [] } = {}) {
+  const session = state.sessions.find((s) => s.id === sessionId);
+  const list = state.rounds[sessionId] || [];
+  const points = [...new Set(cuts)].filter((i) => i > 0 && i < list.length).sort((a, b) => a - b);
+  if (!session || !points.length) return state;
+
+  const pieces = [0, ...points].map((from, k) => list.slice(from, points[k] ?? list.length));
+  const rounds = { ...state.rounds, [sessionId]: pieces[0] };
+  const created = pieces.slice(1).map((piece, k) => {
+    const last = k === pieces.length - 2;
+    const s = {
+      ...session,
+      id: ids[k] || newId(),
+      name: session.name && `${session.name} (${k + 2})`,
+      startedAt: piece[0].ts || session.startedAt,
+      endedAt: last ? session.endedAt : piece[piece.length - 1].ts || null,
+    };
+    rounds[s.id] = piece;
+    return s;
+  });
+  const first = { ...session, endedAt: pieces[0][pieces[0].length - 1].ts || session.endedAt };
+  const at = state.sessions.indexOf(session);
+  const sessions = [...state.sessions.slice(0, at), first, ...created, ...state.sessions.slice(at + 1)];
+  const activeId = state.activeId === sessionId && session.endedAt == null ? created[created.length - 1].id : state.activeId;
+  return { ...state, sessions, rounds, activeId };
+}
+
+/** Ids do escopo na ordem das sessões; "all" seleciona todas. */
+export function resolveScope(sessions, scope) {
+  if (scope === "all") return sessions.map((s) => s.id);
+  const wanted = new Set(scope);
+  return sessions.filter((s) => wanted.has(s.id)).map((s) => s.id);
+}
+
+/** Histórico concatenado do escopo (para visões que precisam da sequência inteira) */
+export function scopedHistory(rounds, ids) {
+  return ids.length === 1 ? rounds[ids[0]] || [] : ids.flatMap((id) => rounds[id] || []);
+}
+
+/**
+ * Nome para exibir: o dado pelo usuário ou "Sessão de <início>" no idioma de `t`
+ * (nomes gerados por versões anteriores são limpos na migração do armazenamento)
+ */
+export const sessionName = (s, t = defaultT) => s.name || t("sessions.untitled", { date: new Date(s.startedAt).toLocaleString(t.lang) });
+
+export const sessionLabel = (s, t = defaultT) => (s.table ? `${sessionName(s, t)} · ${s.table}` : sessionName(s, t));
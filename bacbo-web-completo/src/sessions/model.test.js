@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { createSession, migrateLegacyHistory, normalizeState, resolveScope, scopedHistory, sessionLabel, splitSessionAt } from "./model";
+import { createTranslator } from "@/i18n";
+import { combineStats, computeStats } from "@/engine";
+
+const rounds = (str, t0 = 1000) => str.split("").map((v, i) => ({ id: `${t0}-${i}`, v, ts: t0 + i }));
+
+describe("sessões", () => {
+  it("migra o bacbo-history antigo para uma sessão padrão", () => {
+    const legacy = [...rounds("RBT"), { v: "X" }, null];
+    const state = migrateLegacyHistory(legacy);
+    expect(state.sessions).toHaveLength(1);
+    const [session] = state.sessions;
+    expect(state.activeId).toBe(session.id);
+    expect(state.rounds[session.id].map((r) => r.v)).toEqual(["R", "B", "T"]);
+    expect(session.startedAt).toBe(1000);
+    expect(session.endedAt).toBe(1002);
+  });
+
+  it("normaliza estado incompleto", () => {
+    expect(normalizeState(null).sessions).toHaveLength(1);
+    const s = normalizeState({ sessions: [{ id: "a" }, { id: "b" }], activeId: "zzz", rounds: { a: [] } });
+    expect(s.activeId).toBe("b");
+    expect(s.rounds.b).toEqual([]);
+  });
+
+  it("resolve escopo na ordem das sessões", () => {
+    const sessions = [{ id: "a" }, { id: "b" }, { id: "c" }];
+    expect(resolveScope(sessions, "all")).toEqual(["a", "b", "c"]);
+    expect(resolveScope(sessions, ["c", "a", "x"])).toEqual(["a", "c"]);
+    expect(scopedHistory({ a: rounds("R"), c: rounds("B") }, ["a", "c"]).map((r) => r.v)).toEqual(["R", "B"]);
+  });
+
+  it("streaks não atravessam sessões", () => {
+    const a = computeStats(rounds("BRRR"));
+    const b = computeStats(rounds("RRB"));
+    const combined = combineStats([a, b]);
+    expect(combined.longest.R).toBe(3);
+    expect(combined.total).toBe(7);
+    expect(combined.dist.R["3"]).toBe(1);
+    expect(combined.dist.R["2"]).toBe(1);
+    expect(combined.currentColor).toBe("B");
+    // emendado daria uma streak de 5
+    expect(computeStats(rounds("BRRRRRB")).longest.R).toBe(5);
+  });
+
+  it("divide uma sessão aberta nas lacunas escolhidas", () => {
+    const state = {
+      activeId: "a",
+      sessions: [{ id: "a", name: "Noite", table: "", startedAt: 1000, endedAt: null }, { id: "z", name: "Outra", table: "", startedAt: 5000, endedAt: 6000 }],
+      rounds: { a: rounds("RBTRB"), z: [] },
+    };
+    const next = splitSessionAt(state, "a", [3, 1, 9], { ids: ["b", "c"] });
+    expect(next.sessions.map((s) => s.id)).toEqual(["a", "b", "c", "z"]);
+    expect(next.sessions.map((s) => s.name)).toEqual(["Noite", "Noite (2)", "Noite (3)", "Outra"]);
+    expect(["a", "b", "c"].map((id) => next.rounds[id].map((r) => r.v).join(""))).toEqual(["R", "BT", "RB"]);
+    expect(next.sessions[0].endedAt).toBe(1000);
+    expect(next.sessions[1]).toMatchObject({ startedAt: 1001, endedAt: 1002 });
+    expect(next.sessions[2]).toMatchObject({ startedAt: 1003, endedAt: null });
+    expect(next.activeId).toBe("c");
+    expect(splitSessionAt(state, "a", [0, 5])).toBe(state);
+  });
+
+  it("sessão sem nome ganha rótulo no idioma da tela", () => {
+    const session = createSession({ table: "Mesa 2", startedAt: 0 });
+    expect(session.name).toBe("");
+    expect(sessionLabel(session)).toMatch(/^Sessão de .+ · Mesa 2$/);
+    expect(sessionLabel(session, createTranslator("en"))).toMatch(/^Session from .+ · Mesa 2$/);
+    expect(sessionLabel({ ...session, name: "Sessão padrão", table: "" }, createTranslator("en"))).toBe("Sessão padrão");
+    expect(sessionLabel({ ...session, name: "Noite", table: "" }, createTranslator("en"))).toBe("Noite");
+  });
+});
@@ -0,0 +1,206 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createSession, emptyState, newId, resolveScope, splitSessionAt } from "./model";
+import { flushOnHide, openStorage } from "@/storage";
+import { mergeImport } from "@/interchange";
+import { applyChange, createUndoLog, describeEntry, rebaseChange, redoChange, undoChange } from "@/undo";
+import { messageText } from "@/i18n";
+import { useI18n } from "@/i18n/useI18n";
+
+// Uma única abertura por página (StrictMode monta os efeitos duas vezes)
+let opening = null;
+const openOnce = () => (opening ??= openStorage());
+
+const EMPTY = [];
+const NO_SESSIONS = { sessions: [], rounds: {}, activeId: null };
+const lastTs = (rounds) => (rounds.length ? rounds[rounds.length - 1].ts : null);
+const sameWarning = (a, b) => messageText(a) === messageText(b);
+
+/**
+ * Estado das sessões + ações. `history`/`setHistory` sempre se referem à
+ * sessão ativa, então o resto do App continua falando com um único array.
+ *
+ * O estado vem do armazenamento (ver src/storage) de forma assíncrona:
+ * até `ready`, as ações são ignoradas. Avisos de carga/gravação (dados
+ * corrompidos, cota cheia…) ficam em `warnings`, como `{ code, params }`.
+ *
+ * `scope` define quais sessões entram nas estatísticas:
+ * "active" (padrão), "all" ou uma lista de ids.
+ *
+ * Toda alteração dos dados passa pelo log de desfazer (ver src/undo) com um
+ * rótulo curto (chave do catálogo, ver src/i18n); `undo`/`redo` voltam o estado inteiro — inclusive a sessão
+ * ativa daquele momento — e a gravação segue a diferença como sempre.
+ * O log vive só na memória da aba.
+ */
+export function useSessions() {
+  const [log, setLog] = useState(null);
+  const loaded = log ? log.state : null;
+  const [scope, setScope] = useState("active");
+  const [warnings, setWarnings] = useState([]);
+  const persisterRef = useRef(null);
+  const state = loaded || NO_SESSIONS;
+  const { t } = useI18n();
+
+  useEffect(() => {
+    let cancelled = false;
+    openOnce()
+      .then(({ state, persister, warnings }) => {
+        if (cancelled) return;
+        persister.onError = (warning) => setWarnings((w) => (w.some((x) => sameWarning(x, warning)) ? w : [...w, warning]));
+        persisterRef.current = persister;
+        setWarnings(warnings);
+        setLog((u) => u || createUndoLog(state));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setWarnings([{ code: "storage.openFailed", params: { error: err?.message || String(err) } }]);
+        setLog((u) => u || createUndoLog(emptyState()));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (loaded) persisterRef.current?.persist(loaded);
+  }, [loaded]);
+
+  // Celular bloqueado ou aba fechada antes do efeito acima rodar: grava já
+  const latestRef = useRef(null);
+  latestRef.current = loaded;
+  useEffect(
+    () =>
+      flushOnHide(() => {
+        if (latestRef.current) persisterRef.current?.persist(latestRef.current);
+      }),
+    []
+  );
+
+  // `meta` = { label, params, group } do log de desfazer; sem rótulo a mudança não é registrada
+  const update = useCallback((fn, meta) => setLog((u) => (u ? applyChange(u, fn, meta) : u)), []);
+  const undo = useCallback(() => setLog((u) => (u ? undoChange(u) : u)), []);
+  const redo = useCallback(() => setLog((u) => (u ? redoChange(u) : u)), []);
+  // Alterações vindas de outros aparelhos (ver src/sync): não entram no desfazer
+  const applyRemote = useCallback((fn) => setLog((u) => (u ? rebaseChange(u, fn) : u)), []);
+  const dismissWarning = useCallback((warning) => setWarnings((w) => w.filter((x) => x !== warning)), []);
+
+  const setHistory = useCallback((updater, meta = { label: "undo.editHistory" }) => {
+    update((s) => {
+      const current = s.rounds[s.activeId] || [];
+      const next = typeof updater === "function" ? updater(current) : updater;
+      if (next === current) return s;
+      return { ...s, rounds: { ...s.rounds, [s.activeId]: next } };
+    }, meta);
+  }, [update]);
+
+  // Abre uma sessão nova e encerra a ativa (se ainda estava aberta)
+  const startSession = useCallback((fields) => {
+    update((s) => {
+      const session = createSession(fields);
+      const sessions = s.sessions.map((x) =>
+        x.id === s.activeId && x.endedAt == null ? { ...x, endedAt: lastTs(s.rounds[x.id] || []) ?? Date.now() } : x
+      );
+      return { ...s, activeId: session.id, sessions: [...sessions, session], rounds: { ...s.rounds, [session.id]: [] } };
+    }, { label: "undo.newSession" });
+  }, [update]);
+
+  const switchSession = useCallback((id) => {
+    update((s) => (s.sessions.some((x) => x.id === id) ? { ...s, activeId: id } : s));
+  }, [update]);
+
+  const updateSession = useCallback((id, patch) => {
+    update((s) => ({ ...s, sessions: s.sessions.map((x) => (x.id === id ? { ...x, ...patch } : x)) }), { label: "undo.editSession" });
+  }, [update]);
+
+  const endSession = useCallback((id) => {
+    update((s) => ({
+      ...s,
+      sessions: s.sessions.map((x) => (x.id === id ? { ...x, endedAt: Date.now() } : x)),
+    }), { label: "undo.endSession" });
+  }, [update]);
+
+  const deleteSession = useCallback((id) => {
+    update((s) => {
+      const sessions = s.sessions.filter((x) => x.id !== id);
+      if (!sessions.length) return emptyState();
+      const rounds = { ...s.rounds };
+      delete rounds[id];
+      const activeId = s.activeId === id ? sessions[sessions.length - 1].id : s.activeId;
+      return { ...s, activeId, sessions, rounds };
+    }, { label: "undo.deleteSession" });
+    setScope((sc) => (Array.isArray(sc) ? sc.filter((x) => x !== id) : sc));
+  }, [update]);
+
+  // Edição dos resultados de qualquer sessão (tabela do histórico): `edits` = [[sessionId, fn]],
+  // `fn` recebe e devolve o array; tudo vira um único passo de desfazer
+  const updateRounds = useCallback((edits, meta = { label: "undo.editHistory" }) => {
+    update((s) => {
+      let rounds = s.rounds;
+      for (const [id, fn] of edits) {
+        const current = rounds[id];
+        const next = current && fn(current);
+        if (current && next !== current) rounds = { ...rounds, [id]: next };
+      }
+      return rounds === s.rounds ? s : { ...s, rounds };
+    }, meta);
+  }, [update]);
+
+  // Divide uma sessão nos índices dados (ex.: nas pausas achadas pela análise de horários)
+  const splitSession = useCallback((id, cuts) => {
+    const ids = cuts.map(() => newId());
+    update((s) => splitSessionAt(s, id, cuts, { ids }), { label: "undo.splitSession" });
+    // quem escolheu a sessão no escopo continua vendo todos os trechos
+    setScope((sc) => (Array.isArray(sc) && sc.includes(id) ? [...sc, ...ids] : sc));
+  }, [update]);
+
+  // Importação já validada (ver src/interchange): "merge" ou "replace"
+  const importData = useCallback((imported, mode) => {
+    const now = Date.now();
+    update((s) => mergeImport(s, imported, { mode, now }).next, { label: mode === "replace" ? "undo.importReplace" : "undo.importMerge" });
+    if (mode === "replace") setScope("active");
+  }, [update]);
+
+  const scopeIds = useMemo(
+    () => resolveScope(state.sessions, scope === "active" ? [state.activeId] : scope),
+    [state.sessions, state.activeId, scope]
+  );
+
+  // Segmentos para `useSegmentedStats`: mesma referência enquanto os rounds do escopo não mudam
+  const segmentsRef = useRef([]);
+  const prevSegments = segmentsRef.current;
+  const unchanged =
+    prevSegments.length === scopeIds.length &&
+    prevSegments.every((seg, i) => seg.key === scopeIds[i] && seg.history === (state.rounds[scopeIds[i]] || EMPTY));
+  if (!unchanged) segmentsRef.current = scopeIds.map((id) => ({ key: id, history: state.rounds[id] || EMPTY }));
+  const segments = segmentsRef.current;
+
+  return {
+    ready: !!loaded,
+    warnings,
+    dismissWarning,
+    sessions: state.sessions,
+    activeId: state.activeId,
+    active: state.sessions.find((s) => s.id === state.activeId),
+    rounds: state.rounds,
+    history: state.rounds[state.activeId] || EMPTY,
+    setHistory,
+    startSession,
+    switchSession,
+    updateSession,
+    endSession,
+    deleteSession,
+    updateRounds,
+    splitSession,
+    importData,
+    undo,
+    redo,
+    applyRemote,
+    undoLabel: describeEntry(log?.past[log.past.length - 1], t),
+    redoLabel: describeEntry(log?.future[log.future.length - 1], t),
+    scope,
+    setScope,
+    scopeIds,
+    segments,
+  };
+}
+
+export default useSessions;
@@ -0,0 +1,104 @@
+/**
+ * Backend IndexedDB
+ * -----------------
+ * Banco `bacbo`, com migrações de schema numeradas: cada entrada de
+ * MIGRATIONS leva o banco da versão anterior para a sua. Para mudar o schema,
+ * acrescente uma função no fim (nunca edite as anteriores).
+ *
+ * Stores:
+ * - sessions: Session (keyPath id)
+ * - rounds:   { ...Result, sessionId, pos } (keyPath id, índice bySession)
+ * - meta:     pares chave/valor (activeId, legacyImported…)
+ */
+
+import { clearGeneratedName } from "./records";
+
+export const DB_NAME = "bacbo";
+
+const MIGRATIONS = [
+  // v1
+  (db) => {
+    db.createObjectStore("sessions", { keyPath: "id" });
+    const rounds = db.createObjectStore("rounds", { keyPath: "id" });
+    rounds.createIndex("bySession", "sessionId");
+    db.createObjectStore("meta");
+  },
+  // v2: nomes de sessão gerados em português por versões anteriores viram nome vazio
+  (db, tx) => {
+    tx.objectStore("sessions").openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const session = clearGeneratedName(cursor.value);
+      if (session !== cursor.value) cursor.update(session);
+      cursor.continue();
+    };
+  },
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+const request = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const done = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException("Transação abortada", "AbortError"));
+  });
+
+export function openDatabase(indexedDB = globalThis.indexedDB, name = DB_NAME) {
+  if (!indexedDB) return Promise.reject(new Error("IndexedDB indisponível"));
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      for (let v = e.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](req.result, req.transaction);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("Banco bloqueado por outra aba aberta"));
+  });
+}
+
+/**
+ * Backend sobre um banco aberto. `load()` devolve os registros crus;
+ * validação e montagem do estado ficam em `storage/index.js`.
+ */
+export function createIdbBackend(db) {
+  return {
+    kind: "indexeddb",
+
+    async load() {
+      const tx = db.transaction(["sessions", "rounds", "meta"], "readonly");
+      const [sessions, rounds, activeId, legacyImported] = await Promise.all([
+        request(tx.objectStore("sessions").getAll()),
+        request(tx.objectStore("rounds").getAll()),
+        request(tx.objectStore("meta").get("activeId")),
+        request(tx.objectStore("meta").get("legacyImported")),
+      ]);
+      return { sessions, rounds, meta: { activeId, legacyImported } };
+    },
+
+    async apply(changes) {
+      const tx = db.transaction(["sessions", "rounds", "meta"], "readwrite");
+      const sessions = tx.objectStore("sessions");
+      const rounds = tx.objectStore("rounds");
+      const meta = tx.objectStore("meta");
+      changes.sessionsDelete.forEach((id) => sessions.delete(id));
+      changes.sessionsPut.forEach((s) => sessions.put(s));
+      changes.roundsDelete.forEach((id) => rounds.delete(id));
+      changes.roundsPut.forEach((r) => rounds.put(r));
+      if (changes.meta) for (const [k, v] of Object.entries(changes.meta)) meta.put(v, k);
+      await done(tx);
+    },
+
+    async clear() {
+      const tx = db.transaction(["sessions", "rounds", "meta"], "readwrite");
+      ["sessions", "rounds", "meta"].forEach((name) => tx.objectStore(name).clear());
+      await done(tx);
+    },
+  };
+}
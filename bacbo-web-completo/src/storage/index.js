@@ -0,0 +1,248 @@
+import { createIdbBackend, openDatabase } from "./idb";
+import { clearGeneratedName, diffState, emptyChanges, hasChanges, validateRound, validateSession } from "./records";
+import {
+  LEGACY_HISTORY_KEY,
+  SESSIONS_KEY,
+  createSession,
+  emptyState,
+  migrateLegacyHistory,
+  normalizeState,
+} from "@/sessions/model";
+
+/**
+ * Camada de armazenamento
+ * -----------------------
+ * - IndexedDB por padrão, gravando só os registros que mudaram.
+ * - localStorage como reserva quando IndexedDB não existe (ex.: modo privado
+ *   em alguns navegadores) — grava o estado inteiro, como antes.
+ * - Os formatos antigos do localStorage (`bacbo-history` e `bacbo-sessions`)
+ *   são importados uma única vez para o IndexedDB.
+ * - Dados corrompidos nunca derrubam o app: o que não valida é descartado,
+ *   o texto original fica salvo em `bacbo-corrupt-backup` e um aviso é exibido.
+ */
+
+export const CORRUPT_BACKUP_KEY = "bacbo-corrupt-backup";
+
+// Estado (formato de useSessions) → registros crus no formato do banco
+function toRaw(state) {
+  return {
+    sessions: state.sessions,
+    rounds: state.sessions.flatMap((s) => (state.rounds[s.id] || []).map((r, pos) => ({ ...r, sessionId: s.id, pos }))),
+    meta: { activeId: state.activeId },
+  };
+}
+
+/**
+ * Monta o estado a partir de registros crus, validando cada um.
+ * Devolve também o mapa de posições e quantos registros foram descartados.
+ */
+export function assembleState(raw) {
+  let corrupt = 0;
+  const sessions = [];
+  for (const s of raw.sessions || []) {
+    const valid = validateSession(s);
+    if (valid) sessions.push(valid);
+    else corrupt++;
+  }
+  sessions.sort((a, b) => a.startedAt - b.startedAt);
+
+  const known = new Set(sessions.map((s) => s.id));
+  const grouped = new Map(sessions.map((s) => [s.id, []]));
+  let orphans = null;
+  for (const rec of raw.rounds || []) {
+    const round = validateRound(rec);
+    if (!round || !Number.isFinite(rec.pos)) {
+      corrupt++;
+      continue;
+    }
+    if (!known.has(rec.sessionId)) {
+      // resultado sem sessão válida: não joga fora, agrupa numa sessão de recuperação
+      if (!orphans) {
+        orphans = createSession();
+        sessions.push(orphans);
+        known.add(orphans.id);
+        grouped.set(orphans.id, []);
+      }
+      grouped.get(orphans.id).push({ round, pos: rec.pos });
+      continue;
+    }
+    grouped.get(rec.sessionId).push({ round, pos: rec.pos });
+  }
+
+  const positions = new Map();
+  const rounds = {};
+  for (const [id, list] of grouped) {
+    list.sort((a, b) => a.pos - b.pos);
+    rounds[id] = list.map(({ round, pos }) => {
+      positions.set(round.id, pos);
+      return round;
+    });
+  }
+
+  const state = normalizeState({ sessions, rounds, activeId: raw.meta?.activeId });
+  return { state, positions, corrupt, recovered: !!orphans };
+}
+
+/**
+ * Lê os formatos do localStorage (sessões v1 ou o antigo array plano).
+ * Devolve `{ raw, warnings }`; `raw` é null se não houver nada. Avisos são
+ * `{ code, params }`, traduzidos na tela (ver `messageText` em src/i18n).
+ */
+export function readLocalStorage(ls) {
+  const warnings = [];
+  const parse = (key) => {
+    const text = ls.getItem(key);
+    if (text == null) return undefined;
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      ls.setItem(CORRUPT_BACKUP_KEY, text);
+      warnings.push({ code: "storage.corrupt", params: { key, backup: CORRUPT_BACKUP_KEY } });
+      return null;
+    }
+  };
+
+  const sessions = parse(SESSIONS_KEY);
+  if (sessions && typeof sessions === "object") {
+    // o formato antigo não passa pela migração do IndexedDB: limpa os nomes gerados aqui
+    const state = normalizeState(sessions);
+    return { raw: toRaw({ ...state, sessions: state.sessions.map(clearGeneratedName) }), warnings };
+  }
+  const legacy = parse(LEGACY_HISTORY_KEY);
+  if (Array.isArray(legacy)) return { raw: toRaw(migrateLegacyHistory(legacy)), warnings };
+  if (legacy != null) warnings.push({ code: "storage.legacyUnknown", params: { key: LEGACY_HISTORY_KEY } });
+  return { raw: null, warnings };
+}
+
+/** Reserva: o estado inteiro em `bacbo-sessions`, como na versão anterior. */
+export function createLocalBackend(ls) {
+  return {
+    kind: "localStorage",
+    async load() {
+      return readLocalStorage(ls);
+    },
+    async apply(_changes, next) {
+      ls.setItem(SESSIONS_KEY, JSON.stringify(next));
+    },
+  };
+}
+
+/** Aviso (`{ code, params }`) para falhas de gravação (cota estourada, etc.) */
+export function describeStorageError(err) {
+  const name = err?.name || "";
+  if (name === "QuotaExceededError" || name === "NS_ERROR_DOM_QUOTA_REACHED" || err?.code === 22) {
+    return { code: "storage.quota" };
+  }
+  return { code: "storage.saveFailed", params: { error: err?.message || String(err) } };
+}
+
+/**
+ * Abre o armazenamento, importa dados antigos se preciso e devolve
+ * `{ state, persister, warnings, kind }`.
+ */
+export async function openStorage({ indexedDB = globalThis.indexedDB, localStorage = globalThis.localStorage } = {}) {
+  const warnings = [];
+  let backend;
+  let raw = null;
+
+  try {
+    backend = createIdbBackend(await openDatabase(indexedDB));
+    // Pede armazenamento persistente (o navegador pode negar; é só uma preferência)
+    globalThis.navigator?.storage?.persist?.().catch(() => {});
+    raw = await backend.load();
+    if (!raw.meta.legacyImported) {
+      const legacy = localStorage ? readLocalStorage(localStorage) : { raw: null, warnings: [] };
+      warnings.push(...legacy.warnings);
+      const importing = legacy.raw && !raw.sessions.length;
+      if (importing) {
+        raw = legacy.raw;
+        const { state, positions } = assembleState(raw);
+        await backend.apply(diffState(null, state, positions));
+      }
+      await backend.apply({ ...emptyChanges(), meta: { legacyImported: true } });
+      // Só apaga a cópia antiga depois que o import foi gravado
+      if (importing) {
+        localStorage.removeItem(SESSIONS_KEY);
+        localStorage.removeItem(LEGACY_HISTORY_KEY);
+      }
+    }
+  } catch (err) {
+    if (!localStorage) throw err;
+    warnings.push({ code: "storage.idbUnavailable", params: { error: err?.message || String(err) } });
+    backend = createLocalBackend(localStorage);
+    const local = await backend.load();
+    warnings.push(...local.warnings);
+    raw = local.raw;
+  }
+
+  const hasData = !!raw?.sessions?.length;
+  const assembled = hasData ? assembleState(raw) : { state: emptyState(), positions: new Map(), corrupt: 0, recovered: false };
+  if (assembled.corrupt) warnings.push({ code: "storage.corruptRecords", params: { count: assembled.corrupt } });
+  if (assembled.recovered) warnings.push({ code: "storage.recovered" });
+
+  // Banco limpo ou reparado: regrava tudo a partir do estado validado
+  const rewrite = !hasData || assembled.corrupt > 0 || assembled.recovered;
+  if (rewrite && hasData && backend.clear) {
+    await backend.clear();
+    await backend.apply({ ...emptyChanges(), meta: { legacyImported: true } });
+  }
+  const persister = createPersister(backend, rewrite ? new Map() : assembled.positions, rewrite ? null : assembled.state);
+  if (rewrite) persister.persist(assembled.state);
+
+  return { state: assembled.state, persister, warnings, kind: backend.kind };
+}
+
+/**
+ * Grava o estado mais recente quando a aba some — tela bloqueada, troca de
+ * app, aba fechada (`visibilitychange` para "hidden" e `pagehide`). Depois
+ * disso o navegador pode congelar ou descartar a página sem outro aviso,
+ * então não dá para esperar o próximo render. Devolve a função que desliga.
+ */
+export function flushOnHide(persistLatest, { document = globalThis.document, window = globalThis.window } = {}) {
+  if (!document || !window) return () => {};
+  const onVisibility = () => {
+    if (document.visibilityState === "hidden") persistLatest();
+  };
+  document.addEventListener("visibilitychange", onVisibility);
+  window.addEventListener("pagehide", persistLatest);
+  return () => {
+    document.removeEventListener("visibilitychange", onVisibility);
+    window.removeEventListener("pagehide", persistLatest);
+  };
+}
+
+/**
+ * Fila de gravações: cada chamada calcula a diferença para o último estado
+ * persistido e grava em ordem. Erros vão para `onError` (ex.: aviso na UI).
+ */
+export function createPersister(backend, positions, initial) {
+  let prev = initial;
+  let lastGood = initial;
+  let queue = Promise.resolve();
+  let onError = () => {};
+  return {
+    persist(next) {
+      if (next === prev) return queue;
+      const changes = diffState(prev, next, positions);
+      prev = next;
+      if (!hasChanges(changes)) return queue;
+      queue = queue
+        .then(() => backend.apply(changes, next))
+        .then(() => {
+          lastGood = next;
+        })
+        .catch((err) => {
+          // a próxima gravação recalcula a diferença a partir do último estado salvo
+          prev = lastGood;
+          onError(describeStorageError(err));
+        });
+      return queue;
+    },
+    flush() {
+      return queue;
+    },
+    set onError(fn) {
+      onError = fn;
+    },
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * Registros persistidos e diferença entre estados
+ * -----------------------------------------------
+ * No banco cada resultado é um registro próprio `{ ...Result, sessionId, pos }`,
+ * onde `pos` é uma chave de ordenação dentro da sessão (número real: inserir
+ * no meio usa o ponto médio entre os vizinhos, sem reescrever o resto).
+ *
+ * `diffState` compara dois estados de `useSessions` e devolve só o que mudou,
+ * para o backend gravar registros avulsos em vez do histórico inteiro.
+ */
+
+import { validateBet } from "@/ledger";
+
+const COLORS = ["R", "B", "T"];
+
+/** Normaliza um resultado lido do armazenamento; `null` se estiver corrompido. */
+export function validateRound(r) {
+  if (!r || typeof r !== "object" || !COLORS.includes(r.v)) return null;
+  if (typeof r.id !== "string" || !r.id) return null;
+  const ts = Number(r.ts);
+  const { sessionId, pos, bet, tsApprox, ...rest } = r;
+  const round = { ...rest, ts: Number.isFinite(ts) ? ts : 0 };
+  if (tsApprox === true) round.tsApprox = true;
+  // aposta ilegível não invalida o resultado: só some do livro
+  const validBet = validateBet(bet);
+  if (validBet) round.bet = validBet;
+  return round;
+}
+
+// Nomes que versões anteriores geravam em português para sessões sem nome
+// (hoje a sessão sem nome tem `name` vazio e a tela mostra um rótulo traduzido)
+const LEGACY_GENERATED_NAMES = new Set(["Sessão padrão", "Sessão sincronizada", "Sessão sem nome", "Histórico importado", "Resultados recuperados"]);
+const LEGACY_DATED_NAME = /^Sessão [\d/.,: -]+(?:[AP]M)?$/i;
+
+/** Migração: sessão com nome gerado por versão anterior → nome vazio (o resto fica igual) */
+export function clearGeneratedName(s) {
+  if (!s || typeof s.name !== "string") return s;
+  return LEGACY_GENERATED_NAMES.has(s.name) || LEGACY_DATED_NAME.test(s.name) ? { ...s, name: "" } : s;
+}
+
+export function validateSession(s) {
+  if (!s || typeof s !== "object" || typeof s.id !== "string" || !s.id) return null;
+  return {
+    id: s.id,
+    name: typeof s.name === "string" ? s.name : "",
+    table: typeof s.table === "string" ? s.table : "",
+    startedAt: Number.isFinite(s.startedAt) ? s.startedAt : 0,
+    endedAt: Number.isFinite(s.endedAt) ? s.endedAt : null,
+  };
+}
+
+export const emptyChanges = () => ({ sessionsPut: [], sessionsDelete: [], roundsPut: [], roundsDelete: [], meta: null });
+
+export const hasChanges = (c) =>
+  !!(c.meta || c.sessionsPut.length || c.sessionsDelete.length || c.roundsPut.length || c.roundsDelete.length);
+
+const toRecord = (r, sessionId, pos) => ({ ...r, sessionId, pos });
+
+/**
+ * Diferença entre `prev` e `next` (formato de `useSessions`).
+ * `positions` (Map id → pos) é lido e atualizado aqui.
+ */
+export function diffState(prev, next, positions) {
+  const changes = emptyChanges();
+  if (!prev || prev.activeId !== next.activeId) changes.meta = { activeId: next.activeId };
+
+  const prevSessions = new Map((prev?.sessions || []).map((s) => [s.id, s]));
+  for (const s of next.sessions) {
+    if (prevSessions.get(s.id) !== s) changes.sessionsPut.push(s);
+    prevSessions.delete(s.id);
+  }
+  for (const id of prevSessions.keys()) {
+    changes.sessionsDelete.push(id);
+    for (const r of prev.rounds[id] || []) {
+      changes.roundsDelete.push(r.id);
+      positions.delete(r.id);
+    }
+  }
+
+  for (const s of next.sessions) {
+    const a = prev?.rounds[s.id] || [];
+    const b = next.rounds[s.id] || [];
+    if (a !== b) diffRounds(a, b, s.id, positions, changes);
+  }
+  return changes;
+}
+
+// `b` começa com exatamente as rodadas de `a` (mesmas referências)?
+function extendsRounds(a, b) {
+  if (b.length <= a.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+function diffRounds(a, b, sessionId, positions, changes) {
+  // Caso comum: só acrescentou no fim (uma edição no meio junto com o acréscimo cai no diff completo)
+  if (extendsRounds(a, b)) {
+    let pos = a.length ? positions.get(a[a.length - 1].id) ?? a.length - 1 : -1;
+    for (let i = a.length; i < b.length; i++) {
+      positions.set(b[i].id, ++pos);
+      changes.roundsPut.push(toRecord(b[i], sessionId, pos));
+    }
+    return;
+  }
+
+  const before = new Map(a.map((r) => [r.id, r]));
+  const after = new Set(b.map((r) => r.id));
+  for (const r of a) {
+    if (!after.has(r.id)) {
+      changes.roundsDelete.push(r.id);
+      positions.delete(r.id);
+    }
+  }
+
+  let last = -Infinity;
+  const puts = [];
+  for (let i = 0; i < b.length; i++) {
+    const r = b[i];
+    let pos = before.has(r.id) ? positions.get(r.id) : undefined;
+    if (pos === undefined || pos <= last) {
+      // novo (ou fora de ordem): entre o anterior e o próximo que já tem posição
+      const nextKnown = b.slice(i + 1, i + 8).map((x) => (before.has(x.id) ? positions.get(x.id) : undefined)).find((p) => p !== undefined && p > last);
+      const base = last === -Infinity ? (nextKnown ?? 0) - 1 : last;
+      pos = nextKnown !== undefined ? (base + nextKnown) / 2 : base + 1;
+      if (!(pos > last) || (nextKnown !== undefined && !(pos < nextKnown))) return renumber(b, sessionId, positions, changes);
+      puts.push(toRecord(r, sessionId, pos));
+    } else if (before.get(r.id) !== r) {
+      puts.push(toRecord(r, sessionId, pos));
+    }
+    positions.set(r.id, pos);
+    last = pos;
+  }
+  changes.roundsPut.push(...puts);
+}
+
+// Precisão esgotada entre dois vizinhos: reescreve a sessão com posições inteiras
+function renumber(b, sessionId, positions, changes) {
+  b.forEach((r, i) => {
+    positions.set(r.id, i);
+    changes.roundsPut.push(toRecord(r, sessionId, i));
+  });
+}
@@ -0,0 +1,193 @@
+import { describe, expect, it } from "vitest";
+import { IDBFactory } from "fake-indexeddb";
+import { CORRUPT_BACKUP_KEY, createPersister, flushOnHide, openStorage } from "./index";
+import { createIdbBackend, openDatabase } from "./idb";
+import { diffState } from "./records";
+import { LEGACY_HISTORY_KEY, SESSIONS_KEY } from "@/sessions/model";
+import { messageText } from "@/i18n";
+
+function memoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+    data,
+  };
+}
+
+const round = (id, v, ts = 1) => ({ id, v, ts });
+
+function sessionState(list) {
+  return { version: 1, activeId: "s1", sessions: [{ id: "s1", name: "S", table: "", startedAt: 0, endedAt: null }], rounds: { s1: list } };
+}
+
+describe("diffState", () => {
+  it("grava só o que mudou", () => {
+    const positions = new Map();
+    const a = sessionState([round("a", "R"), round("b", "B")]);
+    const first = diffState(null, a, positions);
+    expect(first.roundsPut.map((r) => [r.id, r.pos])).toEqual([["a", 0], ["b", 1]]);
+
+    const b = { ...a, rounds: { s1: [...a.rounds.s1, round("c", "T")] } };
+    const append = diffState(a, b, positions);
+    expect(append.roundsPut.map((r) => r.id)).toEqual(["c"]);
+    expect(append.sessionsPut).toEqual([]);
+
+    const list = b.rounds.s1;
+    const c = { ...b, rounds: { s1: [list[0], round("x", "B"), list[1], list[2]] } };
+    const insert = diffState(b, c, positions);
+    expect(insert.roundsPut).toHaveLength(1);
+    expect(insert.roundsPut[0].pos).toBeGreaterThan(0);
+    expect(insert.roundsPut[0].pos).toBeLessThan(1);
+
+    const d = { ...c, rounds: { s1: c.rounds.s1.filter((r) => r.id !== "a") } };
+    const removal = diffState(c, d, positions);
+    expect(removal.roundsDelete).toEqual(["a"]);
+    expect(removal.roundsPut).toEqual([]);
+  });
+
+  it("editar uma rodada do meio e acrescentar na mesma atualização grava as duas", () => {
+    const positions = new Map();
+    const a = sessionState([round("x", "R"), round("y", "B"), round("z", "T")]);
+    diffState(null, a, positions);
+    const [x, y, z] = a.rounds.s1;
+    const b = { ...a, rounds: { s1: [x, { ...y, v: "R" }, z, round("w", "B")] } };
+    const changes = diffState(a, b, positions);
+    expect(changes.roundsPut.map((r) => [r.id, r.v])).toEqual([["y", "R"], ["w", "B"]]);
+    expect(positions.get("w")).toBeGreaterThan(positions.get("z"));
+  });
+});
+
+describe("openStorage", () => {
+  it("importa o bacbo-history antigo uma única vez e grava incrementalmente", async () => {
+    const indexedDB = new IDBFactory();
+    const localStorage = memoryStorage({ [LEGACY_HISTORY_KEY]: JSON.stringify([round("a", "R"), round("b", "B")]) });
+
+    const first = await openStorage({ indexedDB, localStorage });
+    expect(first.kind).toBe("indexeddb");
+    const [session] = first.state.sessions;
+    expect(first.state.rounds[session.id].map((r) => r.v)).toEqual(["R", "B"]);
+    expect(localStorage.getItem(LEGACY_HISTORY_KEY)).toBeNull();
+
+    const next = { ...first.state, rounds: { [session.id]: [...first.state.rounds[session.id], round("c", "T")] } };
+    await first.persister.persist(next);
+
+    // dado antigo reaparecendo não é importado de novo
+    localStorage.setItem(LEGACY_HISTORY_KEY, JSON.stringify([round("z", "R")]));
+    const second = await openStorage({ indexedDB, localStorage });
+    expect(second.state.sessions).toHaveLength(1);
+    expect(second.state.rounds[session.id].map((r) => r.id)).toEqual(["a", "b", "c"]);
+  });
+
+  it("JSON corrompido vira aviso, não tela branca", async () => {
+    const localStorage = memoryStorage({ [SESSIONS_KEY]: "{oops" });
+    const { state, warnings } = await openStorage({ indexedDB: new IDBFactory(), localStorage });
+    expect(state.sessions).toHaveLength(1);
+    expect(warnings.map((w) => messageText(w)).join(" ")).toMatch(/corrompidos/);
+    expect(localStorage.getItem(CORRUPT_BACKUP_KEY)).toBe("{oops");
+  });
+
+  it("descarta registros inválidos e recupera resultados órfãos", async () => {
+    const indexedDB = new IDBFactory();
+    const backend = createIdbBackend(await openDatabase(indexedDB));
+    await backend.apply({
+      sessionsPut: [{ id: "s1", name: "S", table: "", startedAt: 0, endedAt: null }],
+      sessionsDelete: [],
+      roundsPut: [
+        { id: "a", v: "R", ts: 1, sessionId: "s1", pos: 0 },
+        { id: "b", v: "??", ts: 2, sessionId: "s1", pos: 1 },
+        { id: "c", v: "B", ts: 3, sessionId: "gone", pos: 0 },
+      ],
+      roundsDelete: [],
+      meta: { activeId: "s1", legacyImported: true },
+    });
+    const { state, warnings } = await openStorage({ indexedDB, localStorage: memoryStorage() });
+    expect(state.rounds.s1.map((r) => r.id)).toEqual(["a"]);
+    const recovered = state.sessions.find((s) => s.id !== "s1");
+    expect(state.rounds[recovered.id].map((r) => r.id)).toEqual(["c"]);
+    expect(warnings).toEqual([{ code: "storage.corruptRecords", params: { count: 1 } }, { code: "storage.recovered" }]);
+  });
+
+  it("a migração do banco limpa só os nomes que o app gerava em português", async () => {
+    const indexedDB = new IDBFactory();
+    // banco na versão 1, como as versões anteriores deixavam
+    const db = await new Promise((resolve, reject) => {
+      const req = indexedDB.open("bacbo", 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore("sessions", { keyPath: "id" });
+        req.result.createObjectStore("rounds", { keyPath: "id" }).createIndex("bySession", "sessionId");
+        req.result.createObjectStore("meta");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    const tx = db.transaction(["sessions", "meta"], "readwrite");
+    tx.objectStore("sessions").put({ id: "a", name: "Sessão padrão", table: "", startedAt: 1, endedAt: null });
+    tx.objectStore("sessions").put({ id: "b", name: "Noite", table: "", startedAt: 2, endedAt: null });
+    tx.objectStore("sessions").put({ id: "c", name: "Sessão 12/05/2024, 21:03:11", table: "", startedAt: 3, endedAt: null });
+    tx.objectStore("meta").put(true, "legacyImported");
+    await new Promise((resolve) => (tx.oncomplete = resolve));
+    db.close();
+
+    const { state } = await openStorage({ indexedDB, localStorage: memoryStorage() });
+    expect(state.sessions.map((x) => [x.id, x.name])).toEqual([["a", ""], ["b", "Noite"], ["c", ""]]);
+  });
+
+  it("usa localStorage quando IndexedDB não existe", async () => {
+    const localStorage = memoryStorage();
+    const { kind, state, persister, warnings } = await openStorage({ indexedDB: undefined, localStorage });
+    expect(kind).toBe("localStorage");
+    expect(messageText(warnings[0])).toMatch(/IndexedDB indisponível/);
+    await persister.flush();
+    expect(JSON.parse(localStorage.getItem(SESSIONS_KEY)).activeId).toBe(state.activeId);
+  });
+});
+
+describe("createPersister", () => {
+  it("avisa quando a cota estoura e tenta de novo na próxima gravação", async () => {
+    let fail = true;
+    const applied = [];
+    const backend = {
+      async apply(changes) {
+        if (fail) throw new DOMException("cheio", "QuotaExceededError");
+        applied.push(...changes.roundsPut.map((r) => r.id));
+      },
+    };
+    const errors = [];
+    const a = sessionState([]);
+    const persister = createPersister(backend, new Map(), a);
+    persister.onError = (m) => errors.push(m);
+
+    const b = sessionState([round("x", "R")]);
+    await persister.persist(b);
+    expect(errors[0]).toEqual({ code: "storage.quota" });
+    expect(messageText(errors[0])).toMatch(/Armazenamento cheio/);
+
+    fail = false;
+    await persister.persist({ ...b, rounds: { s1: [...b.rounds.s1, round("y", "B")] } });
+    expect(applied).toEqual(["x", "y"]);
+  });
+});
+
+describe("flushOnHide", () => {
+  it("grava ao esconder a aba e no pagehide, e para depois de desligado", () => {
+    const document = new EventTarget();
+    const window = new EventTarget();
+    let calls = 0;
+    const off = flushOnHide(() => calls++, { document, window });
+
+    document.visibilityState = "visible";
+    document.dispatchEvent(new Event("visibilitychange"));
+    expect(calls).toBe(0);
+    document.visibilityState = "hidden";
+    document.dispatchEvent(new Event("visibilitychange"));
+    window.dispatchEvent(new Event("pagehide"));
+    expect(calls).toBe(2);
+
+    off();
+    window.dispatchEvent(new Event("pagehide"));
+    expect(calls).toBe(2);
+    expect(flushOnHide(() => calls++, { document: null, window })).toBeTypeOf("function");
+  });
+});
@@ -0,0 +1,194 @@
+import { BACBO_PROBS } from "@/analysis/probabilities";
+import { DEFAULT_PAYTABLE, settleBet } from "@/ledger";
+import { defaultT } from "@/i18n";
+
+/**
+ * Estratégias de aposta a partir das condições dos sinais
+ * -------------------------------------------------------
+ * Regra = {
+ *   id, name,                            // nome vazio = rótulo padrão no idioma da interface (ver ruleName)
+ *   when: "streak" | "zebra" | "bias",  // condição sobre as rodadas anteriores
+ *   min: number,                         // streak/zebra ≥ min; no viés, % da cor dominante ≥ min
+ *   action: "follow" | "against",        // segue o padrão ou aposta contra
+ *   unit: number,                        // aposta base
+ *   progression: "flat" | "martingale",  // martingale dobra após perda (até `maxSteps` vezes)
+ *   maxSteps?: number,
+ * }
+ *
+ * O que "seguir" significa em cada condição:
+ * - streak: apostar na cor da sequência atual;
+ * - zebra: apostar que a alternância continua (a cor oposta à última);
+ * - bias: apostar na cor dominante das últimas 20.
+ * Empates quebram streak e zebra, como no motor de estatísticas.
+ *
+ * Tudo é puro para rodar tanto no histórico (thread principal) quanto em
+ * milhares de sequências sintéticas (strategy.worker.js).
+ */
+
+export const BIAS_WINDOW = 20;
+
+// Condições aceitas e o limiar padrão de cada uma (textos em strategy.conditions no catálogo)
+export const CONDITIONS = {
+  streak: { min: 3 },
+  zebra: { min: 3 },
+  bias: { min: 60 },
+};
+
+export const DEFAULT_RULES = [
+  { id: "follow-streak", name: "", when: "streak", min: 3, action: "follow", unit: 10, progression: "flat" },
+  { id: "against-zebra", name: "", when: "zebra", min: 4, action: "against", unit: 10, progression: "flat" },
+  { id: "follow-bias", name: "", when: "bias", min: 60, action: "follow", unit: 10, progression: "flat" },
+  { id: "martingale-streak", name: "", when: "streak", min: 4, action: "against", unit: 10, progression: "martingale", maxSteps: 5 },
+];
+
+// id da regra pronta → chave do nome em strategy.presets
+const PRESET_NAMES = {
+  "follow-streak": "followStreak",
+  "against-zebra": "againstZebra",
+  "follow-bias": "followBias",
+  "martingale-streak": "martingaleStreak",
+};
+
+/** Nome para exibir: o digitado pelo usuário, o da regra pronta ou "Regra N" no idioma de `t` */
+export function ruleName(rule, index = 0, t = defaultT) {
+  if (typeof rule?.name === "string" && rule.name.trim()) return rule.name.trim();
+  const preset = PRESET_NAMES[rule?.id];
+  return preset ? t(`strategy.presets.${preset}`) : t("strategy.defaultName", { n: index + 1 });
+}
+
+const opposite = (c) => (c === "R" ? "B" : "R");
+const positive = (x, fallback) => (Number.isFinite(Number(x)) && Number(x) > 0 ? Number(x) : fallback);
+
+/** Regra utilizável a partir do que foi salvo/digitado; `null` se não tiver condição válida */
+export function normalizeRule(r, index = 0) {
+  if (!r || !CONDITIONS[r.when]) return null;
+  return {
+    id: typeof r.id === "string" && r.id ? r.id : `rule-${index}`,
+    name: typeof r.name === "string" ? r.name.trim() : "",
+    when: r.when,
+    min: positive(r.min, CONDITIONS[r.when].min),
+    action: r.action === "against" ? "against" : "follow",
+    unit: positive(r.unit, 1),
+    progression: r.progression === "martingale" ? "martingale" : "flat",
+    maxSteps: Math.min(20, Math.max(1, Math.round(positive(r.maxSteps, 5)))),
+  };
+}
+
+/**
+ * Estado incremental das rodadas já vistas: última cor, streak, zebra e a
+ * janela das últimas 20. `push(v)` acrescenta; `pick(rule)` devolve a cor
+ * a apostar na próxima rodada ou `null`.
+ */
+export function createTracker() {
+  const window = [];
+  const count = { R: 0, B: 0, T: 0 };
+  let last = null;
+  let streak = 0;
+  let zebra = 0;
+
+  return {
+    push(v) {
+      if (v === "T") {
+        streak = 0;
+        zebra = 0;
+      } else {
+        streak = v === last ? streak + 1 : 1;
+        zebra = last && last !== "T" && v !== last ? zebra + 1 : 1;
+      }
+      last = v;
+      window.push(v);
+      count[v]++;
+      if (window.length > BIAS_WINDOW) count[window.shift()]--;
+    },
+    pick(rule) {
+      let pattern = null; // cor que "seguir" apostaria
+      if (rule.when === "streak") {
+        if (streak >= rule.min) pattern = last;
+      } else if (rule.when === "zebra") {
+        if (zebra >= rule.min) pattern = opposite(last);
+      } else if (window.length >= BIAS_WINDOW) {
+        const top = count.R >= count.B ? "R" : "B";
+        if ((count[top] / window.length) * 100 >= rule.min) pattern = top;
+      }
+      if (!pattern) return null;
+      return rule.action === "follow" ? pattern : opposite(pattern);
+    },
+  };
+}
+
+/** Acumulador de uma regra: contagens, média/variância por aposta (Welford) e banca */
+export function createAccumulator(bankroll) {
+  return { bets: 0, wins: 0, losses: 0, pushes: 0, staked: 0, net: 0, mean: 0, m2: 0, bankroll, peak: bankroll, maxDrawdown: 0, ruined: false };
+}
+
+function record(acc, net, outcome, amount) {
+  acc.bets++;
+  acc[outcome === "win" ? "wins" : outcome === "loss" ? "losses" : "pushes"]++;
+  acc.staked += amount;
+  acc.net += net;
+  const delta = net - acc.mean;
+  acc.mean += delta / acc.bets;
+  acc.m2 += delta * (net - acc.mean);
+  acc.bankroll += net;
+  acc.peak = Math.max(acc.peak, acc.bankroll);
+  acc.maxDrawdown = Math.max(acc.maxDrawdown, acc.peak - acc.bankroll);
+}
+
+/**
+ * Reproduz uma regra sobre segmentos de resultados (ex.: uma sessão cada;
+ * o rastreador recomeça em cada segmento, a banca não). Para quando a banca
+ * não cobre a próxima aposta (`bankroll` > 0) — isso conta como quebra.
+ */
+export function replayRule(rule, segments, { paytable = DEFAULT_PAYTABLE, bankroll = 0, acc = createAccumulator(bankroll) } = {}) {
+  let stake = rule.unit;
+  let steps = 0;
+  for (const seq of segments) {
+    const tracker = createTracker();
+    for (const v of seq) {
+      const side = acc.ruined ? null : tracker.pick(rule);
+      if (side) {
+        if (bankroll > 0 && stake > acc.bankroll) {
+          acc.ruined = true;
+        } else {
+          const { net, outcome } = settleBet({ side, amount: stake }, v, paytable);
+          record(acc, net, outcome, stake);
+          if (rule.progression === "martingale") {
+            if (outcome === "loss" && steps < rule.maxSteps) {
+              stake *= 2;
+              steps++;
+            } else if (outcome !== "push") {
+              stake = rule.unit;
+              steps = 0;
+            }
+          }
+        }
+      }
+      tracker.push(v);
+    }
+  }
+  return acc;
+}
+
+/** Métricas finais de um acumulador */
+export function summarize(acc) {
+  return {
+    bets: acc.bets,
+    wins: acc.wins,
+    losses: acc.losses,
+    pushes: acc.pushes,
+    hitRate: acc.bets ? acc.wins / acc.bets : null,
+    staked: acc.staked,
+    net: acc.net,
+    evPerBet: acc.bets ? acc.mean : null,
+    evPerUnit: acc.staked ? acc.net / acc.staked : null,
+    variance: acc.bets > 1 ? acc.m2 / (acc.bets - 1) : null,
+    finalBankroll: acc.bankroll,
+    maxDrawdown: acc.maxDrawdown,
+    ruined: acc.ruined,
+  };
+}
+
+/** Retorno esperado por unidade apostada em Red/Blue com a tabela dada (a vantagem da casa, negativa) */
+export function theoreticalEdge(paytable = DEFAULT_PAYTABLE, probs = BACBO_PROBS) {
+  return probs.R * paytable.sideOdds - probs.B - probs.T * (1 - paytable.tieRefund);
+}
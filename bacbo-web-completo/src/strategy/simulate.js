@@ -0,0 +1,88 @@
+import { createRng, randomSequence } from "@/analysis/random";
+import { DEFAULT_PAYTABLE } from "@/ledger";
+import { createAccumulator, replayRule, summarize } from "./index";
+
+export const HISTOGRAM_BINS = 20;
+
+/** Histograma de valores em `bins` faixas iguais entre o mínimo e o máximo */
+export function histogram(values, bins = HISTOGRAM_BINS) {
+  if (!values.length) return [];
+  let min = Infinity;
+  let max = -Infinity;
+  for (const x of values) {
+    if (x < min) min = x;
+    if (x > max) max = x;
+  }
+  if (min === max) return [{ from: min, to: max, count: values.length }];
+  const width = (max - min) / bins;
+  const out = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  for (const x of values) out[Math.min(bins - 1, Math.floor((x - min) / width))].count++;
+  return out;
+}
+
+const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+
+/**
+ * Monte Carlo das regras: `trials` sequências justas de `n` rodadas, as
+ * mesmas para todas as regras (comparação justa). Cada sequência começa com
+ * a banca `bankroll`. As métricas por aposta somam todas as sequências; a
+ * banca final é distribuída por sequência.
+ *
+ * @returns {{ [ruleId]: { ...summarize, finalMean, finalP5, finalP50, finalP95, profitRate, ruinRate, histogram } }}
+ */
+export function simulateStrategies({ rules, n, trials = 1000, seed, paytable = DEFAULT_PAYTABLE, bankroll = 0, onProgress }) {
+  const rand = createRng(seed);
+  const pooled = rules.map(() => createAccumulator(0));
+  const finals = rules.map(() => new Float64Array(trials));
+  const ruins = rules.map(() => 0);
+
+  for (let t = 0; t < trials; t++) {
+    const seq = randomSequence(n, rand);
+    rules.forEach((rule, i) => {
+      const acc = replayRule(rule, [seq], { paytable, bankroll });
+      merge(pooled[i], acc);
+      finals[i][t] = acc.bankroll;
+      if (acc.ruined) ruins[i]++;
+    });
+    if (onProgress && (t + 1) % 50 === 0) onProgress((t + 1) / trials);
+  }
+
+  return Object.fromEntries(
+    rules.map((rule, i) => {
+      const values = Array.from(finals[i]);
+      const sorted = [...values].sort((a, b) => a - b);
+      // banca final, drawdown e quebra da soma não fazem sentido: vão por sequência
+      const { finalBankroll, maxDrawdown, ruined, ...perBet } = summarize(pooled[i]);
+      return [
+        rule.id,
+        {
+          ...perBet,
+          trials,
+          n,
+          finalMean: values.reduce((a, b) => a + b, 0) / trials,
+          finalP5: quantile(sorted, 0.05),
+          finalP50: quantile(sorted, 0.5),
+          finalP95: quantile(sorted, 0.95),
+          profitRate: values.filter((x) => x > bankroll).length / trials,
+          ruinRate: ruins[i] / trials,
+          histogram: histogram(values),
+        },
+      ];
+    })
+  );
+}
+
+// Junta as estatísticas por aposta de `b` em `a` (Chan et al. para a variância)
+function merge(a, b) {
+  if (!b.bets) return;
+  const total = a.bets + b.bets;
+  const delta = b.mean - a.mean;
+  a.m2 += b.m2 + (delta * delta * a.bets * b.bets) / total;
+  a.mean += (delta * b.bets) / total;
+  a.bets = total;
+  a.wins += b.wins;
+  a.losses += b.losses;
+  a.pushes += b.pushes;
+  a.staked += b.staked;
+  a.net += b.net;
+}
@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_RULES, createTracker, normalizeRule, replayRule, ruleName, summarize, theoreticalEdge } from "./index";
+import { createTranslator } from "@/i18n";
+import { histogram, simulateStrategies } from "./simulate";
+
+const rule = (patch) => normalizeRule({ id: "x", name: "x", when: "streak", min: 2, action: "follow", unit: 1, progression: "flat", ...patch });
+const split = (s) => s.split("");
+
+describe("condições", () => {
+  it("streak e zebra quebram no empate", () => {
+    const t = createTracker();
+    split("RRT").forEach(t.push);
+    expect(t.pick(rule({ min: 1 }))).toBe(null);
+    t.push("B");
+    expect(t.pick(rule({ min: 1 }))).toBe("B");
+    expect(t.pick(rule({ min: 1, action: "against" }))).toBe("R");
+  });
+
+  it("zebra segue a alternância", () => {
+    const t = createTracker();
+    split("RBR").forEach(t.push);
+    expect(t.pick(rule({ when: "zebra", min: 3 }))).toBe("B");
+    expect(t.pick(rule({ when: "zebra", min: 4 }))).toBe(null);
+    expect(t.pick(rule({ when: "zebra", min: 3, action: "against" }))).toBe("R");
+  });
+
+  it("viés só depois de 20 rodadas", () => {
+    const t = createTracker();
+    split("RRRRRRRRRRRRBBBBBBB").forEach(t.push);
+    expect(t.pick(rule({ when: "bias", min: 60 }))).toBe(null);
+    t.push("T"); // 12 R em 20 = 60%
+    expect(t.pick(rule({ when: "bias", min: 60 }))).toBe("R");
+    expect(t.pick(rule({ when: "bias", min: 61 }))).toBe(null);
+  });
+});
+
+describe("replayRule", () => {
+  it("aposta a partir das rodadas anteriores e acerta as contas", () => {
+    // streak ≥ 2 seguindo: rodadas 3 (R ganha), 4 (B perde), 6 (B ganha) e 7 (T, perde 10%)
+    const acc = replayRule(rule({}), [split("RRRBBBT")]);
+    const s = summarize(acc);
+    expect(s).toMatchObject({ bets: 4, wins: 2, losses: 1, pushes: 1 });
+    expect(s.net).toBeCloseTo(0.9);
+    expect(s.hitRate).toBeCloseTo(2 / 4);
+    expect(s.evPerBet).toBeCloseTo(0.9 / 4);
+  });
+
+  it("segmentos reiniciam o rastreador mas não a banca", () => {
+    const s = summarize(replayRule(rule({}), [split("RR"), split("RB")], { bankroll: 5 }));
+    expect(s.bets).toBe(0);
+    expect(s.finalBankroll).toBe(5);
+  });
+
+  it("martingale dobra após perda e quebra quando a banca não cobre", () => {
+    const r = rule({ action: "against", progression: "martingale", maxSteps: 5 });
+    const s = summarize(replayRule(r, [split("RRRRRRR")], { bankroll: 7 }));
+    // perde 1, 2, 4 → banca 0 e não cobre a aposta de 8
+    expect(s).toMatchObject({ bets: 3, losses: 3, net: -7, finalBankroll: 0, ruined: true });
+  });
+});
+
+describe("simulação", () => {
+  it("a vantagem da casa aparece no retorno por unidade", () => {
+    const rules = DEFAULT_RULES.filter((r) => r.progression === "flat").map(normalizeRule);
+    const results = simulateStrategies({ rules, n: 500, trials: 400, seed: 42 });
+    const edge = theoreticalEdge();
+    for (const r of rules) {
+      const res = results[r.id];
+      expect(res.bets).toBeGreaterThan(1000);
+      // erro-padrão por unidade ≈ 1/sqrt(apostas); 5 erros-padrão de folga
+      expect(Math.abs(res.evPerUnit - edge)).toBeLessThan(5 / Math.sqrt(res.bets));
+      expect(res.histogram.reduce((a, b) => a + b.count, 0)).toBe(400);
+      expect(res.finalP5).toBeLessThanOrEqual(res.finalP95);
+    }
+  });
+
+  it("é reproduzível com a mesma semente", () => {
+    const rules = [normalizeRule(DEFAULT_RULES[0])];
+    const a = simulateStrategies({ rules, n: 100, trials: 50, seed: 7 });
+    const b = simulateStrategies({ rules, n: 100, trials: 50, seed: 7 });
+    expect(a).toEqual(b);
+  });
+
+  it("histograma cobre todos os valores", () => {
+    expect(histogram([1, 1, 1])).toEqual([{ from: 1, to: 1, count: 3 }]);
+    const h = histogram([0, 10, 5, 10], 2);
+    expect(h.map((b) => b.count)).toEqual([1, 3]);
+  });
+});
+
+describe("normalizeRule", () => {
+  it("descarta condição desconhecida e corrige números", () => {
+    expect(normalizeRule({ when: "lua" })).toBe(null);
+    expect(normalizeRule({ when: "bias", min: "abc", unit: -2, maxSteps: 99 }, 2)).toMatchObject({ name: "", min: 60, unit: 1, maxSteps: 20, action: "follow" });
+  });
+});
+
+describe("ruleName", () => {
+  it("usa o nome digitado, o da regra pronta ou o padrão no idioma pedido", () => {
+    const en = createTranslator("en");
+    expect(ruleName({ id: "x", name: "  Minha regra " })).toBe("Minha regra");
+    expect(ruleName(DEFAULT_RULES[0])).toBe("Seguir streak de 3+");
+    expect(ruleName(DEFAULT_RULES[0], 0, en)).toBe("Follow streak of 3+");
+    expect(ruleName({ id: "rule-1", name: "" }, 4, en)).toBe("Rule 5");
+  });
+});
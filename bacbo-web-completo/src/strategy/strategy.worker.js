@@ -0,0 +1,16 @@
+import { simulateStrategies } from "./simulate";
+
+// Mensagem de entrada: { id, rules, n, trials, seed, paytable, bankroll }
+// Saída: { id, type: "progress", value } … { id, type: "done", results }
+self.onmessage = (e) => {
+  const { id, ...params } = e.data;
+  try {
+    const results = simulateStrategies({
+      ...params,
+      onProgress: (value) => self.postMessage({ id, type: "progress", value }),
+    });
+    self.postMessage({ id, type: "done", results });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: String(err && err.message ? err.message : err) });
+  }
+};
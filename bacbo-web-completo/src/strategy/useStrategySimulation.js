@@ -0,0 +1,29 @@
+import { useCallback } from "react";
+import { useWorkerRun } from "@/lib/useWorkerRun";
+
+// Limita o custo total (rodadas simuladas × regras) de uma execução
+const MAX_SIMULATED_ROUNDS = 40_000_000;
+
+const createWorker = () => new Worker(new URL("./strategy.worker.js", import.meta.url), { type: "module" });
+
+/**
+ * Roda `simulateStrategies` num Web Worker (ver `useWorkerRun`).
+ * Uma nova execução cancela a anterior.
+ */
+export function useStrategySimulation() {
+  const { status, progress, result, meta, error, start, stop } = useWorkerRun(createWorker);
+
+  const run = useCallback(
+    ({ rules, n, trials, paytable, bankroll }) => {
+      if (!rules.length || !(n > 0)) return stop();
+      const effectiveTrials = Math.max(100, Math.min(trials, Math.floor(MAX_SIMULATED_ROUNDS / (n * rules.length))));
+      const params = { n, trials: effectiveTrials, bankroll };
+      start({ id: Date.now(), rules, n, trials: effectiveTrials, seed: Date.now(), paytable, bankroll }, params);
+    },
+    [start, stop]
+  );
+
+  return { status, progress, results: result?.results ?? null, params: meta, error, run, stop };
+}
+
+export default useStrategySimulation;
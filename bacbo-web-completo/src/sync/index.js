@@ -0,0 +1,210 @@
+import { emptyState } from "@/sessions/model";
+import { MAX_NAME, isNewer, recordKey } from "./protocol.mjs";
+
+/**
+ * Cliente de sincronização
+ * ------------------------
+ * O app continua dono do próprio estado (IndexedDB); a sincronização só
+ * troca registros (ver protocol.mjs) com o servidor da equipe:
+ *
+ * - `known` guarda, por chave "kind:id", um hash da última versão
+ *   sincronizada (enviada ou recebida). O que difere dele no estado é
+ *   mudança local e vai para a fila (`outbox`), salva no aparelho —
+ *   offline, a fila só cresce e é enviada quando a rede volta.
+ * - Registros recebidos entram no estado por id; resultados ficam em
+ *   ordem de horário dentro da sessão. Um registro pendente mais novo na
+ *   fila vence o que chegou (e vice-versa), pela regra de conflito.
+ * - `by` em cada resultado é quem o registrou, marcado ao criar a rodada
+ *   neste aparelho (`withAuthor`); resultados que chegaram sem `by` seguem
+ *   sem. O `by` do registro é quem fez a última alteração.
+ */
+
+export const DEFAULT_SYNC_SETTINGS = { enabled: false, url: "", token: "", name: "", intervalSec: 15 };
+export const MIN_INTERVAL_SEC = 5;
+
+export function normalizeSyncSettings(raw) {
+  const interval = Number(raw?.intervalSec);
+  return {
+    enabled: raw?.enabled === true,
+    url: typeof raw?.url === "string" ? raw.url.trim().replace(/\/+$/, "") : "",
+    token: typeof raw?.token === "string" ? raw.token : "",
+    name: typeof raw?.name === "string" ? raw.name.trim().slice(0, MAX_NAME) : "",
+    intervalSec: Number.isFinite(interval) ? Math.max(MIN_INTERVAL_SEC, Math.round(interval)) : DEFAULT_SYNC_SETTINGS.intervalSec,
+  };
+}
+
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(36);
+}
+
+export const sessionData = (s) => ({ name: s.name, table: s.table || "", startedAt: s.startedAt ?? 0, endedAt: s.endedAt ?? null });
+
+/** Dados de um resultado como viajam na rede */
+export function roundData(round, sessionId) {
+  const data = { sessionId, v: round.v, ts: round.ts };
+  if (round.tsApprox) data.tsApprox = true;
+  if (round.roundId) data.roundId = round.roundId;
+  if (round.bet) data.bet = round.bet;
+  if (round.by) data.by = round.by;
+  return data;
+}
+
+/** Rodada recém-criada neste aparelho com quem a registrou (`by` vazio: sem autor) */
+export const withAuthor = (round, by) => (by && !round.by ? { ...round, by } : round);
+
+export const fingerprint = (data) => hash(JSON.stringify(data));
+
+/**
+ * Registros a enviar: o que no estado difere de `known` (atualizado no
+ * lugar). Chaves conhecidas que sumiram do estado viram exclusões.
+ * `prev` (estado da chamada anterior) é só atalho: sessões cujo array de
+ * resultados não mudou não são recalculadas.
+ */
+export function collectChanges(state, known, { by = "", now = Date.now(), prev = null } = {}) {
+  const records = [];
+  const seen = new Set();
+  const check = (kind, id, data) => {
+    const key = `${kind}:${id}`;
+    seen.add(key);
+    const h = fingerprint(data);
+    if (known.get(key) === h) return;
+    known.set(key, h);
+    records.push({ kind, id, updatedAt: now, by, data });
+  };
+
+  const prevSessions = new Map((prev?.sessions || []).map((s) => [s.id, s]));
+  for (const s of state.sessions) {
+    const rounds = state.rounds[s.id] || [];
+    const same = prevSessions.get(s.id);
+    if (same === s) seen.add(`session:${s.id}`);
+    else check("session", s.id, sessionData(s));
+    if (same && prev.rounds[s.id] === rounds) {
+      for (const r of rounds) seen.add(`round:${r.id}`);
+      continue;
+    }
+    for (const r of rounds) check("round", r.id, roundData(r, s.id));
+  }
+
+  for (const key of [...known.keys()]) {
+    if (seen.has(key)) continue;
+    known.delete(key);
+    const at = key.indexOf(":");
+    records.push({ kind: key.slice(0, at), id: key.slice(at + 1), updatedAt: now, by, deleted: true });
+  }
+  return records;
+}
+
+/** Junta registros na fila, um por chave (fica o mais novo) */
+export function enqueue(outbox, records) {
+  const byKey = new Map(outbox.map((r) => [recordKey(r), r]));
+  for (const r of records) {
+    const key = recordKey(r);
+    if (isNewer(r, byKey.get(key))) byKey.set(key, r);
+  }
+  return [...byKey.values()];
+}
+
+/** Tira da fila o que o servidor já recebeu (a mesma versão; edições posteriores ficam) */
+export function settlePushed(outbox, sent) {
+  const done = new Map(sent.map((r) => [recordKey(r), r.updatedAt]));
+  return outbox.filter((r) => done.get(recordKey(r)) !== r.updatedAt);
+}
+
+/**
+ * Decide o que dos registros recebidos entra no estado: ignora o que já
+ * temos igual e o que perde para uma alteração local pendente; pendências
+ * que perderam saem da fila.
+ */
+export function reconcile(outbox, records, known) {
+  const pending = new Map(outbox.map((r) => [recordKey(r), r]));
+  const apply = [];
+  for (const r of records) {
+    const key = recordKey(r);
+    const mine = pending.get(key);
+    if (mine && isNewer(mine, r)) continue;
+    if (mine) pending.delete(key);
+    const have = known.get(key);
+    if (r.deleted ? have === undefined : have === fingerprint(r.data)) continue;
+    apply.push(r);
+  }
+  return { apply, outbox: pending.size === outbox.length ? outbox : [...pending.values()] };
+}
+
+/** Atualiza `known` com registros recebidos (antes de aplicá-los ao estado) */
+export function rememberRemote(known, records) {
+  for (const r of records) {
+    if (r.deleted) known.delete(recordKey(r));
+    else known.set(recordKey(r), fingerprint(r.data));
+  }
+}
+
+// Posição de inserção mantendo a ordem por horário (depois dos de mesmo horário)
+function insertAt(list, ts) {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].ts <= ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Aplica registros recebidos a um estado de `useSessions` (puro: também é
+ * aplicado aos retratos do desfazer, ver `rebaseChange`).
+ */
+export function mergeRemote(state, records) {
+  if (!records.length) return state;
+  let sessions = state.sessions;
+  const rounds = { ...state.rounds };
+  let activeId = state.activeId;
+
+  for (const r of records) {
+    if (r.kind !== "session") continue;
+    const i = sessions.findIndex((s) => s.id === r.id);
+    if (r.deleted) {
+      if (i < 0) continue;
+      sessions = sessions.filter((s) => s.id !== r.id);
+      delete rounds[r.id];
+    } else if (i < 0) {
+      sessions = [...sessions, { id: r.id, ...r.data }];
+      rounds[r.id] ||= [];
+    } else {
+      sessions = sessions.map((s) => (s.id === r.id ? { ...s, ...r.data } : s));
+    }
+  }
+
+  const roundRecords = records.filter((r) => r.kind === "round");
+  if (roundRecords.length) {
+    const where = new Map();
+    for (const [sessionId, list] of Object.entries(rounds)) for (const x of list) where.set(x.id, sessionId);
+    for (const r of roundRecords) {
+      const from = where.get(r.id);
+      if (from) {
+        rounds[from] = rounds[from].filter((x) => x.id !== r.id);
+        where.delete(r.id);
+      }
+      if (r.deleted) continue;
+      const { sessionId, ...fields } = r.data;
+      if (!rounds[sessionId]) {
+        // resultado chegou antes da sessão: cria uma provisória, o registro da sessão completa depois
+        sessions = [...sessions, { id: sessionId, name: "", table: "", startedAt: fields.ts, endedAt: null }];
+        rounds[sessionId] = [];
+      }
+      const list = rounds[sessionId];
+      const at = insertAt(list, fields.ts);
+      rounds[sessionId] = [...list.slice(0, at), { id: r.id, ...fields }, ...list.slice(at)];
+      where.set(r.id, sessionId);
+    }
+  }
+
+  if (!sessions.length) return emptyState();
+  if (!sessions.some((s) => s.id === activeId)) activeId = sessions[sessions.length - 1].id;
+  return { ...state, sessions, rounds, activeId };
+}
@@ -0,0 +1,118 @@
+/**
+ * Protocolo de sincronização
+ * --------------------------
+ * Compartilhado entre o app e o servidor (scripts/sync-server.mjs) — por
+ * isso `.mjs`, para o Node carregar sem bundler.
+ *
+ * Tudo que sincroniza é um registro:
+ *   { kind: "session" | "round", id, updatedAt, by, deleted?, data? }
+ * `data` é a sessão (sem id) ou o resultado (sem id, com `sessionId`).
+ * Exclusões viajam como registros `deleted: true` sem `data`.
+ *
+ * Conflito = mesmo `kind` e `id`: vence o `updatedAt` maior; empate
+ * desempata pelo `by`, para todos os aparelhos chegarem ao mesmo estado.
+ * O servidor numera cada registro aceito (`seq`); o cliente puxa "o que
+ * mudou depois do seq X".
+ */
+
+export const PROTOCOL_VERSION = 1;
+export const KINDS = ["session", "round"];
+export const MAX_BATCH = 500;
+export const MAX_NAME = 40;
+
+const COLORS = ["R", "B", "T"];
+const isText = (x) => typeof x === "string" && x.length > 0 && x.length <= 200;
+
+export const recordKey = (r) => `${r.kind}:${r.id}`;
+
+/** `a` deve substituir `b`? */
+export function isNewer(a, b) {
+  if (!b) return true;
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt;
+  return (a.by || "") > (b.by || "");
+}
+
+/** Normaliza um registro vindo da rede; `null` se inválido */
+export function validateRecord(raw) {
+  if (!raw || typeof raw !== "object" || !KINDS.includes(raw.kind) || !isText(raw.id)) return null;
+  const updatedAt = Number(raw.updatedAt);
+  if (!Number.isFinite(updatedAt) || updatedAt <= 0) return null;
+  const by = typeof raw.by === "string" ? raw.by.trim().slice(0, MAX_NAME) : "";
+  const base = { kind: raw.kind, id: raw.id, updatedAt, by };
+  if (raw.deleted === true) return { ...base, deleted: true };
+
+  const d = raw.data;
+  if (!d || typeof d !== "object") return null;
+  if (raw.kind === "session") {
+    return {
+      ...base,
+      data: {
+        name: typeof d.name === "string" ? d.name : "",
+        table: typeof d.table === "string" ? d.table : "",
+        startedAt: Number.isFinite(d.startedAt) ? d.startedAt : 0,
+        endedAt: Number.isFinite(d.endedAt) ? d.endedAt : null,
+      },
+    };
+  }
+  if (!isText(d.sessionId) || !COLORS.includes(d.v) || !Number.isFinite(d.ts)) return null;
+  const data = { sessionId: d.sessionId, v: d.v, ts: d.ts };
+  if (d.tsApprox === true) data.tsApprox = true;
+  if (isText(d.roundId)) data.roundId = d.roundId;
+  if (d.bet && typeof d.bet === "object") data.bet = d.bet;
+  if (isText(d.by)) data.by = d.by.slice(0, MAX_NAME);
+  return { ...base, data };
+}
+
+/**
+ * Armazém em memória com numeração (`seq`). O servidor usa direto (modo
+ * arquivo) ou imita a mesma interface (SQLite).
+ */
+export function createMemoryStore(records = []) {
+  const byKey = new Map();
+  let seq = 0;
+  for (const r of records) {
+    byKey.set(recordKey(r), r);
+    seq = Math.max(seq, r.seq || 0);
+  }
+  return {
+    get seq() {
+      return seq;
+    },
+    get: (kind, id) => byKey.get(`${kind}:${id}`),
+    put(record) {
+      const stored = { ...record, seq: ++seq };
+      byKey.set(recordKey(record), stored);
+      return stored;
+    },
+    since(after, limit = MAX_BATCH) {
+      const out = [...byKey.values()].filter((r) => r.seq > after).sort((a, b) => a.seq - b.seq);
+      return { items: out.slice(0, limit), more: out.length > limit };
+    },
+    all: () => [...byKey.values()].sort((a, b) => a.seq - b.seq),
+  };
+}
+
+/**
+ * Aplica um push no armazém. Registros mais velhos que os guardados voltam
+ * em `stale` com a versão do servidor, para o cliente adotar.
+ */
+export function applyPush(store, items) {
+  const accepted = [];
+  const stale = [];
+  let invalid = 0;
+  for (const raw of Array.isArray(items) ? items.slice(0, MAX_BATCH) : []) {
+    const record = validateRecord(raw);
+    if (!record) {
+      invalid++;
+      continue;
+    }
+    const current = store.get(record.kind, record.id);
+    if (current && !isNewer(record, current)) {
+      // repetir o mesmo registro (push reenviado) não é conflito
+      if (current.updatedAt !== record.updatedAt || current.by !== record.by) stale.push(current);
+      continue;
+    }
+    accepted.push(store.put(record).seq);
+  }
+  return { accepted: accepted.length, stale, invalid, cursor: store.seq };
+}
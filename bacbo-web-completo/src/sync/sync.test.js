@@ -0,0 +1,197 @@
+import { describe, expect, it } from "vitest";
+import { applyPush, createMemoryStore, isNewer, validateRecord } from "./protocol.mjs";
+import {
+  collectChanges,
+  enqueue,
+  fingerprint,
+  mergeRemote,
+  normalizeSyncSettings,
+  reconcile,
+  rememberRemote,
+  roundData,
+  settlePushed,
+  withAuthor,
+} from "./index";
+
+const session = (id, extra = {}) => ({ id, name: `Mesa ${id}`, table: "", startedAt: 1, endedAt: null, ...extra });
+const round = (id, v, ts, extra = {}) => ({ id, v, ts, ...extra });
+const state = (rounds, sessions = [session("s1")]) => ({ sessions, rounds, activeId: sessions[0].id });
+const rec = (kind, id, updatedAt, by, data) => ({ kind, id, updatedAt, by, ...(data ? { data } : { deleted: true }) });
+
+describe("protocolo", () => {
+  it("valida registros e descarta os malformados", () => {
+    expect(validateRecord(rec("round", "r1", 5, "Ana", { sessionId: "s1", v: "R", ts: 10, extra: 1 }))).toEqual(
+      rec("round", "r1", 5, "Ana", { sessionId: "s1", v: "R", ts: 10 })
+    );
+    expect(validateRecord(rec("round", "r1", 5, "Ana", { sessionId: "s1", v: "X", ts: 10 }))).toBeNull();
+    expect(validateRecord(rec("round", "r1", 0, "Ana", { sessionId: "s1", v: "R", ts: 10 }))).toBeNull();
+    expect(validateRecord({ kind: "nada", id: "x", updatedAt: 1 })).toBeNull();
+    expect(validateRecord(rec("session", "s1", 5, "Bia"))).toEqual({ kind: "session", id: "s1", updatedAt: 5, by: "Bia", deleted: true });
+  });
+
+  it("vence o mais recente; empate decide pelo nome", () => {
+    expect(isNewer({ updatedAt: 2, by: "a" }, { updatedAt: 1, by: "z" })).toBe(true);
+    expect(isNewer({ updatedAt: 1, by: "z" }, { updatedAt: 1, by: "a" })).toBe(true);
+    expect(isNewer({ updatedAt: 1, by: "a" }, { updatedAt: 1, by: "z" })).toBe(false);
+    expect(isNewer({ updatedAt: 1 }, undefined)).toBe(true);
+  });
+
+  it("o servidor numera o que aceita, devolve a versão dele nos conflitos e pagina o pull", () => {
+    const store = createMemoryStore();
+    const a = rec("round", "r1", 10, "Ana", { sessionId: "s1", v: "R", ts: 1 });
+    expect(applyPush(store, [a, { lixo: true }])).toEqual({ accepted: 1, stale: [], invalid: 1, cursor: 1 });
+    // reenvio idêntico não é conflito; versão mais velha é
+    expect(applyPush(store, [a]).stale).toEqual([]);
+    const old = rec("round", "r1", 5, "Bia", { sessionId: "s1", v: "B", ts: 1 });
+    expect(applyPush(store, [old]).stale).toEqual([{ ...a, seq: 1 }]);
+    applyPush(store, [rec("round", "r1", 20, "Bia", { sessionId: "s1", v: "T", ts: 1 }), rec("round", "r2", 20, "Bia", { sessionId: "s1", v: "B", ts: 2 })]);
+
+    expect(store.since(0).items.map((r) => [r.id, r.seq])).toEqual([["r1", 2], ["r2", 3]]);
+    expect(store.since(0, 1)).toMatchObject({ more: true, items: [{ id: "r1" }] });
+    expect(store.since(3).items).toEqual([]);
+  });
+});
+
+describe("mudanças locais", () => {
+  it("envia só o que mudou desde a última sincronização, com exclusões", () => {
+    const known = new Map();
+    const s1 = state({ s1: [round("a", "R", 1), round("b", "B", 2)] });
+    const first = collectChanges(s1, known, { by: "Ana", now: 100 });
+    expect(first.map((r) => `${r.kind}:${r.id}`)).toEqual(["session:s1", "round:a", "round:b"]);
+    expect(first[1]).toEqual({ kind: "round", id: "a", updatedAt: 100, by: "Ana", data: { sessionId: "s1", v: "R", ts: 1 } });
+    expect(collectChanges(s1, known, { by: "Ana", now: 101, prev: s1 })).toEqual([]);
+
+    const s2 = { ...s1, rounds: { s1: [{ ...s1.rounds.s1[0], v: "T" }] } };
+    const second = collectChanges(s2, known, { by: "Ana", now: 102, prev: s1 });
+    expect(second).toEqual([
+      { kind: "round", id: "a", updatedAt: 102, by: "Ana", data: { sessionId: "s1", v: "T", ts: 1 } },
+      { kind: "round", id: "b", updatedAt: 102, by: "Ana", deleted: true },
+    ]);
+  });
+
+  it("quem registrou continua sendo o autor quando outra pessoa edita", () => {
+    expect(roundData(round("a", "R", 1, { by: "Bia" }), "s1").by).toBe("Bia");
+    expect(roundData(round("a", "R", 1, { tsApprox: true }), "s1").by).toBeUndefined();
+  });
+
+  it("autor só nas rodadas criadas aqui", () => {
+    const r = round("a", "R", 1);
+    expect(withAuthor(r, "Ana")).toEqual({ ...r, by: "Ana" });
+    expect(withAuthor(r, "")).toBe(r);
+    const theirs = round("b", "B", 2, { by: "Bia" });
+    expect(withAuthor(theirs, "Ana")).toBe(theirs);
+  });
+
+  it("rodada recebida sem autor não volta como se fosse deste aparelho", () => {
+    const known = new Map();
+    const base = state({ s1: [] });
+    collectChanges(base, known, { by: "Bob", now: 1 });
+    const remote = [rec("round", "r9", 5, "", { sessionId: "s1", v: "R", ts: 9 })];
+    rememberRemote(known, remote);
+    const merged = mergeRemote(base, remote);
+    expect(collectChanges(merged, known, { by: "Bob", now: 6, prev: base })).toEqual([]);
+    expect(merged.rounds.s1[0].by).toBeUndefined();
+  });
+
+  it("a fila guarda uma versão por chave e sai só o que foi confirmado", () => {
+    const v1 = rec("round", "a", 1, "Ana", { sessionId: "s1", v: "R", ts: 1 });
+    const v2 = { ...v1, updatedAt: 2 };
+    let outbox = enqueue([], [v1]);
+    outbox = enqueue(outbox, [v2, rec("round", "b", 1, "Ana")]);
+    expect(outbox).toEqual([v2, rec("round", "b", 1, "Ana")]);
+    expect(settlePushed(outbox, [v1])).toEqual(outbox);
+    expect(settlePushed(outbox, [v2])).toEqual([rec("round", "b", 1, "Ana")]);
+  });
+
+  it("configurações", () => {
+    expect(normalizeSyncSettings({ url: " http://x:8788/ ", intervalSec: 1, enabled: true })).toMatchObject({ url: "http://x:8788", intervalSec: 5, enabled: true });
+    expect(normalizeSyncSettings(null)).toMatchObject({ enabled: false, url: "", intervalSec: 15 });
+  });
+});
+
+describe("registros recebidos", () => {
+  it("insere em ordem de horário, move entre sessões e cria sessão provisória", () => {
+    const base = state({ s1: [round("a", "R", 10), round("b", "B", 30)] });
+    const next = mergeRemote(base, [
+      rec("round", "c", 5, "Bia", { sessionId: "s1", v: "T", ts: 20, by: "Bia" }),
+      rec("round", "a", 5, "Bia", { sessionId: "s2", v: "R", ts: 10 }),
+      rec("round", "zz", 5, "Bia"),
+    ]);
+    expect(next.rounds.s1.map((r) => r.id)).toEqual(["c", "b"]);
+    expect(next.rounds.s1[0]).toEqual({ id: "c", v: "T", ts: 20, by: "Bia" });
+    expect(next.rounds.s2.map((r) => r.id)).toEqual(["a"]);
+    expect(next.sessions.map((s) => s.id)).toEqual(["s1", "s2"]);
+
+    const renamed = mergeRemote(next, [rec("session", "s2", 6, "Bia", { name: "Mesa 2", table: "VIP", startedAt: 3, endedAt: null })]);
+    expect(renamed.sessions[1]).toEqual({ id: "s2", name: "Mesa 2", table: "VIP", startedAt: 3, endedAt: null });
+    const dropped = mergeRemote({ ...renamed, activeId: "s2" }, [rec("session", "s2", 7, "Bia")]);
+    expect(dropped.activeId).toBe("s1");
+    expect(dropped.rounds.s2).toBeUndefined();
+    expect(mergeRemote(base, [])).toBe(base);
+  });
+
+  it("ignora o que já tem igual e o que perde para uma pendência local", () => {
+    const known = new Map();
+    const mine = rec("round", "a", 10, "Ana", { sessionId: "s1", v: "R", ts: 1 });
+    const theirsOld = rec("round", "a", 5, "Bia", { sessionId: "s1", v: "B", ts: 1 });
+    const theirsNew = rec("round", "a", 20, "Bia", { sessionId: "s1", v: "T", ts: 1 });
+    expect(reconcile([mine], [theirsOld], known)).toEqual({ apply: [], outbox: [mine] });
+    expect(reconcile([mine], [theirsNew], known)).toEqual({ apply: [theirsNew], outbox: [] });
+
+    rememberRemote(known, [theirsNew]);
+    expect(known.get("round:a")).toBe(fingerprint(theirsNew.data));
+    expect(reconcile([], [theirsNew], known).apply).toEqual([]);
+    expect(reconcile([], [rec("round", "nunca", 1, "Bia")], known).apply).toEqual([]);
+  });
+});
+
+describe("dois aparelhos", () => {
+  // um "aparelho" mínimo: estado + known + fila, sincronizando com um armazém em memória
+  function device(name, initial) {
+    const d = { name, state: initial, known: new Map(), outbox: [], cursor: 0, prev: null, now: 0 };
+    d.edit = (fn) => {
+      d.state = fn(d.state);
+      const records = collectChanges(d.state, d.known, { by: name, now: ++d.now + (name === "Bia" ? 1000 : 0), prev: d.prev });
+      d.outbox = enqueue(d.outbox, records);
+      d.prev = d.state;
+    };
+    d.sync = (store) => {
+      const res = applyPush(store, d.outbox);
+      d.outbox = [];
+      const { items } = store.since(d.cursor);
+      const { apply } = reconcile(d.outbox, [...res.stale, ...items].map(validateRecord), d.known);
+      rememberRemote(d.known, apply);
+      d.state = mergeRemote(d.state, apply);
+      d.cursor = store.seq;
+      // o estado novo não pode gerar eco para o servidor
+      expect(collectChanges(d.state, d.known, { by: name, prev: d.prev })).toEqual([]);
+      d.prev = d.state;
+    };
+    d.edit((s) => s);
+    return d;
+  }
+
+  it("convergem, com autor por rodada e exclusões propagadas", () => {
+    const store = createMemoryStore();
+    const shared = state({ s1: [] });
+    const ana = device("Ana", shared);
+    const bia = device("Bia", shared);
+
+    ana.edit((s) => ({ ...s, rounds: { s1: [round("a1", "R", 10), round("a2", "B", 30)].map((r) => withAuthor(r, "Ana")) } }));
+    bia.edit((s) => ({ ...s, rounds: { s1: [withAuthor(round("b1", "T", 20), "Bia")] } }));
+    ana.sync(store);
+    bia.sync(store);
+    ana.sync(store);
+    expect(ana.state.rounds.s1.map((r) => `${r.id}:${r.by}`)).toEqual(["a1:Ana", "b1:Bia", "a2:Ana"]);
+    expect(bia.state.rounds).toEqual(ana.state.rounds);
+
+    // Bia corrige a cor de uma rodada da Ana e apaga a própria; a Ana edita a mesma rodada antes (perde)
+    ana.edit((s) => ({ ...s, rounds: { s1: s.rounds.s1.map((r) => (r.id === "a1" ? { ...r, v: "B" } : r)) } }));
+    bia.edit((s) => ({ ...s, rounds: { s1: s.rounds.s1.filter((r) => r.id !== "b1").map((r) => (r.id === "a1" ? { ...r, v: "T" } : r)) } }));
+    ana.sync(store);
+    bia.sync(store);
+    ana.sync(store);
+    expect(ana.state.rounds.s1.map((r) => `${r.id}:${r.v}:${r.by}`)).toEqual(["a1:T:Ana", "a2:B:Ana"]);
+    expect(bia.state.rounds).toEqual(ana.state.rounds);
+  });
+});
@@ -0,0 +1,188 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { usePersistentState } from "@/lib/usePersistentState";
+import { TranslatableError, errorMessage } from "@/i18n";
+import { MAX_BATCH, validateRecord } from "./protocol.mjs";
+import {
+  DEFAULT_SYNC_SETTINGS,
+  collectChanges,
+  enqueue,
+  mergeRemote,
+  normalizeSyncSettings,
+  reconcile,
+  rememberRemote,
+  settlePushed,
+} from "./index";
+
+export const SYNC_STATE_KEY = "bacbo-sync-state";
+const REQUEST_TIMEOUT_MS = 10_000;
+// Alterações locais seguidas viram um envio só
+const PUSH_DELAY_MS = 1000;
+
+// Cursor, versões conhecidas e fila ficam no aparelho, por servidor
+function loadLocal(url) {
+  try {
+    const saved = JSON.parse(globalThis.localStorage?.getItem(SYNC_STATE_KEY) || "null");
+    if (saved && saved.url === url) return { cursor: saved.cursor || 0, known: new Map(saved.known || []), outbox: saved.outbox || [] };
+  } catch {
+    // ilegível: recomeça (tudo é reenviado; o servidor ignora o que já tem igual)
+  }
+  return { cursor: 0, known: new Map(), outbox: [] };
+}
+
+function saveLocal(url, local) {
+  try {
+    globalThis.localStorage?.setItem(
+      SYNC_STATE_KEY,
+      JSON.stringify({ url, cursor: local.cursor, known: [...local.known], outbox: local.outbox })
+    );
+  } catch {
+    // cota cheia: a fila continua em memória até a próxima gravação dar certo
+  }
+}
+
+// Erros que o servidor conhece vêm com `code` e são traduzidos aqui; os demais mostram o texto dele
+const SERVER_CODES = new Set(["unauthorized", "tooLarge", "badJson", "notFound"]);
+
+function serverError(status, body) {
+  if (SERVER_CODES.has(body.code)) return new TranslatableError(`sync.errors.${body.code}`);
+  if (body.error) return new Error(body.error);
+  return new TranslatableError("sync.errors.http", { status });
+}
+
+async function request(settings, path, init = {}) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const headers = { "Content-Type": "application/json" };
+    if (settings.token) headers.Authorization = `Bearer ${settings.token}`;
+    const res = await fetch(`${settings.url}${path}`, { ...init, headers, signal: ctrl.signal, cache: "no-store" });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw serverError(res.status, body);
+    return body;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Sincronização com o servidor da equipe (scripts/sync-server.mjs).
+ * Observa o estado de `useSessions`, enfileira as mudanças locais, envia,
+ * puxa as dos outros e aplica com `applyRemote` (fora do desfazer).
+ * Devolve `{ settings, setSettings, status, syncNow, author }`; `status.state`
+ * é "off", "idle", "syncing", "ok", "offline" ou "error"; `status.error` é texto
+ * do servidor ou `{ code, params }` (ver `messageText` em src/i18n). `author` é o nome
+ * a marcar nas rodadas criadas aqui (vazio com a sincronização desligada).
+ */
+export function useSync(sessions) {
+  const [stored, setSettings] = usePersistentState("bacbo-sync", DEFAULT_SYNC_SETTINGS);
+  const settings = normalizeSyncSettings(stored);
+  const active = settings.enabled && !!settings.url && sessions.ready;
+  const [status, setStatus] = useState({ state: "off", pending: 0, lastSync: null, error: null });
+
+  const localRef = useRef(null);
+  const prevRef = useRef(null);
+  const busyRef = useRef(false);
+  const againRef = useRef(false); // pedido de sincronizar durante outra: roda de novo no fim
+  const pushTimerRef = useRef(null);
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+  const sessionsRef = useRef(sessions);
+  sessionsRef.current = sessions;
+
+  // Trocar de servidor recomeça do zero (tudo local é enviado ao novo)
+  useEffect(() => {
+    localRef.current = active ? loadLocal(settings.url) : null;
+    prevRef.current = null;
+    setStatus((s) => ({ ...s, state: active ? "idle" : "off", pending: localRef.current?.outbox.length ?? 0, error: null }));
+  }, [active, settings.url]);
+
+  const applyIncoming = useCallback((local, items) => {
+    const records = (items || []).map(validateRecord).filter(Boolean);
+    const { apply, outbox } = reconcile(local.outbox, records, local.known);
+    local.outbox = outbox;
+    if (!apply.length) return;
+    rememberRemote(local.known, apply);
+    sessionsRef.current.applyRemote((state) => mergeRemote(state, apply));
+  }, []);
+
+  const syncNow = useCallback(async () => {
+    const local = localRef.current;
+    const settings = settingsRef.current;
+    if (!local) return;
+    if (busyRef.current) {
+      againRef.current = true;
+      return;
+    }
+    busyRef.current = true;
+    setStatus((s) => ({ ...s, state: "syncing" }));
+    try {
+      while (local.outbox.length) {
+        const batch = local.outbox.slice(0, MAX_BATCH);
+        const res = await request(settings, "/push", { method: "POST", body: JSON.stringify({ items: batch }) });
+        if (localRef.current !== local) return; // desligado ou outro servidor no meio do caminho
+        local.outbox = settlePushed(local.outbox, batch);
+        // o servidor tinha versão mais nova: ela vale
+        if (res.stale?.length) applyIncoming(local, res.stale);
+        saveLocal(settings.url, local);
+      }
+      for (let more = true; more; ) {
+        const res = await request(settings, `/pull?since=${local.cursor}`);
+        if (localRef.current !== local) return;
+        const items = res.items || [];
+        applyIncoming(local, items);
+        more = !!res.more && items.length > 0;
+        local.cursor = more ? items[items.length - 1].seq : Math.max(local.cursor, Number(res.cursor) || 0);
+        saveLocal(settings.url, local);
+      }
+      setStatus({ state: "ok", pending: local.outbox.length, lastSync: Date.now(), error: null });
+    } catch (err) {
+      const offline = globalThis.navigator?.onLine === false;
+      setStatus((s) => ({
+        ...s,
+        state: offline ? "offline" : "error",
+        pending: local.outbox.length,
+        error: offline ? null : err?.name === "AbortError" ? { code: "sync.errors.timeout" } : errorMessage(err),
+      }));
+    } finally {
+      busyRef.current = false;
+      if (againRef.current && localRef.current === local) {
+        againRef.current = false;
+        setTimeout(syncNow, 0);
+      }
+    }
+  }, [applyIncoming]);
+
+  // Mudanças locais → fila (e envio logo depois)
+  const { sessions: list, rounds } = sessions;
+  useEffect(() => {
+    const local = localRef.current;
+    if (!active || !local) return;
+    const state = { sessions: list, rounds };
+    const records = collectChanges(state, local.known, { by: settings.name, now: Date.now(), prev: prevRef.current });
+    prevRef.current = state;
+    if (!records.length) return;
+    local.outbox = enqueue(local.outbox, records);
+    saveLocal(settings.url, local);
+    setStatus((s) => ({ ...s, pending: local.outbox.length }));
+    clearTimeout(pushTimerRef.current);
+    pushTimerRef.current = setTimeout(syncNow, PUSH_DELAY_MS);
+  }, [active, list, rounds, settings.name, settings.url, syncNow]);
+
+  // Ciclo: ao ligar, a cada intervalo e quando a rede volta
+  useEffect(() => {
+    if (!active) return;
+    syncNow();
+    const timer = setInterval(syncNow, settings.intervalSec * 1000);
+    globalThis.addEventListener?.("online", syncNow);
+    return () => {
+      clearInterval(timer);
+      clearTimeout(pushTimerRef.current);
+      globalThis.removeEventListener?.("online", syncNow);
+    };
+  }, [active, settings.url, settings.intervalSec, syncNow]);
+
+  const author = settings.enabled ? settings.name : "";
+  return { settings, setSettings, status, syncNow, author };
+}
+
+export default useSync;
@@ -0,0 +1,125 @@
+/**
+ * Análises por horário
+ * --------------------
+ * Só entram resultados com horário de verdade: `ts` válido e sem `tsApprox`
+ * (lista colada ou importação sem horário recebem a hora do registro, que
+ * não diz nada sobre a rodada). Horas e dias da semana no fuso local.
+ *
+ * - `heatmap`: contagem de R/B/T por dia da semana × hora do dia;
+ * - `cadence`: rodadas por minuto em faixas de tempo;
+ * - `detectGaps`: intervalos muito maiores que o normal entre rodadas
+ *   consecutivas — rodadas perdidas (curtos) ou pausa de sessão (longos).
+ */
+
+export const WEEKDAYS = ["Dom", "Seg", "Ter", "Qua", "Qui", "Sex", "Sáb"];
+export const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+const MINUTE = 60_000;
+export const DEFAULT_GAP_SETTINGS = { factor: 3, minGapSeconds: 90, breakMinutes: 30 };
+// Faixas do gráfico de cadência, da mais fina para a mais grossa
+const BUCKETS = [1, 5, 15, 30, 60, 180, 360, 1440].map((m) => m * MINUTE);
+const MIN_INTERVALS = 5;
+
+export const isTimed = (r) => Number.isFinite(r?.ts) && r.ts > 0 && !r.tsApprox;
+
+/** Células [dia][hora] com { R, B, T, total } e o maior total, para a escala */
+export function heatmap(rounds) {
+  const cells = WEEKDAYS.map(() => HOURS.map(() => ({ R: 0, B: 0, T: 0, total: 0 })));
+  let max = 0;
+  let timed = 0;
+  for (const r of rounds) {
+    if (!isTimed(r)) continue;
+    const d = new Date(r.ts);
+    const cell = cells[d.getDay()][d.getHours()];
+    cell[r.v]++;
+    cell.total++;
+    timed++;
+    if (cell.total > max) max = cell.total;
+  }
+  return { cells, max, timed };
+}
+
+/** Intervalos positivos entre resultados consecutivos com horário, na ordem */
+export function intervals(rounds) {
+  const out = [];
+  let prev = null;
+  for (const r of rounds) {
+    if (!isTimed(r)) continue;
+    if (prev !== null && r.ts > prev) out.push(r.ts - prev);
+    prev = r.ts;
+  }
+  return out;
+}
+
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** Menor faixa que cobre `spanMs` em até `maxBuckets` pontos */
+export function chooseBucket(spanMs, maxBuckets = 240) {
+  return BUCKETS.find((b) => spanMs / b <= maxBuckets) ?? Math.ceil(spanMs / maxBuckets / BUCKETS[BUCKETS.length - 1]) * BUCKETS[BUCKETS.length - 1];
+}
+
+/**
+ * Rodadas por faixa de tempo (faixas vazias incluídas, para as pausas
+ * aparecerem no gráfico). `{ bucketMs, points: [{ t, count, perMinute }] }`.
+ */
+export function cadence(rounds, { bucketMs, maxBuckets = 240 } = {}) {
+  const times = rounds.filter(isTimed).map((r) => r.ts).sort((a, b) => a - b);
+  if (!times.length) return { bucketMs: bucketMs ?? BUCKETS[0], points: [] };
+  const size = bucketMs ?? chooseBucket(times[times.length - 1] - times[0], maxBuckets);
+  const start = Math.floor(times[0] / size) * size;
+  const counts = new Array(Math.floor((times[times.length - 1] - start) / size) + 1).fill(0);
+  for (const t of times) counts[Math.floor((t - start) / size)]++;
+  return {
+    bucketMs: size,
+    points: counts.map((count, i) => ({ t: start + i * size, count, perMinute: count / (size / MINUTE) })),
+  };
+}
+
+/**
+ * Intervalos suspeitos numa sessão. Limite = maior entre `factor` × mediana
+ * dos intervalos e `minGapSeconds`; a partir de `breakMinutes` é pausa.
+ * Cada lacuna: `{ index, from, to, durationMs, missing, kind: "missed" | "break" }`,
+ * onde `index` é a posição (em `rounds`) do primeiro resultado depois dela e
+ * `missing` é a estimativa de rodadas perdidas pela mediana.
+ * Com menos de 5 intervalos não há mediana confiável: `{ median: null, gaps: [] }`.
+ */
+export function detectGaps(rounds, settings = DEFAULT_GAP_SETTINGS) {
+  const { factor, minGapSeconds, breakMinutes } = { ...DEFAULT_GAP_SETTINGS, ...settings };
+  const typical = intervals(rounds);
+  if (typical.length < MIN_INTERVALS) return { median: null, threshold: null, gaps: [] };
+  const med = median(typical);
+  const threshold = Math.max(factor * med, minGapSeconds * 1000);
+  const gaps = [];
+  let prev = null;
+  rounds.forEach((r, index) => {
+    if (!isTimed(r)) return;
+    if (prev && r.ts - prev.ts > threshold) {
+      const durationMs = r.ts - prev.ts;
+      gaps.push({
+        index,
+        from: prev.ts,
+        to: r.ts,
+        durationMs,
+        missing: Math.max(0, Math.round(durationMs / med) - 1),
+        kind: durationMs >= breakMinutes * MINUTE ? "break" : "missed",
+      });
+    }
+    prev = r;
+  });
+  return { median: med, threshold, gaps };
+}
+
+/** Configuração salva/digitada → números utilizáveis */
+export function normalizeGapSettings(s) {
+  const num = (x, fallback, min) => (Number.isFinite(Number(x)) && Number(x) >= min ? Number(x) : fallback);
+  return {
+    factor: num(s?.factor, DEFAULT_GAP_SETTINGS.factor, 1.5),
+    minGapSeconds: num(s?.minGapSeconds, DEFAULT_GAP_SETTINGS.minGapSeconds, 1),
+    breakMinutes: num(s?.breakMinutes, DEFAULT_GAP_SETTINGS.breakMinutes, 1),
+  };
+}
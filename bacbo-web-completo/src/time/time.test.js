@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { cadence, chooseBucket, detectGaps, heatmap, intervals, median } from "./index";
+
+const S = 1000;
+const MIN = 60 * S;
+// rodadas a cada `step` ms a partir de t0, com intervalos extras em `extra` (índice → ms a mais)
+const timeline = (n, { t0 = Date.UTC(2024, 4, 1, 12), step = 30 * S, extra = {} } = {}) => {
+  let t = t0;
+  return Array.from({ length: n }, (_, i) => {
+    if (i) t += step + (extra[i] || 0);
+    return { id: `r${i}`, v: "RBT"[i % 3], ts: t };
+  });
+};
+
+describe("heatmap", () => {
+  it("conta por dia da semana e hora local e ignora horários aproximados", () => {
+    const t = new Date(2024, 4, 3, 21, 15).getTime(); // sexta, 21h local
+    const { cells, max, timed } = heatmap([
+      { v: "R", ts: t },
+      { v: "T", ts: t + MIN },
+      { v: "B", ts: t, tsApprox: true },
+      { v: "B", ts: 0 },
+    ]);
+    expect(cells[5][21]).toEqual({ R: 1, B: 0, T: 1, total: 2 });
+    expect(max).toBe(2);
+    expect(timed).toBe(2);
+  });
+});
+
+describe("cadência", () => {
+  it("inclui faixas vazias e calcula rodadas por minuto", () => {
+    const rounds = [0, 10, 20, 130].map((s, i) => ({ v: "R", id: String(i), ts: 1_000_000 * MIN + s * S }));
+    const { bucketMs, points } = cadence(rounds, { bucketMs: MIN });
+    expect(bucketMs).toBe(MIN);
+    expect(points.map((p) => p.count)).toEqual([3, 0, 1]);
+    expect(points[0].perMinute).toBe(3);
+  });
+
+  it("escolhe faixas maiores para períodos longos", () => {
+    expect(chooseBucket(60 * MIN)).toBe(MIN);
+    expect(chooseBucket(24 * 60 * MIN)).toBe(15 * MIN);
+    expect(chooseBucket(365 * 24 * 60 * MIN)).toBe(2 * 24 * 60 * MIN);
+  });
+});
+
+describe("lacunas", () => {
+  it("separa rodadas perdidas de pausas", () => {
+    const rounds = timeline(20, { extra: { 8: 90 * S, 15: 45 * MIN } });
+    const { median: med, gaps } = detectGaps(rounds);
+    expect(med).toBe(30 * S);
+    expect(gaps).toHaveLength(2);
+    expect(gaps[0]).toMatchObject({ index: 8, durationMs: 120 * S, missing: 3, kind: "missed" });
+    expect(gaps[1]).toMatchObject({ index: 15, kind: "break" });
+  });
+
+  it("respeita o mínimo em segundos e ignora horários aproximados", () => {
+    const rounds = timeline(12, { extra: { 5: 40 * S } });
+    expect(detectGaps(rounds).gaps).toEqual([]); // 70s < 90s
+    expect(detectGaps(rounds, { factor: 2, minGapSeconds: 60 }).gaps.map((g) => g.index)).toEqual([5]);
+    rounds[5] = { ...rounds[5], tsApprox: true };
+    expect(intervals(rounds)).toHaveLength(10);
+  });
+
+  it("sem intervalos suficientes não acusa nada", () => {
+    expect(detectGaps(timeline(4, { extra: { 2: 60 * MIN } }))).toEqual({ median: null, threshold: null, gaps: [] });
+  });
+
+  it("mediana", () => {
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 2, 3])).toBe(2.5);
+    expect(median([])).toBe(null);
+  });
+});
@@ -0,0 +1,60 @@
+import { BACBO_PROBS } from "@/analysis/probabilities";
+
+/**
+ * Tendências em janela móvel
+ * --------------------------
+ * Participação de Red, Blue e Tie nas últimas `window` rodadas, rodada a
+ * rodada, sobre a sequência inteira (O(n) com contagens corridas). O mesmo
+ * tamanho de janela vale para o card Resumo e o sinal de viés.
+ *
+ * A faixa de confiança é a do binomial em torno da probabilidade do jogo:
+ * p ± z·√(p(1−p)/w). Numa mesa justa ~95% dos pontos ficam dentro dela —
+ * sair de vez em quando é esperado, ainda mais olhando a série inteira.
+ */
+
+export const TREND_WINDOWS = [20, 50, 100, 500];
+export const DEFAULT_WINDOW = TREND_WINDOWS[0];
+// Pontos desenhados no máximo; séries maiores são amostradas em passos iguais
+export const MAX_POINTS = 800;
+const Z95 = 1.96;
+
+export const normalizeWindow = (w) => (TREND_WINDOWS.includes(Number(w)) ? Number(w) : DEFAULT_WINDOW);
+
+/** Faixa de confiança da participação de cada cor numa janela de `w` rodadas */
+export function confidenceBands(w, probs = BACBO_PROBS, z = Z95) {
+  const band = (p) => {
+    const half = z * Math.sqrt((p * (1 - p)) / w);
+    return { p, lo: Math.max(0, p - half), hi: Math.min(1, p + half) };
+  };
+  return { R: band(probs.R), B: band(probs.B), T: band(probs.T) };
+}
+
+/**
+ * Série `[{ round, R, B, T }]` (participações 0–1) a partir da rodada `w`;
+ * `round` é a posição 1-based da última rodada da janela. Com mais de
+ * `maxPoints` pontos, guarda um a cada `step` (e sempre o último).
+ */
+export function rollingShares(values, w, { maxPoints = MAX_POINTS } = {}) {
+  if (!(w > 0) || values.length < w) return { step: 1, points: [] };
+  const total = values.length - w + 1;
+  const step = Math.max(1, Math.ceil(total / maxPoints));
+  const count = { R: 0, B: 0, T: 0 };
+  const points = [];
+  for (let i = 0; i < values.length; i++) {
+    count[values[i]]++;
+    if (i >= w) count[values[i - w]]--;
+    const k = i - w + 1;
+    if (k < 0) continue;
+    if (k % step === 0 || i === values.length - 1) {
+      points.push({ round: i + 1, R: count.R / w, B: count.B / w, T: count.T / w });
+    }
+  }
+  return { step, points };
+}
+
+/** Quanto da série (pontos desenhados) ficou fora da faixa de cada cor */
+export function outsideBands(points, bands) {
+  const out = { R: 0, B: 0, T: 0 };
+  for (const p of points) for (const c of ["R", "B", "T"]) if (p[c] < bands[c].lo || p[c] > bands[c].hi) out[c]++;
+  return out;
+}
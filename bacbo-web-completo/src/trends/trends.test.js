@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { confidenceBands, normalizeWindow, outsideBands, rollingShares } from "./index";
+
+describe("rollingShares", () => {
+  it("participação de cada cor na janela, rodada a rodada", () => {
+    const { step, points } = rollingShares("RRBT".split(""), 2);
+    expect(step).toBe(1);
+    expect(points).toEqual([
+      { round: 2, R: 1, B: 0, T: 0 },
+      { round: 3, R: 0.5, B: 0.5, T: 0 },
+      { round: 4, R: 0, B: 0.5, T: 0.5 },
+    ]);
+  });
+
+  it("sem rodadas suficientes não há pontos", () => {
+    expect(rollingShares("RB".split(""), 20).points).toEqual([]);
+  });
+
+  it("amostra séries longas e mantém o último ponto", () => {
+    const values = Array.from({ length: 1000 }, (_, i) => "RBT"[i % 3]);
+    const { step, points } = rollingShares(values, 20, { maxPoints: 100 });
+    expect(step).toBe(10);
+    expect(points.length).toBeLessThanOrEqual(101);
+    expect(points[points.length - 1].round).toBe(1000);
+    for (const p of points) expect(p.R + p.B + p.T).toBeCloseTo(1, 12);
+  });
+});
+
+describe("faixas", () => {
+  it("encolhem com a janela e contam pontos fora", () => {
+    const b20 = confidenceBands(20);
+    const b500 = confidenceBands(500);
+    expect(b20.T.lo).toBe(0);
+    expect(b500.R.hi - b500.R.lo).toBeLessThan(b20.R.hi - b20.R.lo);
+    expect(outsideBands([{ R: 1, B: 0, T: 0 }, { R: b20.R.p, B: b20.B.p, T: b20.T.p }], b20)).toEqual({ R: 1, B: 1, T: 0 });
+  });
+
+  it("janela fora da lista volta ao padrão", () => {
+    expect(normalizeWindow("100")).toBe(100);
+    expect(normalizeWindow(33)).toBe(20);
+  });
+});
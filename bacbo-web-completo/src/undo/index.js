@@ -0,0 +1,73 @@
+/**
+ * Desfazer/refazer
+ * ----------------
+ * Log de operações sobre o estado de `useSessions`. Como o estado é imutável,
+ * cada entrada guarda só o retrato anterior (no `past`) ou o seguinte (no
+ * `future`): arrays de sessões que não mudaram são compartilhados entre os
+ * retratos, então manter centenas de passos custa pouco.
+ *
+ * Toda mudança com `label` entra no log e apaga o refazer. Mudanças sem
+ * `label` (trocar a sessão ativa) só alteram o estado. Mudanças seguidas do
+ * mesmo `group` viram uma entrada só — o feed chegando rodada a rodada não
+ * empurra uma importação ruim para fora do limite.
+ *
+ * `label` é uma chave do catálogo de idiomas (ver src/i18n) com `params`
+ * opcionais; o texto sai na hora de mostrar, no idioma escolhido.
+ */
+
+export const UNDO_LIMIT = 100;
+
+export const createUndoLog = (state) => ({ state, past: [], future: [] });
+
+/** Aplica `fn` ao estado atual e registra a mudança (se houve) */
+export function applyChange(log, fn, { label, params, group } = {}, { limit = UNDO_LIMIT } = {}) {
+  const next = fn(log.state);
+  if (next === log.state) return log;
+  if (!label) return { ...log, state: next };
+  const last = log.past[log.past.length - 1];
+  if (group && last?.group === group && !log.future.length) {
+    return { state: next, past: [...log.past.slice(0, -1), { ...last, label, params, times: last.times + 1 }], future: [] };
+  }
+  const entry = { label, params, group, times: 1, state: log.state };
+  return { state: next, past: [...log.past, entry].slice(-limit), future: [] };
+}
+
+export function undoChange(log) {
+  const entry = log.past[log.past.length - 1];
+  if (!entry) return log;
+  return { state: entry.state, past: log.past.slice(0, -1), future: [...log.future, { ...entry, state: log.state }] };
+}
+
+export function redoChange(log) {
+  const entry = log.future[log.future.length - 1];
+  if (!entry) return log;
+  return { state: entry.state, past: [...log.past, { ...entry, state: log.state }], future: log.future.slice(0, -1) };
+}
+
+/**
+ * Mudança que não é do usuário (chegou da sincronização): entra no estado
+ * e em todos os retratos, para desfazer nunca apagar o que outro aparelho
+ * registrou. `fn` precisa ser pura — roda uma vez por retrato.
+ */
+export function rebaseChange(log, fn) {
+  const next = fn(log.state);
+  if (next === log.state) return log;
+  const move = (entry) => ({ ...entry, state: fn(entry.state) });
+  return { state: next, past: log.past.map(move), future: log.future.map(move) };
+}
+
+/** Rótulo curto da entrada ("Rodadas do feed (×3)"), traduzido por `t`; `null` se não houver */
+export function describeEntry(entry, t = (label) => label) {
+  if (!entry) return null;
+  const text = t(entry.label, entry.params);
+  return entry.times > 1 ? `${text} (×${entry.times})` : text;
+}
+
+/** Atalho de teclado: "undo" (Ctrl/⌘+Z), "redo" (Ctrl/⌘+Shift+Z ou Ctrl+Y) ou `null` */
+export function shortcutAction(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+  const key = e.key.toLowerCase();
+  if (key === "z") return e.shiftKey ? "redo" : "undo";
+  if (key === "y" && !e.shiftKey) return "redo";
+  return null;
+}
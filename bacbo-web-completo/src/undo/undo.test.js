@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import { createTranslator } from "@/i18n";
+import { isTypingTarget } from "@/lib/keyboard";
+import { applyChange, createUndoLog, describeEntry, rebaseChange, redoChange, shortcutAction, undoChange } from "./index";
+
+const push = (v) => (s) => ({ ...s, rounds: [...s.rounds, v] });
+const last = (list) => list[list.length - 1];
+
+describe("log de desfazer", () => {
+  it("mudança de fora entra em todos os retratos e não vira passo", () => {
+    let log = createUndoLog({ rounds: [] });
+    log = applyChange(log, push("R"), { label: "Registrar Red" });
+    log = applyChange(log, push("B"), { label: "Registrar Blue" });
+    log = undoChange(log);
+    log = rebaseChange(log, push("T"));
+    expect(log.state.rounds).toEqual(["R", "T"]);
+    expect(log.past.map((e) => e.state.rounds)).toEqual([["T"]]);
+    expect(log.future.map((e) => e.state.rounds)).toEqual([["R", "B", "T"]]);
+    expect(undoChange(log).state.rounds).toEqual(["T"]);
+    expect(rebaseChange(log, (s) => s)).toBe(log);
+  });
+
+  it("desfaz e refaz vários passos em ordem", () => {
+    let log = createUndoLog({ rounds: [] });
+    log = applyChange(log, push("R"), { label: "Registrar Red" });
+    log = applyChange(log, push("B"), { label: "Registrar Blue" });
+    log = applyChange(log, () => ({ rounds: [] }), { label: "Limpar histórico" });
+    expect(describeEntry(last(log.past))).toBe("Limpar histórico");
+
+    log = undoChange(undoChange(log));
+    expect(log.state.rounds).toEqual(["R"]);
+    expect(describeEntry(last(log.future))).toBe("Registrar Blue");
+    log = redoChange(log);
+    expect(log.state.rounds).toEqual(["R", "B"]);
+    expect(describeEntry(last(log.past))).toBe("Registrar Blue");
+    expect(undoChange(undoChange(undoChange(log))).state.rounds).toEqual([]);
+  });
+
+  it("uma mudança nova apaga o refazer; sem mudança ou sem rótulo não registra", () => {
+    let log = applyChange(createUndoLog({ rounds: [] }), push("R"), { label: "a" });
+    log = undoChange(log);
+    const same = applyChange(log, (s) => s, { label: "nada" });
+    expect(same).toBe(log);
+    const quiet = applyChange(log, (s) => ({ ...s, activeId: "x" }));
+    expect(quiet.past).toHaveLength(0);
+    expect(quiet.future).toHaveLength(1);
+    log = applyChange(log, push("T"), { label: "b" });
+    expect(log.future).toHaveLength(0);
+    expect(redoChange(log)).toBe(log);
+    expect(undoChange(createUndoLog({}))).toEqual(createUndoLog({}));
+  });
+
+  it("junta mudanças seguidas do mesmo grupo e respeita o limite", () => {
+    let log = createUndoLog({ rounds: [] });
+    log = applyChange(log, () => ({ rounds: ["importado"] }), { label: "Importar (substituir)" });
+    for (const v of "RBRBT") log = applyChange(log, push(v), { label: "Rodadas do feed", group: "feed" });
+    expect(log.past).toHaveLength(2);
+    expect(describeEntry(last(log.past))).toBe("Rodadas do feed (×5)");
+    expect(undoChange(log).state.rounds).toEqual(["importado"]);
+    expect(undoChange(undoChange(log)).state.rounds).toEqual([]);
+
+    for (let i = 0; i < 10; i++) log = applyChange(log, push(i), { label: `p${i}` }, { limit: 4 });
+    expect(log.past.map((e) => e.label)).toEqual(["p6", "p7", "p8", "p9"]);
+  });
+});
+
+describe("atalhos", () => {
+  const key = (k, mods = {}) => ({ key: k, ctrlKey: false, metaKey: false, shiftKey: false, altKey: false, ...mods });
+
+  it("Ctrl/⌘+Z desfaz, com Shift (ou Ctrl+Y) refaz", () => {
+    expect(shortcutAction(key("z", { ctrlKey: true }))).toBe("undo");
+    expect(shortcutAction(key("Z", { metaKey: true, shiftKey: true }))).toBe("redo");
+    expect(shortcutAction(key("y", { ctrlKey: true }))).toBe("redo");
+    expect(shortcutAction(key("z"))).toBeNull();
+    expect(shortcutAction(key("z", { ctrlKey: true, altKey: true }))).toBeNull();
+  });
+
+  it("campos de texto ficam com a tecla", () => {
+    expect(isTypingTarget({ tagName: "INPUT", type: "text" })).toBe(true);
+    expect(isTypingTarget({ tagName: "input" })).toBe(true);
+    expect(isTypingTarget({ tagName: "TEXTAREA" })).toBe(true);
+    expect(isTypingTarget({ tagName: "DIV", isContentEditable: true })).toBe(true);
+    expect(isTypingTarget({ tagName: "INPUT", type: "checkbox" })).toBe(false);
+    expect(isTypingTarget({ tagName: "BUTTON" })).toBe(false);
+    expect(isTypingTarget(null)).toBe(false);
+  });
+});
+
+describe("rótulos traduzidos", () => {
+  it("descreve a entrada pela chave e parâmetros no idioma pedido", () => {
+    const log = applyChange(createUndoLog({ rounds: [] }), push("R"), { label: "undo.deleteRounds", params: { count: 2 } });
+    const entry = last(log.past);
+    expect(entry.params).toEqual({ count: 2 });
+    expect(describeEntry(entry, createTranslator("pt-BR"))).toBe("Excluir 2 resultados");
+    expect(describeEntry(entry, createTranslator("en"))).toBe("Delete 2 results");
+    // rótulo antigo (texto pronto) aparece como está
+    expect(describeEntry({ label: "Limpar histórico", times: 2 }, createTranslator("en"))).toBe("Limpar histórico (×2)");
+  });
+});
@@ -0,0 +1,22 @@
+import { useEffect, useRef } from "react";
+import { isTypingTarget } from "@/lib/keyboard";
+import { shortcutAction } from "./index";
+
+/** Ctrl+Z / Ctrl+Shift+Z (⌘ no Mac) na página toda, exceto com foco num campo de texto */
+export function useUndoShortcuts({ undo, redo }) {
+  const actions = useRef({ undo, redo });
+  actions.current = { undo, redo };
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const action = shortcutAction(e);
+      if (!action || e.defaultPrevented || isTypingTarget(e.target)) return;
+      e.preventDefault();
+      actions.current[action]();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+}
+
+export default useUndoShortcuts;
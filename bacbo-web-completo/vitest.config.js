@@ -0,0 +1,14 @@
+import { defineConfig } from 'vitest/config'
+import { fileURLToPath } from 'node:url'
+
+// Testes só cobrem módulos puros: sem PostCSS/Tailwind e sem DOM.
+export default defineConfig({
+  resolve: {
+    alias: { '@': fileURLToPath(new URL('./src', import.meta.url)) },
+  },
+  css: { postcss: {} },
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.js'],
+  },
+})